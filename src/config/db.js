@@ -1,5 +1,6 @@
 import { Sequelize } from "sequelize";
 import dotenv from "dotenv";
+import { upgradeSchema } from "./schemaUpgrade.js";
 
 dotenv.config();
 
@@ -48,6 +49,7 @@ export const initializeDatabase = async () => {
     try {
         const instance = createSequelizeInstance();
         await instance.authenticate();
+        await upgradeSchema(instance);
         await instance.sync();
         console.log("Database connected & synced");
         return instance;
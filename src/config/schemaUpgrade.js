@@ -0,0 +1,121 @@
+/**
+ * Schema upgrade
+ *
+ * sync() only creates missing tables and indexes; it never changes a table
+ * that already exists. Databases created by an earlier version are brought
+ * up to date here, before sync() runs:
+ * - model columns missing from existing tables are added
+ * - columns whose type changed are altered
+ * - values added to an ENUM are added to its Postgres type
+ * - unique constraints and indexes the models no longer define are dropped
+ *
+ * Every step checks the current schema first, so running it again is a no-op.
+ */
+
+import { DataTypes } from "sequelize";
+
+// Column type changes: only applied while the column still has the old type
+const COLUMN_TYPE_CHANGES = [
+    // Partial credit and scaled penalties can be fractional
+    { table: "exam_attempts", column: "score", from: "INTEGER", to: { type: DataTypes.FLOAT, allowNull: true } },
+    { table: "student_answers", column: "marks_obtained", from: "INTEGER", to: { type: DataTypes.FLOAT, allowNull: true } },
+];
+
+// Uniqueness rules that were replaced; their successors have new names, so sync() creates those
+const RETIRED_CONSTRAINTS = [
+    // A question appears once per paper set, not once per exam
+    { table: "exam_questions", name: "exam_questions_exam_id_question_id_key" },
+];
+
+const RETIRED_INDEXES = [
+    "exam_questions_exam_id_question_id",
+    // One attempt per user and exam; retakes are numbered now
+    "exam_attempts_exam_id_user_id",
+];
+
+// Add columns the models define but existing tables lack
+const addMissingColumns = async (queryInterface, models, tables) => {
+    for (const model of models) {
+        const tableName = model.getTableName();
+        if (!tables.has(tableName)) continue;
+
+        const columns = await queryInterface.describeTable(tableName);
+
+        for (const attribute of Object.values(model.getAttributes())) {
+            if (columns[attribute.field]) continue;
+
+            // Foreign keys may point at tables sync() has not created yet; the column alone is enough here
+            const { references, onDelete, onUpdate, ...definition } = attribute;
+
+            await queryInterface.addColumn(tableName, attribute.field, definition);
+            console.log(`[Schema Upgrade] Added ${tableName}.${attribute.field}`);
+        }
+    }
+};
+
+// ALTER TYPE ... ADD VALUE for every ENUM value of existing tables; outside a transaction, as Postgres requires
+const addEnumValues = async (queryInterface, models, tables) => {
+    const { queryGenerator } = queryInterface;
+
+    for (const model of models) {
+        const tableName = model.getTableName();
+        if (!tables.has(tableName)) continue;
+
+        for (const attribute of Object.values(model.getAttributes())) {
+            if (!(attribute.type instanceof DataTypes.ENUM)) continue;
+
+            const enumName = queryGenerator.pgEnumName(tableName, attribute.field);
+
+            for (const value of attribute.type.values) {
+                await queryInterface.sequelize.query(
+                    `ALTER TYPE ${enumName} ADD VALUE IF NOT EXISTS ${queryGenerator.escape(value)}`
+                );
+            }
+        }
+    }
+};
+
+const dropRetiredUniques = async (queryInterface, tables) => {
+    const { sequelize, queryGenerator } = queryInterface;
+
+    for (const { table, name } of RETIRED_CONSTRAINTS) {
+        if (!tables.has(table)) continue;
+        await sequelize.query(
+            `ALTER TABLE ${queryGenerator.quoteTable(table)} DROP CONSTRAINT IF EXISTS ${queryGenerator.quoteIdentifier(name)}`
+        );
+    }
+
+    for (const name of RETIRED_INDEXES) {
+        await sequelize.query(`DROP INDEX IF EXISTS ${queryGenerator.quoteIdentifier(name)}`);
+    }
+};
+
+const changeColumnTypes = async (queryInterface, tables) => {
+    for (const change of COLUMN_TYPE_CHANGES) {
+        if (!tables.has(change.table)) continue;
+
+        const columns = await queryInterface.describeTable(change.table);
+        if (columns[change.column]?.type !== change.from) continue;
+
+        await queryInterface.changeColumn(change.table, change.column, change.to);
+        console.log(`[Schema Upgrade] Changed ${change.table}.${change.column} from ${change.from}`);
+    }
+};
+
+/**
+ * Bring existing tables in line with the models; call before sync()
+ * @param {import("sequelize").Sequelize} sequelize - Instance with all models defined
+ */
+export const upgradeSchema = async (sequelize) => {
+    const queryInterface = sequelize.getQueryInterface();
+    const tables = new Set(await queryInterface.showAllTables());
+
+    if (tables.size === 0) return;
+
+    const models = Object.values(sequelize.models);
+
+    await addMissingColumns(queryInterface, models, tables);
+    await addEnumValues(queryInterface, models, tables);
+    await changeColumnTypes(queryInterface, tables);
+    await dropRetiredUniques(queryInterface, tables);
+};
@@ -34,7 +34,7 @@ export const initializeAutoSubmitCron = () => {
 
           // Calculate score immediately
           try {
-            await calculateExamScore(attempt.examId, attempt.userId);
+            await calculateExamScore(attempt.examId, attempt.userId, { attemptId: attempt.id });
           } catch (error) {
             console.error(
               `Failed to calculate score for attempt ${attempt.id}:`,
@@ -0,0 +1,65 @@
+import cron from "node-cron";
+import { computeItemStatistics, isItemAnalysisRunning } from "../services/itemAnalysis.service.js";
+
+let cronJob = null;
+
+/**
+ * Initialize the item analysis cron job
+ */
+export const initializeItemAnalysisCron = () => {
+  if (cronJob) {
+    return cronJob;
+  }
+
+  // Recompute question statistics every night at 02:00
+  cronJob = cron.schedule("0 2 * * *", async () => {
+    // A manual recompute may still be running
+    if (isItemAnalysisRunning()) {
+      return;
+    }
+
+    try {
+      const result = await computeItemStatistics();
+      console.log(
+        `Item analysis: ${result.questionCount} questions from ${result.examCount} exams, ${result.flaggedCount} flagged`
+      );
+    } catch (error) {
+      console.error("Item analysis cron error:", error.message);
+    }
+  }, {
+    scheduled: false // Don't start automatically
+  });
+  return cronJob;
+};
+
+/**
+ * Start the item analysis cron job
+ */
+export const startItemAnalysisCron = () => {
+  if (!cronJob) {
+    initializeItemAnalysisCron();
+  }
+
+  if (cronJob && !cronJob.running) {
+    cronJob.start();
+  }
+};
+
+/**
+ * Stop the item analysis cron job
+ */
+export const stopItemAnalysisCron = () => {
+  if (cronJob) {
+    cronJob.stop();
+  }
+};
+
+/**
+ * Destroy the cron job completely
+ */
+export const destroyItemAnalysisCron = () => {
+  if (cronJob) {
+    cronJob.stop();
+    cronJob = null;
+  }
+};
@@ -0,0 +1,61 @@
+import cron from "node-cron";
+import { notifyReleasedResults } from "../services/resultRelease.service.js";
+
+let cronJob = null;
+
+/**
+ * Initialize the result release cron job
+ */
+export const initializeResultReleaseCron = () => {
+  if (cronJob) {
+    return cronJob;
+  }
+
+  // Email participants of exams whose results went out since the last run
+  cronJob = cron.schedule("*/5 * * * *", async () => {
+    try {
+      const result = await notifyReleasedResults();
+
+      if (result.examCount > 0) {
+        console.log(`Result release: ${result.examCount} exams announced, ${result.queued} emails queued`);
+      }
+    } catch (error) {
+      console.error("Result release cron error:", error.message);
+    }
+  }, {
+    scheduled: false // Don't start automatically
+  });
+  return cronJob;
+};
+
+/**
+ * Start the result release cron job
+ */
+export const startResultReleaseCron = () => {
+  if (!cronJob) {
+    initializeResultReleaseCron();
+  }
+
+  if (cronJob && !cronJob.running) {
+    cronJob.start();
+  }
+};
+
+/**
+ * Stop the result release cron job
+ */
+export const stopResultReleaseCron = () => {
+  if (cronJob) {
+    cronJob.stop();
+  }
+};
+
+/**
+ * Destroy the cron job completely
+ */
+export const destroyResultReleaseCron = () => {
+  if (cronJob) {
+    cronJob.stop();
+    cronJob = null;
+  }
+};
@@ -1,6 +1,7 @@
 import { verifyToken } from "../services/token.service.js";
+import { getSessionState } from "../services/session.service.js";
 
-export const requireAuth = (req, res, next) => {
+export const requireAuth = async (req, res, next) => {
   // Check for token in cookies first, fallback to Authorization header for backward compatibility
   let token = req.cookies?.accessToken;
 
@@ -15,17 +16,44 @@ export const requireAuth = (req, res, next) => {
     return res.status(401).json({ message: "Unauthorized" });
   }
 
+  let decoded;
   try {
-    const decoded = verifyToken(token, process.env.JWT_ACCESS_SECRET);
-
-    req.user = decoded; // { userId, role, emailVerified }
-    next();
+    decoded = verifyToken(token, process.env.JWT_ACCESS_SECRET);
   } catch (error) {
     if (error.name === "TokenExpiredError") {
       return res.status(401).json({ message: "Token expired" });
     }
     return res.status(401).json({ message: "Invalid token" });
   }
+
+  // Tokens issued before sessions existed cannot be revoked, so they are not accepted
+  if (!decoded.sessionId) {
+    return res.status(401).json({ message: "Session expired. Please log in again." });
+  }
+
+  let state;
+  try {
+    state = await getSessionState(decoded.sessionId);
+  } catch (error) {
+    console.error("Session check error:", error);
+    return res.status(500).json({ message: "Internal server error" });
+  }
+
+  if (state.suspended) {
+    return res.status(403).json({ message: "Your account has been suspended" });
+  }
+
+  if (!state.active) {
+    return res.status(401).json({ message: "Session revoked" });
+  }
+
+  // Role and verification come from the database so admin changes apply without a new login
+  req.user = {
+    ...decoded,
+    role: state.role ?? decoded.role,
+    emailVerified: state.emailVerified ?? decoded.emailVerified,
+  }; // { userId, role, emailVerified, sessionId }
+  next();
 };
 
 export const requireEmailVerified = (req, res, next) => {
@@ -36,4 +64,4 @@ export const requireEmailVerified = (req, res, next) => {
   }
 
   next();
-};
\ No newline at end of file
+};
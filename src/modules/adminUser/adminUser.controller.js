@@ -0,0 +1,715 @@
+import { Op } from "sequelize";
+import sequelize from "../../config/db.js";
+import { User, UserProfile, ExamAttempt, AuditLog } from "../association/index.js";
+import { recordAudit, diffFields } from "../../services/audit.service.js";
+import { revokeAllSessions, invalidateUserSessionCache } from "../../services/session.service.js";
+import { issuePasswordResetOTP } from "../../services/passwordReset.service.js";
+import {
+    parseRoster,
+    validateRoster,
+    createRosterAccounts,
+    sendInvitations,
+    MAX_ROSTER_ROWS,
+} from "../../services/rosterImport.service.js";
+
+const ROLES = ["USER", "ADMIN", "GRADER"];
+
+const USER_ATTRIBUTES = [
+    "id",
+    "fullName",
+    "email",
+    "role",
+    "emailVerified",
+    "isSuspended",
+    "suspendedAt",
+    "suspensionReason",
+    "createdAt",
+];
+
+const PROFILE_ATTRIBUTES = ["enrollmentNumber", "course", "department", "year", "semester"];
+
+// Admins must not lock themselves out by demoting, suspending or deleting their own account
+const isSelf = (req, userId) => req.user.userId === userId;
+
+// Runs after commit, so a failure must not reach the handler's rollback; the
+// cached session state expires on its own shortly afterwards
+const refreshSessionCache = async (userId) => {
+    try {
+        await invalidateUserSessionCache(userId);
+    } catch (error) {
+        console.error(`Failed to invalidate session cache for user ${userId}:`, error);
+    }
+};
+
+// Search users with filters over User and UserProfile
+export const listUsers = async (req, res) => {
+    try {
+        let {
+            search,
+            role,
+            status,
+            emailVerified,
+            course,
+            department,
+            year,
+            semester,
+            page = 1,
+            limit = 20,
+        } = req.query;
+
+        page = Math.max(parseInt(page, 10) || 1, 1);
+        limit = Math.min(parseInt(limit, 10) || 20, 100); // safety cap
+        const offset = (page - 1) * limit;
+
+        const where = {};
+        if (search && search.trim()) {
+            const term = `%${search.trim()}%`;
+            where[Op.or] = [
+                { fullName: { [Op.iLike]: term } },
+                { email: { [Op.iLike]: term } },
+                { "$profile.enrollment_number$": { [Op.iLike]: term } },
+            ];
+        }
+        if (role) where.role = role.toUpperCase();
+        if (status === "SUSPENDED") where.isSuspended = true;
+        if (status === "ACTIVE") where.isSuspended = false;
+        if (emailVerified !== undefined) where.emailVerified = emailVerified === "true";
+
+        const profileWhere = {};
+        if (course) profileWhere.course = course.toUpperCase();
+        if (department) profileWhere.department = department.toUpperCase();
+        if (year) profileWhere.year = year.toUpperCase();
+        if (semester) profileWhere.semester = semester.toUpperCase();
+
+        const hasProfileFilter = Object.keys(profileWhere).length > 0;
+
+        const { rows: users, count: total } = await User.findAndCountAll({
+            where,
+            attributes: USER_ATTRIBUTES,
+            include: [
+                {
+                    model: UserProfile,
+                    as: "profile",
+                    attributes: PROFILE_ATTRIBUTES,
+                    where: hasProfileFilter ? profileWhere : undefined,
+                    required: hasProfileFilter,
+                },
+            ],
+            limit,
+            offset,
+            order: [["createdAt", "DESC"]],
+            subQuery: false,
+            distinct: true,
+        });
+
+        return res.status(200).json({
+            success: true,
+            pagination: {
+                totalItems: total,
+                totalPages: Math.ceil(total / limit),
+                currentPage: page,
+                limit,
+            },
+            data: users,
+        });
+    } catch (error) {
+        console.error("Error listing users:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Server error: Failed to fetch users",
+        });
+    }
+};
+
+// Get a single user with profile and attempt count
+export const getUserById = async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        const user = await User.findByPk(userId, {
+            attributes: USER_ATTRIBUTES,
+            include: [
+                {
+                    model: UserProfile,
+                    as: "profile",
+                    attributes: PROFILE_ATTRIBUTES,
+                },
+            ],
+        });
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: "User not found",
+            });
+        }
+
+        const attemptCount = await ExamAttempt.count({ where: { userId } });
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                ...user.toJSON(),
+                attemptCount,
+            },
+        });
+    } catch (error) {
+        console.error("Error fetching user:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Server error: Failed to fetch user",
+        });
+    }
+};
+
+// Change a user's role (promote / demote)
+export const updateUserRole = async (req, res) => {
+    const transaction = await sequelize.transaction();
+    const { userId } = req.params;
+    const role = req.body.role?.toUpperCase();
+
+    try {
+
+        if (!ROLES.includes(role)) {
+            await transaction.rollback();
+            return res.status(400).json({
+                success: false,
+                message: `Role must be one of: ${ROLES.join(", ")}`,
+            });
+        }
+
+        if (isSelf(req, userId)) {
+            await transaction.rollback();
+            return res.status(400).json({
+                success: false,
+                message: "You cannot change your own role",
+            });
+        }
+
+        const user = await User.findByPk(userId, {
+            transaction,
+            lock: transaction.LOCK.UPDATE,
+        });
+
+        if (!user) {
+            await transaction.rollback();
+            return res.status(404).json({
+                success: false,
+                message: "User not found",
+            });
+        }
+
+        if (user.role === role) {
+            await transaction.rollback();
+            return res.status(400).json({
+                success: false,
+                message: `User is already ${role}`,
+            });
+        }
+
+        const before = { role: user.role };
+        await user.update({ role }, { transaction });
+
+        await recordAudit(
+            {
+                actorId: req.user.userId,
+                action: "USER_ROLE_CHANGED",
+                entityType: "User",
+                entityId: user.id,
+                changes: diffFields(before, { role }, ["role"]),
+                ipAddress: req.ip,
+            },
+            { transaction }
+        );
+
+        await transaction.commit();
+    } catch (error) {
+        await transaction.rollback();
+        console.error("Error updating user role:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Server error: Failed to update user role",
+        });
+    }
+
+    await refreshSessionCache(userId);
+
+    return res.status(200).json({
+        success: true,
+        message: `User role changed to ${role}`,
+    });
+};
+
+// Suspend a user and end all of their sessions
+export const suspendUser = async (req, res) => {
+    const transaction = await sequelize.transaction();
+    const { userId } = req.params;
+    const { reason } = req.body;
+
+    try {
+
+        if (isSelf(req, userId)) {
+            await transaction.rollback();
+            return res.status(400).json({
+                success: false,
+                message: "You cannot suspend your own account",
+            });
+        }
+
+        const user = await User.findByPk(userId, {
+            transaction,
+            lock: transaction.LOCK.UPDATE,
+        });
+
+        if (!user) {
+            await transaction.rollback();
+            return res.status(404).json({
+                success: false,
+                message: "User not found",
+            });
+        }
+
+        if (user.isSuspended) {
+            await transaction.rollback();
+            return res.status(400).json({
+                success: false,
+                message: "User is already suspended",
+            });
+        }
+
+        await user.update(
+            {
+                isSuspended: true,
+                suspendedAt: new Date(),
+                suspensionReason: reason || null,
+            },
+            { transaction }
+        );
+
+        await recordAudit(
+            {
+                actorId: req.user.userId,
+                action: "USER_SUSPENDED",
+                entityType: "User",
+                entityId: user.id,
+                changes: { isSuspended: { from: false, to: true } },
+                metadata: { reason: reason || null },
+                ipAddress: req.ip,
+            },
+            { transaction }
+        );
+
+        await transaction.commit();
+    } catch (error) {
+        await transaction.rollback();
+        console.error("Error suspending user:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Server error: Failed to suspend user",
+        });
+    }
+
+    try {
+        const revokedSessions = await revokeAllSessions(userId, "ACCOUNT_SUSPENDED");
+
+        return res.status(200).json({
+            success: true,
+            message: "User suspended",
+            revokedSessions,
+        });
+    } catch (error) {
+        // The suspension stands: requests are refused once the cached session state expires
+        console.error(`Failed to revoke sessions of suspended user ${userId}:`, error);
+        await refreshSessionCache(userId);
+
+        return res.status(200).json({
+            success: true,
+            message: "User suspended, but their sessions could not be revoked; they are refused once the cached session state expires",
+            revokedSessions: null,
+        });
+    }
+};
+
+// Lift a suspension
+export const reactivateUser = async (req, res) => {
+    const transaction = await sequelize.transaction();
+
+    try {
+        const { userId } = req.params;
+
+        const user = await User.findByPk(userId, {
+            transaction,
+            lock: transaction.LOCK.UPDATE,
+        });
+
+        if (!user) {
+            await transaction.rollback();
+            return res.status(404).json({
+                success: false,
+                message: "User not found",
+            });
+        }
+
+        if (!user.isSuspended) {
+            await transaction.rollback();
+            return res.status(400).json({
+                success: false,
+                message: "User is not suspended",
+            });
+        }
+
+        const previousReason = user.suspensionReason;
+
+        await user.update(
+            {
+                isSuspended: false,
+                suspendedAt: null,
+                suspensionReason: null,
+            },
+            { transaction }
+        );
+
+        await recordAudit(
+            {
+                actorId: req.user.userId,
+                action: "USER_REACTIVATED",
+                entityType: "User",
+                entityId: user.id,
+                changes: { isSuspended: { from: true, to: false } },
+                metadata: { previousReason },
+                ipAddress: req.ip,
+            },
+            { transaction }
+        );
+
+        await transaction.commit();
+
+        return res.status(200).json({
+            success: true,
+            message: "User reactivated",
+        });
+    } catch (error) {
+        await transaction.rollback();
+        console.error("Error reactivating user:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Server error: Failed to reactivate user",
+        });
+    }
+};
+
+// Mark a user's email as verified without the verification link
+export const forceVerifyEmail = async (req, res) => {
+    const transaction = await sequelize.transaction();
+    const { userId } = req.params;
+
+    try {
+        const user = await User.findByPk(userId, { transaction });
+
+        if (!user) {
+            await transaction.rollback();
+            return res.status(404).json({
+                success: false,
+                message: "User not found",
+            });
+        }
+
+        if (user.emailVerified) {
+            await transaction.rollback();
+            return res.status(400).json({
+                success: false,
+                message: "Email already verified",
+            });
+        }
+
+        await user.update({ emailVerified: true }, { transaction });
+
+        await recordAudit(
+            {
+                actorId: req.user.userId,
+                action: "USER_EMAIL_FORCE_VERIFIED",
+                entityType: "User",
+                entityId: user.id,
+                changes: { emailVerified: { from: false, to: true } },
+                ipAddress: req.ip,
+            },
+            { transaction }
+        );
+
+        await transaction.commit();
+    } catch (error) {
+        await transaction.rollback();
+        console.error("Error force-verifying email:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Server error: Failed to verify email",
+        });
+    }
+
+    await refreshSessionCache(userId);
+
+    return res.status(200).json({
+        success: true,
+        message: "Email marked as verified",
+    });
+};
+
+// Send the user a password reset OTP (same flow as forgot-password)
+export const triggerPasswordReset = async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        const user = await User.findByPk(userId);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: "User not found",
+            });
+        }
+
+        const emailSent = await issuePasswordResetOTP(user);
+
+        await recordAudit({
+            actorId: req.user.userId,
+            action: "USER_PASSWORD_RESET_TRIGGERED",
+            entityType: "User",
+            entityId: user.id,
+            metadata: { emailSent },
+            ipAddress: req.ip,
+        });
+
+        if (!emailSent) {
+            return res.status(502).json({
+                success: false,
+                message: "Reset OTP generated but the email could not be sent",
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: "Password reset OTP sent to the user",
+        });
+    } catch (error) {
+        console.error("Error triggering password reset:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Server error: Failed to trigger password reset",
+        });
+    }
+};
+
+// Delete a user (only if they have no exam attempts; suspend otherwise)
+export const deleteUser = async (req, res) => {
+    const transaction = await sequelize.transaction();
+
+    try {
+        const { userId } = req.params;
+
+        if (isSelf(req, userId)) {
+            await transaction.rollback();
+            return res.status(400).json({
+                success: false,
+                message: "You cannot delete your own account",
+            });
+        }
+
+        const user = await User.findByPk(userId, { transaction });
+
+        if (!user) {
+            await transaction.rollback();
+            return res.status(404).json({
+                success: false,
+                message: "User not found",
+            });
+        }
+
+        const attemptCount = await ExamAttempt.count({
+            where: { userId },
+            transaction,
+        });
+
+        if (attemptCount > 0) {
+            await transaction.rollback();
+            return res.status(409).json({
+                success: false,
+                message: "User has exam attempts and cannot be deleted. Suspend the account instead.",
+                attemptCount,
+            });
+        }
+
+        await recordAudit(
+            {
+                actorId: req.user.userId,
+                action: "USER_DELETED",
+                entityType: "User",
+                entityId: user.id,
+                metadata: {
+                    email: user.email,
+                    fullName: user.fullName,
+                    role: user.role,
+                },
+                ipAddress: req.ip,
+            },
+            { transaction }
+        );
+
+        await user.destroy({ transaction }); // cascades to profile & sessions
+
+        await transaction.commit();
+
+        return res.status(200).json({
+            success: true,
+            message: "User deleted",
+        });
+    } catch (error) {
+        await transaction.rollback();
+        console.error("Error deleting user:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Server error: Failed to delete user",
+        });
+    }
+};
+
+// Audit trail entries for one user
+export const getUserAuditTrail = async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        let { page = 1, limit = 20 } = req.query;
+        page = Math.max(parseInt(page, 10) || 1, 1);
+        limit = Math.min(parseInt(limit, 10) || 20, 100);
+        const offset = (page - 1) * limit;
+
+        const { rows: logs, count: total } = await AuditLog.findAndCountAll({
+            where: { entityType: "User", entityId: userId },
+            include: [
+                {
+                    model: User,
+                    as: "actor",
+                    attributes: ["id", "fullName", "email"],
+                },
+            ],
+            order: [["createdAt", "DESC"]],
+            limit,
+            offset,
+        });
+
+        return res.status(200).json({
+            success: true,
+            pagination: {
+                totalItems: total,
+                totalPages: Math.ceil(total / limit),
+                currentPage: page,
+                limit,
+            },
+            data: logs,
+        });
+    } catch (error) {
+        console.error("Error fetching audit trail:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Server error: Failed to fetch audit trail",
+        });
+    }
+};
+
+// Bulk onboarding from a roster CSV. Dry run (the default) only returns the per-row report.
+export const importRoster = async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: "Roster CSV file is required",
+            });
+        }
+
+        const dryRun = String(req.body.dryRun ?? req.query.dryRun ?? "true") !== "false";
+
+        const { rows, missingColumns } = parseRoster(req.file.buffer);
+
+        if (missingColumns.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Missing required columns: ${missingColumns.join(", ")}`,
+            });
+        }
+
+        if (rows.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: "Roster contains no rows",
+            });
+        }
+
+        if (rows.length > MAX_ROSTER_ROWS) {
+            return res.status(400).json({
+                success: false,
+                message: `Roster cannot exceed ${MAX_ROSTER_ROWS} rows`,
+            });
+        }
+
+        const report = await validateRoster(rows);
+
+        if (dryRun) {
+            return res.status(200).json({
+                success: true,
+                dryRun: true,
+                message: `${report.validCount} of ${report.totalRows} rows are valid`,
+                report,
+            });
+        }
+
+        if (report.validCount === 0) {
+            return res.status(400).json({
+                success: false,
+                message: "No valid rows to import",
+                report,
+            });
+        }
+
+        const createdUsers = await createRosterAccounts(report);
+
+        await recordAudit({
+            actorId: req.user.userId,
+            action: "USERS_BULK_IMPORTED",
+            entityType: "User",
+            metadata: {
+                fileName: req.file.originalname,
+                totalRows: report.totalRows,
+                createdCount: createdUsers.length,
+                skippedRows: report.rows
+                    .filter(r => r.status === "INVALID")
+                    .map(r => r.rowNumber),
+            },
+            ipAddress: req.ip,
+        });
+
+        const invitations = await sendInvitations(createdUsers);
+
+        return res.status(201).json({
+            success: true,
+            dryRun: false,
+            message: `${createdUsers.length} accounts created, ${report.errorCount} rows skipped`,
+            createdCount: createdUsers.length,
+            skippedCount: report.errorCount,
+            invitations,
+            report,
+        });
+    } catch (error) {
+        console.error("Error importing roster:", error);
+
+        if (error.name === "SequelizeUniqueConstraintError") {
+            return res.status(409).json({
+                success: false,
+                message: "Some accounts were registered while the import was running. Re-run the dry run and try again.",
+            });
+        }
+
+        return res.status(500).json({
+            success: false,
+            message: "Server error: Failed to import roster",
+        });
+    }
+};
@@ -0,0 +1,69 @@
+import express from "express";
+import multer from "multer";
+import {
+    listUsers,
+    getUserById,
+    updateUserRole,
+    suspendUser,
+    reactivateUser,
+    forceVerifyEmail,
+    triggerPasswordReset,
+    deleteUser,
+    getUserAuditTrail,
+    importRoster,
+} from "./adminUser.controller.js";
+import { requireAuth, requireEmailVerified } from "../../middlewares/auth.middleware.js";
+import requireRole from "../../middlewares/role.middleware.js";
+
+const router = express.Router();
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+router.use(requireAuth);
+router.use(requireEmailVerified);
+router.use(requireRole("ADMIN"));
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 2 * 1024 * 1024, // 2MB is plenty for a few thousand roster rows
+    },
+});
+
+/**
+ * Bulk onboarding from a roster CSV
+ * Columns: name, email, enrollment number, course, department, year, semester
+ *
+ * Body (multipart):
+ * {
+ *   file: File (CSV)
+ *   dryRun?: "true" | "false" (default "true" - validate and report only)
+ * }
+ */
+router.post("/import", upload.single("file"), importRoster);
+
+// Search users (query: search, role, status, emailVerified, course, department, year, semester, page, limit)
+router.get("/", listUsers);
+
+// Not a user ID at all; the database would reject it
+router.param("userId", (req, res, next, userId) => {
+    if (!UUID_PATTERN.test(userId)) {
+        return res.status(404).json({
+            success: false,
+            message: "User not found",
+        });
+    }
+    next();
+});
+
+router.get("/:userId", getUserById);
+router.get("/:userId/audit", getUserAuditTrail);
+
+router.patch("/:userId/role", updateUserRole);
+router.post("/:userId/suspend", suspendUser);
+router.post("/:userId/reactivate", reactivateUser);
+router.post("/:userId/verify-email", forceVerifyEmail);
+router.post("/:userId/password-reset", triggerPasswordReset);
+router.delete("/:userId", deleteUser);
+
+export default router;
@@ -1,15 +1,33 @@
 import User from "../auth/auth.model.js";
 import UserProfile from "../profile/profile.model.js";
+import Session from "../auth/session.model.js";
 import Question from "../question/question.model.js";
 import Option from "../question/option.model.js";
 import NumericalAnswer from "../question/numericalAnswer.model.js";
 import Exam from "../exam/exam.model.js";
 import ExamQuestion from "../exam/exam.question.model.js";
+import ExamSection from "../exam/exam.section.model.js";
+import ExamPaperSet from "../exam/exam.paperSet.model.js";
 import ExamAttempt from "../examAttempt/examAttempt.model.js";
 import StudentAnswer from "../examAttempt/studentAnswer.model.js";
 import QuestionDraftBatch from "../questionDraft/questionDraftBatch.model.js";
 import QuestionDraft from "../questionDraft/questionDraft.model.js";
 import QuestionOptionDraft from "../questionDraft/questionOptionDraft.model.js";
+import AuditLog from "../audit/auditLog.model.js";
+import MarkingScheme from "../markingScheme/markingScheme.model.js";
+import RescoringRun from "../rescoring/rescoringRun.model.js";
+import RescoringEntry from "../rescoring/rescoringEntry.model.js";
+import KeyChallenge from "../keyChallenge/keyChallenge.model.js";
+import GradingTask from "../grading/gradingTask.model.js";
+import Stimulus from "../stimulus/stimulus.model.js";
+import Attachment from "../attachment/attachment.model.js";
+import TaxonomyNode from "../taxonomy/taxonomyNode.model.js";
+import Tag from "../taxonomy/tag.model.js";
+import QuestionTag from "../taxonomy/questionTag.model.js";
+import QuestionVersion from "../question/questionVersion.model.js";
+import QuestionImportJob from "../questionTransfer/questionImportJob.model.js";
+import QuestionStatistic from "../itemAnalysis/questionStatistic.model.js";
+import ExamBlueprint from "../blueprint/examBlueprint.model.js";
 
 /* ---------------- USER ---------------- */
 
@@ -24,6 +42,25 @@ UserProfile.belongsTo(User, {
   as: "user",
 });
 
+User.hasMany(Session, {
+  foreignKey: "userId",
+  as: "sessions",
+  onDelete: "CASCADE",
+});
+
+Session.belongsTo(User, {
+  foreignKey: "userId",
+  as: "user",
+});
+
+/* ---------------- AUDIT ---------------- */
+
+AuditLog.belongsTo(User, {
+  foreignKey: "actorId",
+  as: "actor",
+  constraints: false,
+});
+
 /* ---------------- QUESTION ---------------- */
 
 Question.hasMany(Option, {
@@ -48,18 +85,145 @@ NumericalAnswer.belongsTo(Question, {
   as: "question",
 });
 
+/* ---------------- QUESTION VERSIONS ---------------- */
+
+Question.hasMany(QuestionVersion, {
+  foreignKey: "questionId",
+  as: "versions",
+  onDelete: "CASCADE",
+});
+
+QuestionVersion.belongsTo(Question, {
+  foreignKey: "questionId",
+  as: "question",
+});
+
+QuestionVersion.belongsTo(User, {
+  foreignKey: "createdBy",
+  as: "author",
+  constraints: false,
+});
+
+// Set when the exam is published; the exam is shown and scored against this snapshot
+ExamQuestion.belongsTo(QuestionVersion, {
+  foreignKey: "questionVersionId",
+  as: "questionVersion",
+  constraints: false,
+});
+
+/* ---------------- QUESTION IMPORTS ---------------- */
+
+QuestionImportJob.belongsTo(User, {
+  foreignKey: "createdBy",
+  as: "creator",
+  constraints: false,
+});
+
+/* ---------------- EXAM BLUEPRINTS ---------------- */
+
+ExamBlueprint.belongsTo(User, {
+  foreignKey: "createdBy",
+  as: "creator",
+  constraints: false,
+});
+
+/* ---------------- QUESTION ↔ STATISTICS ---------------- */
+
+Question.hasOne(QuestionStatistic, {
+  foreignKey: "questionId",
+  as: "statistics",
+  onDelete: "CASCADE",
+});
+
+QuestionStatistic.belongsTo(Question, {
+  foreignKey: "questionId",
+  as: "question",
+});
+
+/* ---------------- STIMULUS ↔ QUESTION ---------------- */
+
+Stimulus.hasMany(Question, {
+  foreignKey: "stimulusId",
+  as: "questions",
+  onDelete: "SET NULL",
+});
+
+Question.belongsTo(Stimulus, {
+  foreignKey: "stimulusId",
+  as: "stimulus",
+});
+
+/* ---------------- QUESTION ↔ ATTACHMENT ---------------- */
+
+// Rows go with the question; the stored files are removed by attachment.service
+Question.hasMany(Attachment, {
+  foreignKey: "questionId",
+  as: "ownedAttachments",
+  onDelete: "CASCADE",
+});
+
+Attachment.belongsTo(Question, {
+  foreignKey: "questionId",
+  as: "question",
+});
+
+Attachment.belongsTo(User, {
+  foreignKey: "uploadedBy",
+  as: "uploader",
+  constraints: false,
+});
+
+/* ---------------- TAXONOMY ---------------- */
+
+TaxonomyNode.hasMany(TaxonomyNode, {
+  foreignKey: "parentId",
+  as: "children",
+  onDelete: "RESTRICT",
+});
+
+TaxonomyNode.belongsTo(TaxonomyNode, {
+  foreignKey: "parentId",
+  as: "parent",
+});
+
+TaxonomyNode.hasMany(Question, {
+  foreignKey: "taxonomyNodeId",
+  as: "questions",
+  onDelete: "RESTRICT",
+});
+
+Question.belongsTo(TaxonomyNode, {
+  foreignKey: "taxonomyNodeId",
+  as: "taxonomyNode",
+});
+
+Question.belongsToMany(Tag, {
+  through: QuestionTag,
+  foreignKey: "questionId",
+  otherKey: "tagId",
+  as: "tags",
+});
+
+Tag.belongsToMany(Question, {
+  through: QuestionTag,
+  foreignKey: "tagId",
+  otherKey: "questionId",
+  as: "questions",
+});
+
 /* ---------------- EXAM ↔ QUESTION ---------------- */
 
 // Many-to-Many
+// Not unique per pair: with paper sets a question appears once in every set
 Exam.belongsToMany(Question, {
-  through: ExamQuestion,
+  through: { model: ExamQuestion, unique: false },
   foreignKey: "examId",
   otherKey: "questionId",
   as: "questions",
 });
 
 Question.belongsToMany(Exam, {
-  through: ExamQuestion,
+  through: { model: ExamQuestion, unique: false },
   foreignKey: "questionId",
   otherKey: "examId",
   as: "exams",
@@ -88,6 +252,74 @@ ExamQuestion.belongsTo(Question, {
   as: "question",
 });
 
+/* ---------------- EXAM SECTIONS ---------------- */
+
+Exam.hasMany(ExamSection, {
+  foreignKey: "examId",
+  as: "sections",
+  onDelete: "CASCADE",
+});
+
+ExamSection.belongsTo(Exam, {
+  foreignKey: "examId",
+  as: "exam",
+});
+
+ExamSection.hasMany(ExamQuestion, {
+  foreignKey: "sectionId",
+  as: "examQuestions",
+  onDelete: "SET NULL",
+});
+
+ExamQuestion.belongsTo(ExamSection, {
+  foreignKey: "sectionId",
+  as: "section",
+});
+
+/* ---------------- EXAM PAPER SETS ---------------- */
+
+Exam.hasMany(ExamPaperSet, {
+  foreignKey: "examId",
+  as: "paperSets",
+  onDelete: "CASCADE",
+});
+
+ExamPaperSet.belongsTo(Exam, {
+  foreignKey: "examId",
+  as: "exam",
+});
+
+ExamPaperSet.hasMany(ExamQuestion, {
+  foreignKey: "paperSetId",
+  as: "examQuestions",
+  onDelete: "CASCADE",
+});
+
+ExamQuestion.belongsTo(ExamPaperSet, {
+  foreignKey: "paperSetId",
+  as: "paperSet",
+});
+
+ExamAttempt.belongsTo(ExamPaperSet, {
+  foreignKey: "paperSetId",
+  as: "paperSet",
+  constraints: false,
+});
+
+/* ---------------- MARKING SCHEMES ---------------- */
+
+Exam.belongsTo(MarkingScheme, {
+  foreignKey: "markingSchemeId",
+  as: "markingScheme",
+  constraints: false,
+});
+
+ExamQuestion.belongsTo(MarkingScheme, {
+  foreignKey: "markingSchemeId",
+  as: "markingScheme",
+  constraints: false,
+});
+
 Exam.hasMany(ExamAttempt, { foreignKey: "examId", as: "attempts" });
 ExamAttempt.belongsTo(Exam, { foreignKey: "examId" });
 
@@ -108,6 +340,108 @@ StudentAnswer.belongsTo(ExamAttempt, {
 Question.hasMany(StudentAnswer, { foreignKey: "questionId" });
 StudentAnswer.belongsTo(Question, { foreignKey: "questionId" });
 
+/* ---------------- RESCORING ---------------- */
+
+Exam.hasMany(RescoringRun, {
+  foreignKey: "examId",
+  as: "rescoringRuns",
+  onDelete: "CASCADE",
+});
+
+RescoringRun.belongsTo(Exam, {
+  foreignKey: "examId",
+  as: "exam",
+});
+
+RescoringRun.hasMany(RescoringEntry, {
+  foreignKey: "runId",
+  as: "entries",
+  onDelete: "CASCADE",
+});
+
+RescoringEntry.belongsTo(RescoringRun, {
+  foreignKey: "runId",
+  as: "run",
+});
+
+RescoringEntry.belongsTo(User, {
+  foreignKey: "userId",
+  as: "user",
+  constraints: false,
+});
+
+/* ---------------- KEY CHALLENGES ---------------- */
+
+Exam.hasMany(KeyChallenge, {
+  foreignKey: "examId",
+  as: "keyChallenges",
+  onDelete: "CASCADE",
+});
+
+KeyChallenge.belongsTo(Exam, {
+  foreignKey: "examId",
+  as: "exam",
+});
+
+ExamQuestion.hasMany(KeyChallenge, {
+  foreignKey: "examQuestionId",
+  as: "challenges",
+  onDelete: "CASCADE",
+});
+
+KeyChallenge.belongsTo(ExamQuestion, {
+  foreignKey: "examQuestionId",
+  as: "examQuestion",
+});
+
+KeyChallenge.belongsTo(Question, {
+  foreignKey: "questionId",
+  as: "question",
+  constraints: false,
+});
+
+KeyChallenge.belongsTo(User, {
+  foreignKey: "userId",
+  as: "user",
+});
+
+KeyChallenge.belongsTo(User, {
+  foreignKey: "reviewedBy",
+  as: "reviewer",
+  constraints: false,
+});
+
+/* ---------------- MANUAL GRADING ---------------- */
+
+StudentAnswer.hasMany(GradingTask, {
+  foreignKey: "studentAnswerId",
+  as: "gradingTasks",
+  onDelete: "CASCADE",
+});
+
+GradingTask.belongsTo(StudentAnswer, {
+  foreignKey: "studentAnswerId",
+  as: "studentAnswer",
+});
+
+GradingTask.belongsTo(Question, {
+  foreignKey: "questionId",
+  as: "question",
+  constraints: false,
+});
+
+GradingTask.belongsTo(ExamAttempt, {
+  foreignKey: "attemptId",
+  as: "attempt",
+  constraints: false,
+});
+
+GradingTask.belongsTo(User, {
+  foreignKey: "graderId",
+  as: "grader",
+  constraints: false,
+});
+
 /* ---------------- QUESTION DRAFTS ↔ DRAFT OPTIONS ↔ BATCH ---- */
 
 QuestionDraftBatch.hasMany(QuestionDraft, {
@@ -135,14 +469,32 @@ QuestionOptionDraft.belongsTo(QuestionDraft, {
 export {
   User,
   UserProfile,
+  Session,
   Question,
   Option,
   NumericalAnswer,
   Exam,
   ExamQuestion,
+  ExamSection,
+  ExamPaperSet,
   ExamAttempt,
   StudentAnswer,
   QuestionDraftBatch,
   QuestionDraft,
   QuestionOptionDraft,
+  AuditLog,
+  MarkingScheme,
+  RescoringRun,
+  RescoringEntry,
+  KeyChallenge,
+  GradingTask,
+  Stimulus,
+  Attachment,
+  TaxonomyNode,
+  Tag,
+  QuestionTag,
+  QuestionVersion,
+  QuestionImportJob,
+  QuestionStatistic,
+  ExamBlueprint,
 };
\ No newline at end of file
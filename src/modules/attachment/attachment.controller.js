@@ -0,0 +1,160 @@
+import { Attachment } from "../association/index.js";
+import { getStorage, ATTACHMENT_URL_TTL_SECONDS } from "../../services/storage.service.js";
+import { ALLOWED_ATTACHMENT_TYPES, storeAttachment, removeStoredFiles } from "../../services/attachment.service.js";
+import { matchesDeclaredType } from "../../utils/fileType.util.js";
+
+const toAttachmentView = (attachment) => ({
+    id: attachment.id,
+    originalName: attachment.originalName,
+    mimeType: attachment.mimeType,
+    size: attachment.size,
+    questionId: attachment.questionId,
+    createdAt: attachment.createdAt,
+    ...getStorage().getSignedUrl(attachment.storageKey, { expiresInSeconds: ATTACHMENT_URL_TTL_SECONDS }),
+});
+
+// Upload an image; reference the returned ID from a question or option
+export const uploadAttachment = async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: "file is required",
+            });
+        }
+
+        if (!ALLOWED_ATTACHMENT_TYPES[req.file.mimetype]) {
+            return res.status(400).json({
+                success: false,
+                message: `Attachment must be one of ${Object.keys(ALLOWED_ATTACHMENT_TYPES).join(", ")}`,
+            });
+        }
+
+        // The declared type is the client's word; the content has to agree
+        if (!matchesDeclaredType(req.file)) {
+            return res.status(400).json({
+                success: false,
+                message: `File content is not a valid ${req.file.mimetype} file`,
+            });
+        }
+
+        const attachment = await storeAttachment(req.file, req.user.userId);
+
+        res.status(201).json({
+            success: true,
+            message: "Attachment uploaded successfully",
+            attachment: toAttachmentView(attachment),
+        });
+    } catch (error) {
+        console.error("Error uploading attachment:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to upload attachment",
+        });
+    }
+};
+
+// Attachment details with a fresh signed URL
+export const getAttachment = async (req, res) => {
+    try {
+        const attachment = await Attachment.findByPk(req.params.attachmentId);
+
+        if (!attachment) {
+            return res.status(404).json({
+                success: false,
+                message: "Attachment not found",
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            attachment: toAttachmentView(attachment),
+        });
+    } catch (error) {
+        console.error("Error fetching attachment:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to fetch attachment",
+        });
+    }
+};
+
+// Delete an upload no question uses yet; owned attachments go with their question
+export const deleteAttachment = async (req, res) => {
+    try {
+        const attachment = await Attachment.findByPk(req.params.attachmentId);
+
+        if (!attachment) {
+            return res.status(404).json({
+                success: false,
+                message: "Attachment not found",
+            });
+        }
+
+        if (attachment.questionId) {
+            return res.status(409).json({
+                success: false,
+                message: "Attachment is used by a question; remove it from the question instead",
+                questionId: attachment.questionId,
+            });
+        }
+
+        await attachment.destroy();
+        await removeStoredFiles([attachment.storageKey]);
+
+        res.status(200).json({
+            success: true,
+            message: "Attachment deleted successfully",
+        });
+    } catch (error) {
+        console.error("Error deleting attachment:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to delete attachment",
+        });
+    }
+};
+
+// Serve a file through a signed URL (no login; the signature is the permission)
+export const serveAttachmentFile = async (req, res) => {
+    try {
+        const { storageKey } = req.params;
+        const storage = getStorage();
+
+        if (!storage.verifySignedUrl || !storage.verifySignedUrl(storageKey, req.query)) {
+            return res.status(403).json({
+                success: false,
+                message: "Link is invalid or has expired",
+            });
+        }
+
+        const attachment = await Attachment.findOne({
+            where: { storageKey },
+            attributes: ["mimeType"],
+        });
+
+        if (!attachment) {
+            return res.status(404).json({
+                success: false,
+                message: "Attachment not found",
+            });
+        }
+
+        const data = await storage.get(storageKey);
+        const maxAge = Math.max(Number(req.query.expires) - Math.floor(Date.now() / 1000), 0);
+
+        res.set({
+            "Content-Type": attachment.mimeType,
+            "Cache-Control": `private, max-age=${maxAge}`,
+            "X-Content-Type-Options": "nosniff",
+        });
+
+        res.status(200).send(data);
+    } catch (error) {
+        console.error("Error serving attachment:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to load attachment",
+        });
+    }
+};
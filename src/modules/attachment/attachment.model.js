@@ -0,0 +1,69 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../../config/db.js";
+
+/**
+ * Attachment Model
+ *
+ * An uploaded image (circuit diagram, graph, code screenshot) kept in file
+ * storage under storageKey. Questions and options reference attachments by ID
+ * through their attachmentIds; questionId records the question that owns the
+ * file so it can be removed with it. Uploads not yet used by a question have
+ * no owner.
+ */
+const Attachment = sequelize.define(
+    "Attachment",
+    {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true,
+        },
+
+        storageKey: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            unique: true,
+        },
+
+        originalName: {
+            type: DataTypes.STRING,
+            allowNull: false,
+        },
+
+        mimeType: {
+            type: DataTypes.STRING,
+            allowNull: false,
+        },
+
+        size: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+        },
+
+        // sha256 of the file contents
+        checksum: {
+            type: DataTypes.STRING(64),
+            allowNull: false,
+        },
+
+        uploadedBy: {
+            type: DataTypes.UUID,
+            allowNull: true,
+        },
+
+        questionId: {
+            type: DataTypes.UUID,
+            allowNull: true,
+        },
+    },
+    {
+        tableName: "attachments",
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            { fields: ["question_id"] },
+        ],
+    }
+);
+
+export default Attachment;
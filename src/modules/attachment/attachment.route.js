@@ -0,0 +1,43 @@
+import express from "express";
+import multer from "multer";
+import {
+    uploadAttachment,
+    getAttachment,
+    deleteAttachment,
+    serveAttachmentFile,
+} from "./attachment.controller.js";
+import { requireAuth, requireEmailVerified } from "../../middlewares/auth.middleware.js";
+import requireRole from "../../middlewares/role.middleware.js";
+import { MAX_ATTACHMENT_SIZE } from "../../services/attachment.service.js";
+
+const router = express.Router();
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: MAX_ATTACHMENT_SIZE,
+    },
+});
+
+/* ---------------- SIGNED FILE LINKS ---------------- */
+
+// Query: expires, signature (as issued in a signed URL)
+router.get("/files/:storageKey", serveAttachmentFile);
+
+/* ---------------- ADMIN ---------------- */
+
+router.use(requireAuth);
+router.use(requireEmailVerified);
+router.use(requireRole("ADMIN"));
+
+/**
+ * Body (multipart):
+ * {
+ *   file: File (PNG, JPEG, GIF or WebP)
+ * }
+ */
+router.post("/", upload.single("file"), uploadAttachment);
+router.get("/:attachmentId", getAttachment);
+router.delete("/:attachmentId", deleteAttachment);
+
+export default router;
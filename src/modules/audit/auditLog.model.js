@@ -0,0 +1,75 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../../config/db.js";
+
+/**
+ * AuditLog Model
+ *
+ * Append-only record of administrative changes. Rows are never updated or
+ * deleted by the application.
+ *
+ * `changes` holds { field: { from, to } } for the fields that changed;
+ * `metadata` holds anything else worth keeping (reason, counts, etc.).
+ */
+const AuditLog = sequelize.define(
+    "AuditLog",
+    {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true,
+        },
+
+        // Null for system-initiated actions
+        actorId: {
+            type: DataTypes.UUID,
+            allowNull: true,
+        },
+
+        // e.g. USER_ROLE_CHANGED, USER_SUSPENDED
+        action: {
+            type: DataTypes.STRING,
+            allowNull: false,
+        },
+
+        entityType: {
+            type: DataTypes.STRING,
+            allowNull: false,
+        },
+
+        entityId: {
+            type: DataTypes.UUID,
+            allowNull: true,
+        },
+
+        changes: {
+            type: DataTypes.JSON,
+            allowNull: true,
+        },
+
+        metadata: {
+            type: DataTypes.JSON,
+            allowNull: true,
+        },
+
+        ipAddress: {
+            type: DataTypes.STRING,
+            allowNull: true,
+        },
+    },
+    {
+        tableName: "audit_logs",
+        timestamps: true,
+        updatedAt: false,
+        underscored: true,
+        indexes: [
+            {
+                fields: ["entity_type", "entity_id"],
+            },
+            {
+                fields: ["actor_id"],
+            },
+        ],
+    }
+);
+
+export default AuditLog;
@@ -1,14 +1,63 @@
 import bcrypt from "bcrypt";
 import sequelize from "../../config/db.js";
 import User from "./auth.model.js";
-import { generateAccessToken, generateEmailVerificationToken, verifyToken } from "../../services/token.service.js";
+import { generateEmailVerificationToken, verifyToken, REFRESH_TOKEN_TTL_DAYS } from "../../services/token.service.js";
+import {
+    createSession,
+    rotateSession,
+    revokeSession,
+    revokeSessionByRefreshToken,
+    revokeAllSessions,
+    getActiveSessions,
+} from "../../services/session.service.js";
+import { Session } from "../association/index.js";
 import { sendEmail } from "../../services/email.service.js";
 import { verifyEmailTemplate } from "../../templates/verifyEmail.template.js";
-import { generateOTP } from "../../utils/generateOTP.util.js";
-import { forgotPasswordTemplate } from "../../templates/forgotPassword.template.js";
+import { issuePasswordResetOTP } from "../../services/passwordReset.service.js";
 import { cryptoUtil } from "../../utils/crypto.util.js";
 import { changePasswordTemplate } from "../../templates/changePassword.template.js";
 
+// Refresh token cookie is only sent to the auth routes that need it
+const REFRESH_COOKIE_PATH = "/api/auth";
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Base cookie options shared by set and clear; clearCookie must match them exactly
+const getCookieOptions = (path = "/") => {
+    const isProduction = process.env.NODE_ENV === "production";
+    const cookieOptions = {
+        httpOnly: true, // Prevents JavaScript access - critical for security
+        secure: isProduction, // HTTPS only in production
+        sameSite: isProduction ? "none" : "lax", // CSRF protection, "none" required for cross-site cookies
+        path,
+    };
+
+    // Add domain in production if configured (e.g., .eesiiests.org for subdomain sharing)
+    if (isProduction && process.env.COOKIE_DOMAIN) {
+        cookieOptions.domain = process.env.COOKIE_DOMAIN;
+    }
+
+    return cookieOptions;
+};
+
+const setAuthCookies = (res, { accessToken, refreshToken }) => {
+    // Access cookie outlives the JWT inside it; requireAuth answers "Token expired" and the client refreshes
+    res.cookie("accessToken", accessToken, {
+        ...getCookieOptions(),
+        maxAge: REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000,
+    });
+
+    res.cookie("refreshToken", refreshToken, {
+        ...getCookieOptions(REFRESH_COOKIE_PATH),
+        maxAge: REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000,
+    });
+};
+
+const clearAuthCookies = (res) => {
+    res.clearCookie("accessToken", getCookieOptions());
+    res.clearCookie("refreshToken", getCookieOptions(REFRESH_COOKIE_PATH));
+};
+
 //Signup Controller
 export const signup = async (req, res) => {
     const transaction = await sequelize.transaction();
@@ -163,6 +212,75 @@ export const verifyEmail = async (req, res) => {
     }
 };
 
+// Accept an admin invitation: set the first password and verify the email in one step
+export const acceptInvitation = async (req, res) => {
+    try {
+        const { token, password } = req.body;
+
+        if (!token) {
+            return res.status(400).json({
+                message: "Invitation token is required",
+            });
+        }
+
+        if (!password) {
+            return res.status(400).json({
+                message: "Password is required",
+            });
+        }
+
+        if (password.length < 6) {
+            return res.status(400).json({
+                message: "Password must be at least 6 characters long",
+            });
+        }
+
+        let payload;
+        try {
+            payload = verifyToken(token, process.env.JWT_EMAIL_SECRET);
+        } catch {
+            return res.status(400).json({
+                message: "Invalid or expired invitation link",
+            });
+        }
+
+        if (payload.purpose !== "ACCOUNT_INVITATION") {
+            return res.status(400).json({
+                message: "Invalid invitation token",
+            });
+        }
+
+        const user = await User.findByPk(payload.userId);
+
+        if (!user) {
+            return res.status(404).json({
+                message: "User not found",
+            });
+        }
+
+        // invitedAt is cleared on acceptance, which makes the link single-use
+        if (!user.invitedAt) {
+            return res.status(400).json({
+                message: "Invitation already accepted. Please log in.",
+            });
+        }
+
+        user.hashedPassword = await cryptoUtil.hash(password);
+        user.emailVerified = true;
+        user.invitedAt = null;
+        await user.save();
+
+        return res.status(200).json({
+            message: "Password set successfully. You can now log in.",
+        });
+    } catch (error) {
+        console.error("Accept invitation error:", error);
+        return res.status(500).json({
+            message: "Internal server error",
+        });
+    }
+};
+
 //Resend Verification Email
 export const resendVerificationEmail = async (req, res) => {
     try {
@@ -252,6 +370,12 @@ export const login = async (req, res) => {
             });
         }
 
+        if (user.isSuspended) {
+            return res.status(403).json({
+                message: "Your account has been suspended. Please contact the administrator.",
+            });
+        }
+
         // Check if email is verified
         if (!user.emailVerified) {
             return res.status(403).json({
@@ -260,24 +384,12 @@ export const login = async (req, res) => {
             });
         }
 
-        const accessToken = generateAccessToken(user);
+        const { accessToken, refreshToken } = await createSession(user, {
+            userAgent: req.headers["user-agent"],
+            ipAddress: req.ip,
+        });
 
-        // Set httpOnly cookie for security
-        const isProduction = process.env.NODE_ENV === "production";
-        const cookieOptions = {
-            httpOnly: true, // Prevents JavaScript access - critical for security
-            secure: isProduction, // HTTPS only in production
-            sameSite: isProduction ? "none" : "lax", // CSRF protection, "none" required for cross-site cookies
-            maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-            path: "/", // Available across all paths
-        };
-        
-        // Add domain in production if configured (e.g., .eesiiests.org for subdomain sharing)
-        if (isProduction && process.env.COOKIE_DOMAIN) {
-            cookieOptions.domain = process.env.COOKIE_DOMAIN;
-        }
-        
-        res.cookie("accessToken", accessToken, cookieOptions);
+        setAuthCookies(res, { accessToken, refreshToken });
 
         return res.status(200).json({
             message: "Login successful",
@@ -287,8 +399,9 @@ export const login = async (req, res) => {
                 fullName: user.fullName,
                 role: user.role,
             },
-            // Still send accessToken in response for backward compatibility
+            // Still send tokens in response for clients that do not use cookies
             accessToken,
+            refreshToken,
         });
     } catch (error) {
         console.error("Login error:", error);
@@ -325,27 +438,7 @@ export const forgotPassword = async (req, res) => {
             });
         }
 
-        const otp = generateOTP(6);
-
-        const saltRounds = 10;
-        const hashedOTP = await bcrypt.hash(otp, saltRounds);
-
-        user.passwordResetOTP = hashedOTP;
-        user.passwordResetOTPExpiry = new Date(Date.now() + 15 * 60 * 1000);
-        await user.save();
-
-        try {
-            await sendEmail({
-                to: user.email,
-                subject: "Password Reset OTP",
-                html: forgotPasswordTemplate({
-                    fullName: user.fullName,
-                    otp,
-                }),
-            });
-        } catch (error) {
-            console.error("Failed to send OTP email:", error);
-        }
+        await issuePasswordResetOTP(user);
 
         return res.status(200).json({
             message: "If an account with this email exists, an OTP has been sent to your email",
@@ -426,6 +519,9 @@ export const resetPassword = async (req, res) => {
 
         await user.save();
 
+        // A reset usually means the account was at risk; end every existing session
+        await revokeAllSessions(user.id, "PASSWORD_RESET");
+
         return res.status(200).json({
             message: "Password reset successfully. Please log in with your new password.",
         });
@@ -496,6 +592,11 @@ export const changePassword = async (req, res) => {
 
         await user.save();
 
+        // Keep the device that changed the password, log out the rest
+        await revokeAllSessions(user.id, "PASSWORD_CHANGED", {
+            exceptSessionId: req.user.sessionId,
+        });
+
         try {
             await sendEmail({
                 to: user.email,
@@ -523,23 +624,56 @@ export const changePassword = async (req, res) => {
     }
 };
 
+// Refresh Controller - rotates the refresh token and issues a new access token
+export const refreshSession = async (req, res) => {
+    try {
+        const token = req.cookies?.refreshToken || req.body?.refreshToken;
+
+        if (!token) {
+            return res.status(401).json({
+                message: "Refresh token is required",
+            });
+        }
+
+        const result = await rotateSession(token, (userId) =>
+            User.findByPk(userId, {
+                attributes: ["id", "email", "fullName", "role", "emailVerified", "isSuspended"],
+            })
+        );
+
+        if (!result.success) {
+            clearAuthCookies(res);
+            return res.status(401).json({
+                message: result.message,
+                error: result.error,
+            });
+        }
+
+        setAuthCookies(res, result);
+
+        return res.status(200).json({
+            message: "Token refreshed",
+            accessToken: result.accessToken,
+            refreshToken: result.refreshToken,
+        });
+    } catch (error) {
+        console.error("Refresh token error:", error);
+        return res.status(500).json({
+            message: "Failed to refresh session. Please log in again.",
+        });
+    }
+};
+
 // Logout Controller
 export const logout = async (req, res) => {
     try {
-        // Clear the accessToken cookie with same options as when it was set
-        const isProduction = process.env.NODE_ENV === "production";
-        const cookieOptions = {
-            httpOnly: true,
-            secure: isProduction,
-            sameSite: isProduction ? "none" : "lax",
-            path: "/",
-        };
-        
-        if (isProduction && process.env.COOKIE_DOMAIN) {
-            cookieOptions.domain = process.env.COOKIE_DOMAIN;
-        }
-        
-        res.clearCookie("accessToken", cookieOptions);
+        const token = req.cookies?.refreshToken || req.body?.refreshToken;
+
+        if (token) {
+            await revokeSessionByRefreshToken(token, "LOGOUT");
+        }
+
+        clearAuthCookies(res);
 
         return res.status(200).json({
             message: "Logout successful",
@@ -550,4 +684,89 @@ export const logout = async (req, res) => {
             message: "Logout failed",
         });
     }
-};
\ No newline at end of file
+};
+
+// Logout from every device, including the current one
+export const logoutAll = async (req, res) => {
+    try {
+        const revokedCount = await revokeAllSessions(req.user.userId, "LOGOUT_ALL");
+
+        clearAuthCookies(res);
+
+        return res.status(200).json({
+            message: "Logged out from all devices",
+            revokedCount,
+        });
+    } catch (error) {
+        console.error("Logout all error:", error);
+        return res.status(500).json({
+            message: "Logout failed",
+        });
+    }
+};
+
+// List active sessions of the current user
+export const getMySessions = async (req, res) => {
+    try {
+        const sessions = await getActiveSessions(req.user.userId);
+
+        return res.status(200).json({
+            success: true,
+            data: sessions.map(session => ({
+                id: session.id,
+                userAgent: session.userAgent,
+                ipAddress: session.ipAddress,
+                createdAt: session.createdAt,
+                lastUsedAt: session.lastUsedAt,
+                expiresAt: session.expiresAt,
+                isCurrent: session.id === req.user.sessionId,
+            })),
+            count: sessions.length,
+        });
+    } catch (error) {
+        console.error("Get sessions error:", error);
+        return res.status(500).json({
+            message: "Server error: Unable to fetch sessions",
+        });
+    }
+};
+
+// Revoke a single session (log out one device)
+export const revokeMySession = async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+
+        // Not a session ID at all; the database would reject it
+        if (!UUID_PATTERN.test(sessionId)) {
+            return res.status(404).json({
+                message: "Session not found",
+            });
+        }
+
+        const session = await Session.findOne({
+            where: { id: sessionId, userId: req.user.userId },
+        });
+
+        if (!session) {
+            return res.status(404).json({
+                message: "Session not found",
+            });
+        }
+
+        await revokeSession(session, "REVOKED_BY_USER");
+
+        if (session.id === req.user.sessionId) {
+            clearAuthCookies(res);
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: "Session revoked",
+        });
+    } catch (error) {
+        console.error("Revoke session error:", error);
+        return res.status(500).json({
+            message: "Server error: Unable to revoke session",
+        });
+    }
+};
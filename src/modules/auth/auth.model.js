@@ -29,7 +29,7 @@ const User = sequelize.define(
             allowNull: false,
         },
         role: {
-            type: DataTypes.ENUM("USER", "ADMIN"),
+            type: DataTypes.ENUM("USER", "ADMIN", "GRADER"),
             allowNull: false,
             defaultValue: "USER",
         },
@@ -46,7 +46,29 @@ const User = sequelize.define(
         passwordResetOTPExpiry: {
             type: DataTypes.DATE,
             allowNull: true,
-        }
+        },
+
+        isSuspended: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false,
+        },
+
+        suspendedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+        },
+
+        suspensionReason: {
+            type: DataTypes.STRING,
+            allowNull: true,
+        },
+
+        // Set for accounts created by an admin import; cleared once the invitation is accepted
+        invitedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+        },
     },
     {
         tableName: "users",
@@ -8,21 +8,29 @@ import {
     forgotPassword,
     resetPassword,
     changePassword,
+    refreshSession,
+    logoutAll,
+    getMySessions,
+    revokeMySession,
+    acceptInvitation,
 } from './auth.controller.js';
 
 import {
     requireAuth,
     requireEmailVerified,
 } from '../../middlewares/auth.middleware.js';
+import { refreshTokenLimiter } from '../../middlewares/rateLimit.middleware.js';
 
 const router = express.Router();
 
 router.post('/signup', signup);
 router.post('/login', login);
 router.post('/logout', logout);
+router.post('/refresh', refreshTokenLimiter, refreshSession);
 
 router.post('/verify-email/:token', verifyEmail);
 router.post('/resend-verification', resendVerificationEmail);
+router.post('/accept-invitation', acceptInvitation);
 
 router.post('/forgot-password', forgotPassword);
 router.post('/reset-password', resetPassword);
@@ -34,4 +42,8 @@ router.post(
     changePassword
 );
 
+router.get('/sessions', requireAuth, getMySessions);
+router.delete('/sessions/:sessionId', requireAuth, revokeMySession);
+router.post('/logout-all', requireAuth, logoutAll);
+
 export default router;
\ No newline at end of file
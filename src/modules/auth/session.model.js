@@ -0,0 +1,75 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../../config/db.js";
+
+/**
+ * Session Model
+ *
+ * One row per logged-in device. Holds the hash of the refresh token that is
+ * currently valid for the device; every refresh rotates it. Presenting an
+ * older refresh token for the session is treated as token theft and revokes
+ * the session.
+ */
+const Session = sequelize.define(
+    "Session",
+    {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true,
+        },
+
+        userId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+        },
+
+        refreshTokenHash: {
+            type: DataTypes.STRING,
+            allowNull: false,
+        },
+
+        userAgent: {
+            type: DataTypes.STRING(512),
+            allowNull: true,
+        },
+
+        ipAddress: {
+            type: DataTypes.STRING,
+            allowNull: true,
+        },
+
+        lastUsedAt: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW,
+        },
+
+        expiresAt: {
+            type: DataTypes.DATE,
+            allowNull: false,
+        },
+
+        revokedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+        },
+
+        // LOGOUT | LOGOUT_ALL | REVOKED_BY_USER | TOKEN_REUSE
+        revokedReason: {
+            type: DataTypes.STRING,
+            allowNull: true,
+        },
+    },
+    {
+        tableName: "user_sessions",
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            {
+                fields: ["user_id"],
+            },
+        ],
+    }
+);
+
+export default Session;
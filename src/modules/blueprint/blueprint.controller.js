@@ -0,0 +1,257 @@
+import { ExamBlueprint, TaxonomyNode } from "../association/index.js";
+import { normalizeBlueprintSpec, assembleBlueprint } from "../../services/examBlueprint.service.js";
+import { recordAudit } from "../../services/audit.service.js";
+
+const ASSEMBLE_ERROR_STATUS = {
+    INVALID_EXAMS: 400,
+    EXAM_NOT_FOUND: 404,
+    EXAM_NOT_DRAFT: 400,
+    EXAM_NOT_EMPTY: 409,
+    EXAM_HAS_PAPER_SETS: 409,
+    SECTION_MISMATCH: 400,
+    UNSATISFIED: 422,
+};
+
+// Validate a spec, including that its taxonomy nodes exist
+const validateSpec = async (input) => {
+    const { spec, errors } = normalizeBlueprintSpec(input);
+    if (!spec) return { spec, errors };
+
+    const nodeIds = [...new Set(spec.rules.map(rule => rule.taxonomyNodeId).filter(Boolean))];
+
+    if (nodeIds.length > 0) {
+        const found = await TaxonomyNode.findAll({ where: { id: nodeIds }, attributes: ["id"] });
+        const foundIds = new Set(found.map(node => node.id));
+        const missing = nodeIds.filter(id => !foundIds.has(id));
+
+        if (missing.length > 0) {
+            return { spec: null, errors: [`Taxonomy node(s) not found: ${missing.join(", ")}`] };
+        }
+    }
+
+    return { spec, errors };
+};
+
+// Create a blueprint
+export const createBlueprint = async (req, res) => {
+    try {
+        const { name, description, spec: input } = req.body;
+
+        if (!name || typeof name !== "string" || !name.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: "name is required",
+            });
+        }
+
+        const { spec, errors } = await validateSpec(input);
+
+        if (!spec) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid blueprint",
+                errors,
+            });
+        }
+
+        const blueprint = await ExamBlueprint.create({
+            name: name.trim(),
+            description: description ?? null,
+            spec,
+            createdBy: req.user.userId,
+        });
+
+        res.status(201).json({
+            success: true,
+            message: "Blueprint created",
+            blueprint,
+        });
+    } catch (error) {
+        console.error("Error creating blueprint:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to create blueprint",
+        });
+    }
+};
+
+// List blueprints by name
+export const listBlueprints = async (req, res) => {
+    try {
+        const blueprints = await ExamBlueprint.findAll({
+            order: [["name", "ASC"]],
+        });
+
+        res.status(200).json({
+            success: true,
+            blueprints,
+        });
+    } catch (error) {
+        console.error("Error listing blueprints:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to list blueprints",
+        });
+    }
+};
+
+export const getBlueprint = async (req, res) => {
+    try {
+        const blueprint = await ExamBlueprint.findByPk(req.params.blueprintId);
+
+        if (!blueprint) {
+            return res.status(404).json({
+                success: false,
+                message: "Blueprint not found",
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            blueprint,
+        });
+    } catch (error) {
+        console.error("Error fetching blueprint:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to fetch blueprint",
+        });
+    }
+};
+
+// Update name, description or spec; exams assembled earlier are not affected
+export const updateBlueprint = async (req, res) => {
+    try {
+        const { name, description, spec: input } = req.body;
+
+        const blueprint = await ExamBlueprint.findByPk(req.params.blueprintId);
+
+        if (!blueprint) {
+            return res.status(404).json({
+                success: false,
+                message: "Blueprint not found",
+            });
+        }
+
+        if (name !== undefined) {
+            if (typeof name !== "string" || !name.trim()) {
+                return res.status(400).json({
+                    success: false,
+                    message: "name must be a non-empty string",
+                });
+            }
+            blueprint.name = name.trim();
+        }
+
+        if (description !== undefined) blueprint.description = description;
+
+        if (input !== undefined) {
+            const { spec, errors } = await validateSpec(input);
+
+            if (!spec) {
+                return res.status(400).json({
+                    success: false,
+                    message: "Invalid blueprint",
+                    errors,
+                });
+            }
+            blueprint.spec = spec;
+        }
+
+        await blueprint.save();
+
+        res.status(200).json({
+            success: true,
+            message: "Blueprint updated",
+            blueprint,
+        });
+    } catch (error) {
+        console.error("Error updating blueprint:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to update blueprint",
+        });
+    }
+};
+
+export const deleteBlueprint = async (req, res) => {
+    try {
+        const deleted = await ExamBlueprint.destroy({ where: { id: req.params.blueprintId } });
+
+        if (!deleted) {
+            return res.status(404).json({
+                success: false,
+                message: "Blueprint not found",
+            });
+        }
+
+        await recordAudit({
+            actorId: req.user.userId,
+            action: "BLUEPRINT_DELETED",
+            entityType: "ExamBlueprint",
+            entityId: req.params.blueprintId,
+            ipAddress: req.ip,
+        });
+
+        res.status(200).json({
+            success: true,
+            message: "Blueprint deleted",
+        });
+    } catch (error) {
+        console.error("Error deleting blueprint:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to delete blueprint",
+        });
+    }
+};
+
+// Fill draft exams from a blueprint, one parallel set per exam
+export const assembleExams = async (req, res) => {
+    try {
+        const { examIds, seed, dryRun = false, replace = false, allowPartial = false } = req.body;
+
+        if (seed !== undefined && (typeof seed !== "string" || !seed.trim())) {
+            return res.status(400).json({
+                success: false,
+                message: "seed must be a non-empty string",
+            });
+        }
+
+        const blueprint = await ExamBlueprint.findByPk(req.params.blueprintId);
+
+        if (!blueprint) {
+            return res.status(404).json({
+                success: false,
+                message: "Blueprint not found",
+            });
+        }
+
+        const result = await assembleBlueprint(blueprint, {
+            examIds,
+            seed: seed?.trim(),
+            dryRun: !!dryRun,
+            replace: !!replace,
+            allowPartial: !!allowPartial,
+            actorId: req.user.userId,
+            ipAddress: req.ip,
+        });
+
+        if (!result.success) {
+            const { success, error, ...details } = result;
+            return res.status(ASSEMBLE_ERROR_STATUS[error] || 400).json({
+                success: false,
+                error,
+                ...details,
+            });
+        }
+
+        res.status(result.saved ? 201 : 200).json(result);
+    } catch (error) {
+        console.error("Error assembling exams:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to assemble exams",
+        });
+    }
+};
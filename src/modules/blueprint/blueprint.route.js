@@ -0,0 +1,54 @@
+import express from "express";
+import {
+    createBlueprint,
+    listBlueprints,
+    getBlueprint,
+    updateBlueprint,
+    deleteBlueprint,
+    assembleExams,
+} from "./blueprint.controller.js";
+import { requireAuth, requireEmailVerified } from "../../middlewares/auth.middleware.js";
+import requireRole from "../../middlewares/role.middleware.js";
+
+const router = express.Router();
+
+router.use(requireAuth);
+router.use(requireEmailVerified);
+router.use(requireRole("ADMIN"));
+
+/**
+ * Body:
+ * {
+ *   name: string
+ *   description?: string
+ *   spec: {
+ *     rules: [{ count, difficulty?, questionType?, domain?, taxonomyNodeId?, tags?,
+ *               marks?, negativeMarks?, section? }]
+ *     totalMarks?: number
+ *     excludeRecentExams?: number
+ *     spreadTopics?: boolean (default true)
+ *   }
+ * }
+ */
+router.post("/", createBlueprint);
+router.get("/", listBlueprints);
+router.get("/:blueprintId", getBlueprint);
+
+// Same body as create, every field optional
+router.put("/:blueprintId", updateBlueprint);
+router.delete("/:blueprintId", deleteBlueprint);
+
+/**
+ * Fill draft exams, one parallel set per exam; sets share no question
+ * Body:
+ * {
+ *   examIds: string[]
+ *   seed?: string (repeat an earlier assembly; returned in the response)
+ *   dryRun?: boolean (preview only)
+ *   replace?: boolean (discard questions already in the exams)
+ *   allowPartial?: boolean (save even when some constraints are unmet)
+ * }
+ */
+router.post("/:blueprintId/assemble", assembleExams);
+
+export default router;
@@ -0,0 +1,49 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../../config/db.js";
+
+/**
+ * ExamBlueprint Model
+ *
+ * Reusable recipe for a paper: how many questions of which difficulty, type,
+ * domain or topic, the marks they carry and the paper's total (see
+ * examBlueprint.service). Assembling a blueprint fills draft exams from the
+ * question bank; the exams keep no link to it beyond the audit log.
+ */
+const ExamBlueprint = sequelize.define(
+    "ExamBlueprint",
+    {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true,
+        },
+
+        name: {
+            type: DataTypes.STRING,
+            allowNull: false,
+        },
+
+        description: {
+            type: DataTypes.TEXT,
+            allowNull: true,
+        },
+
+        // { rules: [...], totalMarks, excludeRecentExams, spreadTopics }
+        spec: {
+            type: DataTypes.JSON,
+            allowNull: false,
+        },
+
+        createdBy: {
+            type: DataTypes.UUID,
+            allowNull: true,
+        },
+    },
+    {
+        tableName: "exam_blueprints",
+        timestamps: true,
+        underscored: true,
+    }
+);
+
+export default ExamBlueprint;
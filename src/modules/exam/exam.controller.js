@@ -1,10 +1,98 @@
+import crypto from "crypto";
 import { fromUTC, toUTC } from "../../utils/dateTime.util.js";
-import { Exam, Question, ExamQuestion, ExamAttempt } from "../association/index.js";
+import { Exam, Question, Option, ExamQuestion, ExamSection, ExamPaperSet, ExamAttempt, User, UserProfile, MarkingScheme, QuestionVersion } from "../association/index.js";
 import sequelize from "../../config/db.js";
 import { Op } from "sequelize";
+import {
+    normalizeEligibilityRule,
+    isUserEligible,
+    buildEligibleUsersWhere,
+    isRestricted,
+} from "../../utils/examEligibility.util.js";
+import { normalizeKeyOverride } from "../../utils/marking.util.js";
+import { isValidChallengeWindow } from "../../utils/examTime.util.js";
+import { recordAudit, diffFields } from "../../services/audit.service.js";
+import { keepGroupsTogether } from "../../utils/stimulus.util.js";
+import {
+    pinExamQuestionVersions,
+    resolveExamQuestions,
+    buildQuestionSnapshot,
+    canRepin,
+} from "../../services/questionVersion.service.js";
+import { CACHE_KEYS, deleteCache } from "../../services/cache.service.js";
+import { PAPER_SET_ASSIGNMENTS, normalizePaperSetLabels } from "../../utils/paperSet.util.js";
+import { seededShuffle } from "../../utils/shuffle.util.js";
+import { SCORE_AGGREGATIONS, isValidMaxAttempts, isValidCooldown } from "../../utils/attemptPolicy.util.js";
+import { RESULT_PARTS, isResultReleased, validateResultReleasePolicy } from "../../utils/resultRelease.util.js";
+import { notifyResultRelease } from "../../services/resultRelease.service.js";
 
 const timezone = "Asia/Kolkata";
 
+// Marking scheme references must point at an existing scheme version
+const findMissingSchemeIds = async (schemeIds, transaction) => {
+    const ids = [...new Set(schemeIds.filter(Boolean))];
+    if (ids.length === 0) return [];
+
+    const found = await MarkingScheme.findAll({ where: { id: ids }, attributes: ["id"], transaction });
+    const foundIds = new Set(found.map(s => s.id));
+
+    return ids.filter(id => !foundIds.has(id));
+};
+
+// Renumber an exam's questions so every stimulus group is contiguous and in group order
+// Each paper set is numbered on its own.
+const regroupExamQuestions = async (examId, transaction) => {
+    const examQuestions = await ExamQuestion.findAll({
+        where: { examId },
+        include: [{ model: Question, as: "question", attributes: ["id", "stimulusId", "stimulusOrder"] }],
+        order: [["questionOrder", "ASC"]],
+        transaction,
+    });
+
+    const bySet = new Map();
+    for (const eq of examQuestions) {
+        if (!bySet.has(eq.paperSetId)) bySet.set(eq.paperSetId, []);
+        bySet.get(eq.paperSetId).push(eq);
+    }
+
+    for (const setQuestions of bySet.values()) {
+        const ordered = keepGroupsTogether(setQuestions.map(eq => ({
+            examQuestion: eq,
+            stimulusId: eq.question?.stimulusId ?? null,
+            stimulusOrder: eq.question?.stimulusOrder ?? null,
+        })));
+
+        for (const [index, { examQuestion }] of ordered.entries()) {
+            if (examQuestion.questionOrder !== index + 1) {
+                await examQuestion.update({ questionOrder: index + 1 }, { transaction });
+            }
+        }
+    }
+};
+
+const EXAM_MODES = ["EXAM", "PRACTICE"];
+
+// First problem with the attempt settings of a create or update body, or null
+const validateAttemptPolicy = ({ maxAttempts, cooldownMinutes, scoreAggregation }) => {
+    if (maxAttempts !== undefined && !isValidMaxAttempts(maxAttempts)) {
+        return "maxAttempts must be a positive integer or null";
+    }
+
+    if (cooldownMinutes !== undefined && !isValidCooldown(cooldownMinutes)) {
+        return "cooldownMinutes must be a non-negative integer or null";
+    }
+
+    if (scoreAggregation !== undefined && !SCORE_AGGREGATIONS.includes(scoreAggregation)) {
+        return `scoreAggregation must be one of ${SCORE_AGGREGATIONS.join(", ")}`;
+    }
+
+    return null;
+};
+
+// Share of a question's marks two blind grades may differ by; null = never moderate
+const isValidModerationThreshold = (value) =>
+    value === null || (typeof value === "number" && value >= 0 && value <= 1);
+
 // Create a new exam (initially in DRAFT state)
 export const createExam = async (req, res) => {
     try {
@@ -14,6 +102,19 @@ export const createExam = async (req, res) => {
             durationMinutes,
             startTime,
             endTime,
+            eligibility,
+            shuffleQuestions = false,
+            shuffleOptions = false,
+            markingSchemeId = null,
+            challengeWindowHours = null,
+            doubleBlindGrading = false,
+            moderationThreshold = 0.2,
+            paperSetAssignment = "RANDOM",
+            mode = "EXAM",
+            revealAnswers = false,
+            maxAttempts = null,
+            cooldownMinutes = null,
+            scoreAggregation = "BEST",
         } = req.body;
 
         if (!title || !durationMinutes || !startTime || !endTime) {
@@ -23,6 +124,67 @@ export const createExam = async (req, res) => {
             });
         }
 
+        if ((await findMissingSchemeIds([markingSchemeId])).length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "Marking scheme not found",
+            });
+        }
+
+        if (!isValidChallengeWindow(challengeWindowHours)) {
+            return res.status(400).json({
+                success: false,
+                message: "challengeWindowHours must be a positive integer or null",
+            });
+        }
+
+        if (!isValidModerationThreshold(moderationThreshold)) {
+            return res.status(400).json({
+                success: false,
+                message: "moderationThreshold must be a number between 0 and 1, or null",
+            });
+        }
+
+        if (!PAPER_SET_ASSIGNMENTS.includes(paperSetAssignment)) {
+            return res.status(400).json({
+                success: false,
+                message: `paperSetAssignment must be one of ${PAPER_SET_ASSIGNMENTS.join(", ")}`,
+            });
+        }
+
+        if (!EXAM_MODES.includes(mode)) {
+            return res.status(400).json({
+                success: false,
+                message: `mode must be one of ${EXAM_MODES.join(", ")}`,
+            });
+        }
+
+        if (revealAnswers && mode !== "PRACTICE") {
+            return res.status(400).json({
+                success: false,
+                message: "revealAnswers is only available in practice mode",
+            });
+        }
+
+        const attemptPolicyError = validateAttemptPolicy({ maxAttempts, cooldownMinutes, scoreAggregation });
+
+        if (attemptPolicyError) {
+            return res.status(400).json({
+                success: false,
+                message: attemptPolicyError,
+            });
+        }
+
+        const { rule: eligibilityRule, errors: eligibilityErrors } = normalizeEligibilityRule(eligibility);
+
+        if (eligibilityErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid eligibility rule",
+                errors: eligibilityErrors,
+            });
+        }
+
         const startUTC = toUTC(startTime, timezone);
         const endUTC = toUTC(endTime, timezone);
 
@@ -40,6 +202,19 @@ export const createExam = async (req, res) => {
             endTime: endUTC,
             createdBy: req.user.userId,
             state: "DRAFT",
+            eligibility: eligibilityRule,
+            shuffleQuestions: !!shuffleQuestions,
+            shuffleOptions: !!shuffleOptions,
+            markingSchemeId,
+            challengeWindowHours,
+            doubleBlindGrading: !!doubleBlindGrading,
+            moderationThreshold,
+            paperSetAssignment,
+            mode,
+            revealAnswers: !!revealAnswers,
+            maxAttempts,
+            cooldownMinutes,
+            scoreAggregation,
         });
 
         res.status(201).json({
@@ -120,6 +295,7 @@ export const getExams = async (req, res) => {
 };
 
 // Update questions in an exam (add/remove)
+// Exams with paper sets change the given set, or every set when none is given.
 export const updateQuestionsToExam = async (req, res) => {
     const transaction = await sequelize.transaction();
 
@@ -127,7 +303,8 @@ export const updateQuestionsToExam = async (req, res) => {
         const { examId } = req.params;
         const {
             addQuestionIds = [],
-            removeQuestionIds = []
+            removeQuestionIds = [],
+            paperSetId = null,
         } = req.body;
 
         if (
@@ -158,11 +335,34 @@ export const updateQuestionsToExam = async (req, res) => {
             });
         }
 
+        const paperSets = await ExamPaperSet.findAll({
+            where: { examId },
+            attributes: ["id"],
+            order: [["setOrder", "ASC"]],
+            transaction,
+        });
+
+        if (paperSetId && !paperSets.some(set => set.id === paperSetId)) {
+            await transaction.rollback();
+            return res.status(400).json({
+                success: false,
+                message: "Paper set does not belong to this exam",
+            });
+        }
+
+        const targetSetIds = paperSetId ? [paperSetId] : paperSets.map(set => set.id);
+
+        // Rows being changed; exams without paper sets have paperSetId null
+        const paperSetWhere = targetSetIds.length > 0 ? targetSetIds : null;
+
+        const autoAddedQuestionIds = [];
+
         // 1Remove questions
         if (Array.isArray(removeQuestionIds) && removeQuestionIds.length > 0) {
             await ExamQuestion.destroy({
                 where: {
                     examId,
+                    paperSetId: paperSetWhere,
                     questionId: removeQuestionIds,
                 },
                 transaction,
@@ -172,19 +372,19 @@ export const updateQuestionsToExam = async (req, res) => {
         // Add questions
         if (Array.isArray(addQuestionIds) && addQuestionIds.length > 0) {
             // Validate that all question IDs exist in the questions table
-            const questionIds = addQuestionIds.map(q => q.questionId);
+            const requestedIds = addQuestionIds.map(q => q.questionId);
             const validQuestions = await Question.findAll({
                 where: {
-                    id: questionIds,
+                    id: requestedIds,
                 },
-                attributes: ['id'],
+                attributes: ['id', 'stimulusId'],
                 transaction,
             });
 
-            if (validQuestions.length !== questionIds.length) {
+            if (validQuestions.length !== requestedIds.length) {
                 await transaction.rollback();
                 const foundIds = validQuestions.map(q => q.id);
-                const invalidIds = questionIds.filter(id => !foundIds.includes(id));
+                const invalidIds = requestedIds.filter(id => !foundIds.includes(id));
                 return res.status(400).json({
                     success: false,
                     message: "One or more question IDs do not exist",
@@ -192,19 +392,64 @@ export const updateQuestionsToExam = async (req, res) => {
                 });
             }
 
-            // Find last order
-            const lastQuestion = await ExamQuestion.findOne({
-                where: { examId },
-                order: [["questionOrder", "DESC"]],
-                transaction,
-            });
+            // A question that shares a stimulus brings the rest of its group along,
+            // placed in the same section with the settings of the first listed member
+            const stimulusIds = [...new Set(validQuestions.map(q => q.stimulusId).filter(Boolean))];
+            const stimulusOf = new Map(validQuestions.map(q => [q.id, q.stimulusId]));
+            const groupErrors = [];
+
+            if (stimulusIds.length > 0) {
+                const groupMembers = await Question.findAll({
+                    where: { stimulusId: stimulusIds },
+                    attributes: ["id", "stimulusId"],
+                    transaction,
+                });
+
+                const groupsInExam = await ExamQuestion.findAll({
+                    where: { examId, paperSetId: paperSetWhere },
+                    attributes: ["questionId", "sectionId"],
+                    include: [{ model: Question, as: "question", attributes: ["stimulusId"], where: { stimulusId: stimulusIds } }],
+                    transaction,
+                });
+
+                const inExam = new Set(groupsInExam.map(eq => eq.questionId));
+
+                for (const stimulusId of stimulusIds) {
+                    const listed = addQuestionIds.filter(q => stimulusOf.get(q.questionId) === stimulusId);
+                    const placed = groupsInExam.find(eq => eq.question.stimulusId === stimulusId);
+                    const sectionId = placed ? placed.sectionId : listed[0].sectionId ?? null;
+
+                    if (listed.some(q => (q.sectionId ?? sectionId) !== sectionId)) {
+                        groupErrors.push(`Questions sharing stimulus ${stimulusId} must be in the same section`);
+                        continue;
+                    }
+
+                    listed.forEach(q => { q.sectionId = sectionId; });
+
+                    for (const member of groupMembers.filter(m => m.stimulusId === stimulusId)) {
+                        if (inExam.has(member.id) || requestedIds.includes(member.id)) continue;
+                        addQuestionIds.push({ ...listed[0], questionId: member.id, sectionId });
+                        autoAddedQuestionIds.push(member.id);
+                    }
+                }
+            }
+
+            if (groupErrors.length > 0) {
+                await transaction.rollback();
+                return res.status(400).json({
+                    success: false,
+                    message: "Invalid question groups",
+                    errors: groupErrors,
+                });
+            }
 
-            let order = lastQuestion ? lastQuestion.questionOrder + 1 : 1;
+            const questionIds = addQuestionIds.map(q => q.questionId);
 
             // Prevent duplicates
             const existing = await ExamQuestion.findAll({
                 where: {
                     examId,
+                    paperSetId: paperSetWhere,
                     questionId: questionIds,
                 },
                 transaction,
@@ -218,14 +463,64 @@ export const updateQuestionsToExam = async (req, res) => {
                 });
             }
 
-            const rows = addQuestionIds.map(q => ({
-                examId,
-                questionId: q.questionId,
-                questionOrder: order++,
-                marksForEachQuestion: q.marks ?? 1,
-            }));
+            // Optional section placement
+            const sectionIds = [...new Set(addQuestionIds.map(q => q.sectionId).filter(Boolean))];
+
+            if (sectionIds.length > 0) {
+                const sectionCount = await ExamSection.count({
+                    where: { examId, id: sectionIds },
+                    transaction,
+                });
+
+                if (sectionCount !== sectionIds.length) {
+                    await transaction.rollback();
+                    return res.status(400).json({
+                        success: false,
+                        message: "One or more sections do not belong to this exam",
+                    });
+                }
+            }
+
+            const missingSchemeIds = await findMissingSchemeIds(
+                addQuestionIds.map(q => q.markingSchemeId),
+                transaction
+            );
+
+            if (missingSchemeIds.length > 0) {
+                await transaction.rollback();
+                return res.status(400).json({
+                    success: false,
+                    message: "One or more marking schemes do not exist",
+                    invalidMarkingSchemeIds: missingSchemeIds,
+                });
+            }
+
+            const rows = [];
+
+            for (const setId of paperSetWhere ?? [null]) {
+                // Find last order
+                const lastQuestion = await ExamQuestion.findOne({
+                    where: { examId, paperSetId: setId },
+                    order: [["questionOrder", "DESC"]],
+                    transaction,
+                });
+
+                let order = lastQuestion ? lastQuestion.questionOrder + 1 : 1;
+
+                rows.push(...addQuestionIds.map(q => ({
+                    examId,
+                    questionId: q.questionId,
+                    sectionId: q.sectionId ?? null,
+                    paperSetId: setId,
+                    questionOrder: order++,
+                    marksForEachQuestion: q.marks ?? 1,
+                    negativeMarks: q.negativeMarks ?? null,
+                    markingSchemeId: q.markingSchemeId ?? null,
+                })));
+            }
 
             await ExamQuestion.bulkCreate(rows, { transaction });
+            await regroupExamQuestions(examId, transaction);
         }
 
         await transaction.commit();
@@ -233,6 +528,7 @@ export const updateQuestionsToExam = async (req, res) => {
         res.status(200).json({
             success: true,
             message: "Exam questions updated successfully",
+            autoAddedQuestionIds,
         });
     } catch (error) {
         await transaction.rollback();
@@ -244,69 +540,38 @@ export const updateQuestionsToExam = async (req, res) => {
     }
 };
 
-// Get exam details by ID, including associated questions
-export const getExamById = async (req, res) => {
+// Update marks, penalty or marking scheme of one question in a draft exam
+export const updateExamQuestionMarking = async (req, res) => {
     try {
-        const { examId } = req.params;
-
-        const exam = await Exam.findByPk(examId, {
-            include: {
-                model: Question,
-                as: "questions",
-                through: {
-                    attributes: ["questionOrder", "marksForEachQuestion"],
-                },
-            },
-        });
+        const { examId, questionId } = req.params;
+        const { marks, negativeMarks, markingSchemeId } = req.body;
 
-        if (!exam) {
-            return res.status(404).json({ message: "Exam not found" });
+        if (marks !== undefined && (!Number.isInteger(marks) || marks < 1)) {
+            return res.status(400).json({
+                success: false,
+                message: "marks must be a positive integer",
+            });
         }
 
-        const examData = exam.toJSON();
-
-        const formattedExam = {
-            ...examData,
-            startTime: examData.startTime
-                ? fromUTC(examData.startTime, timezone)
-                : null,
-            endTime: examData.endTime
-                ? fromUTC(examData.endTime, timezone)
-                : null,
-            createdAt: examData.createdAt
-                ? fromUTC(examData.createdAt, timezone)
-                : null,
-            updatedAt: examData.updatedAt
-                ? fromUTC(examData.updatedAt, timezone)
-                : null,
-        };
-
-        res.status(200).json({
-            success: true,
-            exam: formattedExam,
-        });
-    } catch (error) {
-        console.error("Error retrieving exam by ID:", error.message);
-        res.status(500).json({
-            success: false,
-            message: "Server error: Failed to retrieve exam details",
-        });
-    }
-};
+        if (
+            negativeMarks !== undefined &&
+            negativeMarks !== null &&
+            (typeof negativeMarks !== "number" || negativeMarks < 0)
+        ) {
+            return res.status(400).json({
+                success: false,
+                message: "negativeMarks must be a non-negative number or null",
+            });
+        }
 
-// Update exam details (only if in DRAFT state)
-export const updateDraftExamDetails = async (req, res) => {
-    try {
-        const { examId } = req.params;
-        const {
-            title,
-            description,
-            startTime,
-            endTime,
-            durationMinutes,
-        } = req.body;
+        if ((await findMissingSchemeIds([markingSchemeId])).length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "Marking scheme not found",
+            });
+        }
 
-        const exam = await Exam.findByPk(examId);
+        const exam = await Exam.findByPk(examId, { attributes: ["id", "state"] });
 
         if (!exam) {
             return res.status(404).json({
@@ -318,84 +583,1289 @@ export const updateDraftExamDetails = async (req, res) => {
         if (exam.state !== "DRAFT") {
             return res.status(400).json({
                 success: false,
-                message: "Only draft exams can be updated",
+                message: "Cannot modify a published or closed exam",
             });
         }
 
-        await exam.update({
-            ...(title !== undefined && { title }),
-            ...(description !== undefined && { description }),
-            ...(startTime !== undefined && { startTime }),
-            ...(endTime !== undefined && { endTime }),
-            ...(durationMinutes !== undefined && { durationMinutes }),
-        });
+        // One row per paper set carrying the question; they are marked alike
+        const examQuestions = await ExamQuestion.findAll({ where: { examId, questionId } });
+
+        if (examQuestions.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: "Question is not part of this exam",
+            });
+        }
+
+        for (const examQuestion of examQuestions) {
+            await examQuestion.update({
+                ...(marks !== undefined && { marksForEachQuestion: marks }),
+                ...(negativeMarks !== undefined && { negativeMarks }),
+                ...(markingSchemeId !== undefined && { markingSchemeId }),
+            });
+        }
 
         res.status(200).json({
             success: true,
-            message: "Exam details updated successfully",
+            message: "Exam question updated successfully",
+            examQuestion: examQuestions[0],
         });
     } catch (error) {
-        console.error("Error updating exam details:", error.message);
+        console.error("Error updating exam question marking:", error.message);
         res.status(500).json({
             success: false,
-            message: "Server error: Failed to update exam details",
+            message: "Server error: Failed to update exam question",
         });
     }
 };
 
-// Publish an exam (change state from DRAFT to PUBLISHED)
-export const publishExam = async (req, res) => {
-    try {
-        const { examId } = req.params;
-
-        const exam = await Exam.findByPk(examId);
+// Correct the answer key of one question for this exam only (bonus or extra accepted keys)
+// Takes effect for new scores; run a rescoring to apply it to existing attempts.
+export const setExamQuestionKeyOverride = async (req, res) => {
+    const transaction = await sequelize.transaction();
 
-        if (!exam) {
-            return res.status(404).json({ message: "Exam not found" });
-        }
+    try {
+        const { examId, questionId } = req.params;
+        const { keyOverride } = req.body;
 
-        if (exam.state !== "DRAFT") {
+        if (keyOverride === undefined) {
+            await transaction.rollback();
             return res.status(400).json({
-                message: "Exam is already published or closed",
+                success: false,
+                message: "keyOverride is required (null clears it)",
             });
         }
 
-        const questionCount = await ExamQuestion.count({
-            where: { examId },
+        const examQuestion = await ExamQuestion.findOne({
+            where: { examId, questionId },
+            include: [
+                {
+                    model: Question,
+                    as: "question",
+                    attributes: ["id", "questionType"],
+                    include: [{ model: Option, as: "options", attributes: ["id"] }],
+                },
+            ],
+            transaction,
         });
 
-        if (questionCount === 0) {
+        if (!examQuestion) {
+            await transaction.rollback();
+            return res.status(404).json({
+                success: false,
+                message: "Question is not part of this exam",
+            });
+        }
+
+        // Validated against the version the exam is pinned to
+        const pinned = await resolveExamQuestions([examQuestion], transaction);
+        const { override, errors } = normalizeKeyOverride(keyOverride, pinned.get(questionId));
+
+        if (errors.length > 0) {
+            await transaction.rollback();
             return res.status(400).json({
-                message: "Cannot publish exam without questions",
+                success: false,
+                message: "Invalid key override",
+                errors,
             });
         }
 
-        exam.state = "PUBLISHED";
-        await exam.save();
+        // Every paper set carrying the question gets the same key
+        const before = { keyOverride: examQuestion.keyOverride };
+        await ExamQuestion.update({ keyOverride: override }, { where: { examId, questionId }, transaction });
+
+        await recordAudit(
+            {
+                actorId: req.user.userId,
+                action: "EXAM_KEY_OVERRIDDEN",
+                entityType: "Exam",
+                entityId: examId,
+                changes: diffFields(before, { keyOverride: override }, ["keyOverride"]),
+                metadata: { questionId },
+                ipAddress: req.ip,
+            },
+            { transaction }
+        );
+
+        await transaction.commit();
 
         res.status(200).json({
             success: true,
-            message: "Exam published successfully",
-            exam,
+            message: override ? "Answer key override saved" : "Answer key override cleared",
+            keyOverride: override,
         });
     } catch (error) {
-        console.error("Error publishing exam:", error.message);
+        await transaction.rollback();
+        console.error("Error saving key override:", error.message);
         res.status(500).json({
             success: false,
-            message: "Server error: Failed to publish exam"
+            message: "Server error: Failed to save key override",
         });
     }
 };
 
-// Delete an exam (only if in DRAFT state)
-export const deleteExam = async (req, res) => {
-    try {
-        const { examId } = req.params;
+// Move a published exam's question to another version (default: the latest)
+// For corrections made by editing the question; run a rescoring to apply it to existing attempts.
+export const setExamQuestionVersion = async (req, res) => {
+    const transaction = await sequelize.transaction();
 
-        const exam = await Exam.findByPk(examId);
+    try {
+        const { examId, questionId } = req.params;
+        const { version } = req.body;
 
-        if (!exam) {
-            return res.status(404).json({ message: "Exam not found" });
+        if (version !== undefined && !Number.isInteger(version)) {
+            await transaction.rollback();
+            return res.status(400).json({
+                success: false,
+                message: "version must be an integer",
+            });
+        }
+
+        const exam = await Exam.findByPk(examId, { attributes: ["id", "state"], transaction });
+
+        if (!exam) {
+            await transaction.rollback();
+            return res.status(404).json({
+                success: false,
+                message: "Exam not found",
+            });
+        }
+
+        if (exam.state === "DRAFT") {
+            await transaction.rollback();
+            return res.status(400).json({
+                success: false,
+                message: "Draft exams always use the latest version of their questions",
+            });
+        }
+
+        const examQuestion = await ExamQuestion.findOne({
+            where: { examId, questionId },
+            include: [{ model: QuestionVersion, as: "questionVersion" }],
+            transaction,
+        });
+
+        if (!examQuestion) {
+            await transaction.rollback();
+            return res.status(404).json({
+                success: false,
+                message: "Question is not part of this exam",
+            });
+        }
+
+        const target = await QuestionVersion.findOne({
+            where: { questionId, ...(version !== undefined && { version }) },
+            order: [["version", "DESC"]],
+            transaction,
+        });
+
+        if (!target) {
+            await transaction.rollback();
+            return res.status(404).json({
+                success: false,
+                message: "Question version not found",
+            });
+        }
+
+        // Saved answers point at option IDs, so the options must be the same ones
+        const current = examQuestion.questionVersion?.snapshot ?? await buildQuestionSnapshot(questionId, transaction);
+
+        if (!canRepin(current, target.snapshot)) {
+            await transaction.rollback();
+            return res.status(409).json({
+                success: false,
+                message: "This version replaced the question's options; correct the key with a key override instead",
+            });
+        }
+
+        const before = { version: examQuestion.questionVersion?.version ?? null };
+        await ExamQuestion.update({ questionVersionId: target.id }, { where: { examId, questionId }, transaction });
+
+        await recordAudit(
+            {
+                actorId: req.user.userId,
+                action: "EXAM_QUESTION_VERSION_CHANGED",
+                entityType: "Exam",
+                entityId: examId,
+                changes: diffFields(before, { version: target.version }, ["version"]),
+                metadata: { questionId },
+                ipAddress: req.ip,
+            },
+            { transaction }
+        );
+
+        await transaction.commit();
+
+        // The attempt paper is cached per exam
+        await deleteCache(CACHE_KEYS.EXAM_QUESTIONS(examId));
+
+        res.status(200).json({
+            success: true,
+            message: "Exam question moved to the selected version",
+            version: target.version,
+        });
+    } catch (error) {
+        await transaction.rollback();
+        console.error("Error changing exam question version:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to change exam question version",
+        });
+    }
+};
+
+// Replace the sections of a draft exam and assign questions to them
+// An empty list removes sectioning altogether.
+export const setExamSections = async (req, res) => {
+    const transaction = await sequelize.transaction();
+
+    try {
+        const { examId } = req.params;
+        const { sections } = req.body;
+
+        if (!Array.isArray(sections)) {
+            await transaction.rollback();
+            return res.status(400).json({
+                success: false,
+                message: "sections must be an array",
+            });
+        }
+
+        const errors = [];
+        const assigned = new Map();
+
+        sections.forEach((section, index) => {
+            const label = `sections[${index}]`;
+
+            if (!section.title || typeof section.title !== "string") {
+                errors.push(`${label}.title is required`);
+            }
+
+            if (
+                section.durationMinutes !== undefined &&
+                section.durationMinutes !== null &&
+                (!Number.isInteger(section.durationMinutes) || section.durationMinutes < 1)
+            ) {
+                errors.push(`${label}.durationMinutes must be a positive integer`);
+            }
+
+            if (!Array.isArray(section.questionIds) || section.questionIds.length === 0) {
+                errors.push(`${label}.questionIds must be a non-empty array`);
+                return;
+            }
+
+            for (const questionId of section.questionIds) {
+                if (assigned.has(questionId)) {
+                    errors.push(`Question ${questionId} is assigned to both sections[${assigned.get(questionId)}] and ${label}`);
+                } else {
+                    assigned.set(questionId, index);
+                }
+            }
+        });
+
+        if (errors.length > 0) {
+            await transaction.rollback();
+            return res.status(400).json({
+                success: false,
+                message: "Invalid sections",
+                errors,
+            });
+        }
+
+        const exam = await Exam.findByPk(examId, { transaction });
+
+        if (!exam) {
+            await transaction.rollback();
+            return res.status(404).json({
+                success: false,
+                message: "Exam not found",
+            });
+        }
+
+        if (exam.state !== "DRAFT") {
+            await transaction.rollback();
+            return res.status(400).json({
+                success: false,
+                message: "Cannot modify a published or closed exam",
+            });
+        }
+
+        const examQuestions = await ExamQuestion.findAll({
+            where: { examId },
+            include: [{ model: Question, as: "question", attributes: ["id", "stimulusId"] }],
+            order: [["questionOrder", "ASC"]],
+            transaction,
+        });
+
+        const examQuestionIds = new Set(examQuestions.map(eq => eq.questionId));
+        const unknownIds = [...assigned.keys()].filter(id => !examQuestionIds.has(id));
+
+        if (unknownIds.length > 0) {
+            await transaction.rollback();
+            return res.status(400).json({
+                success: false,
+                message: "One or more questions are not part of this exam",
+                invalidQuestionIds: unknownIds,
+            });
+        }
+
+        // A stimulus group cannot be split across sections
+        const groupSections = new Map();
+        for (const eq of examQuestions.filter(eq => eq.question?.stimulusId)) {
+            const stimulusId = eq.question.stimulusId;
+            if (!groupSections.has(stimulusId)) groupSections.set(stimulusId, new Set());
+            groupSections.get(stimulusId).add(assigned.get(eq.questionId) ?? null);
+        }
+
+        const splitGroups = [...groupSections.entries()]
+            .filter(([, sectionIndexes]) => sectionIndexes.size > 1)
+            .map(([stimulusId]) => stimulusId);
+
+        if (sections.length > 0 && splitGroups.length > 0) {
+            await transaction.rollback();
+            return res.status(400).json({
+                success: false,
+                message: "Questions sharing a stimulus must be in the same section",
+                stimulusIds: splitGroups,
+            });
+        }
+
+        await ExamQuestion.update({ sectionId: null }, { where: { examId }, transaction });
+        await ExamSection.destroy({ where: { examId }, transaction });
+
+        const created = [];
+        let order = 1;
+
+        // Canonical question order follows the sections, then any unassigned questions
+        for (const [index, section] of sections.entries()) {
+            const record = await ExamSection.create(
+                {
+                    examId,
+                    title: section.title.trim(),
+                    instructions: section.instructions ?? null,
+                    sectionOrder: index + 1,
+                    durationMinutes: section.durationMinutes ?? null,
+                    lockOnExit: !!section.lockOnExit,
+                },
+                { transaction }
+            );
+
+            for (const questionId of section.questionIds) {
+                await ExamQuestion.update(
+                    { sectionId: record.id, questionOrder: order++ },
+                    { where: { examId, questionId }, transaction }
+                );
+            }
+
+            created.push(record);
+        }
+
+        for (const eq of examQuestions.filter(eq => !assigned.has(eq.questionId))) {
+            await eq.update({ questionOrder: order++ }, { transaction });
+        }
+
+        await regroupExamQuestions(examId, transaction);
+
+        await transaction.commit();
+
+        res.status(200).json({
+            success: true,
+            message: sections.length > 0 ? "Exam sections updated successfully" : "Exam sections removed",
+            sections: created,
+            unassignedQuestionCount: examQuestions.length - assigned.size,
+        });
+    } catch (error) {
+        await transaction.rollback();
+        console.error("Error updating exam sections:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to update exam sections",
+        });
+    }
+};
+
+// Copy of an exam question row for another paper set
+const copyToPaperSet = (eq, paperSetId) => ({
+    examId: eq.examId,
+    questionId: eq.questionId,
+    sectionId: eq.sectionId,
+    paperSetId,
+    questionVersionId: eq.questionVersionId,
+    questionOrder: eq.questionOrder,
+    marksForEachQuestion: eq.marksForEachQuestion,
+    negativeMarks: eq.negativeMarks,
+    markingSchemeId: eq.markingSchemeId,
+    keyOverride: eq.keyOverride,
+});
+
+// Replace the paper sets of a draft exam (labels in set order)
+// New sets start as a copy of the current paper (the first set, once sets exist);
+// an empty list keeps the first set as the exam's only paper.
+export const setExamPaperSets = async (req, res) => {
+    const transaction = await sequelize.transaction();
+
+    try {
+        const { examId } = req.params;
+        const { labels, errors } = normalizePaperSetLabels(req.body.sets);
+
+        if (errors.length > 0) {
+            await transaction.rollback();
+            return res.status(400).json({
+                success: false,
+                message: "Invalid paper sets",
+                errors,
+            });
+        }
+
+        const exam = await Exam.findByPk(examId, { transaction });
+
+        if (!exam) {
+            await transaction.rollback();
+            return res.status(404).json({
+                success: false,
+                message: "Exam not found",
+            });
+        }
+
+        if (exam.state !== "DRAFT") {
+            await transaction.rollback();
+            return res.status(400).json({
+                success: false,
+                message: "Cannot modify a published or closed exam",
+            });
+        }
+
+        const existing = await ExamPaperSet.findAll({
+            where: { examId },
+            order: [["setOrder", "ASC"]],
+            transaction,
+        });
+
+        const template = await ExamQuestion.findAll({
+            where: { examId, paperSetId: existing.length > 0 ? existing[0].id : null },
+            transaction,
+        });
+
+        const byLabel = new Map(existing.map(set => [set.label.toLowerCase(), set]));
+        const kept = new Set();
+        const sets = [];
+
+        for (const [index, label] of labels.entries()) {
+            let set = byLabel.get(label.toLowerCase());
+
+            if (set) {
+                await set.update({ label, setOrder: index + 1 }, { transaction });
+                kept.add(set.id);
+            } else {
+                set = await ExamPaperSet.create({ examId, label, setOrder: index + 1 }, { transaction });
+                await ExamQuestion.bulkCreate(template.map(eq => copyToPaperSet(eq, set.id)), { transaction });
+            }
+
+            sets.push(set);
+        }
+
+        if (existing.length === 0 && labels.length > 0) {
+            // The paper now lives in the sets
+            await ExamQuestion.destroy({ where: { examId, paperSetId: null }, transaction });
+        } else if (existing.length > 0 && labels.length === 0) {
+            await ExamQuestion.update({ paperSetId: null }, { where: { paperSetId: existing[0].id }, transaction });
+        }
+
+        const removedIds = existing.filter(set => !kept.has(set.id)).map(set => set.id);
+
+        if (removedIds.length > 0) {
+            await ExamQuestion.destroy({ where: { paperSetId: removedIds }, transaction });
+            await ExamPaperSet.destroy({ where: { id: removedIds }, transaction });
+        }
+
+        await recordAudit(
+            {
+                actorId: req.user.userId,
+                action: "EXAM_PAPER_SETS_UPDATED",
+                entityType: "Exam",
+                entityId: examId,
+                changes: diffFields(
+                    { sets: existing.map(set => set.label) },
+                    { sets: labels },
+                    ["sets"]
+                ),
+                ipAddress: req.ip,
+            },
+            { transaction }
+        );
+
+        await transaction.commit();
+
+        res.status(200).json({
+            success: true,
+            message: labels.length > 0 ? "Paper sets updated successfully" : "Paper sets removed",
+            paperSetAssignment: exam.paperSetAssignment,
+            paperSets: sets,
+        });
+    } catch (error) {
+        await transaction.rollback();
+        console.error("Error updating paper sets:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to update paper sets",
+        });
+    }
+};
+
+// Reorder the questions of one paper set, explicitly or by a seeded shuffle within each section
+// Stimulus groups stay together either way.
+export const setPaperSetOrder = async (req, res) => {
+    const transaction = await sequelize.transaction();
+
+    try {
+        const { examId, paperSetId } = req.params;
+        const { questionIds, shuffle = false, seed } = req.body;
+
+        if (!shuffle && !Array.isArray(questionIds)) {
+            await transaction.rollback();
+            return res.status(400).json({
+                success: false,
+                message: "questionIds or shuffle: true is required",
+            });
+        }
+
+        const exam = await Exam.findByPk(examId, { attributes: ["id", "state"], transaction });
+
+        if (!exam) {
+            await transaction.rollback();
+            return res.status(404).json({
+                success: false,
+                message: "Exam not found",
+            });
+        }
+
+        if (exam.state !== "DRAFT") {
+            await transaction.rollback();
+            return res.status(400).json({
+                success: false,
+                message: "Cannot modify a published or closed exam",
+            });
+        }
+
+        const paperSet = await ExamPaperSet.findOne({ where: { id: paperSetId, examId }, transaction });
+
+        if (!paperSet) {
+            await transaction.rollback();
+            return res.status(404).json({
+                success: false,
+                message: "Paper set not found",
+            });
+        }
+
+        const examQuestions = await ExamQuestion.findAll({
+            where: { paperSetId },
+            order: [["questionOrder", "ASC"]],
+            transaction,
+        });
+
+        let ordered;
+
+        if (shuffle) {
+            const shuffleSeed = seed !== undefined ? String(seed) : crypto.randomUUID();
+            const bySection = new Map();
+
+            for (const eq of examQuestions) {
+                if (!bySection.has(eq.sectionId)) bySection.set(eq.sectionId, []);
+                bySection.get(eq.sectionId).push(eq);
+            }
+
+            ordered = [...bySection.entries()].flatMap(([sectionId, rows]) => seededShuffle(rows, `${shuffleSeed}:${sectionId}`));
+        } else {
+            const byQuestion = new Map(examQuestions.map(eq => [eq.questionId, eq]));
+
+            if (
+                questionIds.length !== examQuestions.length ||
+                new Set(questionIds).size !== questionIds.length ||
+                questionIds.some(id => !byQuestion.has(id))
+            ) {
+                await transaction.rollback();
+                return res.status(400).json({
+                    success: false,
+                    message: "questionIds must list every question of the set exactly once",
+                });
+            }
+
+            ordered = questionIds.map(id => byQuestion.get(id));
+        }
+
+        for (const [index, eq] of ordered.entries()) {
+            if (eq.questionOrder !== index + 1) {
+                await eq.update({ questionOrder: index + 1 }, { transaction });
+            }
+        }
+
+        await regroupExamQuestions(examId, transaction);
+
+        const order = await ExamQuestion.findAll({
+            where: { paperSetId },
+            attributes: ["questionId", "questionOrder", "sectionId"],
+            order: [["questionOrder", "ASC"]],
+            transaction,
+        });
+
+        await transaction.commit();
+
+        res.status(200).json({
+            success: true,
+            message: "Paper set order updated successfully",
+            paperSet: { id: paperSet.id, label: paperSet.label },
+            questions: order,
+        });
+    } catch (error) {
+        await transaction.rollback();
+        console.error("Error reordering paper set:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to reorder paper set",
+        });
+    }
+};
+
+// Get exam details by ID, including associated questions
+export const getExamById = async (req, res) => {
+    try {
+        const { examId } = req.params;
+
+        const exam = await Exam.findByPk(examId, {
+            include: [
+                {
+                    model: Question,
+                    as: "questions",
+                    through: {
+                        attributes: ["questionOrder", "marksForEachQuestion", "negativeMarks", "markingSchemeId", "keyOverride", "sectionId"],
+                    },
+                },
+                {
+                    model: ExamSection,
+                    as: "sections",
+                },
+                {
+                    model: ExamPaperSet,
+                    as: "paperSets",
+                    attributes: ["id", "label", "setOrder"],
+                    include: [{ model: ExamQuestion, as: "examQuestions", attributes: ["questionId", "questionOrder", "sectionId"] }],
+                },
+                {
+                    model: MarkingScheme,
+                    as: "markingScheme",
+                    attributes: ["id", "name", "version", "rules"],
+                },
+            ],
+            order: [
+                [{ model: ExamSection, as: "sections" }, "sectionOrder", "ASC"],
+                [{ model: ExamPaperSet, as: "paperSets" }, "setOrder", "ASC"],
+                [{ model: ExamPaperSet, as: "paperSets" }, { model: ExamQuestion, as: "examQuestions" }, "questionOrder", "ASC"],
+            ],
+        });
+
+        if (!exam) {
+            return res.status(404).json({ message: "Exam not found" });
+        }
+
+        const examData = exam.toJSON();
+
+        const formattedExam = {
+            ...examData,
+            startTime: examData.startTime
+                ? fromUTC(examData.startTime, timezone)
+                : null,
+            endTime: examData.endTime
+                ? fromUTC(examData.endTime, timezone)
+                : null,
+            resultReleaseAt: examData.resultReleaseAt
+                ? fromUTC(examData.resultReleaseAt, timezone)
+                : null,
+            createdAt: examData.createdAt
+                ? fromUTC(examData.createdAt, timezone)
+                : null,
+            updatedAt: examData.updatedAt
+                ? fromUTC(examData.updatedAt, timezone)
+                : null,
+        };
+
+        res.status(200).json({
+            success: true,
+            exam: formattedExam,
+        });
+    } catch (error) {
+        console.error("Error retrieving exam by ID:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to retrieve exam details",
+        });
+    }
+};
+
+// Update exam details (only if in DRAFT state)
+export const updateDraftExamDetails = async (req, res) => {
+    try {
+        const { examId } = req.params;
+        const {
+            title,
+            description,
+            startTime,
+            endTime,
+            durationMinutes,
+            eligibility,
+            shuffleQuestions,
+            shuffleOptions,
+            markingSchemeId,
+            challengeWindowHours,
+            doubleBlindGrading,
+            moderationThreshold,
+            paperSetAssignment,
+            mode,
+            revealAnswers,
+            maxAttempts,
+            cooldownMinutes,
+            scoreAggregation,
+        } = req.body;
+
+        const { rule: eligibilityRule, errors: eligibilityErrors } = normalizeEligibilityRule(eligibility);
+
+        if (eligibilityErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid eligibility rule",
+                errors: eligibilityErrors,
+            });
+        }
+
+        if ((await findMissingSchemeIds([markingSchemeId])).length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "Marking scheme not found",
+            });
+        }
+
+        if (challengeWindowHours !== undefined && !isValidChallengeWindow(challengeWindowHours)) {
+            return res.status(400).json({
+                success: false,
+                message: "challengeWindowHours must be a positive integer or null",
+            });
+        }
+
+        if (moderationThreshold !== undefined && !isValidModerationThreshold(moderationThreshold)) {
+            return res.status(400).json({
+                success: false,
+                message: "moderationThreshold must be a number between 0 and 1, or null",
+            });
+        }
+
+        if (paperSetAssignment !== undefined && !PAPER_SET_ASSIGNMENTS.includes(paperSetAssignment)) {
+            return res.status(400).json({
+                success: false,
+                message: `paperSetAssignment must be one of ${PAPER_SET_ASSIGNMENTS.join(", ")}`,
+            });
+        }
+
+        const exam = await Exam.findByPk(examId);
+
+        if (!exam) {
+            return res.status(404).json({
+                success: false,
+                message: "Exam not found",
+            });
+        }
+
+        if (exam.state !== "DRAFT") {
+            return res.status(400).json({
+                success: false,
+                message: "Only draft exams can be updated",
+            });
+        }
+
+        if (mode !== undefined && !EXAM_MODES.includes(mode)) {
+            return res.status(400).json({
+                success: false,
+                message: `mode must be one of ${EXAM_MODES.join(", ")}`,
+            });
+        }
+
+        if ((revealAnswers ?? exam.revealAnswers) && (mode ?? exam.mode) !== "PRACTICE") {
+            return res.status(400).json({
+                success: false,
+                message: "revealAnswers is only available in practice mode",
+            });
+        }
+
+        const attemptPolicyError = validateAttemptPolicy({ maxAttempts, cooldownMinutes, scoreAggregation });
+
+        if (attemptPolicyError) {
+            return res.status(400).json({
+                success: false,
+                message: attemptPolicyError,
+            });
+        }
+
+        // A scheduled result release must still come after the exam ends
+        const releasePolicyError = endTime !== undefined
+            ? validateResultReleasePolicy({ ...exam.get({ plain: true }), endTime })
+            : null;
+
+        if (releasePolicyError) {
+            return res.status(400).json({
+                success: false,
+                message: releasePolicyError,
+            });
+        }
+
+        await exam.update({
+            ...(title !== undefined && { title }),
+            ...(description !== undefined && { description }),
+            ...(startTime !== undefined && { startTime }),
+            ...(endTime !== undefined && { endTime }),
+            ...(durationMinutes !== undefined && { durationMinutes }),
+            ...(eligibility !== undefined && { eligibility: eligibilityRule }),
+            ...(shuffleQuestions !== undefined && { shuffleQuestions: !!shuffleQuestions }),
+            ...(shuffleOptions !== undefined && { shuffleOptions: !!shuffleOptions }),
+            ...(markingSchemeId !== undefined && { markingSchemeId }),
+            ...(challengeWindowHours !== undefined && { challengeWindowHours }),
+            ...(doubleBlindGrading !== undefined && { doubleBlindGrading: !!doubleBlindGrading }),
+            ...(moderationThreshold !== undefined && { moderationThreshold }),
+            ...(paperSetAssignment !== undefined && { paperSetAssignment }),
+            ...(mode !== undefined && { mode }),
+            ...(revealAnswers !== undefined && { revealAnswers: !!revealAnswers }),
+            ...(maxAttempts !== undefined && { maxAttempts }),
+            ...(cooldownMinutes !== undefined && { cooldownMinutes }),
+            ...(scoreAggregation !== undefined && { scoreAggregation }),
+        });
+
+        res.status(200).json({
+            success: true,
+            message: "Exam details updated successfully",
+        });
+    } catch (error) {
+        console.error("Error updating exam details:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to update exam details",
+        });
+    }
+};
+
+// Publish an exam (change state from DRAFT to PUBLISHED)
+export const publishExam = async (req, res) => {
+    const transaction = await sequelize.transaction();
+
+    try {
+        const { examId } = req.params;
+
+        const exam = await Exam.findByPk(examId, { transaction });
+
+        if (!exam) {
+            await transaction.rollback();
+            return res.status(404).json({ message: "Exam not found" });
+        }
+
+        if (exam.state !== "DRAFT") {
+            await transaction.rollback();
+            return res.status(400).json({
+                message: "Exam is already published or closed",
+            });
+        }
+
+        const questionCount = await ExamQuestion.count({
+            where: { examId },
+            transaction,
+        });
+
+        if (questionCount === 0) {
+            await transaction.rollback();
+            return res.status(400).json({
+                message: "Cannot publish exam without questions",
+            });
+        }
+
+        // Every paper set needs questions, and the same total so the sets compare fairly
+        const paperSets = await ExamPaperSet.findAll({
+            where: { examId },
+            include: [{ model: ExamQuestion, as: "examQuestions", attributes: ["marksForEachQuestion"] }],
+            order: [["setOrder", "ASC"]],
+            transaction,
+        });
+
+        if (paperSets.length > 0) {
+            const emptySets = paperSets.filter(set => set.examQuestions.length === 0);
+
+            if (emptySets.length > 0) {
+                await transaction.rollback();
+                return res.status(400).json({
+                    message: `Paper set(s) without questions: ${emptySets.map(set => set.label).join(", ")}`,
+                });
+            }
+
+            const setTotals = paperSets.map(set => ({
+                label: set.label,
+                totalMarks: set.examQuestions.reduce((sum, eq) => sum + eq.marksForEachQuestion, 0),
+            }));
+
+            if (new Set(setTotals.map(set => set.totalMarks)).size > 1) {
+                await transaction.rollback();
+                return res.status(400).json({
+                    message: `Paper sets must carry the same total marks: ${setTotals.map(set => `${set.label} ${set.totalMarks}`).join(", ")}`,
+                });
+            }
+        }
+
+        const sections = await ExamSection.findAll({ where: { examId }, transaction });
+
+        if (sections.length > 0) {
+            const placements = await ExamQuestion.findAll({
+                where: { examId },
+                attributes: ["sectionId"],
+                transaction,
+            });
+
+            const unassignedCount = placements.filter(p => !p.sectionId).length;
+
+            if (unassignedCount > 0) {
+                await transaction.rollback();
+                return res.status(400).json({
+                    message: `${unassignedCount} question(s) are not assigned to a section`,
+                });
+            }
+
+            const usedSectionIds = new Set(placements.map(p => p.sectionId));
+            const emptySections = sections.filter(s => !usedSectionIds.has(s.id));
+
+            if (emptySections.length > 0) {
+                await transaction.rollback();
+                return res.status(400).json({
+                    message: `Section(s) without questions: ${emptySections.map(s => s.title).join(", ")}`,
+                });
+            }
+
+            const sectionBudget = sections.reduce((sum, s) => sum + (s.durationMinutes ?? 0), 0);
+
+            if (sectionBudget > exam.durationMinutes) {
+                await transaction.rollback();
+                return res.status(400).json({
+                    message: `Section time limits (${sectionBudget} min) exceed the exam duration (${exam.durationMinutes} min)`,
+                });
+            }
+        }
+
+        // Later edits to these questions create new versions and leave this exam as published
+        await pinExamQuestionVersions(examId, { createdBy: req.user.userId, transaction });
+
+        exam.state = "PUBLISHED";
+        await exam.save({ transaction });
+
+        await transaction.commit();
+
+        res.status(200).json({
+            success: true,
+            message: "Exam published successfully",
+            exam,
+        });
+    } catch (error) {
+        await transaction.rollback();
+        console.error("Error publishing exam:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to publish exam"
+        });
+    }
+};
+
+// Set when candidates see results and which parts they see; allowed before and after publishing
+export const setResultReleasePolicy = async (req, res) => {
+    const transaction = await sequelize.transaction();
+
+    try {
+        const { examId } = req.params;
+        const { resultReleaseMode, resultReleaseAt } = req.body;
+
+        const exam = await Exam.findByPk(examId, { transaction });
+
+        if (!exam) {
+            await transaction.rollback();
+            return res.status(404).json({
+                success: false,
+                message: "Exam not found",
+            });
+        }
+
+        let releaseAt = exam.resultReleaseAt;
+
+        if (resultReleaseAt !== undefined) {
+            try {
+                releaseAt = resultReleaseAt === null ? null : toUTC(resultReleaseAt, timezone);
+            } catch {
+                await transaction.rollback();
+                return res.status(400).json({
+                    success: false,
+                    message: "resultReleaseAt must be a valid date",
+                });
+            }
+        }
+
+        const policy = {
+            mode: exam.mode,
+            endTime: exam.endTime,
+            resultReleaseMode: resultReleaseMode ?? exam.resultReleaseMode,
+            resultReleaseAt: releaseAt,
+        };
+
+        for (const attribute of Object.keys(RESULT_PARTS)) {
+            policy[attribute] = req.body[attribute] ?? exam[attribute];
+        }
+
+        const policyError = validateResultReleasePolicy(policy);
+
+        if (policyError) {
+            await transaction.rollback();
+            return res.status(400).json({
+                success: false,
+                message: policyError,
+            });
+        }
+
+        const fields = ["resultReleaseMode", "resultReleaseAt", "resultsReleasedAt", "resultsNotifiedAt", ...Object.keys(RESULT_PARTS)];
+        const before = Object.fromEntries(fields.map(field => [field, exam[field]]));
+
+        // Only a scheduled release keeps its time, and only a manual one its release
+        const updated = {
+            ...policy,
+            resultReleaseAt: policy.resultReleaseMode === "SCHEDULED" ? policy.resultReleaseAt : null,
+            resultsReleasedAt: policy.resultReleaseMode === "MANUAL" ? exam.resultsReleasedAt : null,
+        };
+
+        // Results taken back (e.g. a later scheduled time) are announced again when they next go out
+        const resultsNotifiedAt = isResultReleased(updated) ? exam.resultsNotifiedAt : null;
+
+        await exam.update(
+            {
+                resultReleaseMode: updated.resultReleaseMode,
+                resultReleaseAt: updated.resultReleaseAt,
+                resultsReleasedAt: updated.resultsReleasedAt,
+                resultsNotifiedAt,
+                ...Object.fromEntries(Object.keys(RESULT_PARTS).map(attribute => [attribute, updated[attribute]])),
+            },
+            { transaction }
+        );
+
+        await recordAudit(
+            {
+                actorId: req.user.userId,
+                action: "EXAM_RESULT_RELEASE_UPDATED",
+                entityType: "Exam",
+                entityId: examId,
+                changes: diffFields(before, exam, fields),
+                ipAddress: req.ip,
+            },
+            { transaction }
+        );
+
+        await transaction.commit();
+
+        res.status(200).json({
+            success: true,
+            message: "Result release policy saved",
+            resultRelease: {
+                resultReleaseMode: exam.resultReleaseMode,
+                resultReleaseAt: exam.resultReleaseAt ? fromUTC(exam.resultReleaseAt, timezone) : null,
+                resultsReleasedAt: exam.resultsReleasedAt,
+                isResultReleased: isResultReleased(exam),
+                ...Object.fromEntries(Object.keys(RESULT_PARTS).map(attribute => [attribute, exam[attribute]])),
+            },
+        });
+    } catch (error) {
+        await transaction.rollback();
+        console.error("Error saving result release policy:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to save result release policy",
+        });
+    }
+};
+
+// Release the results of a MANUAL-release exam and email its participants
+export const releaseExamResults = async (req, res) => {
+    const transaction = await sequelize.transaction();
+
+    try {
+        const { examId } = req.params;
+
+        const exam = await Exam.findByPk(examId, { transaction });
+
+        if (!exam) {
+            await transaction.rollback();
+            return res.status(404).json({
+                success: false,
+                message: "Exam not found",
+            });
+        }
+
+        if (exam.state !== "PUBLISHED") {
+            await transaction.rollback();
+            return res.status(400).json({
+                success: false,
+                message: "Only published exams have results to release",
+            });
+        }
+
+        if (exam.mode === "PRACTICE" || exam.resultReleaseMode !== "MANUAL") {
+            await transaction.rollback();
+            return res.status(409).json({
+                success: false,
+                message: exam.mode === "PRACTICE"
+                    ? "Practice results are released on submit"
+                    : "Results of this exam are released automatically; set resultReleaseMode to MANUAL first",
+            });
+        }
+
+        if (exam.resultsReleasedAt) {
+            await transaction.rollback();
+            return res.status(409).json({
+                success: false,
+                message: "Results have already been released",
+            });
+        }
+
+        // Candidates still sitting the exam must not see the results of those who finished
+        if (new Date() < new Date(exam.endTime)) {
+            await transaction.rollback();
+            return res.status(409).json({
+                success: false,
+                message: "Results can only be released after the exam ends",
+            });
+        }
+
+        await exam.update({ resultsReleasedAt: new Date() }, { transaction });
+
+        await recordAudit(
+            {
+                actorId: req.user.userId,
+                action: "EXAM_RESULTS_RELEASED",
+                entityType: "Exam",
+                entityId: examId,
+                ipAddress: req.ip,
+            },
+            { transaction }
+        );
+
+        await transaction.commit();
+
+        // The results are out either way; the cron announces them if this fails
+        let notification = null;
+
+        try {
+            notification = await notifyResultRelease(exam);
+        } catch (error) {
+            console.error("Error notifying result release:", error.message);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: "Results released",
+            resultsReleasedAt: exam.resultsReleasedAt,
+            notification: notification && { queued: notification.queued, failed: notification.failed },
+        });
+    } catch (error) {
+        await transaction.rollback();
+        console.error("Error releasing results:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to release results",
+        });
+    }
+};
+
+// Preview who is eligible for an exam (admin, before publishing)
+export const getEligibilityPreview = async (req, res) => {
+    try {
+        const { examId } = req.params;
+        let { page = 1, limit = 50 } = req.query;
+
+        page = Math.max(parseInt(page, 10) || 1, 1);
+        limit = Math.min(parseInt(limit, 10) || 50, 200); // safety cap
+        const offset = (page - 1) * limit;
+
+        const exam = await Exam.findByPk(examId, {
+            attributes: ["id", "title", "state", "eligibility"],
+        });
+
+        if (!exam) {
+            return res.status(404).json({ message: "Exam not found" });
+        }
+
+        const { rows: users, count: eligibleCount } = await User.findAndCountAll({
+            where: {
+                role: "USER",
+                isSuspended: false,
+                ...buildEligibleUsersWhere(exam.eligibility),
+            },
+            attributes: ["id", "fullName", "email", "emailVerified"],
+            include: [
+                {
+                    model: UserProfile,
+                    as: "profile",
+                    required: false,
+                    attributes: ["enrollmentNumber", "course", "department", "year", "semester"],
+                },
+            ],
+            order: [["fullName", "ASC"]],
+            limit,
+            offset,
+            subQuery: false,
+            distinct: true,
+        });
+
+        // Allow-listed IDs that do not resolve to an active student are likely typos
+        let unmatchedUserIds = [];
+        if (exam.eligibility?.userIds?.length > 0) {
+            const matched = await User.findAll({
+                where: { id: exam.eligibility.userIds, role: "USER", isSuspended: false },
+                attributes: ["id"],
+            });
+            const matchedIds = new Set(matched.map(u => u.id));
+            unmatchedUserIds = exam.eligibility.userIds.filter(id => !matchedIds.has(id));
+        }
+
+        res.status(200).json({
+            success: true,
+            exam: {
+                id: exam.id,
+                title: exam.title,
+                state: exam.state,
+                eligibility: exam.eligibility,
+                isRestricted: isRestricted(exam.eligibility),
+            },
+            eligibleCount,
+            unmatchedUserIds,
+            pagination: {
+                totalItems: eligibleCount,
+                totalPages: Math.ceil(eligibleCount / limit),
+                currentPage: page,
+                limit,
+            },
+            users,
+        });
+    } catch (error) {
+        console.error("Error previewing exam eligibility:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to preview eligibility",
+        });
+    }
+};
+
+// Delete an exam (only if in DRAFT state)
+export const deleteExam = async (req, res) => {
+    try {
+        const { examId } = req.params;
+
+        const exam = await Exam.findByPk(examId);
+
+        if (!exam) {
+            return res.status(404).json({ message: "Exam not found" });
         }
 
         if (exam.state !== "DRAFT") {
@@ -416,6 +1886,17 @@ export const deleteExam = async (req, res) => {
     }
 };
 
+// Keep only the exams the requesting user is eligible for; admins see everything
+const filterEligibleExams = async (exams, user) => {
+    if (user.role === "ADMIN") return exams;
+
+    if (!exams.some(exam => isRestricted(exam.eligibility))) return exams;
+
+    const profile = await UserProfile.findByPk(user.userId);
+
+    return exams.filter(exam => isUserEligible(exam.eligibility, user.userId, profile));
+};
+
 //Get live exams
 export const getLiveExams = async (req, res) => {
     try {
@@ -436,29 +1917,37 @@ export const getLiveExams = async (req, res) => {
                 "startTime",
                 "endTime",
                 "durationMinutes",
+                "mode",
+                "eligibility",
             ],
             include: userId ? [{
                 model: ExamAttempt,
                 as: "attempts",
                 where: { userId },
                 required: false,
-                attributes: ["id", "status", "startedAt", "submittedAt"],
+                attributes: ["id", "attemptNumber", "status", "startedAt", "submittedAt"],
             }] : [],
         });
 
+        const eligibleExams = await filterEligibleExams(exams, req.user);
+
         // Format the response to include attempt info
-        const formattedExams = exams.map(exam => {
+        const formattedExams = eligibleExams.map(exam => {
             const examData = exam.toJSON();
-            const attempt = examData.attempts && examData.attempts.length > 0 
-                ? examData.attempts[0] 
-                : null;
+            // Latest attempt; practice exams can have several
+            const attempt = (examData.attempts || []).reduce(
+                (latest, a) => (!latest || a.attemptNumber > latest.attemptNumber ? a : latest),
+                null
+            );
             
             return {
                 ...examData,
                 hasAttempt: !!attempt,
                 attemptStatus: attempt?.status || null,
                 attemptId: attempt?.id || null,
+                attemptCount: (examData.attempts || []).length,
                 attempts: undefined, // Remove the attempts array from response
+                eligibility: undefined, // Allow-lists are not shown to students
             };
         });
 
@@ -493,12 +1982,19 @@ export const getUpcomingExams = async (req, res) => {
                 "startTime",
                 "endTime",
                 "durationMinutes",
+                "mode",
+                "eligibility",
             ],
         });
 
+        const eligibleExams = await filterEligibleExams(exams, req.user);
+
         res.status(200).json({
             success: true,
-            exams,
+            exams: eligibleExams.map(exam => ({
+                ...exam.toJSON(),
+                eligibility: undefined, // Allow-lists are not shown to students
+            })),
         });
     } catch (error) {
         console.error("Error fetching upcoming exams:", error.message);
@@ -45,6 +45,157 @@ const Exam = sequelize.define(
             type: DataTypes.UUID,
             allowNull: false,
         },
+
+        // Pinned marking scheme version; null = default rules (see utils/marking.util.js)
+        markingSchemeId: {
+            type: DataTypes.UUID,
+            allowNull: true,
+        },
+
+        // SUBJECTIVE answers are graded independently by two graders who cannot see each other's marks
+        doubleBlindGrading: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false,
+        },
+
+        // Double-blind grades further apart than this share of the question's marks go to moderation;
+        // null = always average the two grades
+        moderationThreshold: {
+            type: DataTypes.FLOAT,
+            allowNull: true,
+            defaultValue: 0.2,
+            validate: {
+                min: 0,
+                max: 1,
+            },
+        },
+
+        // Hours after endTime during which students may challenge the answer key; null = no challenges
+        challengeWindowHours: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            validate: {
+                min: 1,
+            },
+        },
+
+        // PRACTICE exams allow any number of attempts, show results on submit and stay off the leaderboard
+        mode: {
+            type: DataTypes.ENUM("EXAM", "PRACTICE"),
+            allowNull: false,
+            defaultValue: "EXAM",
+        },
+
+        // PRACTICE only: return the correct answer with every saved answer (the answer is then final)
+        revealAnswers: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false,
+        },
+
+        // Attempts per candidate; null = one for exams, unlimited for practice (see utils/attemptPolicy.util.js)
+        maxAttempts: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            validate: {
+                min: 1,
+            },
+        },
+
+        // Minutes after a submission before the next attempt can start; null = no wait
+        cooldownMinutes: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            validate: {
+                min: 0,
+            },
+        },
+
+        // Which attempt score counts as the exam score
+        scoreAggregation: {
+            type: DataTypes.ENUM("BEST", "LATEST", "AVERAGE"),
+            allowNull: false,
+            defaultValue: "BEST",
+        },
+
+        // When candidates see results (see utils/resultRelease.util.js); practice results show on submit
+        resultReleaseMode: {
+            type: DataTypes.ENUM("ON_END", "SCHEDULED", "MANUAL"),
+            allowNull: false,
+            defaultValue: "ON_END",
+        },
+
+        // SCHEDULED only: release time
+        resultReleaseAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+        },
+
+        // MANUAL only: set when an admin releases the results
+        resultsReleasedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+        },
+
+        // Set once participants have been emailed about the release
+        resultsNotifiedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+        },
+
+        // Parts of the result shown once released
+        releaseScore: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: true,
+        },
+
+        releaseRank: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: true,
+        },
+
+        // Marks and outcome of each answer
+        releaseCorrectness: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: true,
+        },
+
+        // Correct answers, key corrections and explanations
+        releaseAnswerKey: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: true,
+        },
+
+        // Per-attempt layout; the permutation is seeded by the attempt ID (see utils/shuffle.util.js)
+        shuffleQuestions: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false,
+        },
+
+        shuffleOptions: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false,
+        },
+
+        // How candidates are given a paper set, when the exam has sets (see utils/paperSet.util.js)
+        paperSetAssignment: {
+            type: DataTypes.ENUM("RANDOM", "ROLL_PARITY"),
+            allowNull: false,
+            defaultValue: "RANDOM",
+        },
+
+        // Who may see and attempt the exam; null = everyone (see utils/examEligibility.util.js)
+        eligibility: {
+            type: DataTypes.JSON,
+            allowNull: true,
+        },
     },
     {
         tableName: "exams",
@@ -0,0 +1,50 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../../config/db.js";
+
+/**
+ * ExamPaperSet Model
+ *
+ * One of several printed-style versions of an exam's paper (Set A, Set B...).
+ * Each set has its own ExamQuestion rows, so sets can order the questions
+ * differently or swap in equivalent ones. Every candidate sits exactly one
+ * set, chosen at start (see utils/paperSet.util.js).
+ */
+const ExamPaperSet = sequelize.define(
+    "ExamPaperSet",
+    {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true,
+        },
+
+        examId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+        },
+
+        // "A", "B", ... shown to candidates and invigilators
+        label: {
+            type: DataTypes.STRING(20),
+            allowNull: false,
+        },
+
+        setOrder: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+        },
+    },
+    {
+        tableName: "exam_paper_sets",
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            {
+                unique: true,
+                fields: ["exam_id", "label"],
+            },
+        ],
+    }
+);
+
+export default ExamPaperSet;
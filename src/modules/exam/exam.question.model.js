@@ -20,6 +20,24 @@ const ExamQuestion = sequelize.define(
             allowNull: false,
         },
 
+        // null when the exam has no sections
+        sectionId: {
+            type: DataTypes.UUID,
+            allowNull: true,
+        },
+
+        // null when the exam has no paper sets; otherwise the set this row belongs to
+        paperSetId: {
+            type: DataTypes.UUID,
+            allowNull: true,
+        },
+
+        // Version pinned at publish; null while the exam is a draft (the live question is used)
+        questionVersionId: {
+            type: DataTypes.UUID,
+            allowNull: true,
+        },
+
         questionOrder: {
             type: DataTypes.INTEGER,
             allowNull: false,
@@ -30,15 +48,41 @@ const ExamQuestion = sequelize.define(
             defaultValue: 1,
             allowNull: false,
         },
+
+        // Penalty for a wrong answer in this exam; null = question's negativeMarks scaled to these marks
+        negativeMarks: {
+            type: DataTypes.FLOAT,
+            allowNull: true,
+        },
+
+        // Overrides the exam's marking scheme for this question
+        markingSchemeId: {
+            type: DataTypes.UUID,
+            allowNull: true,
+        },
+
+        // Post-exam answer-key correction for this exam only: bonus or extra accepted keys
+        keyOverride: {
+            type: DataTypes.JSON,
+            allowNull: true,
+        },
     },
     {
         tableName: "exam_questions",
         timestamps: false,
         underscored: true,
         indexes: [
+            // A question appears once per exam, or once per paper set
             {
+                name: "exam_questions_exam_question_without_set",
                 unique: true,
                 fields: ["exam_id", "question_id"],
+                where: { paper_set_id: null },
+            },
+            {
+                name: "exam_questions_paper_set_question",
+                unique: true,
+                fields: ["paper_set_id", "question_id"],
             },
         ],
     }
@@ -1,5 +1,5 @@
 import express from 'express';
-import { createExam, deleteExam, getExamById, getExams, getLiveExams, getUpcomingExams, publishExam, updateDraftExamDetails, updateQuestionsToExam } from './exam.controller.js';
+import { createExam, deleteExam, getEligibilityPreview, getExamById, getExams, getLiveExams, getUpcomingExams, publishExam, releaseExamResults, setExamPaperSets, setExamQuestionKeyOverride, setExamQuestionVersion, setExamSections, setPaperSetOrder, setResultReleasePolicy, updateDraftExamDetails, updateExamQuestionMarking, updateQuestionsToExam } from './exam.controller.js';
 import { requireAuth, requireEmailVerified } from '../../middlewares/auth.middleware.js';
 import requireRole from '../../middlewares/role.middleware.js';
 
@@ -16,6 +16,15 @@ router.use(requireRole("ADMIN"));
 router.post('/create', createExam);
 router.get('/all', getExams);
 router.post('/:examId/questions', updateQuestionsToExam);
+router.patch('/:examId/questions/:questionId', updateExamQuestionMarking);
+router.put('/:examId/questions/:questionId/key', setExamQuestionKeyOverride);
+router.put('/:examId/questions/:questionId/version', setExamQuestionVersion);
+router.put('/:examId/sections', setExamSections);
+router.put('/:examId/paper-sets', setExamPaperSets);
+router.put('/:examId/paper-sets/:paperSetId/order', setPaperSetOrder);
+router.put('/:examId/result-release', setResultReleasePolicy);
+router.post('/:examId/results/release', releaseExamResults);
+router.get('/:examId/eligibility', getEligibilityPreview);
 router.get('/:examId', getExamById);
 router.put('/:examId/', updateDraftExamDetails);
 router.post('/:examId/publish', publishExam);
@@ -0,0 +1,69 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../../config/db.js";
+
+/**
+ * ExamSection Model
+ *
+ * Optional grouping of an exam's questions (e.g. "Quantitative", "Verbal").
+ * A section may carry its own time budget and may lock once the candidate
+ * moves on to another section. See utils/examSection.util.js for the runtime rules.
+ */
+const ExamSection = sequelize.define(
+    "ExamSection",
+    {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true,
+        },
+
+        examId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+        },
+
+        title: {
+            type: DataTypes.STRING,
+            allowNull: false,
+        },
+
+        instructions: {
+            type: DataTypes.TEXT,
+            allowNull: true,
+        },
+
+        sectionOrder: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+        },
+
+        // null = no section budget, only the exam-wide clock applies
+        durationMinutes: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            validate: {
+                min: 1,
+            },
+        },
+
+        // Once the candidate leaves this section it cannot be reopened
+        lockOnExit: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false,
+        },
+    },
+    {
+        tableName: "exam_sections",
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            {
+                unique: true,
+                fields: ["exam_id", "section_order"],
+            },
+        ],
+    }
+);
+
+export default ExamSection;
@@ -3,14 +3,36 @@ import {
     ExamAttempt,
     Question,
     Option,
+    NumericalAnswer,
     StudentAnswer,
-    ExamQuestion
+    ExamQuestion,
+    ExamSection,
+    ExamPaperSet,
+    Stimulus,
+    UserProfile
 } from "../association/index.js";
 
 import { CACHE_KEYS, getOrSetCache } from "../../services/cache.service.js";
 import sequelize from "../../config/db.js";
-import { calculateExamScore } from "../../services/examScore.service.js";
+import { calculateExamScore, previewAnswerScore } from "../../services/examScore.service.js";
 import { getHardEndTime } from "../../utils/examTime.util.js";
+import { isRestricted, isUserEligible } from "../../utils/examEligibility.util.js";
+import { applyAttemptShuffle, getLayoutSeed } from "../../utils/shuffle.util.js";
+import { getSignedAttachments, toSignedList } from "../../services/attachment.service.js";
+import { resolveExamQuestions } from "../../services/questionVersion.service.js";
+import {
+    buildSectionState,
+    resolveSectionState,
+    enterSection as enterSectionState,
+    describeSections,
+    getActiveSectionRemainingSeconds,
+    SECTION_STATUS,
+} from "../../utils/examSection.util.js";
+import { normalizeStructuredAnswer, getCorrectAnswer } from "../../utils/questionType.util.js";
+import { assignPaperSet } from "../../utils/paperSet.util.js";
+import { checkAttemptPolicy } from "../../utils/attemptPolicy.util.js";
+
+const MAX_TEXT_ANSWER_LENGTH = 20000;
 
 //Auto-submit attempt helper function
 const autoSubmitAttempt = async (attempt) => {
@@ -20,13 +42,25 @@ const autoSubmitAttempt = async (attempt) => {
 
     // Calculate score immediately (with error handling)
     try {
-        await calculateExamScore(attempt.examId, attempt.userId);
+        await calculateExamScore(attempt.examId, attempt.userId, { attemptId: attempt.id });
     } catch (error) {
         console.error("Error calculating score in auto-submit:", error);
         // Don't throw - submission already happened
     }
 };
 
+// Close expired sections and persist the section clock if it moved
+const syncSectionState = async (attempt) => {
+    const { state, changed } = resolveSectionState(attempt.sectionState);
+
+    if (changed) {
+        attempt.sectionState = state;
+        await attempt.save();
+    }
+
+    return attempt.sectionState;
+};
+
 //Start exam
 export const startExam = async (req, res) => {
     const { examId } = req.params;
@@ -44,20 +78,77 @@ export const startExam = async (req, res) => {
             return res.status(400).json({ message: "Exam not active" });
         }
 
-        const existingAttempt = await ExamAttempt.findOne({
+        let profile = null;
+
+        if (isRestricted(exam.eligibility)) {
+            profile = await UserProfile.findByPk(userId);
+
+            if (!isUserEligible(exam.eligibility, userId, profile)) {
+                return res.status(403).json({
+                    message: "You are not eligible for this exam",
+                });
+            }
+        }
+
+        const previousAttempts = await ExamAttempt.findAll({
             where: { examId, userId },
+            attributes: ["id", "status", "attemptNumber", "submittedAt"],
+            order: [["attemptNumber", "DESC"]],
         });
 
-        if (existingAttempt) {
+        const activeAttempt = previousAttempts.find(a => a.status === "IN_PROGRESS");
+
+        if (activeAttempt) {
+            return res.status(400).json({
+                message: "You already have an attempt in progress",
+                attemptId: activeAttempt.id,
+            });
+        }
+
+        const policy = checkAttemptPolicy(exam, previousAttempts, now);
+
+        if (!policy.allowed) {
             return res.status(400).json({
-                message: "You have already attempted this exam",
+                message: policy.message,
+                ...(policy.retryAt && { retryAt: policy.retryAt }),
             });
         }
 
+        const attemptNumber = (previousAttempts[0]?.attemptNumber ?? 0) + 1;
+
+
+        const sections = await ExamSection.findAll({ where: { examId } });
+
+        const paperSets = await ExamPaperSet.findAll({
+            where: { examId },
+            order: [["setOrder", "ASC"]],
+        });
+
+        let paperSet = null;
+
+        if (paperSets.length > 0) {
+            if (!profile && exam.paperSetAssignment === "ROLL_PARITY") {
+                profile = await UserProfile.findByPk(userId);
+            }
+
+            paperSet = assignPaperSet(paperSets, {
+                assignment: exam.paperSetAssignment,
+                examId,
+                userId,
+                enrollmentNumber: profile?.enrollmentNumber,
+            });
+        }
 
         const attempt = await sequelize.transaction(async (t) => {
             return await ExamAttempt.create(
-                { examId, userId },
+                {
+                    examId,
+                    userId,
+                    attemptNumber,
+                    paperSetId: paperSet?.id ?? null,
+                    startedAt: now,
+                    sectionState: buildSectionState(sections, now),
+                },
                 { transaction: t }
             );
         });
@@ -66,6 +157,8 @@ export const startExam = async (req, res) => {
             success: true,
             message: "Exam started",
             attemptId: attempt.id,
+            attemptNumber,
+            ...(paperSet && { paperSet: paperSet.label }),
         });
     } catch (error) {
         if (error.name === "SequelizeUniqueConstraintError") {
@@ -92,7 +185,19 @@ export const getExamForAttempt = async (req, res) => {
             CACHE_KEYS.EXAM(examId),
             async () => {
                 const record = await Exam.findByPk(examId, {
-                    attributes: ["id", "title", "durationMinutes", "startTime", "endTime"],
+                    attributes: ["id", "title", "durationMinutes", "startTime", "endTime", "shuffleQuestions", "shuffleOptions"],
+                    include: [
+                        {
+                            model: ExamSection,
+                            as: "sections",
+                            attributes: ["id", "title", "instructions", "sectionOrder"],
+                        },
+                        {
+                            model: ExamPaperSet,
+                            as: "paperSets",
+                            attributes: ["id", "label"],
+                        },
+                    ],
                 });
                 return record ? record.toJSON() : null;
             },
@@ -116,45 +221,85 @@ export const getExamForAttempt = async (req, res) => {
             async () => {
                 const rows = await ExamQuestion.findAll({
                     where: { examId },
-                    order: [["questionOrder", "ASC"]],
+                    order: [
+                        ["questionOrder", "ASC"],
+                        [{ model: Question, as: "question" }, { model: Option, as: "options" }, "order", "ASC"],
+                    ],
                     include: [
                         {
                             model: Question,
                             as: "question",
-                            attributes: ["id", "statement", "questionType", "domain"],
+                            attributes: ["id", "statement", "questionType", "domain", "contentFormat", "typeData", "stimulusId", "stimulusOrder", "attachmentIds"],
                             include: [
                                 {
                                     model: Option,
                                     as: "options",
-                                    attributes: ["id", "text"],
+                                    attributes: ["id", "text", "attachmentIds"],
+                                },
+                                {
+                                    model: Stimulus,
+                                    as: "stimulus",
+                                    attributes: ["id", "title", "stimulusType", "content", "contentFormat"],
                                 },
                             ],
                         },
                     ],
                 });
 
-                return rows.map((eq) => ({
-                    id: eq.id,
-                    questionId: eq.questionId,
-                    questionOrder: eq.questionOrder,
-                    marksForEachQuestion: eq.marksForEachQuestion,
-                    question: eq.question
-                        ? {
-                            id: eq.question.id,
-                            statement: eq.question.statement,
-                            questionType: eq.question.questionType,
-                            domain: eq.question.domain,
-                            options: (eq.question.options || []).map((opt) => ({
-                                id: opt.id,
-                                text: opt.text,
-                            })),
-                        }
-                        : null,
-                }));
+                // The paper shows the versions pinned at publish
+                const questions = await resolveExamQuestions(rows);
+
+                return rows.map((eq) => {
+                    const question = questions.get(eq.questionId);
+
+                    return {
+                        id: eq.id,
+                        questionId: eq.questionId,
+                        sectionId: eq.sectionId,
+                        paperSetId: eq.paperSetId,
+                        questionOrder: eq.questionOrder,
+                        marksForEachQuestion: eq.marksForEachQuestion,
+                        // Candidate-safe fields only: no keys, rubric or explanation
+                        question: question
+                            ? {
+                                id: question.id,
+                                statement: question.statement,
+                                questionType: question.questionType,
+                                domain: question.domain,
+                                contentFormat: question.contentFormat,
+                                typeData: question.typeData,
+                                stimulusId: question.stimulusId,
+                                stimulusOrder: question.stimulusOrder,
+                                stimulus: question.stimulus ?? null,
+                                attachmentIds: question.attachmentIds || [],
+                                options: (question.options || []).map((opt) => ({
+                                    id: opt.id,
+                                    text: opt.text,
+                                    attachmentIds: opt.attachmentIds || [],
+                                })),
+                            }
+                            : null,
+                    };
+                });
             },
             600 // 10 minutes cache for static exam paper data
         );
 
+        // Calculate remaining time
+        const now = new Date();
+        const hardEnd = getHardEndTime(exam, attempt);
+        const remainingSeconds = Math.max(0, Math.floor((hardEnd - now) / 1000));
+
+        if (remainingSeconds === 0) {
+            await autoSubmitAttempt(attempt);
+            return res.status(403).json({
+                message: "Time over. Exam auto-submitted.",
+            });
+        }
+
+        const sectionState = await syncSectionState(attempt);
+        const activeSectionId = sectionState?.activeSectionId ?? null;
+
         // Load any saved student answers for this attempt
         const savedAnswers = await StudentAnswer.findAll({
             where: { examAttemptId: attempt.id },
@@ -165,30 +310,58 @@ export const getExamForAttempt = async (req, res) => {
             answerMap[ans.questionId] = {
                 selectedOptionIds: ans.selectedOptionIds,
                 numericalAnswer: ans.numericalAnswer,
+                textAnswer: ans.textAnswer,
+                structuredAnswer: ans.structuredAnswer,
             };
         });
 
-        const questionsWithStudentAnswers = examQuestions.map(eq => ({
-            examQuestionId: eq.id,
-            questionOrder: eq.questionOrder,
-            marks: eq.marksForEachQuestion,
+        // Only the candidate's paper set; sectioned exams only serve the section the candidate is in
+        const servedQuestions = examQuestions
+            .filter(eq => (eq.paperSetId ?? null) === (attempt.paperSetId ?? null))
+            .filter(eq => !sectionState || eq.sectionId === activeSectionId);
 
-            ...(eq.question || {}),
+        const paperSet = (exam.paperSets || []).find(set => set.id === attempt.paperSetId);
 
-            studentAnswer: answerMap[eq.questionId] || null,
-        }));
+        // Each passage is sent once; its questions refer to it by stimulusId
+        const stimuli = new Map();
+        servedQuestions.forEach(eq => {
+            const stimulus = eq.question?.stimulus;
+            if (stimulus && !stimuli.has(stimulus.id)) stimuli.set(stimulus.id, stimulus);
+        });
 
-        // Calculate remaining time
-        const now = new Date();
-        const hardEnd = getHardEndTime(exam, attempt);
-        const remainingSeconds = Math.max(0, Math.floor((hardEnd - now) / 1000));
+        // Signed URLs expire, so they are issued per request rather than cached with the paper
+        const signedAttachments = await getSignedAttachments(servedQuestions.flatMap(eq => [
+            ...(eq.question?.attachmentIds || []),
+            ...(eq.question?.options || []).flatMap(opt => opt.attachmentIds || []),
+        ]));
+
+        const canonicalQuestions = servedQuestions.map(eq => {
+            const { stimulus, attachmentIds, options, ...question } = eq.question || {};
+
+            return {
+                examQuestionId: eq.id,
+                questionId: eq.questionId,
+                sectionId: eq.sectionId,
+                questionOrder: eq.questionOrder,
+                marks: eq.marksForEachQuestion,
+
+                ...question,
+                attachments: toSignedList(attachmentIds, signedAttachments),
+                options: (options || []).map(({ attachmentIds: optionAttachmentIds, ...opt }) => ({
+                    ...opt,
+                    attachments: toSignedList(optionAttachmentIds, signedAttachments),
+                })),
+
+                studentAnswer: answerMap[eq.questionId] || null,
+            };
+        });
 
-        if (remainingSeconds === 0) {
-            await autoSubmitAttempt(attempt);
-            return res.status(403).json({
-                message: "Time over. Exam auto-submitted.",
-            });
-        }
+        // The cached paper stays canonical; the layout is derived per attempt
+        const questionsWithStudentAnswers = applyAttemptShuffle(canonicalQuestions, {
+            attemptId: getLayoutSeed(attempt.id, activeSectionId),
+            shuffleQuestions: exam.shuffleQuestions,
+            shuffleOptions: exam.shuffleOptions,
+        });
 
         res.status(200).json({
             success: true,
@@ -196,10 +369,22 @@ export const getExamForAttempt = async (req, res) => {
             exam: {
                 id: exam.id,
                 title: exam.title,
+                ...(paperSet && { paperSet: paperSet.label }),
+                stimuli: [...stimuli.values()],
                 questions: questionsWithStudentAnswers,
+                ...(sectionState && {
+                    sections: describeSections(sectionState, exam.sections || [], now),
+                    activeSectionId,
+                }),
             },
             attemptId: attempt.id,
             remainingSeconds,
+            ...(sectionState && {
+                sectionRemainingSeconds: Math.min(
+                    getActiveSectionRemainingSeconds(sectionState, now) ?? remainingSeconds,
+                    remainingSeconds
+                ),
+            }),
         });
     } catch (error) {
         console.error(error.message);
@@ -214,7 +399,7 @@ export const getExamForAttempt = async (req, res) => {
 export const saveAnswer = async (req, res) => {
     try {
         const { examId } = req.params;
-        const { questionId, selectedOptionIds, numericalAnswer } = req.body;
+        const { questionId, selectedOptionIds, numericalAnswer, textAnswer, blankAnswers, matches } = req.body;
         const userId = req.user.userId;
 
         const attempt = await ExamAttempt.findOne({
@@ -235,14 +420,24 @@ export const saveAnswer = async (req, res) => {
             });
         }
 
-        const question = await Question.findByPk(questionId);
+        // Practice exams with revealAnswers check every answer as it is saved
+        const revealAnswers = attempt.Exam.mode === "PRACTICE" && attempt.Exam.revealAnswers;
 
-        if (!question) {
+        const liveQuestion = await Question.findByPk(questionId, {
+            ...(revealAnswers && {
+                include: [
+                    { model: Option, as: "options" },
+                    { model: NumericalAnswer, as: "numericalAnswer" },
+                ],
+            }),
+        });
+
+        if (!liveQuestion) {
             return res.status(404).json({ message: "Question not found" });
         }
 
         const examQuestion = await ExamQuestion.findOne({
-            where: { examId, questionId },
+            where: { examId, questionId, paperSetId: attempt.paperSetId ?? null },
         });
 
         if (!examQuestion) {
@@ -251,15 +446,35 @@ export const saveAnswer = async (req, res) => {
             });
         }
 
+        // Answers are checked against the version the exam is pinned to
+        const question = (await resolveExamQuestions([{
+            questionId,
+            questionVersionId: examQuestion.questionVersionId,
+            question: liveQuestion,
+        }])).get(questionId);
+
+        const sectionState = await syncSectionState(attempt);
+
+        if (sectionState && examQuestion.sectionId !== sectionState.activeSectionId) {
+            const section = sectionState.sections.find(sec => sec.id === examQuestion.sectionId);
+
+            const message = {
+                [SECTION_STATUS.LOCKED]: "This section is locked and cannot be revisited",
+                [SECTION_STATUS.EXPIRED]: "Time for this section is over",
+            }[section?.status] || "Question belongs to a section you are not in";
+
+            return res.status(403).json({ message });
+        }
+
 
-        if (question.questionType === "SINGLE_CORRECT") {
+        if (question.questionType === "SINGLE_CORRECT" || question.questionType === "ASSERTION_REASON") {
             if (
                 Array.isArray(selectedOptionIds) &&
                 selectedOptionIds.length > 1
             ) {
                 return res.status(400).json({
                     message:
-                        "Only one option can be selected for SINGLE_CORRECT question",
+                        `Only one option can be selected for ${question.questionType} question`,
                 });
             }
         }
@@ -270,12 +485,18 @@ export const saveAnswer = async (req, res) => {
                 ? Number(numericalAnswer)
                 : undefined;
 
-        if (question.questionType === "NUMERICAL") {
+        if (question.questionType === "NUMERICAL" || question.questionType === "INTEGER") {
             if (normalizedNumerical === undefined || Number.isNaN(normalizedNumerical)) {
                 return res.status(400).json({
                     message: "Valid numerical answer is required for this question",
                 });
             }
+
+            if (question.questionType === "INTEGER" && !Number.isInteger(normalizedNumerical)) {
+                return res.status(400).json({
+                    message: "Answer must be an integer",
+                });
+            }
         } else {
             if (numericalAnswer !== undefined) {
                 return res.status(400).json({
@@ -284,17 +505,107 @@ export const saveAnswer = async (req, res) => {
             }
         }
 
+        if (question.questionType === "SUBJECTIVE") {
+            if (typeof textAnswer !== "string") {
+                return res.status(400).json({
+                    message: "A text answer is required for this question",
+                });
+            }
 
-        await StudentAnswer.upsert({
-            examAttemptId: attempt.id,
-            questionId,
-            selectedOptionIds,
-            numericalAnswer,
-        });
+            if (textAnswer.length > MAX_TEXT_ANSWER_LENGTH) {
+                return res.status(400).json({
+                    message: `Answer must be at most ${MAX_TEXT_ANSWER_LENGTH} characters`,
+                });
+            }
+
+            if (selectedOptionIds !== undefined) {
+                return res.status(400).json({
+                    message: "Invalid answer type",
+                });
+            }
+        } else if (textAnswer !== undefined) {
+            return res.status(400).json({
+                message: "Invalid answer type",
+            });
+        }
+
+        // Blanks and match pairs are kept as one structured value
+        let structuredAnswer;
+
+        if (question.questionType === "FILL_IN_BLANK" || question.questionType === "MATCH_THE_FOLLOWING") {
+            if (selectedOptionIds !== undefined) {
+                return res.status(400).json({
+                    message: "Invalid answer type",
+                });
+            }
+
+            const { value, error } = normalizeStructuredAnswer(question, { blankAnswers, matches });
+
+            if (error) {
+                return res.status(400).json({ message: error });
+            }
+
+            structuredAnswer = value;
+        } else if (blankAnswers !== undefined || matches !== undefined) {
+            return res.status(400).json({
+                message: "Invalid answer type",
+            });
+        }
+
+
+        const answerFields = { selectedOptionIds, numericalAnswer, textAnswer, structuredAnswer };
+
+        if (revealAnswers) {
+            const [answer] = await StudentAnswer.findCreateFind({
+                where: { examAttemptId: attempt.id, questionId },
+            });
+
+            // Saved and revealed in one conditional update: of two concurrent saves only one is checked
+            const [revealed] = await StudentAnswer.update(
+                { ...answerFields, revealedAt: new Date() },
+                { where: { id: answer.id, revealedAt: null } }
+            );
+
+            if (revealed === 0) {
+                return res.status(409).json({
+                    message: "This answer has already been checked and cannot be changed",
+                });
+            }
+        } else {
+            await StudentAnswer.upsert({
+                examAttemptId: attempt.id,
+                questionId,
+                ...answerFields,
+            });
+        }
+
+        let feedback;
+
+        if (revealAnswers) {
+            const { breakdown } = await previewAnswerScore(attempt.Exam, examQuestion, question, {
+                selectedOptionIds,
+                numericalAnswer: normalizedNumerical ?? null,
+                textAnswer,
+                structuredAnswer,
+            });
+
+            feedback = {
+                outcome: breakdown.outcome,
+                marksObtained: breakdown.marksObtained,
+                maxMarks: breakdown.maxMarks,
+                correctAnswer: getCorrectAnswer(question),
+                explanation: question.explanation ?? null,
+                explanationAttachments: toSignedList(
+                    question.explanationAttachmentIds,
+                    await getSignedAttachments(question.explanationAttachmentIds || [])
+                ),
+            };
+        }
 
         res.status(200).json({
             success: true,
             message: "Answer saved",
+            ...(feedback && { feedback }),
         });
     } catch (error) {
         console.error(error.message);
@@ -305,6 +616,68 @@ export const saveAnswer = async (req, res) => {
     }
 };
 
+// Move to another section of a sectioned exam
+export const enterSection = async (req, res) => {
+    try {
+        const { examId, sectionId } = req.params;
+        const userId = req.user.userId;
+
+        const attempt = await ExamAttempt.findOne({
+            where: { examId, userId, status: "IN_PROGRESS" },
+            include: Exam,
+        });
+
+        if (!attempt) {
+            return res.status(403).json({ message: "Attempt not active" });
+        }
+
+        if (!attempt.sectionState) {
+            return res.status(400).json({ message: "This exam has no sections" });
+        }
+
+        const now = new Date();
+
+        if (now > getHardEndTime(attempt.Exam, attempt)) {
+            await autoSubmitAttempt(attempt);
+            return res.status(403).json({
+                message: "Time over. Exam auto-submitted.",
+            });
+        }
+
+        const { state } = resolveSectionState(attempt.sectionState, now);
+        const result = enterSectionState(state, sectionId, now);
+
+        if (!result.success) {
+            attempt.sectionState = state;
+            await attempt.save();
+
+            const status = result.error === "SECTION_NOT_FOUND" ? 404 : 403;
+            return res.status(status).json({ message: result.message });
+        }
+
+        attempt.sectionState = result.state;
+        await attempt.save();
+
+        const sections = await ExamSection.findAll({
+            where: { examId },
+            attributes: ["id", "title", "instructions", "sectionOrder"],
+        });
+
+        res.status(200).json({
+            success: true,
+            message: "Section entered",
+            activeSectionId: result.state.activeSectionId,
+            sections: describeSections(result.state, sections, now),
+        });
+    } catch (error) {
+        console.error(error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server Error: Unable to switch section",
+        });
+    }
+};
+
 //Submit exam
 export const submitExam = async (req, res) => {
     try {
@@ -348,13 +721,15 @@ export const submitExam = async (req, res) => {
         });
 
         // Calculate score asynchronously (don't block response)
-        calculateExamScore(examId, userId).catch(error => {
+        calculateExamScore(examId, userId, { attemptId: attempt.id }).catch(error => {
             console.error("Error calculating score after submission:", error);
         });
 
         res.status(200).json({
             success: true,
-            message: "Exam submitted successfully. Score will be shown after window time ends.",
+            message: attempt.Exam.mode === "PRACTICE"
+                ? "Exam submitted successfully. Your result will be ready in a moment."
+                : "Exam submitted successfully. Score will be shown after window time ends.",
             attemptId: attempt.id,
             status: "SUBMITTED",
         });
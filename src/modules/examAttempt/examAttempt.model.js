@@ -20,6 +20,13 @@ const ExamAttempt = sequelize.define(
       allowNull: false,
     },
 
+    // 1 for the first attempt; practice exams count up with every retake
+    attemptNumber: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+    },
+
     startedAt: {
       type: DataTypes.DATE,
       allowNull: false,
@@ -41,8 +48,28 @@ const ExamAttempt = sequelize.define(
       defaultValue: "IN_PROGRESS",
     },
 
+    // FLOAT since partial credit and scaled penalties can be fractional
     score: {
-      type: DataTypes.INTEGER,
+      type: DataTypes.FLOAT,
+      allowNull: true,
+    },
+
+    // True while SUBJECTIVE answers are still waiting for manual grading
+    isScoreProvisional: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    },
+
+    // Section clock for sectioned exams, snapshotted at start (see utils/examSection.util.js)
+    sectionState: {
+      type: DataTypes.JSON,
+      allowNull: true,
+    },
+
+    // Paper set assigned at start; null when the exam has no sets
+    paperSetId: {
+      type: DataTypes.UUID,
       allowNull: true,
     },
   },
@@ -52,8 +79,16 @@ const ExamAttempt = sequelize.define(
     underscored: true,
     indexes: [
       {
+        name: "exam_attempts_exam_user_attempt_number",
+        unique: true,
+        fields: ["exam_id", "user_id", "attempt_number"],
+      },
+      {
+        // At most one attempt in progress per user and exam
+        name: "exam_attempts_exam_user_in_progress",
         unique: true,
-        fields: ["exam_id", "user_id"], // prevents multiple attempts
+        fields: ["exam_id", "user_id"],
+        where: { status: "IN_PROGRESS" },
       },
     ],
   }
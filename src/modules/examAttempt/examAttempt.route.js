@@ -1,5 +1,5 @@
 import express from "express";
-import { getExamForAttempt, saveAnswer, startExam, submitExam } from "./examAttempt.controller.js";
+import { enterSection, getExamForAttempt, saveAnswer, startExam, submitExam } from "./examAttempt.controller.js";
 import { requireAuth, requireEmailVerified } from "../../middlewares/auth.middleware.js";
 
 const router = express.Router();
@@ -10,6 +10,7 @@ router.use(requireEmailVerified);
 router.post("/:examId/start", startExam);
 router.get("/:examId/attempt", getExamForAttempt);
 router.post("/:examId/save", saveAnswer);
+router.post("/:examId/sections/:sectionId/enter", enterSection);
 router.post("/:examId/submit", submitExam);
 
 export default router;
\ No newline at end of file
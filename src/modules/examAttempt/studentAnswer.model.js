@@ -30,8 +30,44 @@ const StudentAnswer = sequelize.define(
       allowNull: true,
     },
 
+    // Blank answers (FILL_IN_BLANK) or left -> right item IDs (MATCH_THE_FOLLOWING)
+    structuredAnswer: {
+      type: DataTypes.JSON,
+      allowNull: true,
+    },
+
+    // Long-form answer for SUBJECTIVE questions
+    textAnswer: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+
+    // Manual grading state for SUBJECTIVE answers; null for auto-scored questions
+    gradingStatus: {
+      type: DataTypes.ENUM("PENDING", "MODERATION", "GRADED"),
+      allowNull: true,
+    },
+
+    // Final marks from manual grading (single grade, double-blind average or moderation)
+    manualMarks: {
+      type: DataTypes.FLOAT,
+      allowNull: true,
+    },
+
     marksObtained: {
-      type: DataTypes.INTEGER,
+      type: DataTypes.FLOAT,
+      allowNull: true,
+    },
+
+    // How marksObtained was reached (scheme version, outcome, penalty, clamping)
+    scoreBreakdown: {
+      type: DataTypes.JSON,
+      allowNull: true,
+    },
+
+    // When the answer was checked and its key shown (practice with revealAnswers); it is final from then on
+    revealedAt: {
+      type: DataTypes.DATE,
       allowNull: true,
     },
   },
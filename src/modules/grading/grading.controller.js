@@ -0,0 +1,410 @@
+import { GradingTask, Exam, Question, StudentAnswer, User } from "../association/index.js";
+import {
+    GRADING_TASK_KINDS,
+    MAX_CLAIM_BATCH,
+    claimGradingTasks,
+    assignGradingTasks,
+    releaseGradingTask,
+    submitGrade,
+    getGradingProgress,
+} from "../../services/grading.service.js";
+import { recordAudit } from "../../services/audit.service.js";
+
+const MAX_COMMENT_LENGTH = 5000;
+
+const GRADE_ERROR_STATUS = {
+    NOT_FOUND: 404,
+    INVALID_STATE: 409,
+    INVALID_MARKS: 400,
+};
+
+// What a grader sees: the question, the rubric and the answer text, never who wrote it
+const GRADER_INCLUDE = [
+    { model: Question, as: "question", attributes: ["id", "statement", "rubric"] },
+    { model: StudentAnswer, as: "studentAnswer", attributes: ["id", "textAnswer"] },
+];
+
+const toGraderView = (task) => ({
+    id: task.id,
+    examId: task.examId,
+    kind: task.kind,
+    status: task.status,
+    maxMarks: task.maxMarks,
+    marksAwarded: task.marksAwarded,
+    comments: task.comments,
+    assignedAt: task.assignedAt,
+    gradedAt: task.gradedAt,
+    question: task.question,
+    answerText: task.studentAnswer?.textAnswer ?? null,
+});
+
+const parsePaging = (query) => {
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(query.limit, 10) || 20, 100);
+    return { page, limit, offset: (page - 1) * limit };
+};
+
+/* ---------------- GRADER ---------------- */
+
+// Tasks assigned to the current grader
+export const getMyGradingTasks = async (req, res) => {
+    try {
+        const { status = "ASSIGNED", examId } = req.query;
+        const { page, limit, offset } = parsePaging(req.query);
+
+        if (!["ASSIGNED", "SUBMITTED"].includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: "status must be ASSIGNED or SUBMITTED",
+            });
+        }
+
+        const where = { graderId: req.user.userId, status };
+        if (examId) where.examId = examId;
+
+        const { count, rows } = await GradingTask.findAndCountAll({
+            where,
+            include: GRADER_INCLUDE,
+            order: [["assignedAt", "ASC"]],
+            limit,
+            offset,
+        });
+
+        res.status(200).json({
+            success: true,
+            tasks: rows.map(toGraderView),
+            pagination: {
+                totalItems: count,
+                totalPages: Math.ceil(count / limit),
+                currentPage: page,
+                limit,
+            },
+        });
+    } catch (error) {
+        console.error("Error fetching grading tasks:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to fetch grading tasks",
+        });
+    }
+};
+
+// Take the next tasks from the queue
+export const claimTasks = async (req, res) => {
+    try {
+        const { examId, kind } = req.body;
+        const limit = Math.min(parseInt(req.body.limit, 10) || 5, MAX_CLAIM_BATCH);
+
+        if (kind && !GRADING_TASK_KINDS.includes(kind)) {
+            return res.status(400).json({
+                success: false,
+                message: `kind must be one of ${GRADING_TASK_KINDS.join(", ")}`,
+            });
+        }
+
+        const result = await claimGradingTasks(
+            { userId: req.user.userId, role: req.user.role },
+            { examId, kind, limit }
+        );
+
+        if (!result.success) {
+            return res.status(403).json({
+                success: false,
+                message: result.message,
+            });
+        }
+
+        const tasks = await GradingTask.findAll({
+            where: { id: result.tasks.map(t => t.id) },
+            include: GRADER_INCLUDE,
+            order: [["createdAt", "ASC"]],
+        });
+
+        res.status(200).json({
+            success: true,
+            message: tasks.length > 0 ? `Claimed ${tasks.length} task(s)` : "No tasks waiting in the queue",
+            tasks: tasks.map(toGraderView),
+        });
+    } catch (error) {
+        console.error("Error claiming grading tasks:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to claim grading tasks",
+        });
+    }
+};
+
+// One task; moderators also see both earlier grades, without grader names
+export const getGradingTask = async (req, res) => {
+    try {
+        const task = await GradingTask.findOne({
+            where: { id: req.params.taskId, graderId: req.user.userId },
+            include: GRADER_INCLUDE,
+        });
+
+        if (!task) {
+            return res.status(404).json({
+                success: false,
+                message: "Grading task not found",
+            });
+        }
+
+        const data = toGraderView(task);
+
+        if (task.kind === "MODERATION") {
+            data.grades = await GradingTask.findAll({
+                where: { studentAnswerId: task.studentAnswerId, kind: ["FIRST", "SECOND"] },
+                attributes: ["kind", "marksAwarded", "comments", "gradedAt"],
+                order: [["kind", "ASC"]],
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            task: data,
+        });
+    } catch (error) {
+        console.error("Error fetching grading task:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to fetch grading task",
+        });
+    }
+};
+
+// Submit marks and comments for an assigned task
+export const gradeTask = async (req, res) => {
+    try {
+        const { taskId } = req.params;
+        const { marks, comments } = req.body;
+
+        if (comments && String(comments).length > MAX_COMMENT_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                message: `Comments must be at most ${MAX_COMMENT_LENGTH} characters`,
+            });
+        }
+
+        const result = await submitGrade({
+            taskId,
+            graderId: req.user.userId,
+            marks,
+            comments,
+        });
+
+        if (!result.success) {
+            return res.status(GRADE_ERROR_STATUS[result.error] || 400).json({
+                success: false,
+                message: result.message,
+            });
+        }
+
+        const { task, gradingStatus, finalMarks, attemptScore } = result.data;
+
+        await recordAudit({
+            actorId: req.user.userId,
+            action: "ANSWER_GRADED",
+            entityType: "GradingTask",
+            entityId: task.id,
+            metadata: {
+                examId: task.examId,
+                studentAnswerId: task.studentAnswerId,
+                kind: task.kind,
+                marksAwarded: task.marksAwarded,
+                gradingStatus,
+            },
+            ipAddress: req.ip,
+        });
+
+        res.status(200).json({
+            success: true,
+            message: gradingStatus === "MODERATION"
+                ? "Grade recorded. The two grades differ too much; the answer has been sent for moderation"
+                : "Grade recorded",
+            gradingStatus,
+            finalMarks,
+            attemptScoreUpdated: !!attemptScore,
+        });
+    } catch (error) {
+        console.error("Error submitting grade:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to submit grade",
+        });
+    }
+};
+
+// Give an ungraded task back to the queue
+export const releaseTask = async (req, res) => {
+    try {
+        const result = await releaseGradingTask(req.params.taskId, req.user.userId);
+
+        if (!result.success) {
+            return res.status(404).json({
+                success: false,
+                message: result.message,
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: "Task returned to the queue",
+        });
+    } catch (error) {
+        console.error("Error releasing grading task:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to release grading task",
+        });
+    }
+};
+
+/* ---------------- ADMIN ---------------- */
+
+// Distribute an exam's unassigned tasks across graders
+export const assignTasks = async (req, res) => {
+    try {
+        const { examId } = req.params;
+        const { graderIds, kind, limitPerGrader } = req.body;
+
+        if (!Array.isArray(graderIds) || graderIds.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: "graderIds must be a non-empty array",
+            });
+        }
+
+        if (kind && !GRADING_TASK_KINDS.includes(kind)) {
+            return res.status(400).json({
+                success: false,
+                message: `kind must be one of ${GRADING_TASK_KINDS.join(", ")}`,
+            });
+        }
+
+        if (limitPerGrader !== undefined && limitPerGrader !== null
+            && (!Number.isInteger(limitPerGrader) || limitPerGrader < 1)) {
+            return res.status(400).json({
+                success: false,
+                message: "limitPerGrader must be a positive integer",
+            });
+        }
+
+        const exam = await Exam.findByPk(examId, { attributes: ["id"] });
+
+        if (!exam) {
+            return res.status(404).json({
+                success: false,
+                message: "Exam not found",
+            });
+        }
+
+        const result = await assignGradingTasks({
+            examId,
+            graderIds: [...new Set(graderIds)],
+            kind,
+            limitPerGrader: limitPerGrader ?? null,
+        });
+
+        if (!result.success) {
+            return res.status(400).json({
+                success: false,
+                message: result.message,
+            });
+        }
+
+        await recordAudit({
+            actorId: req.user.userId,
+            action: "GRADING_ASSIGNED",
+            entityType: "Exam",
+            entityId: examId,
+            metadata: { graderIds, kind: kind ?? null, ...result.data },
+            ipAddress: req.ip,
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `Assigned ${result.data.assigned} task(s)`,
+            ...result.data,
+        });
+    } catch (error) {
+        console.error("Error assigning grading tasks:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to assign grading tasks",
+        });
+    }
+};
+
+// Task and answer counts for an exam
+export const getExamGradingProgress = async (req, res) => {
+    try {
+        const { examId } = req.params;
+
+        const exam = await Exam.findByPk(examId, {
+            attributes: ["id", "title", "doubleBlindGrading", "moderationThreshold"],
+        });
+
+        if (!exam) {
+            return res.status(404).json({
+                success: false,
+                message: "Exam not found",
+            });
+        }
+
+        const progress = await getGradingProgress(examId);
+
+        res.status(200).json({
+            success: true,
+            exam,
+            ...progress,
+        });
+    } catch (error) {
+        console.error("Error fetching grading progress:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to fetch grading progress",
+        });
+    }
+};
+
+// All tasks with their graders (filters: examId, status, kind, graderId)
+export const listGradingTasks = async (req, res) => {
+    try {
+        const { examId, status, kind, graderId } = req.query;
+        const { page, limit, offset } = parsePaging(req.query);
+
+        const where = {};
+        if (examId) where.examId = examId;
+        if (status) where.status = status;
+        if (kind) where.kind = kind;
+        if (graderId) where.graderId = graderId;
+
+        const { count, rows } = await GradingTask.findAndCountAll({
+            where,
+            include: [
+                { model: User, as: "grader", attributes: ["id", "fullName", "email"] },
+                { model: Question, as: "question", attributes: ["id", "statement"] },
+            ],
+            order: [["createdAt", "ASC"]],
+            limit,
+            offset,
+        });
+
+        res.status(200).json({
+            success: true,
+            tasks: rows,
+            pagination: {
+                totalItems: count,
+                totalPages: Math.ceil(count / limit),
+                currentPage: page,
+                limit,
+            },
+        });
+    } catch (error) {
+        console.error("Error listing grading tasks:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to list grading tasks",
+        });
+    }
+};
@@ -0,0 +1,56 @@
+import express from "express";
+import {
+    getMyGradingTasks,
+    claimTasks,
+    getGradingTask,
+    gradeTask,
+    releaseTask,
+    assignTasks,
+    getExamGradingProgress,
+    listGradingTasks,
+} from "./grading.controller.js";
+import { requireAuth, requireEmailVerified } from "../../middlewares/auth.middleware.js";
+import requireRole from "../../middlewares/role.middleware.js";
+
+const router = express.Router();
+const adminRouter = express.Router();
+
+router.use(requireAuth);
+router.use(requireEmailVerified);
+router.use(requireRole("GRADER", "ADMIN"));
+
+/* ---------------- ADMIN ---------------- */
+
+adminRouter.use(requireRole("ADMIN"));
+
+// Query: examId, status, kind, graderId, page, limit
+adminRouter.get("/tasks", listGradingTasks);
+adminRouter.get("/exams/:examId/progress", getExamGradingProgress);
+
+/**
+ * Body:
+ * {
+ *   graderIds: string[]
+ *   kind?: "FIRST" | "SECOND" | "MODERATION" (default: FIRST and SECOND)
+ *   limitPerGrader?: number
+ * }
+ */
+adminRouter.post("/exams/:examId/assign", assignTasks);
+
+router.use("/admin", adminRouter);
+
+/* ---------------- GRADER ---------------- */
+
+// Query: status = ASSIGNED | SUBMITTED, examId, page, limit
+router.get("/tasks", getMyGradingTasks);
+
+// Body: { examId?, kind?, limit? }
+router.post("/tasks/claim", claimTasks);
+
+router.get("/tasks/:taskId", getGradingTask);
+
+// Body: { marks: number, comments?: string }
+router.post("/tasks/:taskId/grade", gradeTask);
+router.post("/tasks/:taskId/release", releaseTask);
+
+export default router;
@@ -0,0 +1,101 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../../config/db.js";
+
+/**
+ * GradingTask Model
+ *
+ * One unit of manual grading work for a SUBJECTIVE answer. Every answer gets
+ * a FIRST task; double-blind exams add a SECOND task for a different grader,
+ * and a MODERATION task when the two grades disagree too much.
+ */
+const GradingTask = sequelize.define(
+    "GradingTask",
+    {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true,
+        },
+
+        examId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+        },
+
+        attemptId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+        },
+
+        studentAnswerId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+        },
+
+        questionId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+        },
+
+        kind: {
+            type: DataTypes.ENUM("FIRST", "SECOND", "MODERATION"),
+            allowNull: false,
+        },
+
+        // Marks available for the answer (ExamQuestion.marksForEachQuestion at task creation)
+        maxMarks: {
+            type: DataTypes.FLOAT,
+            allowNull: false,
+        },
+
+        graderId: {
+            type: DataTypes.UUID,
+            allowNull: true,
+        },
+
+        status: {
+            type: DataTypes.ENUM("UNASSIGNED", "ASSIGNED", "SUBMITTED"),
+            allowNull: false,
+            defaultValue: "UNASSIGNED",
+        },
+
+        marksAwarded: {
+            type: DataTypes.FLOAT,
+            allowNull: true,
+        },
+
+        comments: {
+            type: DataTypes.TEXT,
+            allowNull: true,
+        },
+
+        assignedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+        },
+
+        gradedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+        },
+    },
+    {
+        tableName: "grading_tasks",
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            {
+                unique: true,
+                fields: ["student_answer_id", "kind"],
+            },
+            {
+                fields: ["exam_id", "status"],
+            },
+            {
+                fields: ["grader_id", "status"],
+            },
+        ],
+    }
+);
+
+export default GradingTask;
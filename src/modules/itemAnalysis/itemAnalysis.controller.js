@@ -0,0 +1,113 @@
+import { Op } from "sequelize";
+import { Question, QuestionStatistic } from "../association/index.js";
+import { computeItemStatistics, isItemAnalysisRunning, MIN_EXAMINEES } from "../../services/itemAnalysis.service.js";
+
+const FLAGS = ["DIFFICULTY_MISMATCH", "NEGATIVE_DISCRIMINATION"];
+const SORT_FIELDS = ["discrimination", "pValue", "examineeCount", "computedAt"];
+
+// Item analysis report (query: flagged, flag, domain, difficulty, minExaminees, sortBy, order, page, limit)
+export const getItemAnalysisReport = async (req, res) => {
+    try {
+        let { flagged, flag, domain, difficulty, minExaminees, sortBy = "discrimination", order = "ASC", page = 1, limit = 20 } = req.query;
+        page = Math.max(parseInt(page, 10) || 1, 1);
+        limit = Math.min(parseInt(limit, 10) || 20, 100);
+        order = String(order).toUpperCase() === "DESC" ? "DESC" : "ASC";
+
+        if (!SORT_FIELDS.includes(sortBy)) {
+            return res.status(400).json({
+                success: false,
+                message: `sortBy must be one of ${SORT_FIELDS.join(", ")}`,
+            });
+        }
+
+        const where = {};
+
+        if (flag) {
+            flag = flag.toUpperCase();
+
+            if (!FLAGS.includes(flag)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `flag must be one of ${FLAGS.join(", ")}`,
+                });
+            }
+
+            where.flags = { [Op.contains]: [flag] };
+        } else if (flagged === "true") {
+            where.flags = { [Op.ne]: [] };
+        }
+
+        if (minExaminees !== undefined) {
+            where.examineeCount = { [Op.gte]: parseInt(minExaminees, 10) || 0 };
+        }
+
+        const questionWhere = {};
+        if (domain) questionWhere.domain = domain.toLowerCase();
+        if (difficulty) questionWhere.difficulty = difficulty.toUpperCase();
+
+        const { rows: statistics, count: total } = await QuestionStatistic.findAndCountAll({
+            where,
+            include: [{
+                model: Question,
+                as: "question",
+                attributes: ["id", "statement", "questionType", "domain", "difficulty"],
+                where: questionWhere,
+            }],
+            // Questions without a coefficient (no variation) sort last either way
+            order: [[sortBy, `${order} NULLS LAST`], ["questionId", "ASC"]],
+            limit,
+            offset: (page - 1) * limit,
+        });
+
+        const lastComputedAt = await QuestionStatistic.max("computedAt");
+
+        res.status(200).json({
+            success: true,
+            summary: {
+                lastComputedAt,
+                minExaminees: MIN_EXAMINEES,
+                running: isItemAnalysisRunning(),
+            },
+            pagination: {
+                totalItems: total,
+                totalPages: Math.ceil(total / limit),
+                currentPage: page,
+                limit,
+            },
+            statistics,
+        });
+    } catch (error) {
+        console.error("Error fetching item analysis:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to fetch item analysis",
+        });
+    }
+};
+
+// Recompute every question's statistics now, instead of waiting for the nightly run
+export const recomputeItemAnalysis = async (req, res) => {
+    try {
+        if (isItemAnalysisRunning()) {
+            return res.status(409).json({
+                success: false,
+                message: "Item analysis is already running",
+            });
+        }
+
+        computeItemStatistics().catch(error => {
+            console.error("Item analysis failed:", error.message);
+        });
+
+        res.status(202).json({
+            success: true,
+            message: "Item analysis started",
+        });
+    } catch (error) {
+        console.error("Error starting item analysis:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to start item analysis",
+        });
+    }
+};
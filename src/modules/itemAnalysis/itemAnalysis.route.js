@@ -0,0 +1,28 @@
+import express from "express";
+import { getItemAnalysisReport, recomputeItemAnalysis } from "./itemAnalysis.controller.js";
+import { requireAuth, requireEmailVerified } from "../../middlewares/auth.middleware.js";
+import requireRole from "../../middlewares/role.middleware.js";
+
+const router = express.Router();
+
+router.use(requireAuth);
+router.use(requireEmailVerified);
+router.use(requireRole("ADMIN"));
+
+/**
+ * Per-question statistics from the last run
+ * Query:
+ *   flagged?: "true" - only questions with a flag
+ *   flag?: "DIFFICULTY_MISMATCH" | "NEGATIVE_DISCRIMINATION"
+ *   domain?, difficulty?: filter on the question
+ *   minExaminees?: number
+ *   sortBy?: "discrimination" (default) | "pValue" | "examineeCount" | "computedAt"
+ *   order?: "ASC" (default) | "DESC"
+ *   page?, limit?
+ */
+router.get("/", getItemAnalysisReport);
+
+// Start a recompute in the background; 409 while one is running
+router.post("/recompute", recomputeItemAnalysis);
+
+export default router;
@@ -0,0 +1,95 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../../config/db.js";
+
+/**
+ * QuestionStatistic Model
+ *
+ * Classical item analysis of one question across every scored attempt of
+ * every exam that used it, recomputed by the item-analysis job (see
+ * itemAnalysis.service). Questions nobody has sat yet have no row.
+ */
+const QuestionStatistic = sequelize.define(
+    "QuestionStatistic",
+    {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true,
+        },
+
+        questionId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+        },
+
+        // Scored attempts whose paper contained the question
+        examineeCount: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0,
+        },
+
+        // Of those, how many gave an answer
+        attemptedCount: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0,
+        },
+
+        // Of those, how many got full credit
+        correctCount: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0,
+        },
+
+        // Difficulty index: mean share of the marks earned per examinee (0-1, higher = easier)
+        pValue: {
+            type: DataTypes.FLOAT,
+            allowNull: true,
+        },
+
+        // Point-biserial correlation between the item score and the rest of the paper (-1 to 1)
+        discrimination: {
+            type: DataTypes.FLOAT,
+            allowNull: true,
+        },
+
+        // Band the p-value falls in; null below the minimum sample
+        empiricalDifficulty: {
+            type: DataTypes.ENUM("EASY", "MEDIUM", "HARD"),
+            allowNull: true,
+        },
+
+        // Distractor analysis: [{ optionId, order, isCorrect, count, proportion, discrimination }]
+        optionStats: {
+            type: DataTypes.JSON,
+            allowNull: true,
+        },
+
+        // DIFFICULTY_MISMATCH, NEGATIVE_DISCRIMINATION
+        flags: {
+            type: DataTypes.ARRAY(DataTypes.STRING),
+            allowNull: false,
+            defaultValue: [],
+        },
+
+        computedAt: {
+            type: DataTypes.DATE,
+            allowNull: false,
+        },
+    },
+    {
+        tableName: "question_statistics",
+        timestamps: false,
+        underscored: true,
+        indexes: [
+            {
+                unique: true,
+                fields: ["question_id"],
+            },
+        ],
+    }
+);
+
+export default QuestionStatistic;
@@ -0,0 +1,572 @@
+import { Op } from "sequelize";
+import sequelize from "../../config/db.js";
+import {
+    KeyChallenge,
+    Exam,
+    ExamAttempt,
+    ExamQuestion,
+    Question,
+    Option,
+    User,
+} from "../association/index.js";
+import { getChallengeWindow, isValidChallengeWindow } from "../../utils/examTime.util.js";
+import { normalizeKeyOverride } from "../../utils/marking.util.js";
+import { resolveExamQuestions } from "../../services/questionVersion.service.js";
+import { recordAudit, diffFields } from "../../services/audit.service.js";
+import { startRescoringRun } from "../../services/rescoring.service.js";
+import { matchesDeclaredType } from "../../utils/fileType.util.js";
+
+const ALLOWED_ATTACHMENT_TYPES = ["image/png", "image/jpeg", "application/pdf"];
+const MAX_JUSTIFICATION_LENGTH = 5000;
+const STATUSES = ["PENDING", "ACCEPTED", "REJECTED"];
+
+// Never send file contents in listings
+const CHALLENGE_ATTRIBUTES = { exclude: ["attachmentData"] };
+
+const toChallengeResponse = (challenge) => {
+    const data = challenge.toJSON();
+    return {
+        ...data,
+        hasAttachment: !!data.attachmentName,
+    };
+};
+
+// File a challenge against one question of an exam (student, during the challenge window)
+export const fileChallenge = async (req, res) => {
+    try {
+        const { examId } = req.params;
+        const { questionId, justification } = req.body;
+        const userId = req.user.userId;
+
+        if (!questionId || !justification || !String(justification).trim()) {
+            return res.status(400).json({
+                success: false,
+                message: "questionId and justification are required",
+            });
+        }
+
+        if (String(justification).length > MAX_JUSTIFICATION_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                message: `Justification must be at most ${MAX_JUSTIFICATION_LENGTH} characters`,
+            });
+        }
+
+        if (req.file && (!ALLOWED_ATTACHMENT_TYPES.includes(req.file.mimetype) || !matchesDeclaredType(req.file))) {
+            return res.status(400).json({
+                success: false,
+                message: "Attachment must be a PNG, JPEG or PDF file",
+            });
+        }
+
+        const exam = await Exam.findByPk(examId, {
+            attributes: ["id", "endTime", "challengeWindowHours"],
+        });
+
+        if (!exam) {
+            return res.status(404).json({ success: false, message: "Exam not found" });
+        }
+
+        const window = getChallengeWindow(exam);
+        const now = new Date();
+
+        if (!window) {
+            return res.status(400).json({
+                success: false,
+                message: "Answer-key challenges are not enabled for this exam",
+            });
+        }
+
+        if (now < window.opensAt) {
+            return res.status(400).json({
+                success: false,
+                message: "The challenge window opens after the exam ends",
+                opensAt: window.opensAt,
+            });
+        }
+
+        if (now > window.closesAt) {
+            return res.status(400).json({
+                success: false,
+                message: "The challenge window has closed",
+                closedAt: window.closesAt,
+            });
+        }
+
+        const attempt = await ExamAttempt.findOne({
+            where: { examId, userId, status: { [Op.ne]: "IN_PROGRESS" } },
+            attributes: ["id", "paperSetId"],
+            order: [["attemptNumber", "DESC"]],
+        });
+
+        if (!attempt) {
+            return res.status(403).json({
+                success: false,
+                message: "Only students with a submitted attempt can file challenges",
+            });
+        }
+
+        const examQuestion = await ExamQuestion.findOne({
+            where: { examId, questionId, paperSetId: attempt.paperSetId ?? null },
+            attributes: ["id", "questionId"],
+        });
+
+        if (!examQuestion) {
+            return res.status(404).json({
+                success: false,
+                message: "Question is not part of this exam",
+            });
+        }
+
+        const challenge = await KeyChallenge.create({
+            examId,
+            examQuestionId: examQuestion.id,
+            questionId,
+            attemptId: attempt.id,
+            userId,
+            justification: String(justification).trim(),
+            ...(req.file && {
+                attachmentData: req.file.buffer,
+                attachmentName: req.file.originalname,
+                attachmentMimeType: req.file.mimetype,
+                attachmentSize: req.file.size,
+            }),
+        });
+
+        const { attachmentData, ...saved } = challenge.toJSON();
+
+        res.status(201).json({
+            success: true,
+            message: "Challenge submitted",
+            challenge: { ...saved, hasAttachment: !!saved.attachmentName },
+        });
+    } catch (error) {
+        if (error.name === "SequelizeUniqueConstraintError") {
+            return res.status(409).json({
+                success: false,
+                message: "You have already challenged this question",
+            });
+        }
+
+        console.error("Error filing challenge:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to submit challenge",
+        });
+    }
+};
+
+// List my challenges for an exam, with the window status
+export const getMyChallenges = async (req, res) => {
+    try {
+        const { examId } = req.params;
+
+        const exam = await Exam.findByPk(examId, {
+            attributes: ["id", "endTime", "challengeWindowHours"],
+        });
+
+        if (!exam) {
+            return res.status(404).json({ success: false, message: "Exam not found" });
+        }
+
+        const challenges = await KeyChallenge.findAll({
+            where: { examId, userId: req.user.userId },
+            attributes: CHALLENGE_ATTRIBUTES,
+            order: [["createdAt", "DESC"]],
+        });
+
+        const window = getChallengeWindow(exam);
+        const now = new Date();
+
+        res.status(200).json({
+            success: true,
+            window: window
+                ? { ...window, isOpen: now >= window.opensAt && now <= window.closesAt }
+                : null,
+            challenges: challenges.map(toChallengeResponse),
+        });
+    } catch (error) {
+        console.error("Error fetching challenges:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to fetch challenges",
+        });
+    }
+};
+
+// Download a challenge attachment (the student who filed it, or an admin)
+export const getChallengeAttachment = async (req, res) => {
+    try {
+        const { challengeId } = req.params;
+
+        const challenge = await KeyChallenge.findByPk(challengeId, {
+            attributes: ["id", "userId", "attachmentData", "attachmentName", "attachmentMimeType"],
+        });
+
+        if (!challenge || (challenge.userId !== req.user.userId && req.user.role !== "ADMIN")) {
+            return res.status(404).json({ success: false, message: "Challenge not found" });
+        }
+
+        if (!challenge.attachmentData) {
+            return res.status(404).json({ success: false, message: "No attachment for this challenge" });
+        }
+
+        res.set({
+            "Content-Type": challenge.attachmentMimeType,
+            "Content-Disposition": `attachment; filename="${encodeURIComponent(challenge.attachmentName)}"`,
+        });
+
+        res.status(200).send(challenge.attachmentData);
+    } catch (error) {
+        console.error("Error fetching challenge attachment:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to fetch attachment",
+        });
+    }
+};
+
+// Admin review queue (query: examId, status, questionId, page, limit)
+export const listChallenges = async (req, res) => {
+    try {
+        let { examId, status = "PENDING", questionId, page = 1, limit = 20 } = req.query;
+        page = Math.max(parseInt(page, 10) || 1, 1);
+        limit = Math.min(parseInt(limit, 10) || 20, 100);
+        const offset = (page - 1) * limit;
+
+        const where = {};
+        if (examId) where.examId = examId;
+        if (questionId) where.questionId = questionId;
+        if (status !== "ALL") {
+            if (!STATUSES.includes(status)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `status must be one of ${STATUSES.join(", ")}, ALL`,
+                });
+            }
+            where.status = status;
+        }
+
+        const { rows, count: total } = await KeyChallenge.findAndCountAll({
+            where,
+            attributes: CHALLENGE_ATTRIBUTES,
+            include: [
+                { model: User, as: "user", attributes: ["id", "fullName", "email"] },
+                { model: Question, as: "question", attributes: ["id", "statement", "questionType"] },
+                { model: ExamQuestion, as: "examQuestion", attributes: ["id", "questionOrder", "keyOverride"] },
+            ],
+            order: [["createdAt", "ASC"]],
+            limit,
+            offset,
+        });
+
+        res.status(200).json({
+            success: true,
+            pagination: {
+                totalItems: total,
+                totalPages: Math.ceil(total / limit),
+                currentPage: page,
+                limit,
+            },
+            data: rows.map(toChallengeResponse),
+        });
+    } catch (error) {
+        console.error("Error listing challenges:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to list challenges",
+        });
+    }
+};
+
+// Challenge counts per question of an exam
+export const getChallengeSummary = async (req, res) => {
+    try {
+        const { examId } = req.params;
+
+        const exam = await Exam.findByPk(examId, {
+            attributes: ["id", "title", "endTime", "challengeWindowHours"],
+        });
+
+        if (!exam) {
+            return res.status(404).json({ success: false, message: "Exam not found" });
+        }
+
+        const counts = await KeyChallenge.findAll({
+            where: { examId },
+            attributes: [
+                "examQuestionId",
+                "status",
+                [sequelize.fn("COUNT", sequelize.col("id")), "count"],
+            ],
+            group: ["examQuestionId", "status"],
+            raw: true,
+        });
+
+        const examQuestions = await ExamQuestion.findAll({
+            where: { examId, id: [...new Set(counts.map(c => c.examQuestionId))] },
+            attributes: ["id", "questionId", "questionOrder", "keyOverride"],
+        });
+
+        const byQuestion = new Map(
+            examQuestions.map(eq => [eq.id, {
+                examQuestionId: eq.id,
+                questionId: eq.questionId,
+                questionOrder: eq.questionOrder,
+                keyOverride: eq.keyOverride,
+                pending: 0,
+                accepted: 0,
+                rejected: 0,
+                total: 0,
+            }])
+        );
+
+        for (const row of counts) {
+            const entry = byQuestion.get(row.examQuestionId);
+            if (!entry) continue;
+            const count = parseInt(row.count, 10);
+            entry[row.status.toLowerCase()] += count;
+            entry.total += count;
+        }
+
+        const questions = [...byQuestion.values()].sort(
+            (a, b) => b.pending - a.pending || a.questionOrder - b.questionOrder
+        );
+
+        res.status(200).json({
+            success: true,
+            exam: { id: exam.id, title: exam.title },
+            window: getChallengeWindow(exam),
+            questions,
+        });
+    } catch (error) {
+        console.error("Error fetching challenge summary:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to fetch challenge summary",
+        });
+    }
+};
+
+/**
+ * Accept or reject a challenge
+ * Accepting with a keyOverride corrects the key for the exam question; with
+ * rescore=true a rescoring run is started for the exam afterwards.
+ * applyToPending resolves every other pending challenge on the same question the same way.
+ */
+export const reviewChallenge = async (req, res) => {
+    const transaction = await sequelize.transaction();
+
+    try {
+        const { challengeId } = req.params;
+        const { decision, note, keyOverride, applyToPending = false, rescore = false } = req.body;
+
+        if (!["ACCEPT", "REJECT"].includes(decision)) {
+            await transaction.rollback();
+            return res.status(400).json({
+                success: false,
+                message: "decision must be ACCEPT or REJECT",
+            });
+        }
+
+        if (decision === "REJECT" && keyOverride !== undefined) {
+            await transaction.rollback();
+            return res.status(400).json({
+                success: false,
+                message: "keyOverride can only be given when accepting",
+            });
+        }
+
+        const challenge = await KeyChallenge.findByPk(challengeId, {
+            attributes: CHALLENGE_ATTRIBUTES,
+            include: [
+                {
+                    model: ExamQuestion,
+                    as: "examQuestion",
+                    include: [
+                        {
+                            model: Question,
+                            as: "question",
+                            attributes: ["id", "questionType"],
+                            include: [{ model: Option, as: "options", attributes: ["id"] }],
+                        },
+                    ],
+                },
+            ],
+            transaction,
+            lock: { level: transaction.LOCK.UPDATE, of: KeyChallenge },
+        });
+
+        if (!challenge) {
+            await transaction.rollback();
+            return res.status(404).json({ success: false, message: "Challenge not found" });
+        }
+
+        if (challenge.status !== "PENDING") {
+            await transaction.rollback();
+            return res.status(409).json({
+                success: false,
+                message: `Challenge already ${challenge.status.toLowerCase()}`,
+            });
+        }
+
+        let override = null;
+
+        if (keyOverride !== undefined && keyOverride !== null) {
+            // Validated against the version the exam is pinned to
+            const pinned = await resolveExamQuestions([challenge.examQuestion], transaction);
+            const normalized = normalizeKeyOverride(keyOverride, pinned.get(challenge.examQuestion.questionId));
+
+            if (normalized.errors.length > 0) {
+                await transaction.rollback();
+                return res.status(400).json({
+                    success: false,
+                    message: "Invalid key override",
+                    errors: normalized.errors,
+                });
+            }
+
+            override = normalized.override;
+        }
+
+        const status = decision === "ACCEPT" ? "ACCEPTED" : "REJECTED";
+        const review = {
+            status,
+            reviewedBy: req.user.userId,
+            reviewedAt: new Date(),
+            reviewNote: note ?? null,
+            resolution: override,
+        };
+
+        const ids = [challenge.id];
+
+        if (applyToPending) {
+            // The same question in every paper set
+            const siblings = await KeyChallenge.findAll({
+                where: {
+                    examId: challenge.examId,
+                    questionId: challenge.questionId,
+                    status: "PENDING",
+                    id: { [Op.ne]: challenge.id },
+                },
+                attributes: ["id"],
+                transaction,
+            });
+            ids.push(...siblings.map(s => s.id));
+        }
+
+        await KeyChallenge.update(review, { where: { id: ids }, transaction });
+
+        if (override) {
+            const examQuestion = challenge.examQuestion;
+            const before = { keyOverride: examQuestion.keyOverride };
+
+            // Every paper set carrying the question gets the corrected key
+            await ExamQuestion.update(
+                { keyOverride: override },
+                { where: { examId: challenge.examId, questionId: challenge.questionId }, transaction }
+            );
+
+            await recordAudit(
+                {
+                    actorId: req.user.userId,
+                    action: "EXAM_KEY_OVERRIDDEN",
+                    entityType: "Exam",
+                    entityId: challenge.examId,
+                    changes: diffFields(before, { keyOverride: override }, ["keyOverride"]),
+                    metadata: { questionId: challenge.questionId, challengeId: challenge.id },
+                    ipAddress: req.ip,
+                },
+                { transaction }
+            );
+        }
+
+        await recordAudit(
+            {
+                actorId: req.user.userId,
+                action: status === "ACCEPTED" ? "KEY_CHALLENGE_ACCEPTED" : "KEY_CHALLENGE_REJECTED",
+                entityType: "KeyChallenge",
+                entityId: challenge.id,
+                metadata: { examId: challenge.examId, questionId: challenge.questionId, resolvedChallengeIds: ids },
+                ipAddress: req.ip,
+            },
+            { transaction }
+        );
+
+        await transaction.commit();
+
+        // Feed the corrected key into a rescoring run
+        let rescoring = null;
+        if (decision === "ACCEPT" && rescore) {
+            const result = await startRescoringRun({
+                examId: challenge.examId,
+                triggeredBy: req.user.userId,
+                reason: `Accepted key challenge ${challenge.id}`,
+            });
+
+            rescoring = result.success
+                ? { started: true, runId: result.run.id, queued: result.queued }
+                : { started: false, message: result.message, ...(result.runId && { runId: result.runId }) };
+        }
+
+        res.status(200).json({
+            success: true,
+            message: `Challenge ${status.toLowerCase()}`,
+            resolvedCount: ids.length,
+            keyOverride: override,
+            rescoring,
+        });
+    } catch (error) {
+        await transaction.rollback();
+        console.error("Error reviewing challenge:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to review challenge",
+        });
+    }
+};
+
+// Open, extend or disable the challenge window of an exam (any state)
+export const updateChallengeWindow = async (req, res) => {
+    try {
+        const { examId } = req.params;
+        const { challengeWindowHours } = req.body;
+
+        if (challengeWindowHours === undefined || !isValidChallengeWindow(challengeWindowHours)) {
+            return res.status(400).json({
+                success: false,
+                message: "challengeWindowHours must be a positive integer or null",
+            });
+        }
+
+        const exam = await Exam.findByPk(examId);
+
+        if (!exam) {
+            return res.status(404).json({ success: false, message: "Exam not found" });
+        }
+
+        const before = { challengeWindowHours: exam.challengeWindowHours };
+        await exam.update({ challengeWindowHours });
+
+        await recordAudit({
+            actorId: req.user.userId,
+            action: "EXAM_CHALLENGE_WINDOW_UPDATED",
+            entityType: "Exam",
+            entityId: exam.id,
+            changes: diffFields(before, { challengeWindowHours }, ["challengeWindowHours"]),
+            ipAddress: req.ip,
+        });
+
+        res.status(200).json({
+            success: true,
+            message: "Challenge window updated",
+            window: getChallengeWindow(exam),
+        });
+    } catch (error) {
+        console.error("Error updating challenge window:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to update challenge window",
+        });
+    }
+};
@@ -0,0 +1,114 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../../config/db.js";
+
+/**
+ * KeyChallenge Model
+ *
+ * A student's dispute of the answer key for one exam question, filed during
+ * the exam's challenge window. Accepting a challenge can apply a key override
+ * to the exam question and start a rescoring run.
+ */
+const KeyChallenge = sequelize.define(
+    "KeyChallenge",
+    {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true,
+        },
+
+        examId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+        },
+
+        examQuestionId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+        },
+
+        questionId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+        },
+
+        attemptId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+        },
+
+        userId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+        },
+
+        justification: {
+            type: DataTypes.TEXT,
+            allowNull: false,
+        },
+
+        // Optional supporting file, kept in the row (small images / PDFs only)
+        attachmentData: {
+            type: DataTypes.BLOB,
+            allowNull: true,
+        },
+
+        attachmentName: {
+            type: DataTypes.STRING,
+            allowNull: true,
+        },
+
+        attachmentMimeType: {
+            type: DataTypes.STRING,
+            allowNull: true,
+        },
+
+        attachmentSize: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+        },
+
+        status: {
+            type: DataTypes.ENUM("PENDING", "ACCEPTED", "REJECTED"),
+            allowNull: false,
+            defaultValue: "PENDING",
+        },
+
+        reviewedBy: {
+            type: DataTypes.UUID,
+            allowNull: true,
+        },
+
+        reviewedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+        },
+
+        reviewNote: {
+            type: DataTypes.TEXT,
+            allowNull: true,
+        },
+
+        // Key override applied when the challenge was accepted, if any
+        resolution: {
+            type: DataTypes.JSON,
+            allowNull: true,
+        },
+    },
+    {
+        tableName: "key_challenges",
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            {
+                unique: true,
+                fields: ["attempt_id", "exam_question_id"], // one challenge per question per attempt
+            },
+            {
+                fields: ["exam_id", "status"],
+            },
+        ],
+    }
+);
+
+export default KeyChallenge;
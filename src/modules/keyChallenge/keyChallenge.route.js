@@ -0,0 +1,67 @@
+import express from "express";
+import multer from "multer";
+import {
+    fileChallenge,
+    getMyChallenges,
+    getChallengeAttachment,
+    listChallenges,
+    getChallengeSummary,
+    reviewChallenge,
+    updateChallengeWindow,
+} from "./keyChallenge.controller.js";
+import { requireAuth, requireEmailVerified } from "../../middlewares/auth.middleware.js";
+import requireRole from "../../middlewares/role.middleware.js";
+
+const router = express.Router();
+const adminRouter = express.Router();
+
+router.use(requireAuth);
+router.use(requireEmailVerified);
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 2 * 1024 * 1024, // 2MB; screenshots or a scanned page
+    },
+});
+
+/* ---------------- ADMIN ---------------- */
+
+adminRouter.use(requireRole("ADMIN"));
+
+// Review queue (query: examId, status = PENDING | ACCEPTED | REJECTED | ALL, questionId, page, limit)
+adminRouter.get("/", listChallenges);
+adminRouter.get("/exams/:examId/summary", getChallengeSummary);
+
+// Body: { challengeWindowHours: number | null }
+adminRouter.put("/exams/:examId/window", updateChallengeWindow);
+
+/**
+ * Body:
+ * {
+ *   decision: "ACCEPT" | "REJECT"
+ *   note?: string
+ *   keyOverride?: { mode: "BONUS", awardTo } | { mode: "MULTIPLE_KEYS", acceptedOptionSets | acceptedNumerical }
+ *   applyToPending?: boolean (resolve other pending challenges on the same question)
+ *   rescore?: boolean (start a rescoring run after accepting)
+ * }
+ */
+adminRouter.post("/:challengeId/review", reviewChallenge);
+
+router.use("/admin", adminRouter);
+
+/* ---------------- STUDENT ---------------- */
+
+/**
+ * Body (multipart):
+ * {
+ *   questionId: string
+ *   justification: string
+ *   file?: File (PNG, JPEG or PDF)
+ * }
+ */
+router.post("/exams/:examId", upload.single("file"), fileChallenge);
+router.get("/exams/:examId/mine", getMyChallenges);
+router.get("/:challengeId/attachment", getChallengeAttachment);
+
+export default router;
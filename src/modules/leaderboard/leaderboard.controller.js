@@ -1,17 +1,23 @@
-import { ExamAttempt, User, UserProfile, Exam, ExamQuestion } from "../association/index.js";
+import { User, UserProfile, Exam, ExamQuestion } from "../association/index.js";
 import { Op } from "sequelize";
+import { rankExamCandidates } from "../../services/resultRelease.service.js";
+import { buildReleasedExamsWhere } from "../../utils/resultRelease.util.js";
 
 // Get top 5 scorers for the last exam that happened
 export const getTopScorers = async (req, res) => {
     try {
-        // Find the most recent exam that has ended
+        // Find the most recent exam that has ended and whose scores and ranks are released
+        // (practice exams are not ranked)
+        const now = new Date();
         const lastExam = await Exam.findOne({
             where: {
-                endTime: { [Op.lt]: new Date() },
-                state: 'PUBLISHED'
+                ...buildReleasedExamsWhere(now),
+                endTime: { [Op.lt]: now },
+                releaseScore: true,
+                releaseRank: true
             },
             order: [['endTime', 'DESC']],
-            attributes: ['id', 'title', 'startTime', 'endTime']
+            attributes: ['id', 'title', 'startTime', 'endTime', 'scoreAggregation']
         });
 
         if (!lastExam) {
@@ -21,51 +27,51 @@ export const getTopScorers = async (req, res) => {
             });
         }
 
-        // Calculate total marks for the exam
+        // Candidates with several attempts are ranked on their score under the exam's aggregation policy,
+        // and with paper sets on scores equated across sets
+        const { paperSets, candidates } = await rankExamCandidates(lastExam);
+
+        // Calculate total marks for the exam (every paper set carries the same total)
         const totalMarks = await ExamQuestion.sum('marksForEachQuestion', {
-            where: { examId: lastExam.id }
+            where: { examId: lastExam.id, paperSetId: paperSets.length > 0 ? paperSets[0].id : null }
         });
 
-        // Get total number of participants for this exam
-        const totalParticipants = await ExamAttempt.count({
-            where: {
-                examId: lastExam.id,
-                status: ['SUBMITTED', 'AUTO_SUBMITTED'],
-                score: { [Op.not]: null }
-            }
-        });
+        // Total number of participants for this exam
+        const totalParticipants = candidates.length;
+        const hasPaperSets = paperSets.length > 0;
 
-        // Get top 5 scorers for this exam
-        const topScorers = await ExamAttempt.findAll({
-            where: {
-                examId: lastExam.id,
-                status: ['SUBMITTED', 'AUTO_SUBMITTED'],
-                score: { [Op.not]: null }
-            },
+        const topScorers = candidates.slice(0, 5);
+
+        const users = await User.findAll({
+            where: { id: topScorers.map(candidate => candidate.userId) },
+            attributes: ['id', 'fullName'],
             include: [
                 {
-                    model: User,
-                    attributes: ['fullName'],
-                    include: [
-                        {
-                            model: UserProfile,
-                            as: 'profile',
-                            attributes: ['department', 'year']
-                        }
-                    ]
+                    model: UserProfile,
+                    as: 'profile',
+                    attributes: ['department', 'year']
                 }
-            ],
-            order: [['score', 'DESC']],
-            limit: 5
+            ]
         });
 
-        const leaderboard = topScorers.map((attempt, index) => ({
-            rank: index + 1,
-            name: attempt.User.fullName,
-            department: attempt.User.profile.department,
-            year: attempt.User.profile.year,
-            score: attempt.score
-        }));
+        const usersById = new Map(users.map(user => [user.id, user]));
+        const setLabels = new Map(paperSets.map(set => [set.id, set.label]));
+
+        const leaderboard = topScorers.map(candidate => {
+            const user = usersById.get(candidate.userId);
+
+            return {
+                rank: candidate.rank,
+                name: user.fullName,
+                department: user.profile.department,
+                year: user.profile.year,
+                score: candidate.score,
+                ...(hasPaperSets && {
+                    paperSet: setLabels.get(candidate.paperSetId) ?? null,
+                    normalizedScore: candidate.normalizedScore
+                })
+            };
+        });
 
         res.status(200).json({
             success: true,
@@ -0,0 +1,210 @@
+import sequelize from "../../config/db.js";
+import { MarkingScheme, Exam, ExamQuestion } from "../association/index.js";
+import { recordAudit } from "../../services/audit.service.js";
+import { normalizeMarkingRules, DEFAULT_MARKING_RULES } from "../../utils/marking.util.js";
+
+// Create a marking scheme (version 1)
+export const createMarkingScheme = async (req, res) => {
+    const transaction = await sequelize.transaction();
+
+    try {
+        const { name, description, rules } = req.body;
+
+        if (!name || typeof name !== "string") {
+            await transaction.rollback();
+            return res.status(400).json({
+                success: false,
+                message: "name is required",
+            });
+        }
+
+        const { rules: normalized, errors } = normalizeMarkingRules(rules);
+
+        if (errors.length > 0) {
+            await transaction.rollback();
+            return res.status(400).json({
+                success: false,
+                message: "Invalid marking rules",
+                errors,
+            });
+        }
+
+        const scheme = MarkingScheme.build({
+            name: name.trim(),
+            description: description ?? null,
+            rules: normalized,
+            version: 1,
+            createdBy: req.user.userId,
+        });
+        scheme.schemeKey = scheme.id;
+        await scheme.save({ transaction });
+
+        await recordAudit(
+            {
+                actorId: req.user.userId,
+                action: "MARKING_SCHEME_CREATED",
+                entityType: "MarkingScheme",
+                entityId: scheme.id,
+                metadata: { name: scheme.name, version: 1 },
+                ipAddress: req.ip,
+            },
+            { transaction }
+        );
+
+        await transaction.commit();
+
+        res.status(201).json({
+            success: true,
+            message: "Marking scheme created",
+            scheme,
+        });
+    } catch (error) {
+        await transaction.rollback();
+        console.error("Error creating marking scheme:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to create marking scheme",
+        });
+    }
+};
+
+// Publish a new version of an existing scheme; earlier versions stay untouched
+export const createMarkingSchemeVersion = async (req, res) => {
+    const transaction = await sequelize.transaction();
+
+    try {
+        const { schemeId } = req.params;
+        const { name, description, rules } = req.body;
+
+        const base = await MarkingScheme.findByPk(schemeId, { transaction });
+
+        if (!base) {
+            await transaction.rollback();
+            return res.status(404).json({
+                success: false,
+                message: "Marking scheme not found",
+            });
+        }
+
+        const { rules: normalized, errors } = normalizeMarkingRules(rules);
+
+        if (errors.length > 0) {
+            await transaction.rollback();
+            return res.status(400).json({
+                success: false,
+                message: "Invalid marking rules",
+                errors,
+            });
+        }
+
+        const latestVersion = await MarkingScheme.max("version", {
+            where: { schemeKey: base.schemeKey },
+            transaction,
+        });
+
+        const scheme = await MarkingScheme.create(
+            {
+                schemeKey: base.schemeKey,
+                version: latestVersion + 1,
+                name: name?.trim() || base.name,
+                description: description !== undefined ? description : base.description,
+                rules: normalized,
+                createdBy: req.user.userId,
+            },
+            { transaction }
+        );
+
+        await recordAudit(
+            {
+                actorId: req.user.userId,
+                action: "MARKING_SCHEME_VERSIONED",
+                entityType: "MarkingScheme",
+                entityId: scheme.id,
+                metadata: { schemeKey: scheme.schemeKey, version: scheme.version, previousVersionId: base.id },
+                ipAddress: req.ip,
+            },
+            { transaction }
+        );
+
+        await transaction.commit();
+
+        res.status(201).json({
+            success: true,
+            message: `Marking scheme version ${scheme.version} created`,
+            scheme,
+        });
+    } catch (error) {
+        await transaction.rollback();
+        console.error("Error versioning marking scheme:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to create marking scheme version",
+        });
+    }
+};
+
+// List the latest version of every scheme
+export const listMarkingSchemes = async (req, res) => {
+    try {
+        const schemes = await MarkingScheme.findAll({
+            order: [["schemeKey", "ASC"], ["version", "DESC"]],
+        });
+
+        // Newest version first within each key; a rename in a later version must not hide it
+        const latest = new Map();
+        for (const scheme of schemes) {
+            if (!latest.has(scheme.schemeKey)) latest.set(scheme.schemeKey, scheme);
+        }
+
+        res.status(200).json({
+            success: true,
+            defaults: DEFAULT_MARKING_RULES,
+            schemes: [...latest.values()].sort((a, b) => a.name.localeCompare(b.name)),
+        });
+    } catch (error) {
+        console.error("Error listing marking schemes:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to list marking schemes",
+        });
+    }
+};
+
+// Get one scheme version together with its version history and usage
+export const getMarkingScheme = async (req, res) => {
+    try {
+        const { schemeId } = req.params;
+
+        const scheme = await MarkingScheme.findByPk(schemeId);
+
+        if (!scheme) {
+            return res.status(404).json({
+                success: false,
+                message: "Marking scheme not found",
+            });
+        }
+
+        const [versions, examCount, examQuestionCount] = await Promise.all([
+            MarkingScheme.findAll({
+                where: { schemeKey: scheme.schemeKey },
+                attributes: ["id", "version", "name", "createdBy", "createdAt"],
+                order: [["version", "DESC"]],
+            }),
+            Exam.count({ where: { markingSchemeId: scheme.id } }),
+            ExamQuestion.count({ where: { markingSchemeId: scheme.id } }),
+        ]);
+
+        res.status(200).json({
+            success: true,
+            scheme,
+            versions,
+            usage: { exams: examCount, examQuestions: examQuestionCount },
+        });
+    } catch (error) {
+        console.error("Error fetching marking scheme:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to fetch marking scheme",
+        });
+    }
+};
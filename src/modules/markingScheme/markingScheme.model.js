@@ -0,0 +1,67 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../../config/db.js";
+
+/**
+ * MarkingScheme Model
+ *
+ * Versioned rule set used to score exam questions (see utils/marking.util.js).
+ * Rows are never edited: a change creates the next version under the same
+ * schemeKey, so exams that already point at an older version keep scoring
+ * exactly as they did.
+ */
+const MarkingScheme = sequelize.define(
+    "MarkingScheme",
+    {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true,
+        },
+
+        // Shared by every version of the same scheme (id of version 1)
+        schemeKey: {
+            type: DataTypes.UUID,
+            allowNull: false,
+        },
+
+        version: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 1,
+        },
+
+        name: {
+            type: DataTypes.STRING,
+            allowNull: false,
+        },
+
+        description: {
+            type: DataTypes.TEXT,
+            allowNull: true,
+        },
+
+        rules: {
+            type: DataTypes.JSON,
+            allowNull: false,
+        },
+
+        createdBy: {
+            type: DataTypes.UUID,
+            allowNull: true,
+        },
+    },
+    {
+        tableName: "marking_schemes",
+        timestamps: true,
+        updatedAt: false,
+        underscored: true,
+        indexes: [
+            {
+                unique: true,
+                fields: ["scheme_key", "version"],
+            },
+        ],
+    }
+);
+
+export default MarkingScheme;
@@ -0,0 +1,33 @@
+import express from "express";
+import {
+    createMarkingScheme,
+    createMarkingSchemeVersion,
+    listMarkingSchemes,
+    getMarkingScheme,
+} from "./markingScheme.controller.js";
+import { requireAuth, requireEmailVerified } from "../../middlewares/auth.middleware.js";
+import requireRole from "../../middlewares/role.middleware.js";
+
+const router = express.Router();
+
+router.use(requireAuth);
+router.use(requireEmailVerified);
+router.use(requireRole("ADMIN"));
+
+/**
+ * Body:
+ * {
+ *   name: string
+ *   description?: string
+ *   rules: { multipleCorrect, partialMarksPerOption, negativeMarking, negativeValue,
+ *            allowNegativeQuestionScore, allowNegativeTotal }
+ * }
+ */
+router.post("/", createMarkingScheme);
+router.get("/", listMarkingSchemes);
+router.get("/:schemeId", getMarkingScheme);
+
+// Same body as create; name and description default to the previous version
+router.post("/:schemeId/versions", createMarkingSchemeVersion);
+
+export default router;
@@ -24,6 +24,13 @@ const Option = sequelize.define(
       type: DataTypes.INTEGER,
       allowNull: false,
     },
+
+    // Images shown with the option text, in order (Attachment IDs)
+    attachmentIds: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: [],
+    },
   },
   {
     tableName: "options",
@@ -1,5 +1,33 @@
+import { Op } from "sequelize";
 import sequelize from "../../config/db.js";
-import { Question, Option, NumericalAnswer } from "../association/index.js";
+import { Question, Option, NumericalAnswer, Stimulus, TaxonomyNode, Tag, QuestionVersion, ExamQuestion, Exam, QuestionStatistic } from "../association/index.js";
+import { QUESTION_TYPES, DEFINITION_TYPES, normalizeTypeDefinition } from "../../utils/questionType.util.js";
+import { CONTENT_FORMATS, normalizeQuestionContent } from "../../utils/content.util.js";
+import {
+  validateAttachmentIds,
+  syncQuestionAttachments,
+  getOwnedStorageKeys,
+  removeStoredFiles,
+  getSignedAttachments,
+  toSignedList,
+} from "../../services/attachment.service.js";
+import {
+  normalizeTagList,
+  questionsWithAnyTag,
+  setQuestionTags,
+  resolveTaxonomyNode,
+  getDescendantIds,
+} from "../../services/taxonomy.service.js";
+import { recordQuestionVersion, ensureQuestionVersion, diffSnapshots } from "../../services/questionVersion.service.js";
+import {
+  searchQuestions as searchQuestionBank,
+  findSimilarQuestions,
+  findLikelyDuplicates,
+  DEFAULT_SIMILARITY,
+} from "../../services/questionSearch.service.js";
+
+// Body fields that make up a type definition (see questionType.util)
+const DEFINITION_FIELDS = ["blanks", "left", "right", "correctMatches", "min", "max", "value", "assertion", "reason", "correctChoice"];
 
 // Create a new question
 export const createQuestion = async (req, res) => {
@@ -16,6 +44,14 @@ export const createQuestion = async (req, res) => {
       options,
       numericalAnswer,
       tolerance = 0,
+      rubric,
+      explanation,
+      explanationAttachmentIds,
+      stimulusId = null,
+      attachmentIds,
+      contentFormat = "PLAIN",
+      taxonomyNodeId = null,
+      tags = [],
     } = req.body;
 
     // Normalize inputs
@@ -23,7 +59,8 @@ export const createQuestion = async (req, res) => {
     difficulty = difficulty?.toUpperCase();
     domain = domain?.toLowerCase();
 
-    if (!statement || !questionType || !domain) {
+    // A taxonomy node stands in for the domain
+    if (!statement || !questionType || (!domain && !taxonomyNodeId)) {
       await t.rollback();
       return res.status(400).json({
         success: false,
@@ -31,6 +68,46 @@ export const createQuestion = async (req, res) => {
       });
     }
 
+    if (!QUESTION_TYPES.includes(questionType)) {
+      await t.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `questionType must be one of ${QUESTION_TYPES.join(", ")}`,
+      });
+    }
+
+    if (!CONTENT_FORMATS.includes(contentFormat)) {
+      await t.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `contentFormat must be one of ${CONTENT_FORMATS.join(", ")}`,
+      });
+    }
+
+    const tagList = normalizeTagList(tags);
+
+    if (tagList.error) {
+      await t.rollback();
+      return res.status(400).json({
+        success: false,
+        message: tagList.error,
+      });
+    }
+
+    if (taxonomyNodeId) {
+      const resolved = await resolveTaxonomyNode(taxonomyNodeId, t);
+
+      if (!resolved) {
+        await t.rollback();
+        return res.status(400).json({
+          success: false,
+          message: "Taxonomy node not found",
+        });
+      }
+
+      domain = domain || resolved.subjectName.toLowerCase();
+    }
+
     // Validate based on question type
     if (
       questionType === "SINGLE_CORRECT" ||
@@ -81,28 +158,137 @@ export const createQuestion = async (req, res) => {
       }
     }
 
+    let definition = null;
+
+    if (DEFINITION_TYPES.includes(questionType)) {
+      definition = normalizeTypeDefinition(questionType, req.body);
+
+      if (definition.errors.length > 0) {
+        await t.rollback();
+        return res.status(400).json({
+          success: false,
+          message: "Invalid question definition",
+          errors: definition.errors,
+        });
+      }
+    }
+
+    if (questionType === "SUBJECTIVE") {
+      if (rubric !== undefined && rubric !== null && typeof rubric !== "string") {
+        await t.rollback();
+        return res.status(400).json({
+          success: false,
+          message: "Rubric must be text",
+        });
+      }
+
+      // Manually graded; wrong answers are never penalised
+      negativeMarks = 0;
+    }
+
+    if (explanation !== undefined && explanation !== null && typeof explanation !== "string") {
+      await t.rollback();
+      return res.status(400).json({
+        success: false,
+        message: "Explanation must be text",
+      });
+    }
+
+    const isMCQ = questionType === "SINGLE_CORRECT" || questionType === "MULTIPLE_CORRECT";
+
+    // Validate the content in its declared format and keep the render-safe form
+    const content = normalizeQuestionContent(contentFormat, {
+      statement,
+      optionTexts: isMCQ ? options.map(o => o.text) : undefined,
+      rubric: questionType === "SUBJECTIVE" ? rubric : undefined,
+      explanation,
+      typeData: definition?.typeData,
+    });
+
+    if (content.errors.length > 0) {
+      await t.rollback();
+      return res.status(400).json({
+        success: false,
+        message: "Invalid question content",
+        errors: content.errors,
+      });
+    }
+
+    statement = content.statement;
+    rubric = content.rubric;
+    explanation = content.explanation;
+    if (isMCQ) options = options.map((opt, i) => ({ ...opt, text: content.optionTexts[i] }));
+    if (definition) definition.typeData = content.typeData;
+
+    const attachmentErrors = await validateAttachmentIds(
+      [attachmentIds, explanationAttachmentIds, ...(isMCQ ? options.map(o => o.attachmentIds) : [])],
+      null,
+      t
+    );
+
+    if (attachmentErrors.length > 0) {
+      await t.rollback();
+      return res.status(400).json({
+        success: false,
+        message: "Invalid attachments",
+        errors: attachmentErrors,
+      });
+    }
+
+    // Joining a passage / table group puts the question at the end of that group
+    let stimulusOrder = null;
+
+    if (stimulusId) {
+      const stimulus = await Stimulus.findByPk(stimulusId, { attributes: ["id"], transaction: t });
+
+      if (!stimulus) {
+        await t.rollback();
+        return res.status(400).json({
+          success: false,
+          message: "Stimulus not found",
+        });
+      }
+
+      stimulusOrder = ((await Question.max("stimulusOrder", { where: { stimulusId }, transaction: t })) || 0) + 1;
+    }
+
     // Create Question
     const question = await Question.create(
       {
         statement,
         questionType,
         domain,
+        taxonomyNodeId,
         marks,
         negativeMarks,
         difficulty,
+        contentFormat,
+        rubric: questionType === "SUBJECTIVE" ? rubric?.trim() || null : null,
+        explanation: explanation?.trim() || null,
+        explanationAttachmentIds: explanationAttachmentIds ?? [],
+        typeData: definition?.typeData ?? null,
+        answerKey: definition?.answerKey ?? null,
+        stimulusId,
+        stimulusOrder,
+        attachmentIds: attachmentIds ?? [],
       },
       { transaction: t }
     );
 
-    if (
-      questionType === "SINGLE_CORRECT" ||
-      questionType === "MULTIPLE_CORRECT"
-    ) {
+    if (definition?.options) {
+      await Option.bulkCreate(
+        definition.options.map(opt => ({ ...opt, questionId: question.id })),
+        { transaction: t }
+      );
+    }
+
+    if (isMCQ) {
       const optionRecords = options.map((opt, index) => ({
         questionId: question.id,
         text: opt.text,
         isCorrect: opt.isCorrect,
         order: index + 1,
+        attachmentIds: opt.attachmentIds ?? [],
       }));
 
       await Option.bulkCreate(optionRecords, { transaction: t });
@@ -119,12 +305,23 @@ export const createQuestion = async (req, res) => {
       );
     }
 
+    await syncQuestionAttachments(question.id, t);
+    await setQuestionTags(question, tagList.names, t);
+
+    const version = await recordQuestionVersion(question.id, { createdBy: req.user.userId, transaction: t });
+
     await t.commit();
 
+    // Near-identical questions are reported, not refused
+    const similarQuestions = await findLikelyDuplicates(statement, [question.id]);
+
     return res.status(201).json({
       success: true,
-      message: "Question created successfully",
-      data: { id: question.id },
+      message: similarQuestions.length > 0
+        ? "Question created successfully; similar questions already exist"
+        : "Question created successfully",
+      data: { id: question.id, version: version.version },
+      similarQuestions,
     });
   } catch (error) {
     await t.rollback();
@@ -144,6 +341,8 @@ export const getQuestions = async (req, res) => {
       domain,
       difficulty,
       questionType,
+      taxonomyNodeId,
+      tags,
       page = 1,
       limit = 10,
     } = req.query;
@@ -161,15 +360,46 @@ export const getQuestions = async (req, res) => {
     if (difficulty) where.difficulty = difficulty;
     if (questionType) where.questionType = questionType;
 
+    // A node matches questions filed under it or anywhere below it
+    if (taxonomyNodeId) {
+      const nodeIds = await getDescendantIds(taxonomyNodeId);
+
+      if (!nodeIds) {
+        return res.status(404).json({
+          success: false,
+          message: "Taxonomy node not found",
+        });
+      }
+
+      where.taxonomyNodeId = { [Op.in]: nodeIds };
+    }
+
+    // Comma-separated tag names; a question matches if it has any of them
+    if (tags) {
+      const { names, error } = normalizeTagList(String(tags).split(",").filter(name => name.trim()));
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+
+      if (names.length > 0) where.id = questionsWithAnyTag(names);
+    }
+
     const { rows: questions, count: total } =
       await Question.findAndCountAll({
         where,
         limit,
         offset,
+        distinct: true,
         order: [["createdAt", "DESC"]],
         include: [
           { model: Option, as: "options" },
           { model: NumericalAnswer, as: "numericalAnswer" },
+          { model: TaxonomyNode, as: "taxonomyNode", attributes: ["id", "name", "level"] },
+          { model: Tag, as: "tags", attributes: ["id", "name"], through: { attributes: [] } },
         ],
       });
 
@@ -192,6 +422,99 @@ export const getQuestions = async (req, res) => {
   }
 };
 
+// Keyword search over statements and option text, best match first
+export const searchQuestions = async (req, res) => {
+  try {
+    let {
+      q,
+      domain,
+      difficulty,
+      questionType,
+      page = 1,
+      limit = 10,
+    } = req.query;
+
+    if (!q || !String(q).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Search query (q) is required",
+      });
+    }
+
+    page = Math.max(parseInt(page, 10) || 1, 1);
+    limit = Math.min(parseInt(limit, 10) || 10, 100); // safety cap
+
+    const { total, results } = await searchQuestionBank({
+      query: String(q).trim(),
+      domain: domain?.toLowerCase(),
+      difficulty: difficulty?.toUpperCase(),
+      questionType: questionType?.toUpperCase(),
+      limit,
+      offset: (page - 1) * limit,
+    });
+
+    return res.status(200).json({
+      success: true,
+      pagination: {
+        totalItems: total,
+        totalPages: Math.ceil(total / limit),
+        currentPage: page,
+        limit,
+      },
+      data: results,
+    });
+  } catch (error) {
+    console.error("Error searching questions:", error.message);
+    return res.status(500).json({
+      success: false,
+      message: "Server error: Failed to search questions",
+    });
+  }
+};
+
+// Questions whose statement is similar to this one's (query: threshold 0.3-1, limit)
+export const getSimilarQuestions = async (req, res) => {
+  try {
+    const { id: questionId } = req.params;
+    const threshold = req.query.threshold !== undefined ? Number(req.query.threshold) : DEFAULT_SIMILARITY;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 10, 50);
+
+    // Below pg_trgm's default cut-off the trigram index cannot be used
+    if (Number.isNaN(threshold) || threshold < 0.3 || threshold > 1) {
+      return res.status(400).json({
+        success: false,
+        message: "threshold must be between 0.3 and 1",
+      });
+    }
+
+    const question = await Question.findByPk(questionId, { attributes: ["id", "statement"] });
+
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: "Question not found",
+      });
+    }
+
+    const similar = await findSimilarQuestions(question.statement, {
+      threshold,
+      limit,
+      excludeIds: [question.id],
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: similar,
+    });
+  } catch (error) {
+    console.error("Error finding similar questions:", error.message);
+    return res.status(500).json({
+      success: false,
+      message: "Server error: Failed to find similar questions",
+    });
+  }
+};
+
 // Get a question by ID
 export const getQuestionById = async (req, res) => {
   try {
@@ -216,19 +539,36 @@ export const getQuestionById = async (req, res) => {
       });
     }
 
-    const include = [];
+    const include = [
+      { model: Stimulus, as: "stimulus" },
+      { model: TaxonomyNode, as: "taxonomyNode", attributes: ["id", "name", "level", "path"] },
+      { model: Tag, as: "tags", attributes: ["id", "name"], through: { attributes: [] } },
+      // Item analysis from the last run; null until someone has sat the question
+      { model: QuestionStatistic, as: "statistics", attributes: { exclude: ["id", "questionId"] } },
+    ];
 
-    if (baseQuestion.questionType !== "NUMERICAL") {
+    if (["SINGLE_CORRECT", "MULTIPLE_CORRECT", "ASSERTION_REASON"].includes(baseQuestion.questionType)) {
       include.push({ model: Option, as: "options" });
-    } else {
+    } else if (baseQuestion.questionType === "NUMERICAL") {
       include.push({
         model: NumericalAnswer,
         as: "numericalAnswer",
       });
     }
 
-    const fullQuestion = await Question.findByPk(questionId, {
-      include,
+    const fullQuestion = (await Question.findByPk(questionId, { include })).toJSON();
+
+    // Attachment IDs come back with signed URLs alongside
+    const signed = await getSignedAttachments([
+      ...fullQuestion.attachmentIds,
+      ...fullQuestion.explanationAttachmentIds,
+      ...(fullQuestion.options || []).flatMap(opt => opt.attachmentIds),
+    ]);
+
+    fullQuestion.attachments = toSignedList(fullQuestion.attachmentIds, signed);
+    fullQuestion.explanationAttachments = toSignedList(fullQuestion.explanationAttachmentIds, signed);
+    (fullQuestion.options || []).forEach(opt => {
+      opt.attachments = toSignedList(opt.attachmentIds, signed);
     });
 
     return res.status(200).json({
@@ -250,7 +590,7 @@ export const updateQuestion = async (req, res) => {
 
   try {
     const { id } = req.params;
-    const {
+    let {
       statement,
       domain,
       marks,
@@ -259,6 +599,13 @@ export const updateQuestion = async (req, res) => {
       options,
       numericalAnswer,
       tolerance = 0,
+      rubric,
+      explanation,
+      explanationAttachmentIds,
+      attachmentIds,
+      contentFormat,
+      taxonomyNodeId,
+      tags,
     } = req.body;
 
     const question = await Question.findByPk(id, { transaction: t });
@@ -271,14 +618,154 @@ export const updateQuestion = async (req, res) => {
       });
     }
 
+    const isSubjective = question.questionType === "SUBJECTIVE";
+
+    if (isSubjective && rubric !== undefined && rubric !== null && typeof rubric !== "string") {
+      await t.rollback();
+      return res.status(400).json({
+        success: false,
+        message: "Rubric must be text",
+      });
+    }
+
+    if (explanation !== undefined && explanation !== null && typeof explanation !== "string") {
+      await t.rollback();
+      return res.status(400).json({
+        success: false,
+        message: "Explanation must be text",
+      });
+    }
+
+    // Questions saved before versioning get their current state recorded before the edit
+    await ensureQuestionVersion(id, { transaction: t });
+
+    // A new type definition replaces the old one as a whole
+    let definition = null;
+
+    if (DEFINITION_TYPES.includes(question.questionType) && DEFINITION_FIELDS.some(f => f in req.body)) {
+      definition = normalizeTypeDefinition(question.questionType, req.body);
+
+      if (definition.errors.length > 0) {
+        await t.rollback();
+        return res.status(400).json({
+          success: false,
+          message: "Invalid question definition",
+          errors: definition.errors,
+        });
+      }
+    }
+
+    if (contentFormat !== undefined && !CONTENT_FORMATS.includes(contentFormat)) {
+      await t.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `contentFormat must be one of ${CONTENT_FORMATS.join(", ")}`,
+      });
+    }
+
+    // tags replace the current set; taxonomyNodeId null unfiles the question
+    const tagList = tags !== undefined ? normalizeTagList(tags) : null;
+
+    if (tagList?.error) {
+      await t.rollback();
+      return res.status(400).json({
+        success: false,
+        message: tagList.error,
+      });
+    }
+
+    if (taxonomyNodeId && !(await resolveTaxonomyNode(taxonomyNodeId, t))) {
+      await t.rollback();
+      return res.status(400).json({
+        success: false,
+        message: "Taxonomy node not found",
+      });
+    }
+
+    const isChoice = ["SINGLE_CORRECT", "MULTIPLE_CORRECT"].includes(question.questionType);
+    const replacesOptions = isChoice && Array.isArray(options);
+
+    // New texts are checked in the (new) format; a format change re-checks the stored ones too
+    const format = contentFormat ?? question.contentFormat;
+    const formatChanged = format !== question.contentFormat;
+    const keptOptions = formatChanged && isChoice && !replacesOptions
+      ? await Option.findAll({ where: { questionId: id }, transaction: t })
+      : [];
+
+    const content = normalizeQuestionContent(format, {
+      statement: statement !== undefined ? statement : formatChanged ? question.statement : undefined,
+      optionTexts: replacesOptions ? options.map(o => o?.text) : keptOptions.map(o => o.text),
+      rubric: !isSubjective ? undefined : rubric !== undefined ? rubric : formatChanged ? question.rubric : undefined,
+      explanation: explanation !== undefined ? explanation : formatChanged ? question.explanation : undefined,
+      typeData: definition ? definition.typeData : formatChanged ? question.typeData : undefined,
+    });
+
+    if (content.errors.length > 0) {
+      await t.rollback();
+      return res.status(400).json({
+        success: false,
+        message: "Invalid question content",
+        errors: content.errors,
+      });
+    }
+
+    statement = content.statement;
+    if (isSubjective) rubric = content.rubric;
+    if (explanation !== undefined) explanation = content.explanation;
+    if (replacesOptions) options = options.map((opt, i) => ({ ...opt, text: content.optionTexts[i] }));
+    if (definition) definition.typeData = content.typeData;
+
+    const attachmentErrors = await validateAttachmentIds(
+      [attachmentIds, explanationAttachmentIds, ...(replacesOptions ? options.map(o => o?.attachmentIds) : [])],
+      id,
+      t
+    );
+
+    if (attachmentErrors.length > 0) {
+      await t.rollback();
+      return res.status(400).json({
+        success: false,
+        message: "Invalid attachments",
+        errors: attachmentErrors,
+      });
+    }
+
     // 1. update question fields
     await question.update(
-      { statement, domain, marks, negativeMarks, difficulty },
+      {
+        statement,
+        domain,
+        taxonomyNodeId,
+        marks,
+        negativeMarks: isSubjective ? undefined : negativeMarks,
+        difficulty,
+        rubric: isSubjective && rubric !== undefined ? rubric?.trim() || null : undefined,
+        explanation: explanation !== undefined ? explanation?.trim() || null : formatChanged ? content.explanation : undefined,
+        contentFormat,
+        ...(definition && { typeData: definition.typeData, answerKey: definition.answerKey }),
+        ...(!definition && formatChanged && question.typeData && { typeData: content.typeData }),
+        ...(attachmentIds !== undefined && { attachmentIds }),
+        ...(explanationAttachmentIds !== undefined && { explanationAttachmentIds }),
+      },
       { transaction: t }
     );
 
+    if (definition?.options) {
+      await Option.destroy({ where: { questionId: id }, transaction: t });
+      await Option.bulkCreate(
+        definition.options.map(opt => ({ ...opt, questionId: id })),
+        { transaction: t }
+      );
+    }
+
+    for (const [i, opt] of keptOptions.entries()) {
+      if (opt.text !== content.optionTexts[i]) {
+        await opt.update({ text: content.optionTexts[i] }, { transaction: t });
+      }
+    }
+
     // 2. MCQ update
-    if (question.questionType !== "NUMERICAL" && options) {
+    if (["SINGLE_CORRECT", "MULTIPLE_CORRECT"].includes(question.questionType) && options) {
       await Option.destroy({
         where: { questionId: id },
         transaction: t,
@@ -289,6 +776,7 @@ export const updateQuestion = async (req, res) => {
         text: opt.text,
         isCorrect: opt.isCorrect,
         order: index + 1,
+        attachmentIds: opt.attachmentIds ?? [],
       }));
 
       await Option.bulkCreate(optionRecords, { transaction: t });
@@ -306,11 +794,23 @@ export const updateQuestion = async (req, res) => {
       );
     }
 
+    if (tagList) {
+      await setQuestionTags(question, tagList.names, t);
+    }
+
+    // Exams already published stay pinned to the version they were published with
+    const version = await recordQuestionVersion(id, { createdBy: req.user.userId, transaction: t });
+
+    // Attachments no longer referenced by the statement, the explanation, any option or any version are removed
+    const staleStorageKeys = await syncQuestionAttachments(id, t);
+
     await t.commit();
+    await removeStoredFiles(staleStorageKeys);
 
     return res.status(200).json({
       success: true,
       message: "Question updated successfully",
+      data: { version: version.version },
     });
   } catch (error) {
     await t.rollback();
@@ -323,22 +823,133 @@ export const updateQuestion = async (req, res) => {
   }
 };
 
+// List a question's versions, newest first, each with its changes from the one before
+export const getQuestionVersions = async (req, res) => {
+  try {
+    const { id: questionId } = req.params;
+
+    const question = await Question.findByPk(questionId, { attributes: ["id"] });
+
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: "Question not found",
+      });
+    }
+
+    const versions = await QuestionVersion.findAll({
+      where: { questionId },
+      order: [["version", "ASC"]],
+    });
+
+    // Exams pinned to each version
+    const pins = await ExamQuestion.findAll({
+      where: { questionId, questionVersionId: versions.map(v => v.id) },
+      attributes: ["questionVersionId"],
+      include: [{ model: Exam, as: "exam", attributes: ["id", "title", "state"] }],
+    });
+
+    const examsByVersion = new Map();
+    for (const pin of pins) {
+      if (!examsByVersion.has(pin.questionVersionId)) examsByVersion.set(pin.questionVersionId, new Map());
+      // Paper sets pin the same question once per set
+      examsByVersion.get(pin.questionVersionId).set(pin.exam.id, pin.exam);
+    }
+
+    const data = versions.map((v, i) => ({
+      id: v.id,
+      version: v.version,
+      createdBy: v.createdBy,
+      createdAt: v.createdAt,
+      changes: i === 0 ? null : diffSnapshots(versions[i - 1].snapshot, v.snapshot),
+      pinnedBy: [...(examsByVersion.get(v.id)?.values() ?? [])],
+    })).reverse();
+
+    return res.status(200).json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    console.error("Error fetching question versions:", error.message);
+    return res.status(500).json({
+      success: false,
+      message: "Server error: Failed to fetch question versions",
+    });
+  }
+};
+
+// Get one version's full snapshot
+export const getQuestionVersion = async (req, res) => {
+  try {
+    const { id: questionId, version } = req.params;
+
+    const questionVersion = await QuestionVersion.findOne({
+      where: { questionId, version: parseInt(version, 10) || 0 },
+    });
+
+    if (!questionVersion) {
+      return res.status(404).json({
+        success: false,
+        message: "Question version not found",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: questionVersion,
+    });
+  } catch (error) {
+    console.error("Error fetching question version:", error.message);
+    return res.status(500).json({
+      success: false,
+      message: "Server error: Failed to fetch question version",
+    });
+  }
+};
+
 // Delete a question by ID
+// Questions of a published or closed exam are kept: deleting one would take its
+// pinned versions, and with them the exam's paper, results and rescoring input.
 export const deleteQuestion = async (req, res) => {
+  const t = await sequelize.transaction();
+
   try {
-    const question = await Question.findByPk(req.params.id);
+    const question = await Question.findByPk(req.params.id, { transaction: t });
 
     if (!question) {
+      await t.rollback();
       return res.status(404).json({
         success: false,
         message: "Question not found",
       });
     }
 
-    await question.destroy(); // cascades to options & numerical answer
+    const lockedExams = await Exam.findAll({
+      where: { state: { [Op.ne]: "DRAFT" } },
+      attributes: ["id", "title", "state"],
+      include: [{ model: ExamQuestion, as: "examQuestions", attributes: [], where: { questionId: question.id } }],
+      transaction: t,
+    });
+
+    if (lockedExams.length > 0) {
+      await t.rollback();
+      return res.status(409).json({
+        success: false,
+        message: "Question is used by a published or closed exam and cannot be deleted",
+        exams: lockedExams.map(exam => ({ id: exam.id, title: exam.title, state: exam.state })),
+      });
+    }
+
+    const storageKeys = await getOwnedStorageKeys(question.id);
+
+    await question.destroy({ transaction: t }); // cascades to options, numerical answer, versions, draft exam rows & attachment rows
+    await t.commit();
+
+    await removeStoredFiles(storageKeys);
 
     return res.status(204).send();
   } catch (error) {
+    await t.rollback();
     console.error("Error deleting question:", error.message);
     return res.status(500).json({
       success: false,
@@ -19,7 +19,12 @@ const Question = sequelize.define(
             type: DataTypes.ENUM(
                 "SINGLE_CORRECT",
                 "MULTIPLE_CORRECT",
-                "NUMERICAL"
+                "NUMERICAL",
+                "SUBJECTIVE",
+                "FILL_IN_BLANK",
+                "MATCH_THE_FOLLOWING",
+                "INTEGER",
+                "ASSERTION_REASON"
             ),
             allowNull: false,
         },
@@ -43,6 +48,69 @@ const Question = sequelize.define(
             type: DataTypes.ENUM("EASY", "MEDIUM", "HARD"),
             defaultValue: "MEDIUM",
         },
+
+        // Subject, topic or subtopic this question is classified under
+        taxonomyNodeId: {
+            type: DataTypes.UUID,
+            allowNull: true,
+        },
+
+        // How statement, option text and typeData texts are written and rendered; see content.util
+        contentFormat: {
+            type: DataTypes.ENUM("PLAIN", "MARKDOWN", "MARKDOWN_LATEX"),
+            allowNull: false,
+            defaultValue: "PLAIN",
+        },
+
+        // Grading guide for SUBJECTIVE questions; shown to graders only
+        rubric: {
+            type: DataTypes.TEXT,
+            allowNull: true,
+        },
+
+        // Worked solution in the question's contentFormat; shown with results once they are released
+        // and never during an attempt. Not part of version snapshots, so corrections reach past exams
+        explanation: {
+            type: DataTypes.TEXT,
+            allowNull: true,
+        },
+
+        // Images shown with the explanation, in order (Attachment IDs)
+        explanationAttachmentIds: {
+            type: DataTypes.JSON,
+            allowNull: false,
+            defaultValue: [],
+        },
+
+        // Shared passage / table / diagram this question belongs to, and its place in that group
+        stimulusId: {
+            type: DataTypes.UUID,
+            allowNull: true,
+        },
+
+        stimulusOrder: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+        },
+
+        // Public per-type data (blank count, match columns, assertion and reason); see questionType.util
+        typeData: {
+            type: DataTypes.JSON,
+            allowNull: true,
+        },
+
+        // Private key for FILL_IN_BLANK, MATCH_THE_FOLLOWING and INTEGER; never sent to candidates
+        answerKey: {
+            type: DataTypes.JSON,
+            allowNull: true,
+        },
+
+        // Images shown with the statement, in order (Attachment IDs)
+        attachmentIds: {
+            type: DataTypes.JSON,
+            allowNull: false,
+            defaultValue: [],
+        },
     },
     {
         tableName: "questions",
@@ -5,6 +5,10 @@ import {
   getQuestionById,
   getQuestions,
   updateQuestion,
+  getQuestionVersions,
+  getQuestionVersion,
+  searchQuestions,
+  getSimilarQuestions,
 } from "./question.controller.js";
 
 import {
@@ -22,7 +26,14 @@ router.use(requireRole("ADMIN"));
 
 router.post("/create", createQuestion);
 router.get("/all", getQuestions);
+
+// Query: q (keywords; "quoted phrases", or, -exclude), domain, difficulty, questionType, page, limit
+router.get("/search", searchQuestions);
+
 router.get("/:id", getQuestionById);
+router.get("/:id/similar", getSimilarQuestions);
+router.get("/:id/versions", getQuestionVersions);
+router.get("/:id/versions/:version", getQuestionVersion);
 router.put("/:id", updateQuestion);
 router.delete("/:id", deleteQuestion);
 
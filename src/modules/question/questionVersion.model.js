@@ -0,0 +1,57 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../../config/db.js";
+
+/**
+ * QuestionVersion Model
+ *
+ * Immutable snapshot of a question as saved: statement, settings, answer key,
+ * options (with their IDs) and numerical answer. A new row is written on every
+ * create and edit; exams pin one when they are published, so later edits never
+ * change what a published or past exam shows and scores.
+ */
+const QuestionVersion = sequelize.define(
+    "QuestionVersion",
+    {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true,
+        },
+
+        questionId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+        },
+
+        // 1, 2, 3... per question
+        version: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+        },
+
+        // Same shape as a Question with options and numericalAnswer loaded (see questionVersion.service)
+        snapshot: {
+            type: DataTypes.JSON,
+            allowNull: false,
+        },
+
+        createdBy: {
+            type: DataTypes.UUID,
+            allowNull: true,
+        },
+    },
+    {
+        tableName: "question_versions",
+        timestamps: true,
+        updatedAt: false,
+        underscored: true,
+        indexes: [
+            {
+                unique: true,
+                fields: ["question_id", "version"],
+            },
+        ],
+    }
+);
+
+export default QuestionVersion;
@@ -489,7 +489,7 @@ export const confirmBatch = async (req, res) => {
             });
         }
 
-        const result = await confirmDraftBatch(batchId, draftIds);
+        const result = await confirmDraftBatch(batchId, draftIds, req.user.userId);
 
         if (result.success) {
             return res.status(200).json({
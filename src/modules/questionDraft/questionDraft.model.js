@@ -47,6 +47,18 @@ const QuestionDraft = sequelize.define(
             allowNull: true,
         },
 
+        // Best-matching taxonomy node for the extraction hint and statement
+        predicted_taxonomyNodeId: {
+            type: DataTypes.UUID,
+            allowNull: true,
+        },
+
+        // Ranked candidates: [{ nodeId, path, level, subject, score }]
+        taxonomySuggestions: {
+            type: DataTypes.JSON,
+            defaultValue: [],
+        },
+
         predicted_difficulty: {
             type: DataTypes.ENUM("EASY", "MEDIUM", "HARD"),
             defaultValue: "MEDIUM",
@@ -68,7 +80,22 @@ const QuestionDraft = sequelize.define(
         },
 
         final_questionType: {
-            type: DataTypes.ENUM("SINGLE_CORRECT", "MULTIPLE_CORRECT", "NUMERICAL"),
+            type: DataTypes.ENUM(
+                "SINGLE_CORRECT",
+                "MULTIPLE_CORRECT",
+                "NUMERICAL",
+                "FILL_IN_BLANK",
+                "MATCH_THE_FOLLOWING",
+                "INTEGER",
+                "ASSERTION_REASON"
+            ),
+            allowNull: true,
+        },
+
+        // Type definition for FILL_IN_BLANK, MATCH_THE_FOLLOWING, INTEGER and ASSERTION_REASON
+        // (same shape as createQuestion accepts; see questionType.util)
+        final_typeDefinition: {
+            type: DataTypes.JSON,
             allowNull: true,
         },
 
@@ -77,6 +104,23 @@ const QuestionDraft = sequelize.define(
             allowNull: true,
         },
 
+        final_taxonomyNodeId: {
+            type: DataTypes.UUID,
+            allowNull: true,
+        },
+
+        // Content format of statement and options (see content.util)
+        final_contentFormat: {
+            type: DataTypes.ENUM("PLAIN", "MARKDOWN", "MARKDOWN_LATEX"),
+            defaultValue: "PLAIN",
+        },
+
+        // Worked solution, carried to the question on confirmation
+        final_explanation: {
+            type: DataTypes.TEXT,
+            allowNull: true,
+        },
+
         final_marks: {
             type: DataTypes.INTEGER,
             defaultValue: 1,
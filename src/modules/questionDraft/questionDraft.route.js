@@ -87,6 +87,10 @@ router.get("/:draftQuestionId/options", getDraftQuestionOptions);
  * {
  *   final_statement: "Updated question text",
  *   final_domain: "Physics",
+ *   final_taxonomyNodeId: "uuid",              // e.g. one of the draft's taxonomySuggestions
+ *   final_typeDefinition: { min: 3, max: 5 },   // FILL_IN_BLANK, MATCH_THE_FOLLOWING, INTEGER, ASSERTION_REASON
+ *   final_contentFormat: "MARKDOWN_LATEX",       // PLAIN | MARKDOWN | MARKDOWN_LATEX
+ *   final_explanation: "Since $F = ma$, ...",     // worked solution, in final_contentFormat
  *   adminNotes: "Clarified wording"
  * }
  */
@@ -123,6 +127,8 @@ router.post("/:draftQuestionId/discard", discardDraftQuestion);
  *   batchId: string (required)
  *   draftIds?: string[] (optional - if not provided, all MARKED_READY are confirmed)
  * }
+ *
+ * Response data.duplicateWarnings lists created questions that closely match existing ones
  */
 router.post("/confirm", confirmBatch);
 
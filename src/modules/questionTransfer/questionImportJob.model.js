@@ -0,0 +1,113 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../../config/db.js";
+
+/**
+ * QuestionImportJob Model
+ *
+ * One question-bank import from a file (CSV, JSON, GIFT, Moodle XML, Aiken
+ * or QTI), processed in the background. The uploaded file is kept until the
+ * job finishes; the per-question validation report stays with the job.
+ */
+const QuestionImportJob = sequelize.define(
+    "QuestionImportJob",
+    {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true,
+        },
+
+        format: {
+            type: DataTypes.ENUM("CSV", "JSON", "GIFT", "MOODLE_XML", "AIKEN", "QTI"),
+            allowNull: false,
+        },
+
+        fileName: {
+            type: DataTypes.STRING,
+            allowNull: true,
+        },
+
+        // Validate and report only; nothing is created
+        dryRun: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: true,
+        },
+
+        // { domain, difficulty, contentFormat } for fields the file leaves out
+        defaults: {
+            type: DataTypes.JSON,
+            allowNull: true,
+        },
+
+        // Uploaded file, cleared once the job has finished
+        source: {
+            type: DataTypes.BLOB,
+            allowNull: true,
+        },
+
+        status: {
+            type: DataTypes.ENUM("QUEUED", "RUNNING", "COMPLETED", "FAILED"),
+            allowNull: false,
+            defaultValue: "QUEUED",
+        },
+
+        totalItems: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0,
+        },
+
+        validItems: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0,
+        },
+
+        invalidItems: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0,
+        },
+
+        importedItems: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0,
+        },
+
+        // [{ ref, status, statement, errors, warnings, questionId }] in file order
+        report: {
+            type: DataTypes.JSON,
+            allowNull: true,
+        },
+
+        // Why the whole file failed (unreadable, too many questions, database error)
+        error: {
+            type: DataTypes.TEXT,
+            allowNull: true,
+        },
+
+        createdBy: {
+            type: DataTypes.UUID,
+            allowNull: true,
+        },
+
+        completedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+        },
+    },
+    {
+        tableName: "question_import_jobs",
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            {
+                fields: ["created_by"],
+            },
+        ],
+    }
+);
+
+export default QuestionImportJob;
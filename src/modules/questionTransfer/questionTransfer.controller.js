@@ -0,0 +1,262 @@
+import { Op } from "sequelize";
+import { Question, Option, NumericalAnswer, QuestionImportJob } from "../association/index.js";
+import { startQuestionImport } from "../../services/questionImport.service.js";
+import { FORMAT_NAMES, INTERCHANGE_TYPES, exportQuestions as writeQuestionFile } from "../../services/questionInterchange.service.js";
+import { normalizeTagList, questionsWithAnyTag, getDescendantIds } from "../../services/taxonomy.service.js";
+import { CONTENT_FORMATS } from "../../utils/content.util.js";
+import { recordAudit } from "../../services/audit.service.js";
+
+const DIFFICULTIES = ["EASY", "MEDIUM", "HARD"];
+const REPORT_STATUSES = ["VALID", "INVALID", "IMPORTED"];
+
+const MAX_EXPORT_QUESTIONS = 5000;
+
+// The stored file is never sent back
+const JOB_ATTRIBUTES = { exclude: ["source"] };
+
+// Start a background import of a question file
+export const importQuestions = async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: "Question file is required",
+            });
+        }
+
+        const format = String(req.body.format ?? "").toUpperCase();
+
+        if (!FORMAT_NAMES.includes(format)) {
+            return res.status(400).json({
+                success: false,
+                message: `format must be one of ${FORMAT_NAMES.join(", ")}`,
+            });
+        }
+
+        const dryRun = String(req.body.dryRun ?? req.query.dryRun ?? "true") !== "false";
+
+        const defaults = {
+            domain: req.body.domain?.trim().toLowerCase() || null,
+            difficulty: req.body.difficulty?.toUpperCase() || null,
+            contentFormat: req.body.contentFormat?.toUpperCase() || null,
+        };
+
+        if (defaults.difficulty && !DIFFICULTIES.includes(defaults.difficulty)) {
+            return res.status(400).json({
+                success: false,
+                message: `difficulty must be one of ${DIFFICULTIES.join(", ")}`,
+            });
+        }
+
+        if (defaults.contentFormat && !CONTENT_FORMATS.includes(defaults.contentFormat)) {
+            return res.status(400).json({
+                success: false,
+                message: `contentFormat must be one of ${CONTENT_FORMATS.join(", ")}`,
+            });
+        }
+
+        const { job, queued } = await startQuestionImport({
+            format,
+            fileName: req.file.originalname,
+            content: req.file.buffer,
+            dryRun,
+            defaults,
+            createdBy: req.user.userId,
+        });
+
+        const { source, ...jobData } = job.toJSON();
+
+        res.status(202).json({
+            success: true,
+            message: dryRun ? "Validation started" : "Import started",
+            job: jobData,
+            queued,
+        });
+    } catch (error) {
+        console.error("Error starting question import:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to start import",
+        });
+    }
+};
+
+// List import jobs, newest first (query: page, limit)
+export const listImportJobs = async (req, res) => {
+    try {
+        let { page = 1, limit = 20 } = req.query;
+        page = Math.max(parseInt(page, 10) || 1, 1);
+        limit = Math.min(parseInt(limit, 10) || 20, 100);
+
+        const { rows: jobs, count: total } = await QuestionImportJob.findAndCountAll({
+            attributes: { exclude: ["source", "report"] },
+            order: [["createdAt", "DESC"]],
+            limit,
+            offset: (page - 1) * limit,
+        });
+
+        res.status(200).json({
+            success: true,
+            pagination: {
+                totalItems: total,
+                totalPages: Math.ceil(total / limit),
+                currentPage: page,
+                limit,
+            },
+            jobs,
+        });
+    } catch (error) {
+        console.error("Error listing question imports:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to list imports",
+        });
+    }
+};
+
+// One import job with its validation report (query: status to filter report entries)
+export const getImportJob = async (req, res) => {
+    try {
+        const { jobId } = req.params;
+        const status = req.query.status?.toUpperCase();
+
+        if (status && !REPORT_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `status must be one of ${REPORT_STATUSES.join(", ")}`,
+            });
+        }
+
+        const job = await QuestionImportJob.findByPk(jobId, { attributes: JOB_ATTRIBUTES });
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                message: "Import job not found",
+            });
+        }
+
+        const data = job.toJSON();
+        if (status && data.report) data.report = data.report.filter(entry => entry.status === status);
+
+        res.status(200).json({
+            success: true,
+            job: data,
+        });
+    } catch (error) {
+        console.error("Error fetching question import:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to fetch import",
+        });
+    }
+};
+
+// Download questions as a file (query: format, domain, difficulty, questionType, taxonomyNodeId, tags, ids)
+export const exportQuestions = async (req, res) => {
+    try {
+        let { format, domain, difficulty, questionType, taxonomyNodeId, tags, ids } = req.query;
+
+        format = String(format ?? "").toUpperCase();
+
+        if (!FORMAT_NAMES.includes(format)) {
+            return res.status(400).json({
+                success: false,
+                message: `format must be one of ${FORMAT_NAMES.join(", ")}`,
+            });
+        }
+
+        const where = { questionType: { [Op.in]: INTERCHANGE_TYPES } };
+        if (domain) where.domain = domain.toLowerCase();
+        if (difficulty) where.difficulty = difficulty.toUpperCase();
+        if (questionType) where.questionType = questionType.toUpperCase();
+
+        if (ids) {
+            where.id = { [Op.in]: String(ids).split(",").map(id => id.trim()).filter(Boolean) };
+        }
+
+        // A node matches questions filed under it or anywhere below it
+        if (taxonomyNodeId) {
+            const nodeIds = await getDescendantIds(taxonomyNodeId);
+
+            if (!nodeIds) {
+                return res.status(404).json({
+                    success: false,
+                    message: "Taxonomy node not found",
+                });
+            }
+
+            where.taxonomyNodeId = { [Op.in]: nodeIds };
+        }
+
+        if (tags) {
+            const { names, error } = normalizeTagList(String(tags).split(",").filter(name => name.trim()));
+
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error,
+                });
+            }
+
+            if (names.length > 0) {
+                where[Op.and] = [{ id: questionsWithAnyTag(names) }];
+            }
+        }
+
+        const total = await Question.count({ where });
+
+        if (total === 0) {
+            return res.status(404).json({
+                success: false,
+                message: "No exportable questions match the filters",
+            });
+        }
+
+        if (total > MAX_EXPORT_QUESTIONS) {
+            return res.status(400).json({
+                success: false,
+                message: `${total} questions match; narrow the filters to at most ${MAX_EXPORT_QUESTIONS}`,
+            });
+        }
+
+        const questions = await Question.findAll({
+            where,
+            include: [
+                { model: Option, as: "options" },
+                { model: NumericalAnswer, as: "numericalAnswer" },
+            ],
+            order: [["domain", "ASC"], ["createdAt", "ASC"]],
+        });
+
+        const file = writeQuestionFile(format, questions);
+
+        await recordAudit({
+            actorId: req.user.userId,
+            action: "QUESTIONS_EXPORTED",
+            entityType: "Question",
+            metadata: {
+                format,
+                filters: { domain, difficulty, questionType, taxonomyNodeId, tags, ids },
+                exportedCount: file.exportedCount,
+                skipped: file.skipped,
+            },
+            ipAddress: req.ip,
+        });
+
+        res.set({
+            "Content-Type": file.contentType,
+            "Content-Disposition": `attachment; filename="${file.fileName}"`,
+            "X-Exported-Count": String(file.exportedCount),
+            "X-Skipped-Count": String(file.skipped.length),
+        });
+
+        res.status(200).send(file.content);
+    } catch (error) {
+        console.error("Error exporting questions:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to export questions",
+        });
+    }
+};
@@ -0,0 +1,41 @@
+import express from "express";
+import multer from "multer";
+import { importQuestions, listImportJobs, getImportJob, exportQuestions } from "./questionTransfer.controller.js";
+import { requireAuth, requireEmailVerified } from "../../middlewares/auth.middleware.js";
+import requireRole from "../../middlewares/role.middleware.js";
+
+const router = express.Router();
+
+router.use(requireAuth);
+router.use(requireEmailVerified);
+router.use(requireRole("ADMIN"));
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 5 * 1024 * 1024, // 5MB covers a full import of text formats or a QTI package
+    },
+});
+
+/**
+ * Import questions from a file, in the background
+ * Poll GET /imports/:jobId for the validation report.
+ *
+ * Body (multipart):
+ * {
+ *   file: File
+ *   format: "CSV" | "JSON" | "GIFT" | "MOODLE_XML" | "AIKEN" | "QTI"
+ *   dryRun?: "true" | "false" (default "true" - validate and report only)
+ *   domain?, difficulty?, contentFormat?: defaults for questions that do not set them
+ * }
+ */
+router.post("/imports", upload.single("file"), importQuestions);
+router.get("/imports", listImportJobs);
+
+// Query: status (VALID | INVALID | IMPORTED) to filter the report
+router.get("/imports/:jobId", getImportJob);
+
+// Query: format (required), domain, difficulty, questionType, taxonomyNodeId, tags, ids (comma-separated)
+router.get("/export", exportQuestions);
+
+export default router;
@@ -0,0 +1,152 @@
+import { Op } from "sequelize";
+import sequelize from "../../config/db.js";
+import { RescoringRun, RescoringEntry, User } from "../association/index.js";
+import { startRescoringRun } from "../../services/rescoring.service.js";
+import { recordAudit } from "../../services/audit.service.js";
+
+const START_ERROR_STATUS = {
+    NOT_FOUND: 404,
+    INVALID_STATE: 400,
+    NO_ATTEMPTS: 400,
+    RUN_IN_PROGRESS: 409,
+};
+
+// Re-evaluate every submitted attempt of an exam with the current answer key
+export const triggerRescoring = async (req, res) => {
+    try {
+        const { examId } = req.params;
+        const { reason } = req.body;
+
+        const result = await startRescoringRun({
+            examId,
+            triggeredBy: req.user.userId,
+            reason: reason ?? null,
+        });
+
+        if (!result.success) {
+            return res.status(START_ERROR_STATUS[result.error] || 400).json({
+                success: false,
+                message: result.message,
+                ...(result.runId && { runId: result.runId }),
+            });
+        }
+
+        await recordAudit({
+            actorId: req.user.userId,
+            action: "EXAM_RESCORED",
+            entityType: "Exam",
+            entityId: examId,
+            metadata: { runId: result.run.id, totalAttempts: result.run.totalAttempts, reason: reason ?? null },
+            ipAddress: req.ip,
+        });
+
+        res.status(202).json({
+            success: true,
+            message: result.message,
+            run: result.run,
+            queued: result.queued,
+        });
+    } catch (error) {
+        console.error("Error starting rescoring run:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to start rescoring",
+        });
+    }
+};
+
+// List rescoring runs of an exam, newest first
+export const listRescoringRuns = async (req, res) => {
+    try {
+        const { examId } = req.params;
+
+        const runs = await RescoringRun.findAll({
+            where: { examId },
+            order: [["createdAt", "DESC"]],
+        });
+
+        res.status(200).json({
+            success: true,
+            runs,
+        });
+    } catch (error) {
+        console.error("Error listing rescoring runs:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to list rescoring runs",
+        });
+    }
+};
+
+// One run with per-student before/after scores (query: changedOnly, page, limit)
+export const getRescoringRun = async (req, res) => {
+    try {
+        const { runId } = req.params;
+
+        let { page = 1, limit = 50, changedOnly } = req.query;
+        page = Math.max(parseInt(page, 10) || 1, 1);
+        limit = Math.min(parseInt(limit, 10) || 50, 200);
+        const offset = (page - 1) * limit;
+
+        const run = await RescoringRun.findByPk(runId);
+
+        if (!run) {
+            return res.status(404).json({
+                success: false,
+                message: "Rescoring run not found",
+            });
+        }
+
+        const where = { runId };
+
+        // IS DISTINCT FROM so a null before-score still counts as a change
+        if (changedOnly === "true") {
+            where[Op.and] = [
+                sequelize.literal(`"RescoringEntry"."score_before" IS DISTINCT FROM "RescoringEntry"."score_after"`),
+            ];
+        }
+
+        const { rows: entries, count: total } = await RescoringEntry.findAndCountAll({
+            where,
+            include: [
+                {
+                    model: User,
+                    as: "user",
+                    attributes: ["id", "fullName", "email"],
+                },
+            ],
+            order: [["scoreAfter", "DESC NULLS LAST"]],
+            limit,
+            offset,
+        });
+
+        res.status(200).json({
+            success: true,
+            run,
+            pagination: {
+                totalItems: total,
+                totalPages: Math.ceil(total / limit),
+                currentPage: page,
+                limit,
+            },
+            entries: entries.map(entry => ({
+                attemptId: entry.attemptId,
+                user: entry.user,
+                status: entry.status,
+                scoreBefore: entry.scoreBefore,
+                scoreAfter: entry.scoreAfter,
+                delta:
+                    entry.scoreAfter !== null && entry.scoreBefore !== null
+                        ? Math.round((entry.scoreAfter - entry.scoreBefore) * 100) / 100
+                        : null,
+                error: entry.error,
+            })),
+        });
+    } catch (error) {
+        console.error("Error fetching rescoring run:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to fetch rescoring run",
+        });
+    }
+};
@@ -0,0 +1,19 @@
+import express from "express";
+import { triggerRescoring, listRescoringRuns, getRescoringRun } from "./rescoring.controller.js";
+import { requireAuth, requireEmailVerified } from "../../middlewares/auth.middleware.js";
+import requireRole from "../../middlewares/role.middleware.js";
+
+const router = express.Router();
+
+router.use(requireAuth);
+router.use(requireEmailVerified);
+router.use(requireRole("ADMIN"));
+
+// Body: { reason?: string }
+router.post("/exams/:examId", triggerRescoring);
+router.get("/exams/:examId/runs", listRescoringRuns);
+
+// Query: changedOnly=true, page, limit
+router.get("/runs/:runId", getRescoringRun);
+
+export default router;
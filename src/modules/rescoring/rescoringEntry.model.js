@@ -0,0 +1,67 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../../config/db.js";
+
+/**
+ * RescoringEntry Model
+ *
+ * Score of one attempt before and after a rescoring run.
+ */
+const RescoringEntry = sequelize.define(
+    "RescoringEntry",
+    {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true,
+        },
+
+        runId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+        },
+
+        attemptId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+        },
+
+        userId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+        },
+
+        scoreBefore: {
+            type: DataTypes.FLOAT,
+            allowNull: true,
+        },
+
+        scoreAfter: {
+            type: DataTypes.FLOAT,
+            allowNull: true,
+        },
+
+        status: {
+            type: DataTypes.ENUM("PENDING", "PROCESSING", "DONE", "FAILED"),
+            allowNull: false,
+            defaultValue: "PENDING",
+        },
+
+        error: {
+            type: DataTypes.TEXT,
+            allowNull: true,
+        },
+    },
+    {
+        tableName: "rescoring_entries",
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            {
+                unique: true,
+                fields: ["run_id", "attempt_id"],
+            },
+        ],
+    }
+);
+
+export default RescoringEntry;
@@ -0,0 +1,82 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../../config/db.js";
+
+/**
+ * RescoringRun Model
+ *
+ * One re-evaluation of every submitted attempt of an exam, triggered by an
+ * admin after an answer-key correction. Per-student before/after scores live
+ * in RescoringEntry.
+ */
+const RescoringRun = sequelize.define(
+    "RescoringRun",
+    {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true,
+        },
+
+        examId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+        },
+
+        triggeredBy: {
+            type: DataTypes.UUID,
+            allowNull: true,
+        },
+
+        reason: {
+            type: DataTypes.TEXT,
+            allowNull: true,
+        },
+
+        status: {
+            type: DataTypes.ENUM("QUEUED", "RUNNING", "COMPLETED", "COMPLETED_WITH_ERRORS"),
+            allowNull: false,
+            defaultValue: "QUEUED",
+        },
+
+        totalAttempts: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0,
+        },
+
+        processedAttempts: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0,
+        },
+
+        failedAttempts: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0,
+        },
+
+        // Key overrides in force when the run was started, for the record
+        keySnapshot: {
+            type: DataTypes.JSON,
+            allowNull: true,
+        },
+
+        completedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+        },
+    },
+    {
+        tableName: "rescoring_runs",
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            {
+                fields: ["exam_id"],
+            },
+        ],
+    }
+);
+
+export default RescoringRun;
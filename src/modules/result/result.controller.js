@@ -1,7 +1,57 @@
-import { Exam, ExamAttempt, Question, Option, StudentAnswer, NumericalAnswer, ExamQuestion } from "../association/index.js";
+import { Exam, ExamAttempt, Question, Option, StudentAnswer, NumericalAnswer, ExamQuestion, ExamSection, ExamPaperSet, MarkingScheme, GradingTask, Stimulus } from "../association/index.js";
+import { Op } from "sequelize";
 import { calculateExamScore } from "../../services/examScore.service.js";
+import { getDisplayOrderMap, getLayoutSeed } from "../../utils/shuffle.util.js";
+import { DEFAULT_MARKING_RULES } from "../../utils/marking.util.js";
+import { getCorrectAnswer } from "../../utils/questionType.util.js";
+import { aggregateAttemptScores, getAttemptLimit } from "../../utils/attemptPolicy.util.js";
+import { getSignedAttachments, toSignedList } from "../../services/attachment.service.js";
+import { resolveExamQuestions } from "../../services/questionVersion.service.js";
+import { rankExamCandidates } from "../../services/resultRelease.service.js";
+import { RESULT_RELEASE_ATTRIBUTES, getResultVisibility, describePendingRelease } from "../../utils/resultRelease.util.js";
+
+// 403 for a result that is not out yet, with the release time when known
+const sendPendingRelease = (res, exam) => {
+    const { message, releaseAt } = describePendingRelease(exam);
+    return res.status(403).json({ message, ...(releaseAt && { releaseAt }) });
+};
+
+// The candidate's place among the exam's candidates, or null when not ranked
+const findCandidateRank = async (exam, userId) => {
+    const { candidates } = await rankExamCandidates(exam);
+    const entry = candidates.find(candidate => candidate.userId === userId);
+
+    return entry ? { rank: entry.rank, totalParticipants: candidates.length } : null;
+};
+
+/**
+ * The attempt a result request refers to: `?attempt=<number>`, or the latest
+ * submitted attempt (the latest attempt when none is submitted yet)
+ * @returns {Promise<Object|null|undefined>} undefined when the attempt number is invalid
+ */
+const findResultAttempt = async (examId, userId, attemptNumber, options) => {
+    if (attemptNumber !== undefined) {
+        const number = Number(attemptNumber);
+        if (!Number.isInteger(number) || number < 1) return undefined;
+
+        return ExamAttempt.findOne({ where: { examId, userId, attemptNumber: number }, ...options });
+    }
 
-// Get all my attempted exams (list view)
+    const submitted = await ExamAttempt.findOne({
+        where: { examId, userId, status: { [Op.ne]: "IN_PROGRESS" } },
+        order: [["attemptNumber", "DESC"]],
+        ...options,
+    });
+
+    return submitted ?? ExamAttempt.findOne({
+        where: { examId, userId },
+        order: [["attemptNumber", "DESC"]],
+        ...options,
+    });
+};
+
+// Get all my attempted exams (list view), one entry per exam with the exam score
+// under its aggregation policy and the latest attempt's details
 export const getMyAttempts = async (req, res) => {
     try {
         const userId = req.user.userId;
@@ -11,10 +61,10 @@ export const getMyAttempts = async (req, res) => {
             include: [
                 {
                     model: Exam,
-                    attributes: ["id", "title", "durationMinutes", "endTime"],
+                    attributes: ["id", "title", "durationMinutes", "scoreAggregation", ...RESULT_RELEASE_ATTRIBUTES],
                 }
             ],
-            attributes: ["id", "examId", "score", "status", "submittedAt", "startedAt"],
+            attributes: ["id", "examId", "attemptNumber", "score", "isScoreProvisional", "status", "submittedAt", "startedAt"],
             order: [["submittedAt", "DESC"]],
             raw: false,
         });
@@ -26,22 +76,36 @@ export const getMyAttempts = async (req, res) => {
             });
         }
 
-        // Enrich with exam details and calculate percentage
-        const enrichedAttempts = attempts.map(attempt => {
-            const exam = attempt.Exam;
-            const isResultAvailable = new Date() >= new Date(exam.endTime);
+        const attemptsByExam = new Map();
+        for (const attempt of attempts) {
+            if (!attemptsByExam.has(attempt.examId)) attemptsByExam.set(attempt.examId, []);
+            attemptsByExam.get(attempt.examId).push(attempt);
+        }
+
+        // Enrich with exam details and the aggregated exam score
+        const enrichedAttempts = [...attemptsByExam.values()].map(examAttempts => {
+            const exam = examAttempts[0].Exam;
+            const visibility = getResultVisibility(exam);
+            const attempt = examAttempts.reduce((latest, a) => (a.attemptNumber > latest.attemptNumber ? a : latest));
+            const aggregate = aggregateAttemptScores(examAttempts, exam.scoreAggregation);
 
             return {
                 attemptId: attempt.id,
                 examId: attempt.examId,
                 examTitle: exam.title,
-                score: attempt.score,
+                mode: exam.mode,
+                attemptNumber: attempt.attemptNumber,
+                attemptCount: examAttempts.length,
+                scoreAggregation: exam.scoreAggregation,
+                // Scores stay hidden until they are released
+                score: visibility.score ? aggregate.score : null,
+                isScoreProvisional: visibility.score ? aggregate.isScoreProvisional : null,
                 status: attempt.status,
                 submittedAt: attempt.submittedAt,
                 startedAt: attempt.startedAt,
                 durationMinutes: exam.durationMinutes,
                 endTime: exam.endTime,
-                isResultAvailable,
+                isResultAvailable: visibility.released,
             };
         });
 
@@ -57,23 +121,27 @@ export const getMyAttempts = async (req, res) => {
     }
 };
 
-// Get score only (simple view)
+// Get score only (simple view): the exam score under the aggregation policy,
+// or one attempt's own score with ?attempt=<number>
 export const getMyScore = async (req, res) => {
     try {
         const { examId } = req.params;
         const userId = req.user.userId;
 
-        const attempt = await ExamAttempt.findOne({
-            where: { examId, userId },
+        const attempt = await findResultAttempt(examId, userId, req.query.attempt, {
             include: [
                 {
                     model: Exam,
-                    attributes: ["id", "title", "endTime"]
+                    attributes: ["id", "title", "scoreAggregation", ...RESULT_RELEASE_ATTRIBUTES]
                 }
             ],
-            attributes: ["id", "examId", "score", "status", "submittedAt", "startedAt"],
+            attributes: ["id", "examId", "attemptNumber", "score", "isScoreProvisional", "status", "submittedAt", "startedAt"],
         });
 
+        if (attempt === undefined) {
+            return res.status(400).json({ message: "attempt must be a positive integer" });
+        }
+
         if (!attempt) {
             return res.status(404).json({ message: "No attempt found" });
         }
@@ -83,9 +151,15 @@ export const getMyScore = async (req, res) => {
         }
 
         // Check if results are available
-        if (new Date() < attempt.Exam.endTime) {
+        const visibility = getResultVisibility(attempt.Exam);
+
+        if (!visibility.released) {
+            return sendPendingRelease(res, attempt.Exam);
+        }
+
+        if (!visibility.score) {
             return res.status(403).json({
-                message: "Results will be available after exam ends",
+                message: "Scores for this exam are not released",
             });
         }
 
@@ -98,11 +172,30 @@ export const getMyScore = async (req, res) => {
             });
         }
 
+        let aggregate = null;
+
+        if (req.query.attempt === undefined) {
+            const attempts = await ExamAttempt.findAll({
+                where: { examId, userId },
+                attributes: ["id", "attemptNumber", "score", "isScoreProvisional"],
+            });
+
+            aggregate = aggregateAttemptScores(attempts, attempt.Exam.scoreAggregation);
+        }
+
         res.status(200).json({
             attemptId: attempt.id,
+            attemptNumber: attempt.attemptNumber,
             examId,
             examTitle: attempt.Exam.title,
-            score: attempt.score,
+            score: aggregate ? aggregate.score : attempt.score,
+            isScoreProvisional: aggregate ? aggregate.isScoreProvisional : attempt.isScoreProvisional,
+            ...(aggregate && {
+                scoreAggregation: attempt.Exam.scoreAggregation,
+                attemptsCounted: aggregate.attemptsCounted,
+                attemptScore: attempt.score,
+            }),
+            ...(visibility.rank && { rank: await findCandidateRank(attempt.Exam, userId) }),
             status: attempt.status,
             submittedAt: attempt.submittedAt,
         });
@@ -114,6 +207,64 @@ export const getMyScore = async (req, res) => {
     }
 };
 
+// All my attempts at one exam, with the best, latest and aggregated score
+export const getMyAttemptHistory = async (req, res) => {
+    try {
+        const { examId } = req.params;
+        const userId = req.user.userId;
+
+        const exam = await Exam.findByPk(examId, {
+            attributes: ["id", "title", "maxAttempts", "scoreAggregation", ...RESULT_RELEASE_ATTRIBUTES],
+        });
+
+        if (!exam) {
+            return res.status(404).json({ message: "Exam not found" });
+        }
+
+        const attempts = await ExamAttempt.findAll({
+            where: { examId, userId },
+            attributes: ["id", "attemptNumber", "score", "isScoreProvisional", "status", "startedAt", "submittedAt"],
+            order: [["attemptNumber", "ASC"]],
+        });
+
+        const visibility = getResultVisibility(exam);
+
+        // Scores stay hidden until they are released
+        const history = attempts.map(attempt => ({
+            attemptId: attempt.id,
+            attemptNumber: attempt.attemptNumber,
+            status: attempt.status,
+            startedAt: attempt.startedAt,
+            submittedAt: attempt.submittedAt,
+            score: visibility.score ? attempt.score : null,
+            isScoreProvisional: visibility.score ? attempt.isScoreProvisional : null,
+        }));
+
+        const scored = history.filter(attempt => attempt.score !== null);
+        const limit = getAttemptLimit(exam);
+
+        res.status(200).json({
+            examId,
+            examTitle: exam.title,
+            mode: exam.mode,
+            isResultAvailable: visibility.released,
+            attemptCount: history.length,
+            // null = unlimited
+            attemptsRemaining: limit === null ? null : Math.max(0, limit - history.length),
+            scoreAggregation: exam.scoreAggregation,
+            score: aggregateAttemptScores(scored, exam.scoreAggregation).score,
+            bestScore: scored.length > 0 ? Math.max(...scored.map(attempt => attempt.score)) : null,
+            latestScore: scored.length > 0 ? scored[scored.length - 1].score : null,
+            data: history,
+        });
+    } catch (error) {
+        console.error(error.message);
+        res.status(500).json({
+            message: "Server error: Unable to fetch attempt history"
+        });
+    }
+};
+
 // Get detailed result with analysis (includes questions, answers, correct answers)
 export const getMyResult = async (req, res) => {
     try {
@@ -121,16 +272,31 @@ export const getMyResult = async (req, res) => {
         const userId = req.user.userId;
 
         // Fetch exam attempt
-        const attempt = await ExamAttempt.findOne({
-            where: { examId, userId },
+        const attempt = await findResultAttempt(examId, userId, req.query.attempt, {
             include: [
                 {
                     model: Exam,
-                    attributes: ["id", "title", "durationMinutes", "endTime"]
-                }
+                    attributes: ["id", "title", "durationMinutes", "shuffleQuestions", "scoreAggregation", ...RESULT_RELEASE_ATTRIBUTES],
+                    include: [
+                        {
+                            model: MarkingScheme,
+                            as: "markingScheme",
+                            attributes: ["id", "name", "version", "rules"],
+                        },
+                    ],
+                },
+                {
+                    model: ExamPaperSet,
+                    as: "paperSet",
+                    attributes: ["id", "label"],
+                },
             ],
         });
 
+        if (attempt === undefined) {
+            return res.status(400).json({ message: "attempt must be a positive integer" });
+        }
+
         if (!attempt) {
             return res.status(404).json({ message: "No attempt found" });
         }
@@ -139,11 +305,11 @@ export const getMyResult = async (req, res) => {
             return res.status(400).json({ message: "Exam not yet submitted" });
         }
 
-        // Check if results are available
-        if (new Date() < attempt.Exam.endTime) {
-            return res.status(403).json({
-                message: "Results will be available after exam ends",
-            });
+        // Check if results are available, and which parts
+        const visibility = getResultVisibility(attempt.Exam);
+
+        if (!visibility.released) {
+            return sendPendingRelease(res, attempt.Exam);
         }
 
         // Check if score is calculated
@@ -155,9 +321,9 @@ export const getMyResult = async (req, res) => {
             });
         }
 
-        // Fetch all exam questions with details
+        // Fetch the questions of the candidate's paper set with details
         const examQuestions = await ExamQuestion.findAll({
-            where: { examId },
+            where: { examId, paperSetId: attempt.paperSetId ?? null },
             include: [
                 {
                     model: Question,
@@ -166,19 +332,54 @@ export const getMyResult = async (req, res) => {
                         {
                             model: Option,
                             as: "options",
-                            attributes: ["id", "text", "isCorrect"],
+                            attributes: ["id", "text", "isCorrect", "attachmentIds"],
                         },
                         {
                             model: NumericalAnswer,
                             as: "numericalAnswer",
                             attributes: ["value", "tolerance"],
+                        },
+                        {
+                            model: Stimulus,
+                            as: "stimulus",
+                            attributes: ["id", "title", "stimulusType", "content", "contentFormat"],
                         }
                     ],
                 }
             ],
-            order: [["questionOrder", "ASC"]],
+            order: [
+                ["questionOrder", "ASC"],
+                [{ model: Question, as: "question" }, { model: Option, as: "options" }, "order", "ASC"],
+            ],
+        });
+
+        // Statements, options and keys as they were when the exam was published
+        const questions = await resolveExamQuestions(examQuestions);
+
+        const sections = await ExamSection.findAll({
+            where: { examId },
+            order: [["sectionOrder", "ASC"]],
         });
 
+        // Results are listed in canonical order; displayOrder is where the candidate saw
+        // each question (within its section for sectioned exams), grouped as pinned like the paper
+        const displayOrderMap = new Map();
+        const layoutGroups = sections.length > 0 ? sections.map(sec => sec.id) : [null];
+
+        for (const sectionId of layoutGroups) {
+            const groupMap = getDisplayOrderMap(
+                examQuestions
+                    .filter(eq => !sectionId || eq.sectionId === sectionId)
+                    .map(eq => ({
+                        questionId: eq.questionId,
+                        stimulusId: questions.get(eq.questionId).stimulusId ?? null,
+                        stimulusOrder: questions.get(eq.questionId).stimulusOrder ?? null,
+                    })),
+                { attemptId: getLayoutSeed(attempt.id, sectionId), shuffleQuestions: attempt.Exam.shuffleQuestions }
+            );
+            groupMap.forEach((position, questionId) => displayOrderMap.set(questionId, position));
+        }
+
         // Fetch student answers
         const studentAnswers = await StudentAnswer.findAll({
             where: { examAttemptId: attempt.id },
@@ -188,68 +389,146 @@ export const getMyResult = async (req, res) => {
             studentAnswers.map(ans => [ans.questionId, ans])
         );
 
-        // Format questions with student answers and correct answers
-        const formattedQuestions = examQuestions.map(eq => {
-            const question = eq.question;
-            const studentAnswer = answerMap.get(question.id);
+        // Grader feedback on graded SUBJECTIVE answers (graders stay anonymous)
+        const gradedAnswerIds = studentAnswers.filter(ans => ans.gradingStatus === "GRADED").map(ans => ans.id);
+        const gradingComments = new Map();
 
-            let correctAnswer = null;
-
-            if (question.questionType === "SINGLE_CORRECT") {
-                const correctOption = question.options.find(opt => opt.isCorrect);
-                correctAnswer = correctOption ? correctOption.id : null;
-            } else if (question.questionType === "MULTIPLE_CORRECT") {
-                correctAnswer = question.options
-                    .filter(opt => opt.isCorrect)
-                    .map(opt => opt.id);
-            } else if (question.questionType === "NUMERICAL") {
-                correctAnswer = question.NumericalAnswer ? {
-                    value: question.NumericalAnswer.value,
-                    tolerance: question.NumericalAnswer.tolerance,
-                } : null;
+        if (gradedAnswerIds.length > 0) {
+            const tasks = await GradingTask.findAll({
+                where: { studentAnswerId: gradedAnswerIds, status: "SUBMITTED" },
+                attributes: ["studentAnswerId", "comments"],
+                order: [["gradedAt", "ASC"]],
+            });
+
+            for (const task of tasks) {
+                if (!task.comments) continue;
+                if (!gradingComments.has(task.studentAnswerId)) gradingComments.set(task.studentAnswerId, []);
+                gradingComments.get(task.studentAnswerId).push(task.comments);
             }
+        }
+
+        const signedAttachments = await getSignedAttachments(examQuestions.flatMap(eq => [
+            ...(questions.get(eq.questionId).attachmentIds || []),
+            ...(visibility.answerKey ? questions.get(eq.questionId).explanationAttachmentIds || [] : []),
+            ...questions.get(eq.questionId).options.flatMap(opt => opt.attachmentIds || []),
+        ]));
+
+        // Format questions with student answers, and marks and correct answers where released
+        const formattedQuestions = examQuestions.map(eq => {
+            const question = questions.get(eq.questionId);
+            const studentAnswer = answerMap.get(question.id);
 
             return {
                 questionId: question.id,
+                // Question version the exam was published with (null for exams published before versioning)
+                questionVersion: question.version ?? null,
                 questionOrder: eq.questionOrder,
+                displayOrder: displayOrderMap.get(eq.questionId),
+                sectionId: eq.sectionId,
+                stimulusId: question.stimulusId ?? null,
                 statement: question.statement,
+                contentFormat: question.contentFormat,
+                attachments: toSignedList(question.attachmentIds, signedAttachments),
                 questionType: question.questionType,
+                // Blank count, match columns or assertion and reason, depending on the type
+                typeData: question.typeData ?? null,
                 marks: eq.marksForEachQuestion,
-                negativeMarks: question.negativeMarks,
-                options: question.questionType !== "NUMERICAL" ? question.options.map(opt => ({
+                negativeMarks: eq.negativeMarks ?? question.negativeMarks,
+                options: question.options.length > 0 ? question.options.map(opt => ({
                     id: opt.id,
                     text: opt.text,
-                    isCorrect: opt.isCorrect,
+                    ...(visibility.answerKey && { isCorrect: opt.isCorrect }),
+                    attachments: toSignedList(opt.attachmentIds, signedAttachments),
                 })) : [],
-                studentAnswer: studentAnswer ? {
-                    selectedOptionIds: studentAnswer.selectedOptionIds || null,
-                    numericalAnswer: studentAnswer.numericalAnswer || null,
-                    marksObtained: studentAnswer.marksObtained,
-                } : {
-                    selectedOptionIds: null,
-                    numericalAnswer: null,
-                    marksObtained: 0,
+                studentAnswer: {
+                    selectedOptionIds: studentAnswer?.selectedOptionIds || null,
+                    numericalAnswer: studentAnswer?.numericalAnswer || null,
+                    textAnswer: studentAnswer?.textAnswer || null,
+                    structuredAnswer: studentAnswer?.structuredAnswer ?? null,
+                    ...(visibility.correctness && {
+                        marksObtained: studentAnswer ? studentAnswer.marksObtained : 0,
+                        gradingStatus: studentAnswer?.gradingStatus ?? null,
+                        gradingComments: studentAnswer ? gradingComments.get(studentAnswer.id) || [] : [],
+                    }),
                 },
-                correctAnswer,
+                ...(visibility.correctness && {
+                    // Outcome, penalty, clamping and scheme version behind marksObtained
+                    scoreBreakdown: studentAnswer?.scoreBreakdown ?? {
+                        outcome: "UNATTEMPTED",
+                        maxMarks: eq.marksForEachQuestion,
+                        marksObtained: 0,
+                    },
+                }),
+                ...(visibility.answerKey && {
+                    correctAnswer: getCorrectAnswer(question),
+                    // Worked solution as pinned with the question
+                    explanation: question.explanation ?? null,
+                    explanationAttachments: toSignedList(question.explanationAttachmentIds, signedAttachments),
+                    // Post-exam key correction (bonus or additional accepted keys), if any
+                    keyOverride: eq.keyOverride ?? null,
+                }),
             };
         });
 
+        // Shared passages, listed once
+        const stimuli = [...new Map(
+            examQuestions.filter(eq => eq.question.stimulus).map(eq => [eq.question.stimulus.id, eq.question.stimulus])
+        ).values()];
+
         const totalQuestions = examQuestions.length;
         const totalMarks = examQuestions.reduce((sum, eq) => sum + eq.marksForEachQuestion, 0);
         const percentage = totalMarks > 0 ? Math.round((attempt.score / totalMarks) * 100) : 0;
 
+        // Section-wise subtotals
+        const sectionScores = sections.map(section => {
+            const sectionQuestions = formattedQuestions.filter(q => q.sectionId === section.id);
+
+            return {
+                sectionId: section.id,
+                title: section.title,
+                sectionOrder: section.sectionOrder,
+                totalQuestions: sectionQuestions.length,
+                totalMarks: sectionQuestions.reduce((sum, q) => sum + q.marks, 0),
+                ...(visibility.score && {
+                    score: sectionQuestions.reduce((sum, q) => sum + (answerMap.get(q.questionId)?.marksObtained ?? 0), 0),
+                }),
+            };
+        });
+
         res.status(200).json({
             attemptId: attempt.id,
+            attemptNumber: attempt.attemptNumber,
             examId,
             examTitle: attempt.Exam.title,
-            score: attempt.score,
+            ...(attempt.paperSet && { paperSet: attempt.paperSet.label }),
+            // Parts of the result the exam releases
+            visibility: {
+                score: visibility.score,
+                rank: visibility.rank,
+                correctness: visibility.correctness,
+                answerKey: visibility.answerKey,
+            },
+            ...(visibility.score && {
+                score: attempt.score,
+                // Some SUBJECTIVE answers are still being graded; the score can still go up
+                isScoreProvisional: attempt.isScoreProvisional,
+                percentage,
+            }),
+            ...(visibility.rank && { rank: await findCandidateRank(attempt.Exam, userId) }),
             totalQuestions,
             totalMarks,
-            percentage,
             status: attempt.status,
             submittedAt: attempt.submittedAt,
             startedAt: attempt.startedAt,
             durationMinutes: attempt.Exam.durationMinutes,
+            markingScheme: attempt.Exam.markingScheme ?? {
+                id: null,
+                name: "Default",
+                version: null,
+                rules: DEFAULT_MARKING_RULES,
+            },
+            ...(sectionScores.length > 0 && { sections: sectionScores }),
+            ...(stimuli.length > 0 && { stimuli }),
             questions: formattedQuestions,
         });
     } catch (error) {
@@ -1,5 +1,5 @@
 import express from "express";
-import { getMyResult, getMyScore, getMyAttempts, dummyResultCalculator } from "./result.controller.js";
+import { getMyResult, getMyScore, getMyAttempts, getMyAttemptHistory, dummyResultCalculator } from "./result.controller.js";
 import { requireAuth, requireEmailVerified } from "../../middlewares/auth.middleware.js";
 import requireRole from "../../middlewares/role.middleware.js";
 
@@ -11,10 +11,13 @@ router.use(requireEmailVerified);
 // Get all attempts by current user
 router.get("/", getMyAttempts);
 
-// Get score only for specific exam (simple view)
+// Every attempt at one exam, with best and latest score
+router.get("/:examId/attempts", getMyAttemptHistory);
+
+// Get score only for specific exam (simple view); ?attempt=<number> for an earlier attempt
 router.get("/:examId/score", getMyScore);
 
-// Get detailed result with analysis for specific exam
+// Get detailed result with analysis for specific exam; ?attempt=<number> for an earlier attempt
 router.get("/:examId/analysis", getMyResult);
 
 // Calculate/recalculate score (for testing/admin)
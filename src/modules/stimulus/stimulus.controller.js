@@ -0,0 +1,358 @@
+import { Op } from "sequelize";
+import sequelize from "../../config/db.js";
+import { Stimulus, Question, ExamQuestion, Exam } from "../association/index.js";
+import { recordAudit, diffFields } from "../../services/audit.service.js";
+import { normalizeContent } from "../../utils/content.util.js";
+import { recordQuestionVersion } from "../../services/questionVersion.service.js";
+
+const STIMULUS_TYPES = ["PASSAGE", "TABLE", "DIAGRAM"];
+
+// Questions of a group in a published or closed exam cannot be regrouped
+const findLockedQuestionIds = async (questionIds, transaction) => {
+    if (questionIds.length === 0) return [];
+
+    const rows = await ExamQuestion.findAll({
+        where: { questionId: questionIds },
+        attributes: ["questionId"],
+        include: [{ model: Exam, as: "exam", attributes: [], where: { state: { [Op.ne]: "DRAFT" } } }],
+        transaction,
+    });
+
+    return [...new Set(rows.map(r => r.questionId))];
+};
+
+// Create a passage, table or diagram that questions can share
+export const createStimulus = async (req, res) => {
+    try {
+        const { title, content, stimulusType = "PASSAGE", contentFormat = "PLAIN" } = req.body;
+
+        if (!title || !content) {
+            return res.status(400).json({
+                success: false,
+                message: "title and content are required",
+            });
+        }
+
+        if (!STIMULUS_TYPES.includes(stimulusType)) {
+            return res.status(400).json({
+                success: false,
+                message: `stimulusType must be one of ${STIMULUS_TYPES.join(", ")}`,
+            });
+        }
+
+        const normalized = normalizeContent(content, contentFormat);
+
+        if (normalized.errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid stimulus content",
+                errors: normalized.errors,
+            });
+        }
+
+        const stimulus = await Stimulus.create({
+            title: String(title).trim(),
+            content: normalized.value,
+            contentFormat,
+            stimulusType,
+            createdBy: req.user.userId,
+        });
+
+        res.status(201).json({
+            success: true,
+            message: "Stimulus created successfully",
+            stimulus,
+        });
+    } catch (error) {
+        console.error("Error creating stimulus:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to create stimulus",
+        });
+    }
+};
+
+// List stimuli with their question counts (query: search, stimulusType, page, limit)
+export const getStimuli = async (req, res) => {
+    try {
+        const { search, stimulusType } = req.query;
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+        const offset = (page - 1) * limit;
+
+        const where = {};
+        if (search) where.title = { [Op.iLike]: `%${search}%` };
+        if (stimulusType) where.stimulusType = stimulusType;
+
+        const { count, rows } = await Stimulus.findAndCountAll({
+            where,
+            attributes: {
+                include: [
+                    [
+                        sequelize.literal(`(SELECT COUNT(*) FROM questions q WHERE q."stimulusId" = "Stimulus"."id")`),
+                        "questionCount",
+                    ],
+                ],
+            },
+            order: [["createdAt", "DESC"]],
+            limit,
+            offset,
+        });
+
+        res.status(200).json({
+            success: true,
+            stimuli: rows,
+            pagination: {
+                totalItems: count,
+                totalPages: Math.ceil(count / limit),
+                currentPage: page,
+                limit,
+            },
+        });
+    } catch (error) {
+        console.error("Error fetching stimuli:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to fetch stimuli",
+        });
+    }
+};
+
+// One stimulus with its questions in group order
+export const getStimulusById = async (req, res) => {
+    try {
+        const stimulus = await Stimulus.findByPk(req.params.stimulusId, {
+            include: [
+                {
+                    model: Question,
+                    as: "questions",
+                    attributes: ["id", "statement", "questionType", "domain", "marks", "difficulty", "stimulusOrder"],
+                },
+            ],
+            order: [[{ model: Question, as: "questions" }, "stimulusOrder", "ASC"]],
+        });
+
+        if (!stimulus) {
+            return res.status(404).json({
+                success: false,
+                message: "Stimulus not found",
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            stimulus,
+        });
+    } catch (error) {
+        console.error("Error fetching stimulus:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to fetch stimulus",
+        });
+    }
+};
+
+// Update title, type, content or content format
+export const updateStimulus = async (req, res) => {
+    try {
+        const { title, content, stimulusType, contentFormat } = req.body;
+
+        if (stimulusType !== undefined && !STIMULUS_TYPES.includes(stimulusType)) {
+            return res.status(400).json({
+                success: false,
+                message: `stimulusType must be one of ${STIMULUS_TYPES.join(", ")}`,
+            });
+        }
+
+        const stimulus = await Stimulus.findByPk(req.params.stimulusId);
+
+        if (!stimulus) {
+            return res.status(404).json({
+                success: false,
+                message: "Stimulus not found",
+            });
+        }
+
+        // Content is re-checked whenever it or its format changes
+        const format = contentFormat ?? stimulus.contentFormat;
+        const normalized = content !== undefined || contentFormat !== undefined
+            ? normalizeContent(content ?? stimulus.content, format)
+            : null;
+
+        if (normalized?.errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid stimulus content",
+                errors: normalized.errors,
+            });
+        }
+
+        await stimulus.update({
+            ...(title !== undefined && { title: String(title).trim() }),
+            ...(normalized && { content: normalized.value, contentFormat: format }),
+            ...(stimulusType !== undefined && { stimulusType }),
+        });
+
+        res.status(200).json({
+            success: true,
+            message: "Stimulus updated successfully",
+            stimulus,
+        });
+    } catch (error) {
+        console.error("Error updating stimulus:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to update stimulus",
+        });
+    }
+};
+
+/**
+ * Set the questions of a group, in order
+ * Questions left out are detached; questions coming from another group move here.
+ */
+export const setStimulusQuestions = async (req, res) => {
+    const transaction = await sequelize.transaction();
+
+    try {
+        const { stimulusId } = req.params;
+        const { questionIds } = req.body;
+
+        if (!Array.isArray(questionIds) || new Set(questionIds).size !== questionIds.length) {
+            await transaction.rollback();
+            return res.status(400).json({
+                success: false,
+                message: "questionIds must be an array without duplicates",
+            });
+        }
+
+        const stimulus = await Stimulus.findByPk(stimulusId, { transaction });
+
+        if (!stimulus) {
+            await transaction.rollback();
+            return res.status(404).json({
+                success: false,
+                message: "Stimulus not found",
+            });
+        }
+
+        const questions = await Question.findAll({
+            where: { id: questionIds },
+            attributes: ["id", "stimulusId"],
+            transaction,
+        });
+
+        if (questions.length !== questionIds.length) {
+            await transaction.rollback();
+            const foundIds = new Set(questions.map(q => q.id));
+            return res.status(400).json({
+                success: false,
+                message: "One or more question IDs do not exist",
+                invalidQuestionIds: questionIds.filter(id => !foundIds.has(id)),
+            });
+        }
+
+        const current = await Question.findAll({
+            where: { stimulusId },
+            attributes: ["id"],
+            transaction,
+        });
+
+        const affectedIds = [...new Set([...current.map(q => q.id), ...questionIds])];
+        const lockedIds = await findLockedQuestionIds(affectedIds, transaction);
+
+        if (lockedIds.length > 0) {
+            await transaction.rollback();
+            return res.status(409).json({
+                success: false,
+                message: "Some of these questions are in a published or closed exam and cannot be regrouped",
+                lockedQuestionIds: lockedIds,
+            });
+        }
+
+        await Question.update(
+            { stimulusId: null, stimulusOrder: null },
+            { where: { stimulusId, id: { [Op.notIn]: questionIds } }, transaction }
+        );
+
+        for (const [index, questionId] of questionIds.entries()) {
+            await Question.update(
+                { stimulusId, stimulusOrder: index + 1 },
+                { where: { id: questionId }, transaction }
+            );
+        }
+
+        // Grouping is versioned with the question, so exams published later pin it
+        for (const questionId of affectedIds) {
+            await recordQuestionVersion(questionId, { createdBy: req.user.userId, transaction });
+        }
+
+        await recordAudit(
+            {
+                actorId: req.user.userId,
+                action: "STIMULUS_QUESTIONS_SET",
+                entityType: "Stimulus",
+                entityId: stimulusId,
+                changes: diffFields(
+                    { questionIds: current.map(q => q.id) },
+                    { questionIds },
+                    ["questionIds"]
+                ),
+                ipAddress: req.ip,
+            },
+            { transaction }
+        );
+
+        await transaction.commit();
+
+        res.status(200).json({
+            success: true,
+            message: "Stimulus questions updated successfully",
+            questionIds,
+        });
+    } catch (error) {
+        await transaction.rollback();
+        console.error("Error setting stimulus questions:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to update stimulus questions",
+        });
+    }
+};
+
+// Delete a stimulus that no longer has questions
+export const deleteStimulus = async (req, res) => {
+    try {
+        const stimulus = await Stimulus.findByPk(req.params.stimulusId);
+
+        if (!stimulus) {
+            return res.status(404).json({
+                success: false,
+                message: "Stimulus not found",
+            });
+        }
+
+        const questionCount = await Question.count({ where: { stimulusId: stimulus.id } });
+
+        if (questionCount > 0) {
+            return res.status(409).json({
+                success: false,
+                message: "Detach the questions of this stimulus before deleting it",
+                questionCount,
+            });
+        }
+
+        await stimulus.destroy();
+
+        res.status(200).json({
+            success: true,
+            message: "Stimulus deleted successfully",
+        });
+    } catch (error) {
+        console.error("Error deleting stimulus:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to delete stimulus",
+        });
+    }
+};
@@ -0,0 +1,56 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../../config/db.js";
+
+/**
+ * Stimulus Model
+ *
+ * Shared material (reading passage, data table, circuit diagram) that a group
+ * of questions refers to. Questions join a stimulus through
+ * Question.stimulusId and are kept in Question.stimulusOrder; exams keep the
+ * group together and show the stimulus once.
+ */
+const Stimulus = sequelize.define(
+    "Stimulus",
+    {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true,
+        },
+
+        title: {
+            type: DataTypes.STRING,
+            allowNull: false,
+        },
+
+        stimulusType: {
+            type: DataTypes.ENUM("PASSAGE", "TABLE", "DIAGRAM"),
+            allowNull: false,
+            defaultValue: "PASSAGE",
+        },
+
+        content: {
+            type: DataTypes.TEXT,
+            allowNull: false,
+        },
+
+        // How content is written and rendered; see content.util
+        contentFormat: {
+            type: DataTypes.ENUM("PLAIN", "MARKDOWN", "MARKDOWN_LATEX"),
+            allowNull: false,
+            defaultValue: "PLAIN",
+        },
+
+        createdBy: {
+            type: DataTypes.UUID,
+            allowNull: true,
+        },
+    },
+    {
+        tableName: "stimuli",
+        timestamps: true,
+        underscored: true,
+    }
+);
+
+export default Stimulus;
@@ -0,0 +1,38 @@
+import express from "express";
+import {
+    createStimulus,
+    getStimuli,
+    getStimulusById,
+    updateStimulus,
+    setStimulusQuestions,
+    deleteStimulus,
+} from "./stimulus.controller.js";
+import { requireAuth, requireEmailVerified } from "../../middlewares/auth.middleware.js";
+import requireRole from "../../middlewares/role.middleware.js";
+
+const router = express.Router();
+
+router.use(requireAuth);
+router.use(requireEmailVerified);
+router.use(requireRole("ADMIN"));
+
+/**
+ * Body:
+ * {
+ *   title: string
+ *   content: string
+ *   stimulusType?: "PASSAGE" | "TABLE" | "DIAGRAM"
+ * }
+ */
+router.post("/", createStimulus);
+
+// Query: search, stimulusType, page, limit
+router.get("/", getStimuli);
+router.get("/:stimulusId", getStimulusById);
+router.put("/:stimulusId", updateStimulus);
+router.delete("/:stimulusId", deleteStimulus);
+
+// Body: { questionIds: string[] } in the order the questions should appear
+router.put("/:stimulusId/questions", setStimulusQuestions);
+
+export default router;
@@ -0,0 +1,44 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../../config/db.js";
+
+/**
+ * QuestionTag Model
+ *
+ * Join table between questions and tags.
+ */
+const QuestionTag = sequelize.define(
+    "QuestionTag",
+    {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true,
+        },
+
+        questionId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+        },
+
+        tagId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+        },
+    },
+    {
+        tableName: "question_tags",
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            {
+                unique: true,
+                fields: ["question_id", "tag_id"],
+            },
+            {
+                fields: ["tag_id"],
+            },
+        ],
+    }
+);
+
+export default QuestionTag;
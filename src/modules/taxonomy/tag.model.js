@@ -0,0 +1,32 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../../config/db.js";
+
+/**
+ * Tag Model
+ *
+ * Free label on questions ("previous-year", "kvl", "gate-2019"), outside the
+ * subject hierarchy. Names are stored normalised (see taxonomy.service).
+ */
+const Tag = sequelize.define(
+    "Tag",
+    {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true,
+        },
+
+        name: {
+            type: DataTypes.STRING(50),
+            allowNull: false,
+            unique: true,
+        },
+    },
+    {
+        tableName: "tags",
+        timestamps: true,
+        underscored: true,
+    }
+);
+
+export default Tag;
@@ -0,0 +1,393 @@
+import { Op } from "sequelize";
+import sequelize from "../../config/db.js";
+import { TaxonomyNode, Tag, QuestionTag, Question } from "../association/index.js";
+import {
+    createTaxonomyNode,
+    normalizeAliases,
+    slugify,
+    loadTaxonomyIndex,
+    suggestTaxonomyNodes,
+    mapDomainsToTaxonomy,
+} from "../../services/taxonomy.service.js";
+import { recordAudit, diffFields } from "../../services/audit.service.js";
+
+const CREATE_ERROR_STATUS = {
+    PARENT_NOT_FOUND: 404,
+    TOO_DEEP: 400,
+    DUPLICATE: 409,
+};
+
+const MAX_NAME_LENGTH = 100;
+
+const isValidName = (name) => typeof name === "string" && name.trim().length > 0 && name.trim().length <= MAX_NAME_LENGTH;
+
+/* ---------------- NODES ---------------- */
+
+// The whole tree, subjects first, each node with its direct question count
+export const getTaxonomyTree = async (req, res) => {
+    try {
+        const nodes = await TaxonomyNode.findAll({
+            attributes: {
+                include: [
+                    [
+                        sequelize.literal(`(SELECT COUNT(*) FROM questions q WHERE q."taxonomyNodeId" = "TaxonomyNode"."id")`),
+                        "questionCount",
+                    ],
+                ],
+            },
+            order: [["name", "ASC"]],
+        });
+
+        const byParent = new Map();
+        for (const node of nodes.map(n => n.toJSON())) {
+            const key = node.parentId ?? "root";
+            if (!byParent.has(key)) byParent.set(key, []);
+            byParent.get(key).push(node);
+        }
+
+        const build = (parentKey) => (byParent.get(parentKey) || []).map(node => ({
+            ...node,
+            questionCount: Number(node.questionCount),
+            children: build(node.id),
+        }));
+
+        res.status(200).json({
+            success: true,
+            subjects: build("root"),
+        });
+    } catch (error) {
+        console.error("Error fetching taxonomy:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to fetch taxonomy",
+        });
+    }
+};
+
+// Add a subject, or a topic / subtopic under parentId
+export const createNode = async (req, res) => {
+    try {
+        const { name, parentId = null, aliases = [] } = req.body;
+
+        if (!isValidName(name)) {
+            return res.status(400).json({
+                success: false,
+                message: `name is required (at most ${MAX_NAME_LENGTH} characters)`,
+            });
+        }
+
+        const normalized = normalizeAliases(aliases);
+
+        if (normalized.error) {
+            return res.status(400).json({
+                success: false,
+                message: normalized.error,
+            });
+        }
+
+        const result = await createTaxonomyNode({
+            name: name.trim(),
+            parentId,
+            aliases: normalized.aliases,
+        });
+
+        if (!result.success) {
+            return res.status(CREATE_ERROR_STATUS[result.error] || 400).json({
+                success: false,
+                message: result.message,
+            });
+        }
+
+        await recordAudit({
+            actorId: req.user.userId,
+            action: "TAXONOMY_NODE_CREATED",
+            entityType: "TaxonomyNode",
+            entityId: result.node.id,
+            metadata: { name: result.node.name, level: result.node.level, parentId },
+            ipAddress: req.ip,
+        });
+
+        res.status(201).json({
+            success: true,
+            message: "Taxonomy node created successfully",
+            node: result.node,
+        });
+    } catch (error) {
+        console.error("Error creating taxonomy node:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to create taxonomy node",
+        });
+    }
+};
+
+// Rename a node or replace its aliases
+export const updateNode = async (req, res) => {
+    try {
+        const { name, aliases } = req.body;
+
+        if (name !== undefined && !isValidName(name)) {
+            return res.status(400).json({
+                success: false,
+                message: `name must be 1 to ${MAX_NAME_LENGTH} characters`,
+            });
+        }
+
+        const normalized = aliases !== undefined ? normalizeAliases(aliases) : null;
+
+        if (normalized?.error) {
+            return res.status(400).json({
+                success: false,
+                message: normalized.error,
+            });
+        }
+
+        const node = await TaxonomyNode.findByPk(req.params.nodeId);
+
+        if (!node) {
+            return res.status(404).json({
+                success: false,
+                message: "Taxonomy node not found",
+            });
+        }
+
+        const before = node.toJSON();
+        const slug = name !== undefined ? slugify(name) : node.slug;
+
+        if (slug !== node.slug) {
+            const sibling = await TaxonomyNode.findOne({
+                where: { parentId: node.parentId, slug, id: { [Op.ne]: node.id } },
+                attributes: ["id"],
+            });
+
+            if (sibling) {
+                return res.status(409).json({
+                    success: false,
+                    message: `"${name.trim()}" already exists at this level`,
+                });
+            }
+        }
+
+        await node.update({
+            ...(name !== undefined && { name: name.trim(), slug }),
+            ...(normalized && { aliases: normalized.aliases }),
+        });
+
+        await recordAudit({
+            actorId: req.user.userId,
+            action: "TAXONOMY_NODE_UPDATED",
+            entityType: "TaxonomyNode",
+            entityId: node.id,
+            changes: diffFields(before, node.toJSON(), ["name", "aliases"]),
+            ipAddress: req.ip,
+        });
+
+        res.status(200).json({
+            success: true,
+            message: "Taxonomy node updated successfully",
+            node,
+        });
+    } catch (error) {
+        console.error("Error updating taxonomy node:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to update taxonomy node",
+        });
+    }
+};
+
+// Delete a node that has no children and no questions
+export const deleteNode = async (req, res) => {
+    try {
+        const node = await TaxonomyNode.findByPk(req.params.nodeId);
+
+        if (!node) {
+            return res.status(404).json({
+                success: false,
+                message: "Taxonomy node not found",
+            });
+        }
+
+        const [childCount, questionCount] = await Promise.all([
+            TaxonomyNode.count({ where: { parentId: node.id } }),
+            Question.count({ where: { taxonomyNodeId: node.id } }),
+        ]);
+
+        if (childCount > 0 || questionCount > 0) {
+            return res.status(409).json({
+                success: false,
+                message: "Move its questions and remove its children before deleting this node",
+                childCount,
+                questionCount,
+            });
+        }
+
+        await node.destroy();
+
+        await recordAudit({
+            actorId: req.user.userId,
+            action: "TAXONOMY_NODE_DELETED",
+            entityType: "TaxonomyNode",
+            entityId: node.id,
+            metadata: { name: node.name, level: node.level },
+            ipAddress: req.ip,
+        });
+
+        res.status(200).json({
+            success: true,
+            message: "Taxonomy node deleted successfully",
+        });
+    } catch (error) {
+        console.error("Error deleting taxonomy node:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to delete taxonomy node",
+        });
+    }
+};
+
+// Best-matching nodes for a free-text hint and/or question text (query: hint, text)
+export const suggestNodes = async (req, res) => {
+    try {
+        const { hint, text } = req.query;
+
+        if (!hint && !text) {
+            return res.status(400).json({
+                success: false,
+                message: "hint or text is required",
+            });
+        }
+
+        const index = await loadTaxonomyIndex();
+
+        res.status(200).json({
+            success: true,
+            suggestions: suggestTaxonomyNodes(index, { hint, text }, 5),
+        });
+    } catch (error) {
+        console.error("Error suggesting taxonomy nodes:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to suggest taxonomy nodes",
+        });
+    }
+};
+
+// Map legacy question domains onto the taxonomy (body: dryRun, createMissing)
+export const mapDomains = async (req, res) => {
+    try {
+        const dryRun = req.body.dryRun !== false;
+        const createMissing = req.body.createMissing === true;
+
+        const report = await mapDomainsToTaxonomy({ dryRun, createMissing });
+
+        if (!dryRun) {
+            await recordAudit({
+                actorId: req.user.userId,
+                action: "TAXONOMY_DOMAINS_MAPPED",
+                entityType: "TaxonomyNode",
+                metadata: {
+                    createMissing,
+                    mapped: report.mapped.length,
+                    ambiguous: report.ambiguous.length,
+                    unmatched: report.unmatched.length,
+                },
+                ipAddress: req.ip,
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            dryRun,
+            ...report,
+        });
+    } catch (error) {
+        console.error("Error mapping domains:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to map domains",
+        });
+    }
+};
+
+/* ---------------- TAGS ---------------- */
+
+// Tags with their question counts (query: search, page, limit)
+export const getTags = async (req, res) => {
+    try {
+        const { search } = req.query;
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 100);
+        const offset = (page - 1) * limit;
+
+        const where = {};
+        if (search) where.name = { [Op.iLike]: `%${search}%` };
+
+        const { count, rows } = await Tag.findAndCountAll({
+            where,
+            attributes: {
+                include: [
+                    [
+                        sequelize.literal(`(SELECT COUNT(*) FROM question_tags qt WHERE qt.tag_id = "Tag"."id")`),
+                        "questionCount",
+                    ],
+                ],
+            },
+            order: [["name", "ASC"]],
+            limit,
+            offset,
+        });
+
+        res.status(200).json({
+            success: true,
+            tags: rows,
+            pagination: {
+                totalItems: count,
+                totalPages: Math.ceil(count / limit),
+                currentPage: page,
+                limit,
+            },
+        });
+    } catch (error) {
+        console.error("Error fetching tags:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to fetch tags",
+        });
+    }
+};
+
+// Delete a tag and remove it from every question
+export const deleteTag = async (req, res) => {
+    const transaction = await sequelize.transaction();
+
+    try {
+        const tag = await Tag.findByPk(req.params.tagId, { transaction });
+
+        if (!tag) {
+            await transaction.rollback();
+            return res.status(404).json({
+                success: false,
+                message: "Tag not found",
+            });
+        }
+
+        const removedFrom = await QuestionTag.destroy({ where: { tagId: tag.id }, transaction });
+        await tag.destroy({ transaction });
+
+        await transaction.commit();
+
+        res.status(200).json({
+            success: true,
+            message: "Tag deleted successfully",
+            removedFrom,
+        });
+    } catch (error) {
+        await transaction.rollback();
+        console.error("Error deleting tag:", error.message);
+        res.status(500).json({
+            success: false,
+            message: "Server error: Failed to delete tag",
+        });
+    }
+};
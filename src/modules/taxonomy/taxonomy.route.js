@@ -0,0 +1,54 @@
+import express from "express";
+import {
+    getTaxonomyTree,
+    createNode,
+    updateNode,
+    deleteNode,
+    suggestNodes,
+    mapDomains,
+    getTags,
+    deleteTag,
+} from "./taxonomy.controller.js";
+import { requireAuth, requireEmailVerified } from "../../middlewares/auth.middleware.js";
+import requireRole from "../../middlewares/role.middleware.js";
+
+const router = express.Router();
+
+router.use(requireAuth);
+router.use(requireEmailVerified);
+router.use(requireRole("ADMIN"));
+
+/* ---------------- NODES ---------------- */
+
+router.get("/nodes", getTaxonomyTree);
+
+// Query: hint (e.g. a legacy domain), text (e.g. a question statement)
+router.get("/nodes/suggest", suggestNodes);
+
+/**
+ * Body:
+ * {
+ *   name: string
+ *   parentId?: string (omit for a subject; a subject's child is a topic, a topic's a subtopic)
+ *   aliases?: string[] (other spellings, used for matching)
+ * }
+ */
+router.post("/nodes", createNode);
+
+// Body: { name?, aliases? }
+router.put("/nodes/:nodeId", updateNode);
+router.delete("/nodes/:nodeId", deleteNode);
+
+/**
+ * Map Question.domain values of unclassified questions onto nodes
+ * Body: { dryRun?: boolean (default true), createMissing?: boolean }
+ */
+router.post("/domain-mapping", mapDomains);
+
+/* ---------------- TAGS ---------------- */
+
+// Query: search, page, limit
+router.get("/tags", getTags);
+router.delete("/tags/:tagId", deleteTag);
+
+export default router;
@@ -0,0 +1,70 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../../config/db.js";
+
+/**
+ * TaxonomyNode Model
+ *
+ * One node of the question bank hierarchy: SUBJECT > TOPIC > SUBTOPIC.
+ * path lists the node's ancestors and itself ("/<subjectId>/<topicId>/"), so
+ * a node's descendants are the nodes whose path starts with its own. aliases
+ * are alternative spellings ("emf", "electromagnetics") used to map free-text
+ * domains and AI suggestions onto the node.
+ */
+const TaxonomyNode = sequelize.define(
+    "TaxonomyNode",
+    {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true,
+        },
+
+        name: {
+            type: DataTypes.STRING,
+            allowNull: false,
+        },
+
+        // Lower-case, hyphenated name; unique among siblings
+        slug: {
+            type: DataTypes.STRING,
+            allowNull: false,
+        },
+
+        level: {
+            type: DataTypes.ENUM("SUBJECT", "TOPIC", "SUBTOPIC"),
+            allowNull: false,
+        },
+
+        parentId: {
+            type: DataTypes.UUID,
+            allowNull: true,
+        },
+
+        path: {
+            type: DataTypes.STRING(120),
+            allowNull: false,
+        },
+
+        aliases: {
+            type: DataTypes.JSON,
+            allowNull: false,
+            defaultValue: [],
+        },
+    },
+    {
+        tableName: "taxonomy_nodes",
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            {
+                unique: true,
+                fields: ["parent_id", "slug"],
+            },
+            {
+                fields: ["path"],
+            },
+        ],
+    }
+);
+
+export default TaxonomyNode;
@@ -7,6 +7,17 @@ import examRoutes from '../modules/exam/exam.route.js';
 import examAttemptRoutes from '../modules/examAttempt/examAttempt.route.js';
 import resultRoutes from '../modules/result/result.router.js';
 import leaderboardRoutes from '../modules/leaderboard/leaderboard.route.js'
+import adminUserRoutes from '../modules/adminUser/adminUser.route.js';
+import markingSchemeRoutes from '../modules/markingScheme/markingScheme.route.js';
+import rescoringRoutes from '../modules/rescoring/rescoring.route.js';
+import keyChallengeRoutes from '../modules/keyChallenge/keyChallenge.route.js';
+import gradingRoutes from '../modules/grading/grading.route.js';
+import stimulusRoutes from '../modules/stimulus/stimulus.route.js';
+import attachmentRoutes from '../modules/attachment/attachment.route.js';
+import taxonomyRoutes from '../modules/taxonomy/taxonomy.route.js';
+import questionTransferRoutes from '../modules/questionTransfer/questionTransfer.route.js';
+import itemAnalysisRoutes from '../modules/itemAnalysis/itemAnalysis.route.js';
+import blueprintRoutes from '../modules/blueprint/blueprint.route.js';
 
 const router = express.Router();
 
@@ -22,9 +33,20 @@ router.use("/auth", authRoutes);
 router.use("/profile", profileRoutes);
 router.use("/question", questionRoutes);
 router.use("/question-drafts", questionDraftRoutes);
+router.use("/stimuli", stimulusRoutes);
+router.use("/attachments", attachmentRoutes);
+router.use("/taxonomy", taxonomyRoutes);
+router.use("/question-transfer", questionTransferRoutes);
+router.use("/item-analysis", itemAnalysisRoutes);
 router.use("/exam", examRoutes);
+router.use("/blueprints", blueprintRoutes);
 router.use("/exam-attempt", examAttemptRoutes);
 router.use("/result", resultRoutes);
 router.use("/leaderboard", leaderboardRoutes)
+router.use("/admin/users", adminUserRoutes);
+router.use("/marking-schemes", markingSchemeRoutes);
+router.use("/admin/rescoring", rescoringRoutes);
+router.use("/challenges", keyChallengeRoutes);
+router.use("/grading", gradingRoutes);
 
 export default router;
\ No newline at end of file
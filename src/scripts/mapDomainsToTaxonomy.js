@@ -0,0 +1,76 @@
+/**
+ * Map legacy Question.domain values onto the subject/topic/subtopic taxonomy
+ *
+ * Creates the taxonomy tables and the questions."taxonomyNodeId" column when
+ * missing, then files every unclassified question under the node its domain
+ * matches (by node name or alias). Ambiguous and unmatched domains are listed
+ * for manual follow-up.
+ *
+ * Usage:
+ *   npm run taxonomy:map-domains -- [--dry-run] [--create-missing]
+ *
+ *   --dry-run         Report what would be mapped without writing anything
+ *   --create-missing  Create a subject for each domain that matches no node
+ */
+
+import { DataTypes } from "sequelize";
+import sequelize from "../config/db.js";
+import { TaxonomyNode, Tag, QuestionTag } from "../modules/association/index.js";
+import { mapDomainsToTaxonomy } from "../services/taxonomy.service.js";
+
+const args = process.argv.slice(2);
+const dryRun = args.includes("--dry-run");
+const createMissing = args.includes("--create-missing");
+
+async function migrate() {
+    try {
+        await sequelize.authenticate();
+        console.log("Database connected");
+
+        await TaxonomyNode.sync();
+        await Tag.sync();
+        await QuestionTag.sync();
+
+        const queryInterface = sequelize.getQueryInterface();
+        const columns = await queryInterface.describeTable("questions");
+
+        if (!columns.taxonomyNodeId) {
+            await queryInterface.addColumn("questions", "taxonomyNodeId", {
+                type: DataTypes.UUID,
+                allowNull: true,
+                references: { model: "taxonomy_nodes", key: "id" },
+                onDelete: "RESTRICT",
+            });
+            console.log('✓ Added questions."taxonomyNodeId"');
+        }
+
+        const report = await mapDomainsToTaxonomy({ dryRun, createMissing });
+
+        console.log(`\n${dryRun ? "Would map" : "Mapped"} ${report.mapped.length} domain(s):`);
+        for (const { domain, questionCount, path } of report.mapped) {
+            console.log(`  ${domain} (${questionCount}) -> ${path}`);
+        }
+
+        if (report.ambiguous.length > 0) {
+            console.log(`\nAmbiguous (${report.ambiguous.length}), add an alias to pick one:`);
+            for (const { domain, questionCount, candidates } of report.ambiguous) {
+                console.log(`  ${domain} (${questionCount}): ${candidates.join(" | ")}`);
+            }
+        }
+
+        if (report.unmatched.length > 0) {
+            console.log(`\nUnmatched (${report.unmatched.length}):`);
+            for (const { domain, questionCount } of report.unmatched) {
+                console.log(`  ${domain} (${questionCount})`);
+            }
+        }
+
+        await sequelize.close();
+        process.exit(0);
+    } catch (error) {
+        console.error("❌ Domain mapping failed:", error);
+        process.exit(1);
+    }
+}
+
+migrate();
@@ -4,7 +4,11 @@ import { initializeEmailTransporter, verifyEmailTransporter } from "./services/e
 import { initializeRedis, closeRedis } from "./config/redis.js";
 import { initializeEmailQueue, closeEmailQueue } from "./services/emailQueue.service.js";
 import { initializeScoreQueue, closeScoreQueue } from "./services/scoreCalculationQueue.service.js";
+import { initializeQuestionImportQueue, closeQuestionImportQueue } from "./services/questionImportQueue.service.js";
 import { startAutoSubmitCron, destroyAutoSubmitCron } from "./cron/autoSubmitExamAttempts.cron.js";
+import { startItemAnalysisCron, destroyItemAnalysisCron } from "./cron/itemAnalysis.cron.js";
+import { startResultReleaseCron, destroyResultReleaseCron } from "./cron/resultRelease.cron.js";
+import { ensureQuestionSearchIndexes } from "./services/questionSearch.service.js";
 
 const PORT = process.env.PORT || 8000;
 
@@ -13,6 +17,7 @@ const ENABLE_DATABASE = process.env.ENABLE_DATABASE !== "false";
 const ENABLE_REDIS = process.env.ENABLE_REDIS !== "false";
 const ENABLE_EMAIL_QUEUE = process.env.ENABLE_EMAIL_QUEUE !== "false";
 const ENABLE_SCORE_QUEUE = process.env.ENABLE_SCORE_QUEUE !== "false";
+const ENABLE_IMPORT_QUEUE = process.env.ENABLE_IMPORT_QUEUE !== "false";
 const ENABLE_EMAIL_SERVICE = process.env.ENABLE_EMAIL_SERVICE !== "false";
 const ENABLE_CRON_JOBS = process.env.ENABLE_CRON_JOBS !== "false";
 const ENABLE_ASSOCIATIONS = process.env.ENABLE_ASSOCIATIONS !== "false";
@@ -26,6 +31,9 @@ const startServer = async () => {
             await initializeDatabase();
             initializedServices.push("database");
 
+            // Full-text and similarity indexes for question search
+            await ensureQuestionSearchIndexes();
+
             // Load associations if enabled
             if (ENABLE_ASSOCIATIONS) {
                 await import("./modules/association/index.js");
@@ -48,6 +56,12 @@ const startServer = async () => {
                 await initializeScoreQueue();
                 initializedServices.push("scoreQueue");
             }
+
+            // Question Import Queue (depends on Redis)
+            if (ENABLE_IMPORT_QUEUE) {
+                await initializeQuestionImportQueue();
+                initializedServices.push("importQueue");
+            }
         }
 
         // Email Service
@@ -60,6 +74,8 @@ const startServer = async () => {
         // Cron Jobs (depends on Database)
         if (ENABLE_CRON_JOBS && ENABLE_DATABASE) {
             startAutoSubmitCron();
+            startItemAnalysisCron();
+            startResultReleaseCron();
             initializedServices.push("cron");
         }
 
@@ -76,6 +92,12 @@ const startServer = async () => {
                 // Close in reverse order of initialization
                 if (initializedServices.includes("cron")) {
                     destroyAutoSubmitCron();
+                    destroyItemAnalysisCron();
+                    destroyResultReleaseCron();
+                }
+
+                if (initializedServices.includes("importQueue")) {
+                    await closeQuestionImportQueue();
                 }
 
                 if (initializedServices.includes("scoreQueue")) {
@@ -106,6 +128,7 @@ const startServer = async () => {
 
         // Cleanup on failure
         try {
+            if (initializedServices.includes("importQueue")) await closeQuestionImportQueue();
             if (initializedServices.includes("scoreQueue")) await closeScoreQueue();
             if (initializedServices.includes("emailQueue")) await closeEmailQueue();
             if (initializedServices.includes("redis")) await closeRedis();
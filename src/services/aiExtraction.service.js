@@ -25,6 +25,7 @@ import {
     extractDomain,
     calculateOverallConfidence,
 } from './llm/githubExtractor.service.js';
+import { loadTaxonomyIndex, suggestTaxonomyNodes } from './taxonomy.service.js';
 
 // BACKUP AI SERVICES (Kept for reference)
 // Gemini (Free)
@@ -72,13 +73,23 @@ export const callAIQuestionExtraction = async (content, sourceType, context = {}
             };
         }
 
+        // Loaded once per batch; every question is matched against it
+        const taxonomyIndex = await loadTaxonomyIndex();
+
         // Transform GitHub Models output to OES format
         const transformedQuestions = githubResult.questions.map((githubQuestion) => {
             // Map question type from GitHub Models format to OES format
             const oesQuestionType = mapQuestionType(githubQuestion.questionType);
 
-            // Extract domain (from context or default)
-            const domain = extractDomain(context, githubQuestion.statement);
+            // Suggest taxonomy nodes from the domain hint (context or default) and the statement
+            // WHY: free-text domains drift; the admin picks from the managed tree instead
+            const domainHint = extractDomain(context, githubQuestion.statement);
+            const taxonomySuggestions = suggestTaxonomyNodes(taxonomyIndex, {
+                hint: domainHint,
+                text: githubQuestion.statement,
+            });
+            const [bestNode] = taxonomySuggestions;
+            const domain = bestNode ? bestNode.subject.toLowerCase() : domainHint;
 
             // Calculate overall confidence
             const overallConfidence = calculateOverallConfidence(githubQuestion.confidence);
@@ -96,6 +107,8 @@ export const callAIQuestionExtraction = async (content, sourceType, context = {}
                 statement: githubQuestion.statement || '',
                 questionType: oesQuestionType,
                 domain: domain,
+                taxonomyNodeId: bestNode?.nodeId ?? null,
+                taxonomySuggestions,
                 difficulty: 'MEDIUM', // Default, admin can change
                 confidence: overallConfidence,
                 options: options,
@@ -0,0 +1,199 @@
+/**
+ * Attachment Service
+ *
+ * Stores uploaded images through the storage service, keeps Attachment
+ * ownership in step with the attachmentIds on questions and options, and
+ * resolves attachment IDs to signed, expiring URLs.
+ *
+ * Lifecycle:
+ * - Upload: stored with no owner
+ * - Referenced by a question or one of its options: owned by that question
+ * - No longer referenced by the question or any of its saved versions, or
+ *   the question is deleted: row and file are removed
+ */
+
+import crypto from "crypto";
+import { Attachment, Question, Option, QuestionVersion } from "../modules/association/index.js";
+import { getStorage, ATTACHMENT_URL_TTL_SECONDS } from "./storage.service.js";
+
+// MIME type -> stored file extension
+export const ALLOWED_ATTACHMENT_TYPES = {
+    "image/png": "png",
+    "image/jpeg": "jpg",
+    "image/gif": "gif",
+    "image/webp": "webp",
+};
+
+export const MAX_ATTACHMENT_SIZE = 5 * 1024 * 1024;
+export const MAX_ATTACHMENTS_PER_ITEM = 5;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Save an uploaded file and create its (unowned) Attachment row
+ * @param {Object} file - multer file (memory storage)
+ * @param {string} uploadedBy - User ID
+ */
+export const storeAttachment = async (file, uploadedBy) => {
+    const storage = getStorage();
+    const storageKey = `${crypto.randomUUID()}.${ALLOWED_ATTACHMENT_TYPES[file.mimetype]}`;
+
+    await storage.put(storageKey, file.buffer);
+
+    try {
+        return await Attachment.create({
+            storageKey,
+            originalName: file.originalname,
+            mimeType: file.mimetype,
+            size: file.size,
+            checksum: crypto.createHash("sha256").update(file.buffer).digest("hex"),
+            uploadedBy,
+        });
+    } catch (error) {
+        await storage.remove(storageKey);
+        throw error;
+    }
+};
+
+/**
+ * Check the attachmentIds given for a question and its options
+ * Each ID must exist and be unused or already owned by this question.
+ * @param {Array[]} idLists - attachmentIds of the statement, the explanation and each option (undefined entries are skipped)
+ * @param {string|null} questionId - The question being updated, or null on create
+ * @returns {Promise<string[]>} Error messages
+ */
+export const validateAttachmentIds = async (idLists, questionId, transaction) => {
+    const errors = [];
+    const given = idLists.filter(list => list !== undefined);
+
+    for (const list of given) {
+        if (!Array.isArray(list) || list.some(id => typeof id !== "string" || !UUID_PATTERN.test(id))) {
+            return ["attachmentIds must be an array of attachment IDs"];
+        }
+        if (list.length > MAX_ATTACHMENTS_PER_ITEM) {
+            errors.push(`At most ${MAX_ATTACHMENTS_PER_ITEM} attachments per statement or option`);
+        }
+        if (new Set(list).size !== list.length) {
+            errors.push("attachmentIds cannot repeat an attachment");
+        }
+    }
+
+    const ids = [...new Set(given.flat())];
+    if (ids.length === 0) return errors;
+
+    const rows = await Attachment.findAll({
+        where: { id: ids },
+        attributes: ["id", "questionId"],
+        transaction,
+    });
+
+    const found = new Map(rows.map(row => [row.id, row]));
+    const missing = ids.filter(id => !found.has(id));
+    const taken = rows.filter(row => row.questionId && row.questionId !== questionId);
+
+    if (missing.length > 0) errors.push(`Attachments not found: ${missing.join(", ")}`);
+    if (taken.length > 0) errors.push(`Attachments already used by another question: ${taken.map(r => r.id).join(", ")}`);
+
+    return errors;
+};
+
+/**
+ * Claim the attachments a question, its explanation and its options reference, and drop the
+ * ones it owns but no longer references. Files referenced by a saved version
+ * are kept: exams pinned to that version still show them.
+ * @returns {Promise<string[]>} Storage keys to remove once the transaction commits
+ */
+export const syncQuestionAttachments = async (questionId, transaction) => {
+    const question = await Question.findByPk(questionId, {
+        attributes: ["id", "attachmentIds", "explanationAttachmentIds"],
+        include: [{ model: Option, as: "options", attributes: ["id", "attachmentIds"] }],
+        transaction,
+    });
+
+    const referenced = new Set([
+        ...(question.attachmentIds || []),
+        ...(question.explanationAttachmentIds || []),
+        ...question.options.flatMap(opt => opt.attachmentIds || []),
+    ]);
+
+    if (referenced.size > 0) {
+        await Attachment.update({ questionId }, { where: { id: [...referenced] }, transaction });
+    }
+
+    const versions = await QuestionVersion.findAll({
+        where: { questionId },
+        attributes: ["snapshot"],
+        transaction,
+    });
+
+    for (const { snapshot } of versions) {
+        (snapshot.attachmentIds || []).forEach(id => referenced.add(id));
+        (snapshot.explanationAttachmentIds || []).forEach(id => referenced.add(id));
+        (snapshot.options || []).forEach(opt => (opt.attachmentIds || []).forEach(id => referenced.add(id)));
+    }
+
+    const owned = await Attachment.findAll({
+        where: { questionId },
+        attributes: ["id", "storageKey"],
+        transaction,
+    });
+
+    const dropped = owned.filter(row => !referenced.has(row.id));
+
+    if (dropped.length > 0) {
+        await Attachment.destroy({ where: { id: dropped.map(row => row.id) }, transaction });
+    }
+
+    return dropped.map(row => row.storageKey);
+};
+
+// Storage keys of every file a question owns; read them before the question is deleted
+export const getOwnedStorageKeys = async (questionId) => {
+    const rows = await Attachment.findAll({
+        where: { questionId },
+        attributes: ["storageKey"],
+    });
+
+    return rows.map(row => row.storageKey);
+};
+
+// Remove stored files whose rows are already gone; failures are logged, not thrown
+export const removeStoredFiles = async (storageKeys) => {
+    if (storageKeys.length === 0) return;
+
+    const storage = getStorage();
+
+    for (const key of storageKeys) {
+        try {
+            await storage.remove(key);
+        } catch (error) {
+            console.error(`Failed to remove stored file ${key}:`, error.message);
+        }
+    }
+};
+
+/**
+ * Resolve attachment IDs to signed URLs
+ * @param {string[]} attachmentIds
+ * @returns {Promise<Map<string, { id, mimeType, url, expiresAt }>>}
+ */
+export const getSignedAttachments = async (attachmentIds, { expiresInSeconds = ATTACHMENT_URL_TTL_SECONDS } = {}) => {
+    const ids = [...new Set(attachmentIds)];
+    if (ids.length === 0) return new Map();
+
+    const rows = await Attachment.findAll({
+        where: { id: ids },
+        attributes: ["id", "storageKey", "mimeType"],
+    });
+
+    const storage = getStorage();
+
+    return new Map(rows.map(row => [
+        row.id,
+        { id: row.id, mimeType: row.mimeType, ...storage.getSignedUrl(row.storageKey, { expiresInSeconds }) },
+    ]));
+};
+
+// attachmentIds -> signed attachments, in the same order
+export const toSignedList = (attachmentIds, signedMap) =>
+    (attachmentIds || []).map(id => signedMap.get(id)).filter(Boolean);
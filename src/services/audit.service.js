@@ -0,0 +1,40 @@
+import { AuditLog } from "../modules/association/index.js";
+
+/**
+ * Build a { field: { from, to } } diff for the given fields
+ * @param {Object} before - Values before the change
+ * @param {Object} after - Values after the change
+ * @param {string[]} fields - Fields to compare
+ * @returns {Object} - Only the fields whose value changed
+ */
+export const diffFields = (before, after, fields) => {
+    const changes = {};
+
+    for (const field of fields) {
+        const from = before?.[field] ?? null;
+        const to = after?.[field] ?? null;
+
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+            changes[field] = { from, to };
+        }
+    }
+
+    return changes;
+};
+
+/**
+ * Record an administrative action in the audit trail
+ * Pass the caller's transaction so the log entry commits or rolls back with the change
+ * @param {Object} entry - { actorId, action, entityType, entityId, changes, metadata, ipAddress }
+ * @param {Object} options - { transaction }
+ * @returns {Promise<Object>} - Created AuditLog row
+ */
+export const recordAudit = async (
+    { actorId = null, action, entityType, entityId = null, changes = null, metadata = null, ipAddress = null },
+    { transaction } = {}
+) => {
+    return await AuditLog.create(
+        { actorId, action, entityType, entityId, changes, metadata, ipAddress },
+        { transaction }
+    );
+};
@@ -122,5 +122,6 @@ export const CACHE_KEYS = {
     USER_PROFILE: (userId) => `user:${userId}:profile`,
     EXAM_RESULT: (attemptId) => `result:${attemptId}`,
     USER_EXAMS: (userId) => `user:${userId}:exams`,
+    SESSION: (sessionId) => `session:${sessionId}`,
     ALL_EXAMS: "exams:all",
 };
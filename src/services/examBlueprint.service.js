@@ -0,0 +1,545 @@
+/**
+ * Exam Blueprint Service
+ *
+ * Assembles draft exams from the question bank to a stored blueprint:
+ * - Validating a blueprint spec (rules, total marks, recent-exam exclusion)
+ * - Picking each rule's questions at random, spreading them evenly over topics
+ * - Swapping questions to reach the total marks when rules do not fix the marks
+ * - Filling several draft exams at once as parallel sets with no question in common
+ * - Reporting every constraint that could not be met
+ *
+ * Spec shape:
+ *   {
+ *     rules: [{
+ *       count: number,                       // questions this rule contributes
+ *       difficulty?, questionType?, domain?, // filters on the question
+ *       taxonomyNodeId?,                     // the node or anything below it
+ *       tags?: string[],                     // any of the tags
+ *       marks?: number | null,               // marks in the exam; null = the question's own marks
+ *       negativeMarks?: number | null,       // penalty in the exam; null = scaled from the question
+ *       section?: string | null,             // section title, for exams with sections
+ *     }],
+ *     totalMarks?: number | null,            // null = no target
+ *     excludeRecentExams?: number,           // skip questions used in the last N published exams
+ *     spreadTopics?: boolean,                // default true
+ *   }
+ *
+ * Rules are separate buckets, filled in order: a question picked by one rule
+ * is not available to the next. Questions that share a stimulus are never
+ * picked, since they have to be added as a whole group. Exams split into
+ * paper sets are not assembled; define the sets after assembly instead.
+ */
+
+import crypto from "crypto";
+import { Op } from "sequelize";
+import sequelize from "../config/db.js";
+import { Exam, ExamQuestion, ExamSection, ExamPaperSet, Question, TaxonomyNode } from "../modules/association/index.js";
+import { QUESTION_TYPES } from "../utils/questionType.util.js";
+import { seededShuffle } from "../utils/shuffle.util.js";
+import { normalizeTagList, questionsWithAnyTag, getDescendantIds } from "./taxonomy.service.js";
+import { recordAudit } from "./audit.service.js";
+
+export const MAX_BLUEPRINT_RULES = 50;
+export const MAX_RULE_COUNT = 500;
+export const MAX_RECENT_EXAMS = 50;
+export const MAX_PARALLEL_SETS = 10;
+
+const DIFFICULTIES = ["EASY", "MEDIUM", "HARD"];
+
+// Upper bound on single-question swaps while balancing the total marks
+const MAX_SWAPS = 200;
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+/**
+ * Validate a blueprint spec and fill in defaults
+ * @param {Object} input
+ * @returns {{ spec: Object|null, errors: string[] }}
+ */
+export const normalizeBlueprintSpec = (input) => {
+    if (!input || typeof input !== "object" || Array.isArray(input)) {
+        return { spec: null, errors: ["spec must be an object"] };
+    }
+
+    const errors = [];
+
+    if (!Array.isArray(input.rules) || input.rules.length === 0 || input.rules.length > MAX_BLUEPRINT_RULES) {
+        return { spec: null, errors: [`rules must be an array of 1 to ${MAX_BLUEPRINT_RULES} rules`] };
+    }
+
+    const rules = input.rules.map((raw, index) => {
+        const label = `rules[${index}]`;
+
+        if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+            errors.push(`${label} must be an object`);
+            return null;
+        }
+
+        const rule = {
+            count: raw.count,
+            difficulty: raw.difficulty ? String(raw.difficulty).toUpperCase() : null,
+            questionType: raw.questionType ? String(raw.questionType).toUpperCase() : null,
+            domain: typeof raw.domain === "string" && raw.domain.trim() ? raw.domain.trim().toLowerCase() : null,
+            taxonomyNodeId: raw.taxonomyNodeId ?? null,
+            tags: [],
+            marks: raw.marks ?? null,
+            negativeMarks: raw.negativeMarks ?? null,
+            section: typeof raw.section === "string" && raw.section.trim() ? raw.section.trim() : null,
+        };
+
+        if (!isPositiveInteger(rule.count) || rule.count > MAX_RULE_COUNT) {
+            errors.push(`${label}.count must be a whole number from 1 to ${MAX_RULE_COUNT}`);
+        }
+
+        if (rule.difficulty && !DIFFICULTIES.includes(rule.difficulty)) {
+            errors.push(`${label}.difficulty must be one of ${DIFFICULTIES.join(", ")}`);
+        }
+
+        if (rule.questionType && !QUESTION_TYPES.includes(rule.questionType)) {
+            errors.push(`${label}.questionType must be one of ${QUESTION_TYPES.join(", ")}`);
+        }
+
+        if (rule.taxonomyNodeId !== null && typeof rule.taxonomyNodeId !== "string") {
+            errors.push(`${label}.taxonomyNodeId must be a node ID`);
+        }
+
+        if (raw.tags !== undefined && raw.tags !== null) {
+            const { names, error } = normalizeTagList(raw.tags);
+            if (error) errors.push(`${label}.tags: ${error}`);
+            rule.tags = names;
+        }
+
+        if (rule.marks !== null && !isPositiveInteger(rule.marks)) {
+            errors.push(`${label}.marks must be a positive whole number or null`);
+        }
+
+        if (rule.negativeMarks !== null && !(typeof rule.negativeMarks === "number" && rule.negativeMarks >= 0)) {
+            errors.push(`${label}.negativeMarks must be a non-negative number or null`);
+        }
+
+        return rule;
+    });
+
+    const spec = {
+        rules,
+        totalMarks: input.totalMarks ?? null,
+        excludeRecentExams: input.excludeRecentExams ?? 0,
+        spreadTopics: input.spreadTopics ?? true,
+    };
+
+    if (spec.totalMarks !== null && !isPositiveInteger(spec.totalMarks)) {
+        errors.push("totalMarks must be a positive whole number or null");
+    }
+
+    if (!Number.isInteger(spec.excludeRecentExams) || spec.excludeRecentExams < 0 || spec.excludeRecentExams > MAX_RECENT_EXAMS) {
+        errors.push(`excludeRecentExams must be a whole number from 0 to ${MAX_RECENT_EXAMS}`);
+    }
+
+    if (typeof spec.spreadTopics !== "boolean") {
+        errors.push("spreadTopics must be a boolean");
+    }
+
+    if (errors.length > 0) {
+        return { spec: null, errors };
+    }
+
+    // Marks fixed by every rule can be checked against the target now
+    if (spec.totalMarks !== null && rules.every(rule => rule.marks !== null)) {
+        const fixedTotal = rules.reduce((sum, rule) => sum + rule.count * rule.marks, 0);
+
+        if (fixedTotal !== spec.totalMarks) {
+            errors.push(`The rules award ${fixedTotal} marks, not totalMarks ${spec.totalMarks}`);
+            return { spec: null, errors };
+        }
+    }
+
+    return { spec, errors };
+};
+
+// Topic a question counts towards when spreading: its TOPIC node, else its subject, else its domain
+const topicOf = (question) => {
+    const [subjectId, topicId] = (question.taxonomyNode?.path ?? "").split("/").filter(Boolean);
+    return topicId ?? subjectId ?? `domain:${question.domain}`;
+};
+
+/**
+ * Pick up to `count` questions, taking each from the topic used least so far
+ * Ties go to the topic that comes first in the seeded shuffle.
+ * @param {Object[]} candidates - { id, topic, ... }
+ * @param {number} count
+ * @param {Object} options - { seed, topicCounts: Map (updated), spread }
+ * @returns {Object[]}
+ */
+export const pickQuestions = (candidates, count, { seed, topicCounts, spread }) => {
+    const shuffled = seededShuffle(candidates, seed);
+
+    if (!spread) {
+        return shuffled.slice(0, count);
+    }
+
+    const queues = new Map();
+    for (const question of shuffled) {
+        if (!queues.has(question.topic)) queues.set(question.topic, []);
+        queues.get(question.topic).push(question);
+    }
+
+    const picked = [];
+
+    while (picked.length < count) {
+        let best = null;
+
+        for (const [topic, queue] of queues) {
+            if (queue.length === 0) continue;
+            if (best === null || (topicCounts.get(topic) ?? 0) < (topicCounts.get(best) ?? 0)) best = topic;
+        }
+
+        if (best === null) break;
+
+        picked.push(queues.get(best).shift());
+        topicCounts.set(best, (topicCounts.get(best) ?? 0) + 1);
+    }
+
+    return picked;
+};
+
+// Swap questions of rules without fixed marks for unused ones until the total matches
+const balanceMarks = (items, pools, spec, used) => {
+    let diff = spec.totalMarks - items.reduce((sum, item) => sum + item.marks, 0);
+
+    for (let swaps = 0; diff !== 0 && swaps < MAX_SWAPS; swaps++) {
+        let best = null;
+
+        items.forEach((item, index) => {
+            if (spec.rules[item.ruleIndex].marks !== null) return;
+
+            for (const candidate of pools[item.ruleIndex]) {
+                if (used.has(candidate.id)) continue;
+
+                const remaining = diff - (candidate.marks - item.marks);
+                if (Math.abs(remaining) < Math.abs(best ? best.remaining : diff)) {
+                    best = { index, candidate, remaining };
+                }
+            }
+        });
+
+        if (!best) break;
+
+        const item = items[best.index];
+        used.delete(item.question.id);
+        used.add(best.candidate.id);
+        items[best.index] = { ...item, question: best.candidate, marks: best.candidate.marks };
+        diff = best.remaining;
+    }
+};
+
+/**
+ * Assemble one or more parallel sets from each rule's candidate pool
+ * Sets never share a question.
+ * @param {Object[][]} pools - Candidates per rule: { id, marks, topic, ... }
+ * @param {Object} spec - Normalised spec
+ * @param {Object} options - { sets, seed }
+ * @returns {Object[]} - [{ set, items: [{ question, ruleIndex, marks }], totalMarks, topics, issues }]
+ */
+export const assembleSets = (pools, spec, { sets, seed }) => {
+    const used = new Set();
+
+    return Array.from({ length: sets }, (_, setIndex) => {
+        const set = setIndex + 1;
+        const topicCounts = new Map();
+        const items = [];
+        const issues = [];
+
+        spec.rules.forEach((rule, ruleIndex) => {
+            const available = pools[ruleIndex].filter(question => !used.has(question.id));
+            const picked = pickQuestions(available, rule.count, {
+                seed: `${seed}:${set}:${ruleIndex}`,
+                topicCounts,
+                spread: spec.spreadTopics,
+            });
+
+            for (const question of picked) {
+                used.add(question.id);
+                items.push({ question, ruleIndex, marks: rule.marks ?? question.marks });
+            }
+
+            if (picked.length < rule.count) {
+                issues.push({
+                    set,
+                    rule: ruleIndex,
+                    code: "INSUFFICIENT_QUESTIONS",
+                    message: `Rule ${ruleIndex + 1} needs ${rule.count} questions; only ${picked.length} available`,
+                });
+            }
+        });
+
+        if (spec.totalMarks !== null) {
+            balanceMarks(items, pools, spec, used);
+        }
+
+        const totalMarks = items.reduce((sum, item) => sum + item.marks, 0);
+
+        if (spec.totalMarks !== null && totalMarks !== spec.totalMarks) {
+            issues.push({
+                set,
+                rule: null,
+                code: "TOTAL_MARKS_MISMATCH",
+                message: `Closest total reached is ${totalMarks} marks; the blueprint asks for ${spec.totalMarks}`,
+            });
+        }
+
+        const topics = {};
+        for (const { question } of items) topics[question.topic] = (topics[question.topic] ?? 0) + 1;
+
+        return { set, items, totalMarks, topics, issues };
+    });
+};
+
+// Questions placed in the last `count` published or closed exams, other than the targets
+const getRecentlyUsedQuestionIds = async (count, examIds) => {
+    if (count === 0) return new Set();
+
+    const recentExams = await Exam.findAll({
+        where: { state: { [Op.ne]: "DRAFT" }, id: { [Op.notIn]: examIds } },
+        attributes: ["id"],
+        order: [["startTime", "DESC"]],
+        limit: count,
+    });
+
+    if (recentExams.length === 0) return new Set();
+
+    const rows = await ExamQuestion.findAll({
+        where: { examId: recentExams.map(exam => exam.id) },
+        attributes: ["questionId"],
+    });
+
+    return new Set(rows.map(row => row.questionId));
+};
+
+// Standalone questions matching a rule, in a stable order so a seed reproduces the same paper
+const loadRuleCandidates = async (rule, excludedIds) => {
+    const where = { stimulusId: null };
+
+    if (rule.difficulty) where.difficulty = rule.difficulty;
+    if (rule.questionType) where.questionType = rule.questionType;
+    if (rule.domain) where.domain = rule.domain;
+
+    if (rule.taxonomyNodeId) {
+        where.taxonomyNodeId = { [Op.in]: (await getDescendantIds(rule.taxonomyNodeId)) ?? [] };
+    }
+
+    if (excludedIds.size > 0) {
+        where.id = { [Op.notIn]: [...excludedIds] };
+    }
+
+    if (rule.tags.length > 0) {
+        where[Op.and] = [{ id: questionsWithAnyTag(rule.tags) }];
+    }
+
+    const questions = await Question.findAll({
+        where,
+        attributes: ["id", "questionType", "difficulty", "domain", "marks"],
+        include: [{ model: TaxonomyNode, as: "taxonomyNode", attributes: ["path"] }],
+        order: [["id", "ASC"]],
+    });
+
+    return questions.map(question => ({
+        id: question.id,
+        questionType: question.questionType,
+        difficulty: question.difficulty,
+        domain: question.domain,
+        marks: question.marks,
+        topic: topicOf(question),
+    }));
+};
+
+/**
+ * Fill draft exams from a blueprint, one parallel set per exam
+ *
+ * @param {Object} blueprint - ExamBlueprint instance
+ * @param {Object} options
+ * @param {string[]} options.examIds - Draft exams to fill (set 1, set 2, ...)
+ * @param {string} [options.seed] - Reproduces an earlier assembly; random when omitted
+ * @param {boolean} [options.dryRun=false] - Report the sets without saving them
+ * @param {boolean} [options.replace=false] - Remove questions already in the exams
+ * @param {boolean} [options.allowPartial=false] - Save even when constraints are unmet
+ * @param {string} options.actorId - Admin assembling the exams
+ * @param {string} [options.ipAddress]
+ * @returns {Promise<Object>} - { success, error?, message, seed, saved, sets, issues }
+ */
+export const assembleBlueprint = async (blueprint, {
+    examIds,
+    seed = crypto.randomUUID(),
+    dryRun = false,
+    replace = false,
+    allowPartial = false,
+    actorId,
+    ipAddress = null,
+}) => {
+    if (
+        !Array.isArray(examIds) ||
+        examIds.length === 0 ||
+        examIds.length > MAX_PARALLEL_SETS ||
+        examIds.some(id => typeof id !== "string") ||
+        new Set(examIds).size !== examIds.length
+    ) {
+        return {
+            success: false,
+            error: "INVALID_EXAMS",
+            message: `examIds must list 1 to ${MAX_PARALLEL_SETS} different exams, one per set`,
+        };
+    }
+
+    const { spec } = blueprint;
+
+    const exams = await Exam.findAll({ where: { id: examIds }, attributes: ["id", "title", "state"] });
+
+    if (exams.length !== examIds.length) {
+        const found = new Set(exams.map(exam => exam.id));
+        return {
+            success: false,
+            error: "EXAM_NOT_FOUND",
+            message: `Exam(s) not found: ${examIds.filter(id => !found.has(id)).join(", ")}`,
+        };
+    }
+
+    if (exams.some(exam => exam.state !== "DRAFT")) {
+        return {
+            success: false,
+            error: "EXAM_NOT_DRAFT",
+            message: "Only draft exams can be assembled",
+        };
+    }
+
+    if (await ExamPaperSet.count({ where: { examId: examIds } }) > 0) {
+        return {
+            success: false,
+            error: "EXAM_HAS_PAPER_SETS",
+            message: "Exams with paper sets cannot be assembled; remove the sets first",
+        };
+    }
+
+    if (!replace) {
+        const filled = await ExamQuestion.count({ where: { examId: examIds } });
+
+        if (filled > 0) {
+            return {
+                success: false,
+                error: "EXAM_NOT_EMPTY",
+                message: "The exams already have questions; pass replace: true to discard them",
+            };
+        }
+    }
+
+    // Rule sections are matched by title in each exam
+    const sections = await ExamSection.findAll({ where: { examId: examIds }, attributes: ["id", "examId", "title"] });
+    const sectionErrors = [];
+    const sectionIdsByExam = new Map(examIds.map(examId => {
+        const examSections = sections.filter(s => s.examId === examId);
+        const ids = spec.rules.map((rule, ruleIndex) => {
+            if (examSections.length === 0) {
+                if (rule.section) sectionErrors.push(`Exam ${examId} has no sections; rule ${ruleIndex + 1} names "${rule.section}"`);
+                return null;
+            }
+
+            const match = examSections.find(s => s.title.trim().toLowerCase() === rule.section?.toLowerCase());
+            if (!match) sectionErrors.push(`Exam ${examId} has no section for rule ${ruleIndex + 1}${rule.section ? ` ("${rule.section}")` : ""}`);
+            return match?.id ?? null;
+        });
+        return [examId, ids];
+    }));
+
+    if (sectionErrors.length > 0) {
+        return {
+            success: false,
+            error: "SECTION_MISMATCH",
+            message: "Blueprint sections do not match the exams",
+            errors: sectionErrors,
+        };
+    }
+
+    const excludedIds = await getRecentlyUsedQuestionIds(spec.excludeRecentExams, examIds);
+
+    const pools = [];
+    for (const rule of spec.rules) {
+        pools.push(await loadRuleCandidates(rule, excludedIds));
+    }
+
+    const sets = assembleSets(pools, spec, { sets: examIds.length, seed });
+    const issues = sets.flatMap(set => set.issues);
+
+    const report = sets.map((set, index) => ({
+        set: set.set,
+        examId: examIds[index],
+        totalMarks: set.totalMarks,
+        questionCount: set.items.length,
+        topics: set.topics,
+        questions: set.items.map(({ question, ruleIndex, marks }) => ({
+            questionId: question.id,
+            rule: ruleIndex,
+            questionType: question.questionType,
+            difficulty: question.difficulty,
+            domain: question.domain,
+            marks,
+        })),
+    }));
+
+    if (dryRun) {
+        return { success: true, message: "Assembly preview", seed, saved: false, sets: report, issues };
+    }
+
+    if (issues.length > 0 && !allowPartial) {
+        return {
+            success: false,
+            error: "UNSATISFIED",
+            message: "The blueprint cannot be met in full; pass allowPartial: true to save anyway",
+            seed,
+            sets: report,
+            issues,
+        };
+    }
+
+    await sequelize.transaction(async (transaction) => {
+        for (const [index, set] of sets.entries()) {
+            const examId = examIds[index];
+            const sectionIds = sectionIdsByExam.get(examId);
+
+            if (replace) {
+                await ExamQuestion.destroy({ where: { examId }, transaction });
+            }
+
+            await ExamQuestion.bulkCreate(
+                set.items.map(({ question, ruleIndex, marks }, position) => ({
+                    examId,
+                    questionId: question.id,
+                    sectionId: sectionIds[ruleIndex],
+                    questionOrder: position + 1,
+                    marksForEachQuestion: marks,
+                    negativeMarks: spec.rules[ruleIndex].negativeMarks,
+                })),
+                { transaction }
+            );
+
+            await recordAudit(
+                {
+                    actorId,
+                    action: "EXAM_ASSEMBLED",
+                    entityType: "Exam",
+                    entityId: examId,
+                    metadata: {
+                        blueprintId: blueprint.id,
+                        seed,
+                        set: set.set,
+                        questionCount: set.items.length,
+                        totalMarks: set.totalMarks,
+                        replaced: replace,
+                        issues: set.issues,
+                    },
+                    ipAddress,
+                },
+                { transaction }
+            );
+        }
+    });
+
+    return { success: true, message: "Exams assembled", seed, saved: true, sets: report, issues };
+};
@@ -1,13 +1,67 @@
-import { ExamQuestion, NumericalAnswer, Option, Question, StudentAnswer, ExamAttempt } from "../modules/association/index.js";
+import { Exam, ExamQuestion, NumericalAnswer, Option, Question, StudentAnswer, ExamAttempt, MarkingScheme, GradingTask } from "../modules/association/index.js";
 import sequelize from "../config/db.js";
+import { DEFAULT_MARKING_RULES, scoreQuestion, finalizeTotal } from "../utils/marking.util.js";
+import { resolveExamQuestions } from "./questionVersion.service.js";
 
-export const calculateExamScore = async (examId, userId) => {
+const DEFAULT_SCHEME = { id: null, version: null, rules: DEFAULT_MARKING_RULES };
+
+// Load the scheme versions referenced by an exam and its questions
+const loadMarkingSchemes = async (schemeIds, transaction) => {
+    const ids = [...new Set(schemeIds.filter(Boolean))];
+    if (ids.length === 0) return new Map();
+
+    const schemes = await MarkingScheme.findAll({
+        where: { id: ids },
+        attributes: ["id", "version", "rules"],
+        transaction,
+    });
+
+    return new Map(schemes.map(s => [s.id, {
+        id: s.id,
+        version: s.version,
+        rules: { ...DEFAULT_MARKING_RULES, ...s.rules },
+    }]));
+};
+
+// Queue a SUBJECTIVE answer for manual grading (a second blind grade on double-blind exams)
+const openGradingTasks = async (exam, attempt, examQuestion, studentAnswer, transaction) => {
+    const kinds = exam.doubleBlindGrading ? ["FIRST", "SECOND"] : ["FIRST"];
+
+    await GradingTask.bulkCreate(
+        kinds.map(kind => ({
+            examId: exam.id,
+            attemptId: attempt.id,
+            studentAnswerId: studentAnswer.id,
+            questionId: examQuestion.questionId,
+            kind,
+            maxMarks: examQuestion.marksForEachQuestion,
+        })),
+        { transaction }
+    );
+
+    studentAnswer.gradingStatus = "PENDING";
+};
+
+/**
+ * Score a submitted attempt
+ * SUBJECTIVE answers count only once graded; until then the attempt score is
+ * marked provisional and grading tasks are opened for them.
+ *
+ * @param {string} examId
+ * @param {string} userId
+ * @param {Object} options - { force } re-evaluates an attempt that already has a score
+ *   (answer-key correction); the previous score is returned as previousScore.
+ *   { attemptId } picks the attempt; otherwise the user's latest attempt is scored
+ * @returns {Promise<Object>} - { success, error?, message, data? }
+ */
+export const calculateExamScore = async (examId, userId, { force = false, attemptId = null } = {}) => {
     const transaction = await sequelize.transaction();
 
     try {
         // 1. Find and validate exam attempt
         const attempt = await ExamAttempt.findOne({
-            where: { userId, examId },
+            where: { userId, examId, ...(attemptId && { id: attemptId }) },
+            order: [["attemptNumber", "DESC"]],
             transaction,
             lock: transaction.LOCK.UPDATE,
         });
@@ -32,7 +86,7 @@ export const calculateExamScore = async (examId, userId) => {
         }
 
         // 3. Idempotency check - if already calculated, return existing score
-        if (attempt.score !== null) {
+        if (attempt.score !== null && !force) {
             await transaction.rollback();
             return {
                 success: true,
@@ -48,9 +102,9 @@ export const calculateExamScore = async (examId, userId) => {
             };
         }
 
-        // 4. Load exam questions (authoritative list)
+        // 4. Load exam questions of the attempt's paper set (authoritative list)
         const examQuestions = await ExamQuestion.findAll({
-            where: { examId },
+            where: { examId, paperSetId: attempt.paperSetId ?? null },
             include: [
                 {
                     model: Question,
@@ -73,6 +127,9 @@ export const calculateExamScore = async (examId, userId) => {
             };
         }
 
+        // Score against the versions pinned at publish, not the live questions
+        const questions = await resolveExamQuestions(examQuestions, transaction);
+
         // 5. Load student answers once
         const studentAnswers = await StudentAnswer.findAll({
             where: { examAttemptId: attempt.id },
@@ -83,92 +140,75 @@ export const calculateExamScore = async (examId, userId) => {
             studentAnswers.map(a => [a.questionId, a])
         );
 
+        // 6. Resolve marking schemes (question override > exam scheme > defaults)
+        const exam = await Exam.findByPk(examId, {
+            attributes: ["id", "markingSchemeId", "doubleBlindGrading"],
+            transaction,
+        });
+
+        const schemes = await loadMarkingSchemes(
+            [exam?.markingSchemeId, ...examQuestions.map(eq => eq.markingSchemeId)],
+            transaction
+        );
+
+        const examScheme = schemes.get(exam?.markingSchemeId) || DEFAULT_SCHEME;
+
         let totalScore = 0;
+        let pendingGrading = 0;
 
-        // 6. Evaluate EACH exam question
+        // 7. Evaluate EACH exam question
         for (const eq of examQuestions) {
-            const question = eq.question;
-            const marks = eq.marksForEachQuestion;
+            const question = questions.get(eq.questionId);
             const studentAnswer = answerMap.get(question.id);
+            const scheme = schemes.get(eq.markingSchemeId) || examScheme;
 
-            let marksObtained = 0;
-
-            // --- UNATTEMPTED ---
-            if (!studentAnswer) {
-                marksObtained = 0;
-            }
+            const { marksObtained, breakdown } = scoreQuestion({
+                rules: scheme.rules,
+                question,
+                examQuestion: eq,
+                answer: studentAnswer || null,
+            });
 
-            // --- SINGLE CORRECT ---
-            else if (question.questionType === "SINGLE_CORRECT") {
-                const selectedIds = studentAnswer.selectedOptionIds || [];
-
-                if (selectedIds.length === 0) {
-                    marksObtained = 0;
-                } else {
-                    const correctOption = question.options.find(o => o.isCorrect);
-                    marksObtained =
-                        correctOption && selectedIds[0] === correctOption.id
-                            ? marks
-                            : -question.negativeMarks;
-                }
-            }
-
-            // --- MULTIPLE CORRECT ---
-            else if (question.questionType === "MULTIPLE_CORRECT") {
-                const selectedIds = studentAnswer.selectedOptionIds || [];
-                const correctIds = question.options
-                    .filter(o => o.isCorrect)
-                    .map(o => o.id);
-
-                if (selectedIds.length === 0) {
-                    marksObtained = 0;
-                } else {
-                    const isExactMatch =
-                        selectedIds.length === correctIds.length &&
-                        selectedIds.every(id => correctIds.includes(id));
-
-                    marksObtained = isExactMatch
-                        ? marks
-                        : -question.negativeMarks;
-                }
-            }
+            const scoreBreakdown = {
+                ...breakdown,
+                markingSchemeId: scheme.id,
+                markingSchemeVersion: scheme.version,
+            };
 
-            // --- NUMERICAL ---
-            else if (question.questionType === "NUMERICAL") {
-                const num = question.numericalAnswer;
-
-                if (
-                    num &&
-                    studentAnswer.numericalAnswer !== null &&
-                    studentAnswer.numericalAnswer !== undefined
-                ) {
-                    const diff = Math.abs(
-                        studentAnswer.numericalAnswer - num.value
-                    );
-
-                    marksObtained =
-                        diff <= num.tolerance
-                            ? marks
-                            : -question.negativeMarks;
-                } else {
-                    marksObtained = 0;
+            if (breakdown.outcome === "PENDING_GRADING") {
+                pendingGrading++;
+                if (!studentAnswer.gradingStatus) {
+                    await openGradingTasks(exam, attempt, eq, studentAnswer, transaction);
                 }
             }
 
-            // Clamp if needed
-            marksObtained = Math.max(0, marksObtained);
-
             // Save per-question marks
             if (studentAnswer) {
                 studentAnswer.marksObtained = marksObtained;
+                studentAnswer.scoreBreakdown = scoreBreakdown;
                 await studentAnswer.save({ transaction });
+            } else if (marksObtained !== 0) {
+                // Bonus for an unanswered question: keep a row so results can show where the marks came from
+                await StudentAnswer.create(
+                    {
+                        examAttemptId: attempt.id,
+                        questionId: question.id,
+                        marksObtained,
+                        scoreBreakdown,
+                    },
+                    { transaction }
+                );
             }
 
             totalScore += marksObtained;
         }
 
-        // 7. Update attempt with calculated score
+        totalScore = finalizeTotal(totalScore, examScheme.rules);
+
+        // 8. Update attempt with calculated score
+        const previousScore = attempt.score;
         attempt.score = totalScore;
+        attempt.isScoreProvisional = pendingGrading > 0;
         await attempt.save({ transaction });
 
         await transaction.commit();
@@ -182,6 +222,9 @@ export const calculateExamScore = async (examId, userId) => {
                 examId,
                 userId,
                 score: totalScore,
+                previousScore,
+                isScoreProvisional: attempt.isScoreProvisional,
+                pendingGrading,
                 status: attempt.status,
             },
         };
@@ -196,4 +239,19 @@ export const calculateExamScore = async (examId, userId) => {
             details: error.message,
         };
     }
-};
\ No newline at end of file
+};
+
+/**
+ * Score one answer without saving anything (instant feedback in practice exams)
+ * @param {Object} exam - Exam with markingSchemeId
+ * @param {Object} examQuestion - ExamQuestion row
+ * @param {Object} question - The pinned question, with its key loaded
+ * @param {Object} answer - { selectedOptionIds, numericalAnswer, textAnswer, structuredAnswer }
+ * @returns {Promise<Object>} - { marksObtained, breakdown }
+ */
+export const previewAnswerScore = async (exam, examQuestion, question, answer) => {
+    const schemes = await loadMarkingSchemes([exam.markingSchemeId, examQuestion.markingSchemeId]);
+    const scheme = schemes.get(examQuestion.markingSchemeId) || schemes.get(exam.markingSchemeId) || DEFAULT_SCHEME;
+
+    return scoreQuestion({ rules: scheme.rules, question, examQuestion, answer });
+};
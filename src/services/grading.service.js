@@ -0,0 +1,395 @@
+/**
+ * Grading Service
+ *
+ * Manual grading of SUBJECTIVE answers:
+ * - Graders claim work from the exam queue, or admins assign it round-robin
+ * - A grader never gets two tasks on the same answer, so double-blind grades stay independent
+ * - Submitting a grade settles the answer (single grade, average of two close
+ *   grades, or a moderation task when they are too far apart)
+ * - Once an answer is settled the attempt is re-scored; it stays provisional
+ *   until every SUBJECTIVE answer in it is graded
+ */
+
+import { Op } from "sequelize";
+import sequelize from "../config/db.js";
+import { Exam, ExamAttempt, GradingTask, StudentAnswer, User } from "../modules/association/index.js";
+import { calculateExamScore } from "./examScore.service.js";
+
+export const GRADING_TASK_KINDS = ["FIRST", "SECOND", "MODERATION"];
+export const GRADING_TASK_STATUSES = ["UNASSIGNED", "ASSIGNED", "SUBMITTED"];
+export const MAX_CLAIM_BATCH = 20;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Kinds a user may take: moderation is reserved for admins
+const allowedKinds = (role, kind) => {
+    const kinds = role === "ADMIN" ? GRADING_TASK_KINDS : ["FIRST", "SECOND"];
+    return kind ? kinds.filter(k => k === kind) : kinds.filter(k => k !== "MODERATION");
+};
+
+// studentAnswerId -> Set of graders already holding a task on that answer
+const loadAnswerGraders = async (studentAnswerIds, transaction) => {
+    const tasks = await GradingTask.findAll({
+        where: {
+            studentAnswerId: { [Op.in]: studentAnswerIds },
+            graderId: { [Op.ne]: null },
+        },
+        attributes: ["studentAnswerId", "graderId"],
+        transaction,
+    });
+
+    const graders = new Map();
+    for (const task of tasks) {
+        if (!graders.has(task.studentAnswerId)) graders.set(task.studentAnswerId, new Set());
+        graders.get(task.studentAnswerId).add(task.graderId);
+    }
+    return graders;
+};
+
+/**
+ * Take the next unassigned tasks from the queue
+ * @param {Object} grader - { userId, role }
+ * @param {Object} options - { examId?, kind?, limit }
+ * @returns {Promise<Object>} - { success, error?, message?, tasks? }
+ */
+export const claimGradingTasks = async (grader, { examId, kind, limit = 5 } = {}) => {
+    const kinds = allowedKinds(grader.role, kind);
+
+    if (kinds.length === 0) {
+        return { success: false, error: "FORBIDDEN", message: "Only admins can take moderation tasks" };
+    }
+
+    const transaction = await sequelize.transaction();
+
+    try {
+        const where = { status: "UNASSIGNED", kind: { [Op.in]: kinds } };
+        if (examId) where.examId = examId;
+
+        // Over-fetch: some candidates may be on answers this grader already holds
+        const candidates = await GradingTask.findAll({
+            where,
+            order: [["createdAt", "ASC"]],
+            limit: limit * 3,
+            lock: transaction.LOCK.UPDATE,
+            skipLocked: true,
+            transaction,
+        });
+
+        const answerGraders = await loadAnswerGraders(candidates.map(t => t.studentAnswerId), transaction);
+
+        const claimed = [];
+        const takenAnswers = new Set();
+
+        for (const task of candidates) {
+            if (claimed.length >= limit) break;
+            if (takenAnswers.has(task.studentAnswerId)) continue;
+            if (answerGraders.get(task.studentAnswerId)?.has(grader.userId)) continue;
+
+            await task.update(
+                { graderId: grader.userId, status: "ASSIGNED", assignedAt: new Date() },
+                { transaction }
+            );
+            takenAnswers.add(task.studentAnswerId);
+            claimed.push(task);
+        }
+
+        await transaction.commit();
+
+        return { success: true, tasks: claimed };
+    } catch (error) {
+        await transaction.rollback();
+        throw error;
+    }
+};
+
+/**
+ * Distribute an exam's unassigned tasks across graders, round-robin
+ * @param {Object} params - { examId, graderIds, kind?, limitPerGrader? }
+ * @returns {Promise<Object>} - { success, error?, message?, data? }
+ */
+export const assignGradingTasks = async ({ examId, graderIds, kind, limitPerGrader = null }) => {
+    const graders = await User.findAll({
+        where: { id: { [Op.in]: graderIds }, isSuspended: false },
+        attributes: ["id", "role"],
+    });
+
+    const graderMap = new Map(graders.map(g => [g.id, g]));
+    const invalid = graderIds.filter(id => !["GRADER", "ADMIN"].includes(graderMap.get(id)?.role));
+
+    if (invalid.length > 0) {
+        return {
+            success: false,
+            error: "INVALID_GRADERS",
+            message: `Not active graders: ${invalid.join(", ")}`,
+        };
+    }
+
+    if (kind === "MODERATION" && graders.some(g => g.role !== "ADMIN")) {
+        return { success: false, error: "INVALID_GRADERS", message: "Moderation tasks can only go to admins" };
+    }
+
+    const transaction = await sequelize.transaction();
+
+    try {
+        const tasks = await GradingTask.findAll({
+            where: {
+                examId,
+                status: "UNASSIGNED",
+                kind: kind ? kind : { [Op.in]: ["FIRST", "SECOND"] },
+            },
+            order: [["createdAt", "ASC"]],
+            lock: transaction.LOCK.UPDATE,
+            transaction,
+        });
+
+        const answerGraders = await loadAnswerGraders(tasks.map(t => t.studentAnswerId), transaction);
+        const load = new Map(graderIds.map(id => [id, 0]));
+
+        let next = 0;
+        let assigned = 0;
+        let skipped = 0;
+
+        for (const task of tasks) {
+            const holders = answerGraders.get(task.studentAnswerId) || new Set();
+
+            // First grader after the cursor who is under the limit and not on this answer yet
+            let graderId = null;
+            for (let i = 0; i < graderIds.length; i++) {
+                const candidate = graderIds[(next + i) % graderIds.length];
+                if (holders.has(candidate)) continue;
+                if (limitPerGrader && load.get(candidate) >= limitPerGrader) continue;
+                graderId = candidate;
+                next = (next + i + 1) % graderIds.length;
+                break;
+            }
+
+            if (!graderId) {
+                skipped++;
+                continue;
+            }
+
+            await task.update(
+                { graderId, status: "ASSIGNED", assignedAt: new Date() },
+                { transaction }
+            );
+
+            holders.add(graderId);
+            answerGraders.set(task.studentAnswerId, holders);
+            load.set(graderId, load.get(graderId) + 1);
+            assigned++;
+        }
+
+        await transaction.commit();
+
+        return {
+            success: true,
+            data: {
+                assigned,
+                skipped,
+                perGrader: Object.fromEntries(load),
+            },
+        };
+    } catch (error) {
+        await transaction.rollback();
+        throw error;
+    }
+};
+
+/**
+ * Hand an assigned, not yet graded task back to the queue
+ * @returns {Promise<Object>} - { success, error?, message? }
+ */
+export const releaseGradingTask = async (taskId, graderId) => {
+    const [released] = await GradingTask.update(
+        { graderId: null, status: "UNASSIGNED", assignedAt: null },
+        { where: { id: taskId, graderId, status: "ASSIGNED" } }
+    );
+
+    return released === 0
+        ? { success: false, error: "NOT_FOUND", message: "No assigned task found to release" }
+        : { success: true };
+};
+
+/**
+ * Record a grade and settle the answer when it has all the grades it needs
+ *
+ * - Single grading: the grade is final
+ * - Double-blind: once both grades are in, their average is final unless they
+ *   differ by more than the exam's moderationThreshold share of the marks, in
+ *   which case a MODERATION task is opened
+ * - Moderation: the moderator's grade is final
+ *
+ * @param {Object} params - { taskId, graderId, marks, comments }
+ * @returns {Promise<Object>} - { success, error?, message?, data? }
+ */
+export const submitGrade = async ({ taskId, graderId, marks, comments }) => {
+    const transaction = await sequelize.transaction();
+
+    let task;
+    let answer;
+
+    try {
+        task = await GradingTask.findByPk(taskId, {
+            transaction,
+            lock: transaction.LOCK.UPDATE,
+        });
+
+        if (!task || task.graderId !== graderId) {
+            await transaction.rollback();
+            return { success: false, error: "NOT_FOUND", message: "Grading task not found" };
+        }
+
+        if (task.status !== "ASSIGNED") {
+            await transaction.rollback();
+            return { success: false, error: "INVALID_STATE", message: "This task has already been graded" };
+        }
+
+        if (typeof marks !== "number" || !Number.isFinite(marks) || marks < 0 || marks > task.maxMarks) {
+            await transaction.rollback();
+            return {
+                success: false,
+                error: "INVALID_MARKS",
+                message: `marks must be a number between 0 and ${task.maxMarks}`,
+            };
+        }
+
+        await task.update(
+            {
+                marksAwarded: round(marks),
+                comments: comments ? String(comments).trim() : null,
+                status: "SUBMITTED",
+                gradedAt: new Date(),
+            },
+            { transaction }
+        );
+
+        answer = await StudentAnswer.findByPk(task.studentAnswerId, {
+            transaction,
+            lock: transaction.LOCK.UPDATE,
+        });
+
+        const siblings = await GradingTask.findAll({
+            where: { studentAnswerId: task.studentAnswerId },
+            transaction,
+        });
+
+        const graded = (kind) => siblings.find(t => t.kind === kind && t.status === "SUBMITTED");
+        const hasSecond = siblings.some(t => t.kind === "SECOND");
+
+        let finalMarks = null;
+
+        if (task.kind === "MODERATION" || !hasSecond) {
+            finalMarks = task.marksAwarded;
+        } else if (graded("FIRST") && graded("SECOND")) {
+            const first = graded("FIRST").marksAwarded;
+            const second = graded("SECOND").marksAwarded;
+
+            const exam = await Exam.findByPk(task.examId, {
+                attributes: ["id", "moderationThreshold"],
+                transaction,
+            });
+
+            const threshold = exam?.moderationThreshold;
+            const tooFarApart = threshold !== null && threshold !== undefined
+                && Math.abs(first - second) > threshold * task.maxMarks;
+
+            if (tooFarApart) {
+                await GradingTask.create(
+                    {
+                        examId: task.examId,
+                        attemptId: task.attemptId,
+                        studentAnswerId: task.studentAnswerId,
+                        questionId: task.questionId,
+                        kind: "MODERATION",
+                        maxMarks: task.maxMarks,
+                    },
+                    { transaction }
+                );
+                answer.gradingStatus = "MODERATION";
+            } else {
+                finalMarks = round((first + second) / 2);
+            }
+        }
+
+        if (finalMarks !== null) {
+            answer.manualMarks = finalMarks;
+            answer.gradingStatus = "GRADED";
+        }
+
+        await answer.save({ transaction });
+        await transaction.commit();
+    } catch (error) {
+        await transaction.rollback();
+        throw error;
+    }
+
+    let attemptScore = null;
+
+    if (answer.gradingStatus === "GRADED") {
+        const attempt = await ExamAttempt.findByPk(task.attemptId, {
+            attributes: ["id", "examId", "userId"],
+        });
+
+        const result = await calculateExamScore(attempt.examId, attempt.userId, { force: true, attemptId: attempt.id });
+
+        if (result.success) {
+            attemptScore = {
+                score: result.data.score,
+                isScoreProvisional: result.data.isScoreProvisional,
+            };
+        } else {
+            console.error(`Re-scoring after grading failed for attempt ${task.attemptId}:`, result.message);
+        }
+    }
+
+    return {
+        success: true,
+        data: {
+            task,
+            gradingStatus: answer.gradingStatus,
+            finalMarks: answer.gradingStatus === "GRADED" ? answer.manualMarks : null,
+            attemptScore,
+        },
+    };
+};
+
+/**
+ * Grading progress of an exam
+ * @param {string} examId
+ * @returns {Promise<Object>} - { tasks: { [kind]: { [status]: count } }, answers: { PENDING, MODERATION, GRADED }, provisionalAttempts }
+ */
+export const getGradingProgress = async (examId) => {
+    const [taskCounts, answerCounts, provisionalAttempts] = await Promise.all([
+        GradingTask.findAll({
+            where: { examId },
+            attributes: ["kind", "status", [sequelize.fn("COUNT", sequelize.col("id")), "count"]],
+            group: ["kind", "status"],
+            raw: true,
+        }),
+        GradingTask.findAll({
+            where: { examId, kind: "FIRST" },
+            attributes: [
+                [sequelize.col("studentAnswer.grading_status"), "gradingStatus"],
+                [sequelize.fn("COUNT", sequelize.col("GradingTask.id")), "count"],
+            ],
+            include: [{ model: StudentAnswer, as: "studentAnswer", attributes: [] }],
+            group: [sequelize.col("studentAnswer.grading_status")],
+            raw: true,
+        }),
+        ExamAttempt.count({ where: { examId, isScoreProvisional: true } }),
+    ]);
+
+    const tasks = Object.fromEntries(
+        GRADING_TASK_KINDS.map(kind => [kind, Object.fromEntries(GRADING_TASK_STATUSES.map(s => [s, 0]))])
+    );
+    for (const row of taskCounts) {
+        tasks[row.kind][row.status] = Number(row.count);
+    }
+
+    const answers = { PENDING: 0, MODERATION: 0, GRADED: 0 };
+    for (const row of answerCounts) {
+        if (row.gradingStatus) answers[row.gradingStatus] = Number(row.count);
+    }
+
+    return { tasks, answers, provisionalAttempts };
+};
@@ -0,0 +1,245 @@
+/**
+ * Item Analysis Service
+ *
+ * Classical test statistics for every question, from stored answers:
+ * - Examinees, attempts and full-credit answers across all exams
+ * - Difficulty index (p-value) and point-biserial discrimination
+ * - How often each option was chosen, and by whom (distractor analysis)
+ * - Flags for a difficulty label the data disagrees with, and for negative discrimination
+ *
+ * Only submitted, fully scored attempts count. Questions under a BONUS key
+ * override are left out of that exam: everyone got the marks regardless.
+ * Discrimination correlates the item score with the rest of the paper
+ * (attempt score minus the item's marks), standardised within each exam so
+ * papers of different length and scale can be pooled.
+ */
+
+import { Op } from "sequelize";
+import sequelize from "../config/db.js";
+import { Question, Option, ExamQuestion, ExamAttempt, StudentAnswer, QuestionStatistic } from "../modules/association/index.js";
+
+// Fewer examinees than this and the difficulty band and flags are not reported
+export const MIN_EXAMINEES = Number(process.env.ITEM_ANALYSIS_MIN_EXAMINEES) || 20;
+
+// p-value bands: at least EASY_P is easy, below HARD_P is hard
+const EASY_P = 0.7;
+const HARD_P = 0.3;
+
+const OPTION_TYPES = ["SINGLE_CORRECT", "MULTIPLE_CORRECT", "ASSERTION_REASON"];
+
+let isRunning = false;
+
+export const isItemAnalysisRunning = () => isRunning;
+
+const round = (value) => (value === null ? null : Math.round(value * 10000) / 10000);
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+/**
+ * Pearson correlation; with a 0/1 variable this is the point-biserial coefficient
+ * @returns {number|null} null when either variable does not vary
+ */
+export const correlation = (xs, ys) => {
+    if (xs.length < 2) return null;
+
+    const mx = mean(xs);
+    const my = mean(ys);
+    let sxy = 0;
+    let sxx = 0;
+    let syy = 0;
+
+    for (let i = 0; i < xs.length; i++) {
+        sxy += (xs[i] - mx) * (ys[i] - my);
+        sxx += (xs[i] - mx) ** 2;
+        syy += (ys[i] - my) ** 2;
+    }
+
+    return sxx === 0 || syy === 0 ? null : sxy / Math.sqrt(sxx * syy);
+};
+
+// z-scores; all zero when the values do not vary
+const standardize = (values) => {
+    const m = mean(values);
+    const sd = Math.sqrt(mean(values.map(v => (v - m) ** 2)));
+    return values.map(v => (sd === 0 ? 0 : (v - m) / sd));
+};
+
+export const empiricalDifficultyOf = (pValue) => {
+    if (pValue >= EASY_P) return "EASY";
+    if (pValue < HARD_P) return "HARD";
+    return "MEDIUM";
+};
+
+const hasAnswer = (answer) =>
+    (answer.selectedOptionIds || []).length > 0
+    || (answer.numericalAnswer !== null && answer.numericalAnswer !== undefined)
+    || (typeof answer.textAnswer === "string" && answer.textAnswer.trim().length > 0)
+    || (!!answer.structuredAnswer && Object.keys(answer.structuredAnswer).length > 0);
+
+// One exam paper's responses (a paper set, or the whole exam), appended to the per-question accumulators
+const collectExam = async (examId, paperSetId, attempts, responsesByQuestion) => {
+    const examQuestions = await ExamQuestion.findAll({
+        where: { examId, paperSetId },
+        attributes: ["questionId", "marksForEachQuestion", "keyOverride"],
+    });
+
+    const answers = await StudentAnswer.findAll({
+        where: { examAttemptId: { [Op.in]: attempts.map(a => a.id) } },
+        attributes: [
+            "examAttemptId", "questionId", "selectedOptionIds", "numericalAnswer",
+            "structuredAnswer", "textAnswer", "marksObtained", "scoreBreakdown",
+        ],
+    });
+
+    const answerOf = new Map(answers.map(a => [`${a.examAttemptId}:${a.questionId}`, a]));
+
+    for (const eq of examQuestions) {
+        if (eq.keyOverride?.mode === "BONUS") continue;
+
+        const marks = eq.marksForEachQuestion || 1;
+        const rows = attempts.map(attempt => {
+            const answer = answerOf.get(`${attempt.id}:${eq.questionId}`);
+            const marksObtained = answer?.marksObtained ?? 0;
+            const outcome = answer?.scoreBreakdown?.outcome;
+
+            return {
+                itemScore: Math.min(1, Math.max(0, marksObtained / marks)),
+                restScore: attempt.score - marksObtained,
+                attempted: outcome ? outcome !== "UNATTEMPTED" : !!answer && hasAnswer(answer),
+                correct: outcome ? outcome === "CORRECT" : marksObtained >= marks,
+                selected: answer?.selectedOptionIds || [],
+            };
+        });
+
+        const z = standardize(rows.map(r => r.restScore));
+        const responses = responsesByQuestion.get(eq.questionId) || [];
+        rows.forEach((row, i) => responses.push({ ...row, z: z[i] }));
+        responsesByQuestion.set(eq.questionId, responses);
+    }
+};
+
+const buildStatistic = (question, options, responses, computedAt) => {
+    const examineeCount = responses.length;
+    const zs = responses.map(r => r.z);
+    const pValue = mean(responses.map(r => r.itemScore));
+    const discrimination = correlation(responses.map(r => r.itemScore), zs);
+
+    const optionStats = OPTION_TYPES.includes(question.questionType)
+        ? [...options]
+            .sort((a, b) => a.order - b.order)
+            .map(opt => {
+                const chose = responses.map(r => (r.selected.includes(opt.id) ? 1 : 0));
+                const count = chose.reduce((sum, c) => sum + c, 0);
+                return {
+                    optionId: opt.id,
+                    order: opt.order,
+                    isCorrect: opt.isCorrect,
+                    count,
+                    proportion: round(count / examineeCount),
+                    discrimination: round(correlation(chose, zs)),
+                };
+            })
+        : null;
+
+    const flags = [];
+    let empiricalDifficulty = null;
+
+    if (examineeCount >= MIN_EXAMINEES) {
+        empiricalDifficulty = empiricalDifficultyOf(pValue);
+        if (empiricalDifficulty !== question.difficulty) flags.push("DIFFICULTY_MISMATCH");
+        if (discrimination !== null && discrimination < 0) flags.push("NEGATIVE_DISCRIMINATION");
+    }
+
+    return {
+        questionId: question.id,
+        examineeCount,
+        attemptedCount: responses.filter(r => r.attempted).length,
+        correctCount: responses.filter(r => r.correct).length,
+        pValue: round(pValue),
+        discrimination: round(discrimination),
+        empiricalDifficulty,
+        optionStats,
+        flags,
+        computedAt,
+    };
+};
+
+/**
+ * Recompute the statistics of every question from all scored attempts
+ * Replaces the previous results in one transaction.
+ * @returns {Promise<Object>} - { examCount, questionCount, flaggedCount, computedAt }
+ */
+export const computeItemStatistics = async () => {
+    if (isRunning) {
+        throw new Error("Item analysis is already running");
+    }
+
+    isRunning = true;
+
+    try {
+        const attempts = await ExamAttempt.findAll({
+            where: {
+                status: { [Op.ne]: "IN_PROGRESS" },
+                score: { [Op.ne]: null },
+                isScoreProvisional: false,
+            },
+            attributes: ["id", "examId", "paperSetId", "score"],
+        });
+
+        // Candidates of different paper sets sat different papers
+        const attemptsByPaper = new Map();
+        for (const attempt of attempts) {
+            const key = `${attempt.examId}:${attempt.paperSetId ?? ""}`;
+            const paper = attemptsByPaper.get(key) || { examId: attempt.examId, paperSetId: attempt.paperSetId ?? null, attempts: [] };
+            paper.attempts.push(attempt);
+            attemptsByPaper.set(key, paper);
+        }
+
+        const responsesByQuestion = new Map();
+        for (const { examId, paperSetId, attempts: paperAttempts } of attemptsByPaper.values()) {
+            await collectExam(examId, paperSetId, paperAttempts, responsesByQuestion);
+        }
+
+        const questionIds = [...responsesByQuestion.keys()];
+
+        const [questions, options] = await Promise.all([
+            Question.findAll({
+                where: { id: { [Op.in]: questionIds } },
+                attributes: ["id", "questionType", "difficulty"],
+            }),
+            Option.findAll({
+                where: { questionId: { [Op.in]: questionIds } },
+                attributes: ["id", "questionId", "order", "isCorrect"],
+            }),
+        ]);
+
+        const optionsByQuestion = new Map();
+        for (const opt of options) {
+            const list = optionsByQuestion.get(opt.questionId) || [];
+            list.push(opt);
+            optionsByQuestion.set(opt.questionId, list);
+        }
+
+        const computedAt = new Date();
+        const statistics = questions.map(question => buildStatistic(
+            question,
+            optionsByQuestion.get(question.id) || [],
+            responsesByQuestion.get(question.id),
+            computedAt
+        ));
+
+        await sequelize.transaction(async (t) => {
+            await QuestionStatistic.destroy({ where: {}, transaction: t });
+            await QuestionStatistic.bulkCreate(statistics, { transaction: t });
+        });
+
+        return {
+            examCount: attemptsByExam.size,
+            questionCount: statistics.length,
+            flaggedCount: statistics.filter(s => s.flags.length > 0).length,
+            computedAt,
+        };
+    } finally {
+        isRunning = false;
+    }
+};
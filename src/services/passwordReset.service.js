@@ -0,0 +1,38 @@
+import bcrypt from "bcrypt";
+import { sendEmail } from "./email.service.js";
+import { generateOTP } from "../utils/generateOTP.util.js";
+import { forgotPasswordTemplate } from "../templates/forgotPassword.template.js";
+
+const OTP_VALIDITY_MS = 15 * 60 * 1000; // 15 minutes
+
+/**
+ * Generate a password reset OTP for a user, store its hash and email it
+ * Shared by the self-service forgot-password flow and admin-triggered resets
+ * @param {Object} user - User instance
+ * @returns {Promise<boolean>} - Whether the OTP email was sent
+ */
+export const issuePasswordResetOTP = async (user) => {
+    const otp = generateOTP(6);
+
+    const saltRounds = 10;
+    const hashedOTP = await bcrypt.hash(otp, saltRounds);
+
+    user.passwordResetOTP = hashedOTP;
+    user.passwordResetOTPExpiry = new Date(Date.now() + OTP_VALIDITY_MS);
+    await user.save();
+
+    try {
+        await sendEmail({
+            to: user.email,
+            subject: "Password Reset OTP",
+            html: forgotPasswordTemplate({
+                fullName: user.fullName,
+                otp,
+            }),
+        });
+        return true;
+    } catch (error) {
+        console.error("Failed to send OTP email:", error);
+        return false;
+    }
+};
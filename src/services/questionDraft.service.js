@@ -11,7 +11,11 @@
  */
 
 import { getSequelizeInstance } from "../config/db.js";
-import { QuestionDraftBatch, QuestionDraft, QuestionOptionDraft, Question, Option } from "../modules/association/index.js"
+import { QuestionDraftBatch, QuestionDraft, QuestionOptionDraft, Question, Option, TaxonomyNode } from "../modules/association/index.js"
+import { DEFINITION_TYPES, normalizeTypeDefinition } from "../utils/questionType.util.js";
+import { normalizeQuestionContent } from "../utils/content.util.js";
+import { recordQuestionVersion } from "./questionVersion.service.js";
+import { findLikelyDuplicates } from "./questionSearch.service.js";
 
 /**
  * Create a new draft batch from AI-extracted questions
@@ -62,6 +66,8 @@ export const createDraftBatch = async ({
                     predicted_statement: aiQuestion.statement,
                     predicted_questionType: aiQuestion.questionType,
                     predicted_domain: aiQuestion.domain,
+                    predicted_taxonomyNodeId: aiQuestion.taxonomyNodeId ?? null,
+                    taxonomySuggestions: aiQuestion.taxonomySuggestions || [],
                     predicted_difficulty: aiQuestion.difficulty || "MEDIUM",
                     predicted_confidence: aiQuestion.confidence || 0,
                     orderInBatch: i,
@@ -69,6 +75,7 @@ export const createDraftBatch = async ({
                     final_statement: aiQuestion.statement,
                     final_questionType: aiQuestion.questionType,
                     final_domain: aiQuestion.domain,
+                    final_taxonomyNodeId: aiQuestion.taxonomyNodeId ?? null,
                     final_difficulty: aiQuestion.difficulty || "MEDIUM",
                 },
                 { transaction }
@@ -162,9 +169,13 @@ export const updateDraftQuestion = async (draftQuestionId, updates) => {
         "final_statement",
         "final_questionType",
         "final_domain",
+        "final_taxonomyNodeId",
         "final_marks",
         "final_negativeMarks",
         "final_difficulty",
+        "final_typeDefinition",
+        "final_contentFormat",
+        "final_explanation",
         "adminNotes",
     ];
 
@@ -292,10 +303,11 @@ export const discardDraft = async (draftQuestionId) => {
  * 
  * @param {string} batchId - Batch ID to confirm
  * @param {Array} draftIds - Array of draft IDs to confirm (if null, confirm all MARKED_READY)
+ * @param {string} adminId - Admin confirming, recorded as the author of each question's first version
  * 
- * @returns {Object} { confirmedCount, failedDrafts, createdQuestions }
+ * @returns {Object} { confirmedCount, failedDrafts, createdQuestions, duplicateWarnings }
  */
-export const confirmDraftBatch = async (batchId, draftIds = null) => {
+export const confirmDraftBatch = async (batchId, draftIds = null, adminId = null) => {
     const sequelize = getSequelizeInstance();
     const transaction = await sequelize.transaction();
 
@@ -343,38 +355,78 @@ export const confirmDraftBatch = async (batchId, draftIds = null) => {
                     continue;
                 }
 
+                // The node may have been deleted since the draft was reviewed
+                if (draft.final_taxonomyNodeId) {
+                    const node = await TaxonomyNode.findByPk(draft.final_taxonomyNodeId, {
+                        attributes: ["id"],
+                        transaction,
+                    });
+
+                    if (!node) {
+                        failedDrafts.push({
+                            draftId: draft.id,
+                            reason: "Taxonomy node not found",
+                        });
+                        continue;
+                    }
+                }
+
+                const definition = DEFINITION_TYPES.includes(draft.final_questionType)
+                    ? normalizeTypeDefinition(draft.final_questionType, draft.final_typeDefinition)
+                    : null;
+
+                // Render-safe texts in the draft's content format
+                const draftOptions = definition ? [] : draft.options || [];
+                const content = normalizeQuestionContent(draft.final_contentFormat || "PLAIN", {
+                    statement: draft.final_statement,
+                    optionTexts: draftOptions.map((draftOption) => draftOption.final_text),
+                    explanation: draft.final_explanation ?? undefined,
+                    typeData: definition?.typeData,
+                });
+
                 // Create production question from final_* fields
                 const question = await Question.create(
                     {
-                        statement: draft.final_statement,
+                        statement: content.statement,
+                        contentFormat: draft.final_contentFormat || "PLAIN",
                         questionType: draft.final_questionType,
                         domain: draft.final_domain,
+                        taxonomyNodeId: draft.final_taxonomyNodeId ?? null,
                         marks: draft.final_marks,
                         negativeMarks: draft.final_negativeMarks,
                         difficulty: draft.final_difficulty,
+                        explanation: content.explanation?.trim() || null,
+                        typeData: content.typeData ?? null,
+                        answerKey: definition?.answerKey ?? null,
                     },
                     { transaction }
                 );
 
-                // Create production options
-                for (const draftOption of draft.options || []) {
+                // Create production options (generated from the definition for ASSERTION_REASON)
+                const optionRecords = definition
+                    ? definition.options || []
+                    : draftOptions.map((draftOption, index) => ({
+                        text: content.optionTexts[index],
+                        isCorrect: draftOption.final_isCorrect,
+                        order: draftOption.order,
+                    }));
+
+                for (const option of optionRecords) {
                     await Option.create(
-                        {
-                            questionId: question.id,
-                            text: draftOption.final_text,
-                            isCorrect: draftOption.final_isCorrect,
-                            order: draftOption.order,
-                        },
+                        { ...option, questionId: question.id },
                         { transaction }
                     );
                 }
 
+                await recordQuestionVersion(question.id, { createdBy: adminId, transaction });
+
                 // Mark draft as confirmed
                 await draft.update({ status: "CONFIRMED" }, { transaction });
 
                 createdQuestions.push({
                     draftId: draft.id,
                     questionId: question.id,
+                    statement: question.statement,
                 });
             } catch (error) {
                 failedDrafts.push({
@@ -402,12 +454,24 @@ export const confirmDraftBatch = async (batchId, draftIds = null) => {
 
         await transaction.commit();
 
+        // Near-identical questions already in the bank (or in this batch) are reported, not refused
+        const duplicateWarnings = [];
+
+        for (const { draftId, questionId, statement } of createdQuestions) {
+            const similarQuestions = await findLikelyDuplicates(statement, [questionId]);
+
+            if (similarQuestions.length > 0) {
+                duplicateWarnings.push({ draftId, questionId, similarQuestions });
+            }
+        }
+
         return {
             success: true,
             confirmedCount,
             failedCount: failedDrafts.length,
-            createdQuestions,
+            createdQuestions: createdQuestions.map(({ draftId, questionId }) => ({ draftId, questionId })),
             failedDrafts,
+            duplicateWarnings,
         };
     } catch (error) {
         await transaction.rollback();
@@ -435,12 +499,28 @@ const validateDraftForConfirmation = (draft) => {
         errors.push("Domain is required");
     }
 
-    if (!draft.options || draft.options.length < 2) {
+    const isDefinitionType = DEFINITION_TYPES.includes(draft.final_questionType);
+
+    const { errors: contentErrors } = normalizeQuestionContent(draft.final_contentFormat || "PLAIN", {
+        statement: draft.final_statement || "",
+        optionTexts: isDefinitionType ? undefined : (draft.options || []).map((o) => o.final_text || ""),
+        explanation: draft.final_explanation ?? undefined,
+    });
+
+    errors.push(...contentErrors);
+
+    if (draft.final_explanation !== null && draft.final_explanation !== undefined && typeof draft.final_explanation !== "string") {
+        errors.push("Explanation must be text");
+    }
+
+    if (isDefinitionType) {
+        errors.push(...normalizeTypeDefinition(draft.final_questionType, draft.final_typeDefinition).errors);
+    } else if (!draft.options || draft.options.length < 2) {
         errors.push("Question must have at least 2 options");
     }
 
     // Validate options
-    if (draft.options && draft.options.length > 0) {
+    if (!isDefinitionType && draft.options && draft.options.length > 0) {
         const missingTexts = draft.options.some((o) => !o.final_text || o.final_text.trim().length === 0);
 
         if (missingTexts) {
@@ -0,0 +1,100 @@
+/**
+ * Aiken question format (Moodle)
+ *
+ * Single-correct multiple choice only:
+ *
+ *   What is the SI unit of charge?
+ *   A. Ampere
+ *   B. Coulomb
+ *   ANSWER: B
+ *
+ * Options may use "A." or "A)". The format has no domain, marks or difficulty;
+ * the import defaults apply. Questions with line breaks are exported on one line.
+ */
+
+const OPTION_PATTERN = /^([A-Z])[.)]\s+(.*)$/;
+const ANSWER_PATTERN = /^ANSWER:\s*([A-Z])\s*$/i;
+
+export const parse = (buffer) => {
+    const lines = buffer.toString("utf-8").replace(/^\uFEFF/, "").split(/\r?\n/);
+    const items = [];
+    const errors = [];
+
+    let current = null;
+
+    const fail = (message) => {
+        errors.push({ ref: current.ref, message });
+        current = null;
+    };
+
+    lines.forEach((line, index) => {
+        const trimmed = line.trim();
+        if (trimmed === "") return;
+
+        if (!current) {
+            current = { ref: `question at line ${index + 1}`, stem: [trimmed], options: [] };
+            return;
+        }
+
+        const answer = ANSWER_PATTERN.exec(trimmed);
+        if (answer) {
+            const letter = answer[1].toUpperCase();
+            const correct = current.options.find(opt => opt.letter === letter);
+
+            if (current.options.length < 2) return fail("A question needs at least two options");
+            if (!correct) return fail(`ANSWER ${letter} is not one of the options`);
+
+            items.push({
+                ref: current.ref,
+                statement: current.stem.join("\n"),
+                questionType: "SINGLE_CORRECT",
+                options: current.options.map(opt => ({ text: opt.text, isCorrect: opt === correct })),
+            });
+            current = null;
+            return;
+        }
+
+        const option = OPTION_PATTERN.exec(trimmed);
+        if (option) {
+            current.options.push({ letter: option[1], text: option[2].trim() });
+        } else if (current.options.length === 0) {
+            current.stem.push(trimmed);
+        } else {
+            fail(`Expected an option or ANSWER line at line ${index + 1}`);
+        }
+    });
+
+    if (current) errors.push({ ref: current.ref, message: "Missing ANSWER line" });
+
+    return { items, errors };
+};
+
+const singleLine = (text) => String(text).replace(/\s*\r?\n\s*/g, " ").trim();
+
+export const serialize = (questions) => {
+    const skipped = [];
+    const blocks = [];
+
+    for (const q of questions) {
+        if (q.questionType !== "SINGLE_CORRECT") {
+            skipped.push({ id: q.id, reason: "Aiken holds single-correct questions only" });
+            continue;
+        }
+
+        if (q.options.length > 26) {
+            skipped.push({ id: q.id, reason: "More than 26 options" });
+            continue;
+        }
+
+        const letter = (i) => String.fromCharCode(65 + i);
+        const correctIndex = q.options.findIndex(opt => opt.isCorrect);
+
+        blocks.push([
+            singleLine(q.statement),
+            ...q.options.map((opt, i) => `${letter(i)}. ${singleLine(opt.text)}`),
+            `ANSWER: ${letter(correctIndex)}`,
+        ].join("\n"));
+    }
+
+    return { content: `${blocks.join("\n\n")}\n`, skipped };
+};
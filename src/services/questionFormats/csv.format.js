@@ -0,0 +1,145 @@
+/**
+ * CSV question format
+ *
+ * One question per row, header row required (case and punctuation ignored):
+ *
+ *   statement, type, domain, difficulty, marks, negativeMarks, contentFormat,
+ *   optionA ... optionJ, correct, answer, tolerance
+ *
+ * `correct` lists the correct option letters ("B" or "A;C"); `answer` and
+ * `tolerance` are for NUMERICAL questions. When `type` is blank it is inferred:
+ * an answer without options is NUMERICAL, several correct letters are
+ * MULTIPLE_CORRECT, otherwise SINGLE_CORRECT.
+ */
+
+import { parseCSVWithHeaders, toCSVField } from "../../utils/csv.util.js";
+
+export const OPTION_LETTERS = "ABCDEFGHIJ".split("");
+
+// Normalised CSV header -> field
+const HEADER_ALIASES = {
+    statement: "statement",
+    question: "statement",
+    type: "questionType",
+    questiontype: "questionType",
+    domain: "domain",
+    subject: "domain",
+    difficulty: "difficulty",
+    marks: "marks",
+    negativemarks: "negativeMarks",
+    negative: "negativeMarks",
+    contentformat: "contentFormat",
+    format: "contentFormat",
+    correct: "correct",
+    correctoptions: "correct",
+    answerkey: "correct",
+    answer: "answer",
+    numericalanswer: "answer",
+    tolerance: "tolerance",
+};
+
+for (const letter of OPTION_LETTERS) {
+    HEADER_ALIASES[`option${letter.toLowerCase()}`] = `option${letter}`;
+}
+
+const blankToUndefined = (value) => (value === undefined || value === "" ? undefined : value);
+
+export const parse = (buffer) => {
+    const { headers, records } = parseCSVWithHeaders(buffer.toString("utf-8"));
+
+    if (!headers.some(h => HEADER_ALIASES[h] === "statement")) {
+        throw new Error("CSV needs a header row with at least a statement column");
+    }
+
+    const items = [];
+    const errors = [];
+
+    for (const record of records) {
+        const row = {};
+        for (const [header, value] of Object.entries(record)) {
+            const field = HEADER_ALIASES[header];
+            if (field) row[field] = value;
+        }
+
+        const ref = `row ${record._row}`;
+        const correctLetters = (row.correct || "")
+            .toUpperCase()
+            .split(/[\s,;|]+/)
+            .filter(Boolean);
+
+        const unknownLetters = correctLetters.filter(letter => !row[`option${letter}`]);
+        if (unknownLetters.length > 0) {
+            errors.push({ ref, message: `correct refers to missing option(s) ${unknownLetters.join(", ")}` });
+            continue;
+        }
+
+        const options = OPTION_LETTERS
+            .filter(letter => row[`option${letter}`])
+            .map(letter => ({ text: row[`option${letter}`], isCorrect: correctLetters.includes(letter) }));
+
+        let questionType = blankToUndefined(row.questionType);
+        if (!questionType) {
+            if (options.length === 0 && row.answer) questionType = "NUMERICAL";
+            else questionType = correctLetters.length > 1 ? "MULTIPLE_CORRECT" : "SINGLE_CORRECT";
+        }
+
+        items.push({
+            ref,
+            statement: row.statement,
+            questionType,
+            domain: blankToUndefined(row.domain),
+            difficulty: blankToUndefined(row.difficulty),
+            marks: blankToUndefined(row.marks),
+            negativeMarks: blankToUndefined(row.negativeMarks),
+            contentFormat: blankToUndefined(row.contentFormat),
+            options: options.length > 0 ? options : undefined,
+            numericalAnswer: row.answer
+                ? { value: row.answer, tolerance: blankToUndefined(row.tolerance) ?? 0 }
+                : undefined,
+        });
+    }
+
+    return { items, errors };
+};
+
+export const serialize = (questions) => {
+    const skipped = [];
+    const rows = [];
+
+    for (const q of questions) {
+        if (q.options.length > OPTION_LETTERS.length) {
+            skipped.push({ id: q.id, reason: `More than ${OPTION_LETTERS.length} options` });
+            continue;
+        }
+        rows.push(q);
+    }
+
+    const optionCount = Math.max(4, ...rows.map(q => q.options.length));
+    const letters = OPTION_LETTERS.slice(0, optionCount);
+
+    const header = [
+        "statement", "type", "domain", "difficulty", "marks", "negativeMarks", "contentFormat",
+        ...letters.map(letter => `option${letter}`),
+        "correct", "answer", "tolerance",
+    ];
+
+    const lines = rows.map(q => [
+        q.statement,
+        q.questionType,
+        q.domain,
+        q.difficulty,
+        q.marks,
+        q.negativeMarks,
+        q.contentFormat,
+        ...letters.map((_, i) => q.options[i]?.text ?? ""),
+        q.options.map((opt, i) => (opt.isCorrect ? letters[i] : null)).filter(Boolean).join(";"),
+        q.numericalAnswer?.value ?? "",
+        q.numericalAnswer ? q.numericalAnswer.tolerance : "",
+    ]);
+
+    const content = [header, ...lines]
+        .map(values => values.map(toCSVField).join(","))
+        .join("\r\n");
+
+    return { content: `${content}\r\n`, skipped };
+};
@@ -0,0 +1,266 @@
+/**
+ * GIFT question format (Moodle)
+ *
+ * Supported: multiple choice ({=right ~wrong}, weighted ~%50% answers for
+ * several correct options), true/false ({T} / {F}) and numerical ({#3.14:0.01},
+ * {#1..2}). Short answer, matching, missing-word-with-text-after and essay
+ * questions are reported as unsupported.
+ *
+ * $CATEGORY: lines set the domain (last path segment). GIFT has no field for
+ * marks or difficulty, so they travel in a comment line before the question:
+ *
+ *   // oes: marks=2 negativeMarks=0.5 difficulty=HARD
+ *
+ * Without it, negative marks come from the most negative answer weight.
+ */
+
+const SPECIAL_CHARS = /[~=#{}:\\]/g;
+
+const METADATA_PATTERN = /^\/\/\s*oes:\s*(.*)$/i;
+
+const escapeText = (text) => String(text).replace(SPECIAL_CHARS, ch => `\\${ch}`).replace(/\r?\n/g, "\\n");
+
+const unescapeText = (text) => text.replace(/\\(.)/g, (_, ch) => (ch === "n" ? "\n" : ch)).trim();
+
+// Index of the first unescaped occurrence of any char in `chars`, from `start`
+const findUnescaped = (text, chars, start = 0) => {
+    for (let i = start; i < text.length; i++) {
+        if (text[i] === "\\") {
+            i++;
+            continue;
+        }
+        if (chars.includes(text[i])) return i;
+    }
+    return -1;
+};
+
+const countUnescaped = (text, ch) => {
+    let count = 0;
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === "\\") i++;
+        else if (text[i] === ch) count++;
+    }
+    return count;
+};
+
+const parseMetadata = (line) => {
+    const metadata = {};
+    for (const pair of line.split(/\s+/)) {
+        const [key, value] = pair.split("=");
+        if (["marks", "negativeMarks", "difficulty"].includes(key) && value) metadata[key] = value;
+    }
+    return metadata;
+};
+
+// Split "=a ~b ~%50%c#feedback" into answers
+const splitAnswers = (body) => {
+    const answers = [];
+    let index = findUnescaped(body, "=~");
+
+    while (index !== -1) {
+        const next = findUnescaped(body, "=~", index + 1);
+        let text = body.slice(index + 1, next === -1 ? body.length : next);
+
+        const feedback = findUnescaped(text, "#");
+        if (feedback !== -1) text = text.slice(0, feedback);
+
+        let weight = null;
+        const weighted = /^\s*%(-?\d+(?:\.\d+)?)%/.exec(text);
+        if (weighted) {
+            weight = Number(weighted[1]);
+            text = text.slice(weighted[0].length);
+        }
+
+        answers.push({ marker: body[index], weight, raw: text, text: unescapeText(text) });
+        index = next;
+    }
+
+    return answers;
+};
+
+// "3.14:0.01", "1..2" or "3.14"
+const parseNumericalAnswer = (text) => {
+    const range = /^(-?[\d.eE+-]+)\.\.(-?[\d.eE+-]+)$/.exec(text);
+    if (range) {
+        const min = Number(range[1]);
+        const max = Number(range[2]);
+        return { value: (min + max) / 2, tolerance: Math.abs(max - min) / 2 };
+    }
+
+    const [value, tolerance = "0"] = text.split(":");
+    return { value: Number(value), tolerance: Number(tolerance) };
+};
+
+const parseAnswerBlock = (body, item) => {
+    const trimmed = body.trim();
+
+    if (trimmed === "") {
+        return "Essay questions are not supported";
+    }
+
+    const trueFalse = /^(T|TRUE|F|FALSE)\s*(#.*)?$/i.exec(trimmed);
+    if (trueFalse) {
+        const isTrue = trueFalse[1].toUpperCase().startsWith("T");
+        item.questionType = "SINGLE_CORRECT";
+        item.options = [
+            { text: "True", isCorrect: isTrue },
+            { text: "False", isCorrect: !isTrue },
+        ];
+        return null;
+    }
+
+    if (trimmed.startsWith("#")) {
+        const rest = trimmed.slice(1).trim();
+        let answerText = rest;
+
+        // Multiple numerical answers: take the first full-credit one
+        if (findUnescaped(rest, "=") !== -1) {
+            const best = splitAnswers(rest).find(a => a.marker === "=" && (a.weight === null || a.weight === 100));
+            if (!best) return "Numerical question has no full-credit answer";
+            answerText = best.raw;
+        }
+
+        const feedback = findUnescaped(answerText, "#");
+        if (feedback !== -1) answerText = answerText.slice(0, feedback);
+
+        const answer = parseNumericalAnswer(answerText.trim());
+        item.questionType = "NUMERICAL";
+        item.numericalAnswer = answer;
+        return null;
+    }
+
+    const answers = splitAnswers(trimmed);
+
+    if (answers.length === 0) return "Answer block has no answers";
+    if (answers.some(a => a.raw.includes("->"))) return "Matching questions are not supported";
+    if (answers.every(a => a.marker === "=")) return "Short answer questions are not supported";
+
+    const options = answers.map(a => ({
+        text: a.text,
+        isCorrect: a.marker === "=" || (a.weight !== null && a.weight > 0),
+    }));
+
+    item.questionType = options.filter(o => o.isCorrect).length > 1 ? "MULTIPLE_CORRECT" : "SINGLE_CORRECT";
+    item.options = options;
+
+    const penalty = Math.min(0, ...answers.map(a => a.weight ?? 0));
+    if (penalty < 0 && item.negativeMarks === undefined) {
+        item.negativeMarks = (Number(item.marks ?? 1) * -penalty) / 100;
+    }
+
+    return null;
+};
+
+const parseQuestion = (block, item) => {
+    let text = block.replace(/^::(?:\\.|[^:])*::/, "").trim();
+
+    const open = findUnescaped(text, "{");
+    const close = open === -1 ? -1 : findUnescaped(text, "}", open);
+
+    if (open === -1 || close === -1) return "No answer block ({...}) found";
+
+    const after = text.slice(close + 1).trim();
+    if (after) return "Missing-word questions (text after the answer block) are not supported";
+
+    let stem = text.slice(0, open).trim();
+
+    const markup = /^\[(markdown|html|plain|moodle)\]/i.exec(stem);
+    if (markup) {
+        stem = stem.slice(markup[0].length);
+        if (["markdown", "html"].includes(markup[1].toLowerCase())) item.contentFormat = "MARKDOWN";
+    }
+
+    item.statement = unescapeText(stem);
+    return parseAnswerBlock(text.slice(open + 1, close), item);
+};
+
+export const parse = (buffer) => {
+    const lines = buffer.toString("utf-8").replace(/^\uFEFF/, "").split(/\r?\n/);
+    const items = [];
+    const errors = [];
+
+    let domain;
+    let metadata = {};
+    let block = [];
+    let startLine = 0;
+
+    const flush = () => {
+        if (block.length === 0) return;
+
+        const ref = `question at line ${startLine}`;
+        const item = { ref, domain, ...metadata };
+        const error = parseQuestion(block.join("\n"), item);
+
+        if (error) errors.push({ ref, message: error });
+        else items.push(item);
+
+        block = [];
+        metadata = {};
+    };
+
+    lines.forEach((line, index) => {
+        const trimmed = line.trim();
+
+        // A blank line ends a question unless its answer block is still open
+        if (trimmed === "") {
+            const text = block.join("\n");
+            if (countUnescaped(text, "{") <= countUnescaped(text, "}")) flush();
+            return;
+        }
+
+        if (trimmed.startsWith("//")) {
+            const match = METADATA_PATTERN.exec(trimmed);
+            if (match && block.length === 0) metadata = parseMetadata(match[1]);
+            return;
+        }
+
+        if (block.length === 0 && trimmed.startsWith("$CATEGORY:")) {
+            const path = trimmed.slice("$CATEGORY:".length).trim().split("/").filter(Boolean);
+            domain = path[path.length - 1];
+            return;
+        }
+
+        if (block.length === 0) startLine = index + 1;
+        block.push(line);
+    });
+
+    flush();
+
+    return { items, errors };
+};
+
+const formatNumber = (value) => String(Number(Number(value).toFixed(5)));
+
+export const serialize = (questions) => {
+    const blocks = [];
+    let currentDomain = null;
+
+    for (const q of questions) {
+        if (q.domain !== currentDomain) {
+            blocks.push(`$CATEGORY: ${q.domain}`);
+            currentDomain = q.domain;
+        }
+
+        const markup = q.contentFormat === "PLAIN" ? "" : "[markdown]";
+        const metadata = `// oes: marks=${q.marks} negativeMarks=${q.negativeMarks} difficulty=${q.difficulty}`;
+        let answers;
+
+        if (q.questionType === "NUMERICAL") {
+            answers = `#${formatNumber(q.numericalAnswer.value)}:${formatNumber(q.numericalAnswer.tolerance)}`;
+        } else {
+            const correctCount = q.options.filter(opt => opt.isCorrect).length;
+            const penalty = q.negativeMarks > 0 ? `%-${formatNumber((q.negativeMarks / q.marks) * 100)}%` : "";
+
+            answers = "\n" + q.options.map(opt => {
+                if (!opt.isCorrect) return `\t~${penalty}${escapeText(opt.text)}`;
+                return q.questionType === "SINGLE_CORRECT"
+                    ? `\t=${escapeText(opt.text)}`
+                    : `\t~%${formatNumber(100 / correctCount)}%${escapeText(opt.text)}`;
+            }).join("\n") + "\n";
+        }
+
+        blocks.push(`${metadata}\n${markup}${escapeText(q.statement)} {${answers}}`);
+    }
+
+    return { content: `${blocks.join("\n\n")}\n`, skipped: [] };
+};
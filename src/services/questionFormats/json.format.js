@@ -0,0 +1,84 @@
+/**
+ * JSON question format
+ *
+ * { "format": "oes-questions", "version": 1, "questions": [ ... ] } (a bare
+ * array of questions is accepted too). Each question:
+ *
+ *   statement, questionType, domain, difficulty, marks, negativeMarks,
+ *   contentFormat, options: [{ text, isCorrect }], numericalAnswer: { value, tolerance }
+ */
+
+export const FORMAT_NAME = "oes-questions";
+export const FORMAT_VERSION = 1;
+
+const FIELDS = ["statement", "questionType", "domain", "difficulty", "marks", "negativeMarks", "contentFormat"];
+
+export const parse = (buffer) => {
+    let document;
+
+    try {
+        document = JSON.parse(buffer.toString("utf-8").replace(/^\uFEFF/, ""));
+    } catch (error) {
+        throw new Error(`Invalid JSON: ${error.message}`);
+    }
+
+    const questions = Array.isArray(document) ? document : document?.questions;
+
+    if (!Array.isArray(questions)) {
+        throw new Error('JSON must be an array of questions or { "questions": [...] }');
+    }
+
+    const items = [];
+    const errors = [];
+
+    questions.forEach((question, index) => {
+        const ref = `questions[${index}]`;
+
+        if (!question || typeof question !== "object" || Array.isArray(question)) {
+            errors.push({ ref, message: "Question must be an object" });
+            return;
+        }
+
+        const item = { ref };
+        for (const field of FIELDS) item[field] = question[field];
+
+        if (question.options !== undefined) {
+            item.options = Array.isArray(question.options)
+                ? question.options.map(opt => ({ text: opt?.text, isCorrect: opt?.isCorrect === true }))
+                : question.options;
+        }
+
+        // A bare number is read as the value with no tolerance
+        const answer = question.numericalAnswer;
+        if (answer !== undefined && answer !== null) {
+            item.numericalAnswer = typeof answer === "object"
+                ? { value: answer.value, tolerance: answer.tolerance }
+                : { value: answer, tolerance: 0 };
+        }
+
+        items.push(item);
+    });
+
+    return { items, errors };
+};
+
+export const serialize = (questions) => {
+    const document = {
+        format: FORMAT_NAME,
+        version: FORMAT_VERSION,
+        questions: questions.map(q => ({
+            statement: q.statement,
+            questionType: q.questionType,
+            domain: q.domain,
+            difficulty: q.difficulty,
+            marks: q.marks,
+            negativeMarks: q.negativeMarks,
+            contentFormat: q.contentFormat,
+            ...(q.questionType === "NUMERICAL"
+                ? { numericalAnswer: q.numericalAnswer }
+                : { options: q.options.map(opt => ({ text: opt.text, isCorrect: opt.isCorrect })) }),
+        })),
+    };
+
+    return { content: JSON.stringify(document, null, 2), skipped: [] };
+};
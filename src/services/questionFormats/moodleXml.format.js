@@ -0,0 +1,167 @@
+/**
+ * Moodle XML question format
+ *
+ * Supported question types: multichoice (single or multiple answer),
+ * truefalse and numerical. Category questions set the domain (last path
+ * segment); difficulty travels as a "difficulty:<level>" tag. A negative
+ * fraction on wrong answers is read as negative marking.
+ */
+
+import { parseXML, childElements, firstChild, findAll, textContent, escapeXML, toCDATA } from "../../utils/xml.util.js";
+
+const SUPPORTED_TYPES = ["multichoice", "truefalse", "numerical"];
+
+const DIFFICULTY_TAG = /^difficulty:(easy|medium|hard)$/i;
+
+const childText = (element, localName) => {
+    const child = firstChild(element, localName);
+    return child ? textContent(firstChild(child, "text") ?? child).trim() : "";
+};
+
+const parseQuestion = (element, item) => {
+    const type = element.attributes.type;
+
+    if (!SUPPORTED_TYPES.includes(type)) return `Question type "${type}" is not supported`;
+
+    const questionText = firstChild(element, "questiontext");
+    item.statement = childText(element, "questiontext");
+    item.contentFormat = ["html", "markdown"].includes(questionText?.attributes.format) ? "MARKDOWN" : "PLAIN";
+
+    const grade = childText(element, "defaultgrade");
+    if (grade !== "") item.marks = Number(grade);
+
+    for (const tag of findAll(firstChild(element, "tags"), "tag")) {
+        const match = DIFFICULTY_TAG.exec(textContent(firstChild(tag, "text") ?? tag).trim());
+        if (match) item.difficulty = match[1].toUpperCase();
+    }
+
+    const answers = childElements(element, "answer").map(answer => ({
+        fraction: Number(answer.attributes.fraction ?? 0),
+        text: textContent(firstChild(answer, "text")).trim(),
+        tolerance: childText(answer, "tolerance"),
+    }));
+
+    if (type === "numerical") {
+        const answer = answers.find(a => a.fraction === 100);
+        if (!answer) return "Numerical question has no full-credit answer";
+
+        item.questionType = "NUMERICAL";
+        item.numericalAnswer = { value: Number(answer.text), tolerance: Number(answer.tolerance || 0) };
+        return null;
+    }
+
+    if (type === "truefalse") {
+        const trueAnswer = answers.find(a => a.text.toLowerCase() === "true");
+        item.questionType = "SINGLE_CORRECT";
+        item.options = [
+            { text: "True", isCorrect: trueAnswer?.fraction === 100 },
+            { text: "False", isCorrect: trueAnswer?.fraction !== 100 },
+        ];
+        return null;
+    }
+
+    const single = childText(element, "single").toLowerCase() !== "false";
+    item.questionType = single ? "SINGLE_CORRECT" : "MULTIPLE_CORRECT";
+    item.options = answers.map(a => ({ text: a.text, isCorrect: a.fraction > 0 }));
+
+    const penalty = Math.min(0, ...answers.map(a => a.fraction));
+    if (penalty < 0) item.negativeMarks = (Number(item.marks ?? 1) * -penalty) / 100;
+
+    return null;
+};
+
+export const parse = (buffer) => {
+    const root = parseXML(buffer.toString("utf-8"));
+
+    if (root.localName !== "quiz") throw new Error("Moodle XML must have a <quiz> root element");
+
+    const items = [];
+    const errors = [];
+    let domain;
+    let position = 0;
+
+    for (const element of childElements(root, "question")) {
+        if (element.attributes.type === "category") {
+            const path = childText(element, "category").split("/").filter(Boolean);
+            domain = path[path.length - 1];
+            continue;
+        }
+
+        position++;
+        const name = childText(element, "name");
+        const ref = name ? `question ${position} (${name})` : `question ${position}`;
+        const item = { ref, domain };
+        const error = parseQuestion(element, item);
+
+        if (error) errors.push({ ref, message: error });
+        else items.push(item);
+    }
+
+    return { items, errors };
+};
+
+const formatNumber = (value) => String(Number(Number(value).toFixed(7)));
+
+const questionName = (statement) => {
+    const line = String(statement).split("\n")[0].trim();
+    return line.length > 60 ? `${line.slice(0, 57)}...` : line;
+};
+
+export const serialize = (questions) => {
+    const parts = ['<?xml version="1.0" encoding="UTF-8"?>', "<quiz>"];
+    let currentDomain = null;
+
+    for (const q of questions) {
+        if (q.domain !== currentDomain) {
+            parts.push(
+                '  <question type="category">',
+                `    <category><text>${escapeXML(`$course$/top/${q.domain}`)}</text></category>`,
+                "  </question>"
+            );
+            currentDomain = q.domain;
+        }
+
+        const textFormat = q.contentFormat === "PLAIN" ? "plain_text" : "markdown";
+        const type = q.questionType === "NUMERICAL" ? "numerical" : "multichoice";
+
+        parts.push(
+            `  <question type="${type}">`,
+            `    <name><text>${escapeXML(questionName(q.statement))}</text></name>`,
+            `    <questiontext format="${textFormat}"><text>${toCDATA(q.statement)}</text></questiontext>`,
+            `    <defaultgrade>${q.marks}</defaultgrade>`,
+            "    <penalty>0</penalty>"
+        );
+
+        if (q.questionType === "NUMERICAL") {
+            parts.push(
+                '    <answer fraction="100">',
+                `      <text>${formatNumber(q.numericalAnswer.value)}</text>`,
+                `      <tolerance>${formatNumber(q.numericalAnswer.tolerance)}</tolerance>`,
+                "    </answer>"
+            );
+        } else {
+            const correctCount = q.options.filter(opt => opt.isCorrect).length;
+            const correctFraction = q.questionType === "SINGLE_CORRECT" ? 100 : formatNumber(100 / correctCount);
+            const wrongFraction = q.negativeMarks > 0 ? `-${formatNumber((q.negativeMarks / q.marks) * 100)}` : "0";
+
+            parts.push(
+                `    <single>${q.questionType === "SINGLE_CORRECT"}</single>`,
+                "    <shuffleanswers>true</shuffleanswers>",
+                "    <answernumbering>abc</answernumbering>",
+                ...q.options.map(opt =>
+                    `    <answer fraction="${opt.isCorrect ? correctFraction : wrongFraction}" format="${textFormat}">` +
+                    `<text>${toCDATA(opt.text)}</text></answer>`
+                )
+            );
+        }
+
+        parts.push(
+            `    <tags><tag><text>difficulty:${q.difficulty.toLowerCase()}</text></tag></tags>`,
+            "  </question>"
+        );
+    }
+
+    parts.push("</quiz>");
+
+    return { content: `${parts.join("\n")}\n`, skipped: [] };
+};
@@ -0,0 +1,379 @@
+/**
+ * IMS QTI 2.1 question format
+ *
+ * Imports a content package (.zip with imsmanifest.xml) or a single
+ * assessmentItem XML file; exports a content package with one item per file.
+ *
+ * Supported items: choiceInteraction (maxChoices 1 -> SINGLE_CORRECT, else
+ * MULTIPLE_CORRECT) and a float/integer textEntryInteraction (NUMERICAL, with
+ * an absolute or relative tolerance on the equal test). Marks and negative
+ * marks come from the response mapping or the SCORE values set in response
+ * processing. Domain and difficulty live in the manifest's LOM metadata
+ * (classification taxon, educational difficulty). Item text is plain.
+ */
+
+import { parseXML, childElements, firstChild, findAll, textContent, escapeXML } from "../../utils/xml.util.js";
+import { isZip, readZip, writeZip } from "../../utils/zip.util.js";
+
+const QTI_NAMESPACE = "http://www.imsglobal.org/xsd/imsqti_v2p1";
+const MAP_RESPONSE_TEMPLATE = "http://www.imsglobal.org/question/qti_v2p1/rptemplates/map_response";
+
+// LOM educational difficulty <-> Question.difficulty
+const LOM_DIFFICULTY = {
+    "very easy": "EASY",
+    easy: "EASY",
+    medium: "MEDIUM",
+    difficult: "HARD",
+    "very difficult": "HARD",
+};
+const DIFFICULTY_LOM = { EASY: "easy", MEDIUM: "medium", HARD: "difficult" };
+
+const INTERACTIONS = ["choiceInteraction", "textEntryInteraction", "extendedTextInteraction", "inlineChoiceInteraction"];
+const BLOCK_ELEMENTS = ["p", "div", "li", "ul", "ol", "blockquote", "pre", "table", "tr", "h1", "h2", "h3", "h4", "h5", "h6"];
+
+// Readable text of XHTML content: blocks become paragraphs, <br/> a line break
+const blockText = (element, skip = []) => {
+    const paragraphs = [];
+    let inline = "";
+
+    const flushInline = () => {
+        const text = inline.split("\n").map(line => line.replace(/\s+/g, " ").trim()).join("\n").trim();
+        if (text) paragraphs.push(text);
+        inline = "";
+    };
+
+    for (const child of element?.children || []) {
+        if (typeof child === "string") {
+            inline += child;
+        } else if (skip.includes(child.localName)) {
+            continue;
+        } else if (child.localName === "br") {
+            inline += "\n";
+        } else if (BLOCK_ELEMENTS.includes(child.localName)) {
+            flushInline();
+            const text = blockText(child, skip);
+            if (text) paragraphs.push(text);
+        } else {
+            inline += blockText(child, skip).replace(/\n\n/g, "\n");
+        }
+    }
+
+    flushInline();
+    return paragraphs.join("\n\n");
+};
+
+const numbersOf = (elements) => elements.map(el => Number(textContent(el).trim())).filter(Number.isFinite);
+
+const roundMarks = (value) => Number(value.toFixed(4));
+
+// Marks and penalty from map_response mappings or SCORE values set by response processing
+const readScoring = (item, responseDeclaration) => {
+    const scoring = {};
+    const mapping = firstChild(responseDeclaration, "mapping");
+
+    if (mapping) {
+        const mapped = childElements(mapping, "mapEntry").map(entry => Number(entry.attributes.mappedValue));
+        const positive = mapped.filter(value => value > 0);
+        const negative = [...mapped, Number(mapping.attributes.defaultValue ?? 0)].filter(value => value < 0);
+
+        if (positive.length > 0) scoring.marks = roundMarks(positive.reduce((sum, value) => sum + value, 0));
+        if (negative.length > 0) scoring.negativeMarks = roundMarks(-Math.min(...negative));
+        return scoring;
+    }
+
+    const values = numbersOf(
+        findAll(firstChild(item, "responseProcessing"), "setOutcomeValue")
+            .filter(set => set.attributes.identifier === "SCORE")
+            .flatMap(set => findAll(set, "baseValue"))
+    );
+
+    if (values.some(value => value > 0)) scoring.marks = roundMarks(Math.max(...values));
+    if (values.some(value => value < 0)) scoring.negativeMarks = roundMarks(-Math.min(...values));
+
+    if (scoring.marks === undefined) {
+        const maxScore = childElements(item, "outcomeDeclaration").find(o => o.attributes.identifier === "MAXSCORE");
+        const [value] = numbersOf(findAll(maxScore, "value"));
+        if (value > 0) scoring.marks = value;
+    }
+
+    return scoring;
+};
+
+/**
+ * One assessmentItem document -> interchange item, or an error message
+ */
+const parseItem = (xml, item) => {
+    let root;
+
+    try {
+        root = parseXML(xml);
+    } catch (error) {
+        return error.message;
+    }
+
+    if (root.localName !== "assessmentItem") return "Not a QTI assessmentItem";
+
+    const itemBody = firstChild(root, "itemBody");
+    const interactions = INTERACTIONS.flatMap(name => findAll(itemBody, name));
+
+    if (interactions.length !== 1) return "Only items with exactly one interaction are supported";
+
+    const [interaction] = interactions;
+    const responseDeclaration = childElements(root, "responseDeclaration")
+        .find(d => d.attributes.identifier === interaction.attributes.responseIdentifier);
+
+    if (!responseDeclaration) return "Interaction has no response declaration";
+
+    const correctValues = findAll(firstChild(responseDeclaration, "correctResponse"), "value")
+        .map(value => textContent(value).trim());
+
+    const stem = blockText(itemBody, INTERACTIONS);
+    const prompt = blockText(firstChild(interaction, "prompt"));
+    item.statement = [stem, prompt].filter(Boolean).join("\n\n");
+
+    Object.assign(item, readScoring(root, responseDeclaration));
+
+    if (interaction.localName === "choiceInteraction") {
+        const maxChoices = Number(interaction.attributes.maxChoices ?? 1);
+
+        item.questionType = maxChoices === 1 ? "SINGLE_CORRECT" : "MULTIPLE_CORRECT";
+        item.options = childElements(interaction, "simpleChoice").map(choice => ({
+            text: blockText(choice),
+            isCorrect: correctValues.includes(choice.attributes.identifier),
+        }));
+        return null;
+    }
+
+    const baseType = responseDeclaration.attributes.baseType;
+
+    if (interaction.localName !== "textEntryInteraction" || !["float", "integer"].includes(baseType)) {
+        return `${interaction.localName} items are not supported`;
+    }
+
+    const value = Number(correctValues[0]);
+    const equal = findAll(firstChild(root, "responseProcessing"), "equal")[0];
+    let tolerance = 0;
+
+    if (equal && equal.attributes.toleranceMode !== "exact") {
+        const [lower = 0, upper = lower] = String(equal.attributes.tolerance ?? "0").trim().split(/\s+/).map(Number);
+        tolerance = Math.max(lower, upper);
+        if (equal.attributes.toleranceMode === "relative") tolerance = Math.abs(value) * tolerance / 100;
+    }
+
+    item.questionType = "NUMERICAL";
+    item.numericalAnswer = { value, tolerance };
+    return null;
+};
+
+// Domain and difficulty from a manifest resource's LOM metadata
+const readResourceMetadata = (resource) => {
+    const metadata = {};
+
+    const difficulty = findAll(resource, "difficulty")[0];
+    const level = LOM_DIFFICULTY[textContent(firstChild(difficulty, "value")).trim().toLowerCase()];
+    if (level) metadata.difficulty = level;
+
+    const taxa = findAll(findAll(resource, "taxonPath")[0], "taxon");
+    if (taxa.length > 0) {
+        const domain = textContent(findAll(taxa[taxa.length - 1], "entry")[0]).trim();
+        if (domain) metadata.domain = domain;
+    }
+
+    return metadata;
+};
+
+const parsePackage = (buffer) => {
+    const entries = readZip(buffer);
+    const manifestEntry = entries.get("imsmanifest.xml");
+    const documents = [];
+
+    if (manifestEntry) {
+        const manifest = parseXML(manifestEntry.toString("utf-8"));
+
+        for (const resource of findAll(manifest, "resource")) {
+            if (!String(resource.attributes.type || "").startsWith("imsqti_item")) continue;
+
+            const href = resource.attributes.href;
+            const content = entries.get(href);
+            documents.push({
+                ref: href,
+                xml: content ? content.toString("utf-8") : null,
+                metadata: readResourceMetadata(resource),
+            });
+        }
+    } else {
+        for (const [name, content] of entries) {
+            if (name.toLowerCase().endsWith(".xml")) {
+                documents.push({ ref: name, xml: content.toString("utf-8"), metadata: {} });
+            }
+        }
+    }
+
+    return documents;
+};
+
+export const parse = (buffer) => {
+    const documents = isZip(buffer)
+        ? parsePackage(buffer)
+        : [{ ref: "item", xml: buffer.toString("utf-8"), metadata: {} }];
+
+    const items = [];
+    const errors = [];
+
+    for (const { ref, xml, metadata } of documents) {
+        if (xml === null) {
+            errors.push({ ref, message: "File listed in the manifest is missing from the package" });
+            continue;
+        }
+
+        const item = { ref, ...metadata, contentFormat: "PLAIN" };
+        const error = parseItem(xml, item);
+
+        if (error) errors.push({ ref, message: error });
+        else items.push(item);
+    }
+
+    return { items, errors };
+};
+
+const formatNumber = (value) => String(Number(Number(value).toFixed(7)));
+
+// Plain text as XHTML paragraphs
+const toParagraphs = (text, indent) =>
+    String(text)
+        .split(/\n{2,}/)
+        .map(paragraph => `${indent}<p>${paragraph.split("\n").map(escapeXML).join("<br/>")}</p>`);
+
+const itemTitle = (statement) => {
+    const line = String(statement).split("\n")[0].trim();
+    return line.length > 60 ? `${line.slice(0, 57)}...` : line;
+};
+
+const serializeItem = (q, identifier) => {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<assessmentItem xmlns="${QTI_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"`,
+        `    xsi:schemaLocation="${QTI_NAMESPACE} http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd"`,
+        `    identifier="${identifier}" title="${escapeXML(itemTitle(q.statement))}" adaptive="false" timeDependent="false">`,
+    ];
+
+    if (q.questionType === "NUMERICAL") {
+        const tolerance = formatNumber(q.numericalAnswer.tolerance);
+
+        lines.push(
+            '  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="float">',
+            `    <correctResponse><value>${formatNumber(q.numericalAnswer.value)}</value></correctResponse>`,
+            "  </responseDeclaration>",
+            '  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float"/>',
+            "  <itemBody>",
+            ...toParagraphs(q.statement, "    "),
+            '    <p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="15"/></p>',
+            "  </itemBody>",
+            "  <responseProcessing>",
+            "    <responseCondition>",
+            "      <responseIf>",
+            '        <isNull><variable identifier="RESPONSE"/></isNull>',
+            '        <setOutcomeValue identifier="SCORE"><baseValue baseType="float">0</baseValue></setOutcomeValue>',
+            "      </responseIf>",
+            "      <responseElseIf>",
+            `        <equal toleranceMode="absolute" tolerance="${tolerance} ${tolerance}">`,
+            '          <variable identifier="RESPONSE"/><correct identifier="RESPONSE"/>',
+            "        </equal>",
+            `        <setOutcomeValue identifier="SCORE"><baseValue baseType="float">${q.marks}</baseValue></setOutcomeValue>`,
+            "      </responseElseIf>",
+            "      <responseElse>",
+            `        <setOutcomeValue identifier="SCORE"><baseValue baseType="float">${-q.negativeMarks}</baseValue></setOutcomeValue>`,
+            "      </responseElse>",
+            "    </responseCondition>",
+            "  </responseProcessing>",
+            "</assessmentItem>"
+        );
+
+        return lines.join("\n") + "\n";
+    }
+
+    const single = q.questionType === "SINGLE_CORRECT";
+    const choiceId = (i) => `CHOICE_${i + 1}`;
+    const correct = q.options.map((opt, i) => (opt.isCorrect ? choiceId(i) : null)).filter(Boolean);
+    const mappedValue = formatNumber(q.marks / correct.length);
+    const penalty = q.negativeMarks > 0 ? ` defaultValue="${-q.negativeMarks}" lowerBound="${-q.negativeMarks}"` : ' defaultValue="0"';
+
+    lines.push(
+        `  <responseDeclaration identifier="RESPONSE" cardinality="${single ? "single" : "multiple"}" baseType="identifier">`,
+        "    <correctResponse>",
+        ...correct.map(id => `      <value>${id}</value>`),
+        "    </correctResponse>",
+        `    <mapping${penalty} upperBound="${q.marks}">`,
+        ...correct.map(id => `      <mapEntry mapKey="${id}" mappedValue="${mappedValue}"/>`),
+        "    </mapping>",
+        "  </responseDeclaration>",
+        '  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float"/>',
+        "  <itemBody>",
+        ...toParagraphs(q.statement, "    "),
+        `    <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="${single ? 1 : 0}">`,
+        ...q.options.map((opt, i) =>
+            `      <simpleChoice identifier="${choiceId(i)}">${String(opt.text).split("\n").map(escapeXML).join("<br/>")}</simpleChoice>`
+        ),
+        "    </choiceInteraction>",
+        "  </itemBody>",
+        `  <responseProcessing template="${MAP_RESPONSE_TEMPLATE}"/>`,
+        "</assessmentItem>"
+    );
+
+    return lines.join("\n") + "\n";
+};
+
+const serializeResource = (q, identifier, href) => [
+    `    <resource identifier="${identifier}" type="imsqti_item_xmlv2p1" href="${href}">`,
+    "      <metadata>",
+    "        <imsmd:lom>",
+    "          <imsmd:educational>",
+    "            <imsmd:difficulty>",
+    "              <imsmd:source>LOMv1.0</imsmd:source>",
+    `              <imsmd:value>${DIFFICULTY_LOM[q.difficulty]}</imsmd:value>`,
+    "            </imsmd:difficulty>",
+    "          </imsmd:educational>",
+    "          <imsmd:classification>",
+    "            <imsmd:purpose><imsmd:source>LOMv1.0</imsmd:source><imsmd:value>discipline</imsmd:value></imsmd:purpose>",
+    "            <imsmd:taxonPath>",
+    `              <imsmd:taxon><imsmd:entry><imsmd:string>${escapeXML(q.domain)}</imsmd:string></imsmd:entry></imsmd:taxon>`,
+    "            </imsmd:taxonPath>",
+    "          </imsmd:classification>",
+    "        </imsmd:lom>",
+    "      </metadata>",
+    `      <file href="${href}"/>`,
+    "    </resource>",
+].join("\n");
+
+export const serialize = (questions) => {
+    const files = [];
+    const resources = [];
+
+    questions.forEach((q, index) => {
+        const identifier = `item-${index + 1}`;
+        const href = `items/${identifier}.xml`;
+
+        files.push({ name: href, content: serializeItem(q, identifier) });
+        resources.push(serializeResource(q, identifier, href));
+    });
+
+    const manifest = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" xmlns:imsmd="http://ltsc.ieee.org/xsd/LOM"',
+        '    identifier="oes-question-export">',
+        "  <metadata>",
+        "    <schema>QTIv2.1 Package</schema>",
+        "    <schemaversion>1.0.0</schemaversion>",
+        "  </metadata>",
+        "  <organizations/>",
+        "  <resources>",
+        ...resources,
+        "  </resources>",
+        "</manifest>",
+    ].join("\n") + "\n";
+
+    return {
+        content: writeZip([{ name: "imsmanifest.xml", content: manifest }, ...files]),
+        skipped: [],
+    };
+};
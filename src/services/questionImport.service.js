@@ -0,0 +1,229 @@
+/**
+ * Question Import Service
+ *
+ * Background imports of question files into the bank:
+ * - Starting a job and queueing it (or processing it inline without Redis)
+ * - Per-question validation report, with in-file and bank near-duplicate warnings
+ * - Creating the valid questions (with their first version) in one transaction
+ *
+ * A dry run stops after the report. Invalid questions are skipped, never
+ * half-imported; fix them in the file and import it again.
+ */
+
+import sequelize from "../config/db.js";
+import { Question, Option, NumericalAnswer, QuestionImportJob } from "../modules/association/index.js";
+import { parseQuestionFile, validateImportItem, MAX_IMPORT_ITEMS } from "./questionInterchange.service.js";
+import { recordQuestionVersion } from "./questionVersion.service.js";
+import { findLikelyDuplicates } from "./questionSearch.service.js";
+import { recordAudit } from "./audit.service.js";
+import { isQuestionImportQueueInitialized, addQuestionImportJob } from "./questionImportQueue.service.js";
+
+const STATEMENT_PREVIEW_LENGTH = 120;
+
+const preview = (statement) => {
+    const text = String(statement ?? "").replace(/\s+/g, " ").trim();
+    return text.length > STATEMENT_PREVIEW_LENGTH ? `${text.slice(0, STATEMENT_PREVIEW_LENGTH - 3)}...` : text;
+};
+
+/**
+ * Create an import job and start processing it
+ * @param {Object} params - { format, fileName, content (Buffer), dryRun, defaults, createdBy }
+ * @returns {Promise<Object>} - { job, queued }
+ */
+export const startQuestionImport = async ({ format, fileName, content, dryRun, defaults, createdBy }) => {
+    const job = await QuestionImportJob.create({
+        format,
+        fileName,
+        dryRun,
+        defaults,
+        source: content,
+        createdBy,
+    });
+
+    let queued = false;
+
+    if (isQuestionImportQueueInitialized()) {
+        try {
+            await addQuestionImportJob(job.id);
+            queued = true;
+        } catch (error) {
+            console.error(`Failed to queue question import ${job.id}, processing inline:`, error.message);
+        }
+    }
+
+    if (!queued) {
+        runQuestionImport(job.id).catch(error => {
+            console.error(`Question import ${job.id} failed:`, error.message);
+        });
+    }
+
+    return { job, queued };
+};
+
+// Validation report: questions the codec could not read, then the parsed items in file order
+const buildReport = async (parsed, defaults) => {
+    const report = [];
+    const firstSeen = new Map();
+
+    for (const { ref, message } of parsed.errors) {
+        report.push({ ref, status: "INVALID", statement: null, errors: [message], warnings: [], question: null });
+    }
+
+    for (const item of parsed.items) {
+        const { question, errors } = validateImportItem(item, defaults);
+        const entry = {
+            ref: item.ref,
+            status: errors.length === 0 ? "VALID" : "INVALID",
+            statement: preview(item.statement),
+            errors,
+            warnings: [],
+            question,
+        };
+
+        if (question) {
+            const key = question.statement.trim().toLowerCase();
+
+            if (firstSeen.has(key)) {
+                entry.warnings.push(`Same statement as ${firstSeen.get(key)}`);
+            } else {
+                firstSeen.set(key, item.ref);
+            }
+
+            // Near-identical questions are reported, not refused
+            const similar = await findLikelyDuplicates(question.statement);
+            if (similar.length > 0) {
+                entry.warnings.push(`Similar to existing question(s): ${similar.map(s => s.id).join(", ")}`);
+            }
+        }
+
+        report.push(entry);
+    }
+
+    return report;
+};
+
+const createQuestions = async (entries, createdBy) => {
+    return await sequelize.transaction(async (t) => {
+        for (const entry of entries) {
+            const { options, numericalAnswer, ...fields } = entry.question;
+
+            const question = await Question.create({ ...fields, attachmentIds: [] }, { transaction: t });
+
+            if (options.length > 0) {
+                await Option.bulkCreate(
+                    options.map((opt, index) => ({
+                        questionId: question.id,
+                        text: opt.text,
+                        isCorrect: opt.isCorrect,
+                        order: index + 1,
+                    })),
+                    { transaction: t }
+                );
+            }
+
+            if (numericalAnswer) {
+                await NumericalAnswer.create(
+                    { questionId: question.id, value: numericalAnswer.value, tolerance: numericalAnswer.tolerance },
+                    { transaction: t }
+                );
+            }
+
+            await recordQuestionVersion(question.id, { createdBy, transaction: t });
+
+            entry.status = "IMPORTED";
+            entry.questionId = question.id;
+        }
+    });
+};
+
+const failJob = async (job, message) => {
+    await job.update({
+        status: "FAILED",
+        error: message,
+        source: null,
+        completedAt: new Date(),
+    });
+
+    return { status: job.status, error: message };
+};
+
+/**
+ * Process an import job: parse, validate, and (unless a dry run) create the valid questions
+ * Jobs that already finished are left alone.
+ * @param {string} importJobId
+ * @returns {Promise<Object>} - { status, totalItems, validItems, importedItems }
+ */
+export const runQuestionImport = async (importJobId) => {
+    const job = await QuestionImportJob.findByPk(importJobId);
+
+    if (!job) {
+        throw new Error(`Question import ${importJobId} not found`);
+    }
+
+    if (job.status === "COMPLETED" || job.status === "FAILED") {
+        return { status: job.status };
+    }
+
+    await job.update({ status: "RUNNING" });
+
+    try {
+        let parsed;
+
+        try {
+            parsed = parseQuestionFile(job.format, job.source);
+        } catch (error) {
+            return await failJob(job, `Could not read the file: ${error.message}`);
+        }
+
+        const totalItems = parsed.items.length + parsed.errors.length;
+
+        if (totalItems === 0) {
+            return await failJob(job, "The file contains no questions");
+        }
+
+        if (totalItems > MAX_IMPORT_ITEMS) {
+            return await failJob(job, `An import cannot exceed ${MAX_IMPORT_ITEMS} questions`);
+        }
+
+        const report = await buildReport(parsed, job.defaults || {});
+        const validEntries = report.filter(entry => entry.status === "VALID");
+
+        if (!job.dryRun && validEntries.length > 0) {
+            await createQuestions(validEntries, job.createdBy);
+
+            await recordAudit({
+                actorId: job.createdBy,
+                action: "QUESTIONS_IMPORTED",
+                entityType: "QuestionImportJob",
+                entityId: job.id,
+                metadata: {
+                    format: job.format,
+                    fileName: job.fileName,
+                    totalItems,
+                    importedCount: validEntries.length,
+                },
+            });
+        }
+
+        await job.update({
+            status: "COMPLETED",
+            totalItems,
+            validItems: validEntries.length,
+            invalidItems: totalItems - validEntries.length,
+            importedItems: job.dryRun ? 0 : validEntries.length,
+            report: report.map(({ question, ...entry }) => entry),
+            source: null,
+            completedAt: new Date(),
+        });
+
+        return {
+            status: job.status,
+            totalItems,
+            validItems: job.validItems,
+            importedItems: job.importedItems,
+        };
+    } catch (error) {
+        await failJob(job, error.message);
+        throw error;
+    }
+};
@@ -0,0 +1,97 @@
+import { Queue, Worker } from "bullmq";
+import { getRedisClient, isRedisInitialized } from "../config/redis.js";
+import { runQuestionImport } from "./questionImport.service.js";
+
+let importQueue = null;
+let importWorker = null;
+let isInitialized = false;
+
+/**
+ * Initialize the question import queue and worker
+ */
+export const initializeQuestionImportQueue = async () => {
+    if (isInitialized) {
+        return { importQueue, importWorker };
+    }
+
+    if (!isRedisInitialized()) {
+        throw new Error("Redis must be initialized before question import queue");
+    }
+
+    try {
+        const redis = getRedisClient();
+
+        importQueue = new Queue("question-import", {
+            connection: redis,
+        });
+
+        // One file at a time: an import can hold thousands of questions
+        importWorker = new Worker(
+            "question-import",
+            async (job) => {
+                try {
+                    return await runQuestionImport(job.data.importJobId);
+                } catch (error) {
+                    console.error(`Question import job ${job.data.importJobId} failed:`, error.message);
+                    throw error;
+                }
+            },
+            {
+                connection: redis,
+                concurrency: 1,
+            }
+        );
+
+        isInitialized = true;
+        return { importQueue, importWorker };
+    } catch (error) {
+        console.error("Failed to initialize question import queue:", error.message);
+        throw error;
+    }
+};
+
+/**
+ * Check if the question import queue is initialized
+ */
+export const isQuestionImportQueueInitialized = () => isInitialized;
+
+/**
+ * Queue processing of an import
+ * @param {string} importJobId - QuestionImportJob ID
+ * @returns {Promise<Job>} - BullMQ job instance
+ */
+export const addQuestionImportJob = async (importJobId) => {
+    if (!importQueue) {
+        throw new Error("Question import queue not initialized. Call initializeQuestionImportQueue first.");
+    }
+
+    return await importQueue.add(
+        "import-questions",
+        { importJobId },
+        {
+            jobId: `question-import-${importJobId}`,
+            removeOnComplete: { age: 3600, count: 100 },
+            removeOnFail: false,
+        }
+    );
+};
+
+/**
+ * Close queue and worker connections
+ */
+export const closeQuestionImportQueue = async () => {
+    try {
+        if (importWorker) {
+            await importWorker.close();
+            importWorker = null;
+        }
+        if (importQueue) {
+            await importQueue.close();
+            importQueue = null;
+        }
+        isInitialized = false;
+    } catch (error) {
+        console.error("Error closing question import queue:", error.message);
+        throw error;
+    }
+};
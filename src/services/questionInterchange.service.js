@@ -0,0 +1,203 @@
+/**
+ * Question Interchange Service
+ *
+ * Moving questions in and out of the bank as files:
+ * - Format registry (CSV, JSON, GIFT, Moodle XML, Aiken, QTI 2.1) over the codecs in questionFormats/
+ * - Validating imported items with the same rules as question creation
+ * - Mapping bank questions to the interchange shape for export
+ *
+ * Codecs translate between a file and interchange items:
+ *   { ref, statement, questionType, domain, difficulty, marks, negativeMarks,
+ *     contentFormat, options: [{ text, isCorrect }], numericalAnswer: { value, tolerance } }
+ * Fields a format cannot express are left undefined and take the import defaults.
+ * Only SINGLE_CORRECT, MULTIPLE_CORRECT and NUMERICAL questions are interchanged.
+ */
+
+import * as csv from "./questionFormats/csv.format.js";
+import * as json from "./questionFormats/json.format.js";
+import * as gift from "./questionFormats/gift.format.js";
+import * as moodleXml from "./questionFormats/moodleXml.format.js";
+import * as aiken from "./questionFormats/aiken.format.js";
+import * as qti from "./questionFormats/qti.format.js";
+import { CONTENT_FORMATS, normalizeQuestionContent } from "../utils/content.util.js";
+
+export const QUESTION_FORMATS = {
+    CSV: { codec: csv, extension: "csv", contentType: "text/csv; charset=utf-8" },
+    JSON: { codec: json, extension: "json", contentType: "application/json; charset=utf-8" },
+    GIFT: { codec: gift, extension: "gift.txt", contentType: "text/plain; charset=utf-8" },
+    MOODLE_XML: { codec: moodleXml, extension: "xml", contentType: "application/xml; charset=utf-8" },
+    AIKEN: { codec: aiken, extension: "txt", contentType: "text/plain; charset=utf-8" },
+    QTI: { codec: qti, extension: "zip", contentType: "application/zip" },
+};
+
+export const FORMAT_NAMES = Object.keys(QUESTION_FORMATS);
+
+export const INTERCHANGE_TYPES = ["SINGLE_CORRECT", "MULTIPLE_CORRECT", "NUMERICAL"];
+
+const DIFFICULTIES = ["EASY", "MEDIUM", "HARD"];
+
+export const MAX_IMPORT_ITEMS = 2000;
+
+/**
+ * Read a file into interchange items
+ * @param {string} format - One of FORMAT_NAMES
+ * @param {Buffer} buffer - File content
+ * @returns {{ items: Object[], errors: { ref, message }[] }} errors: questions that could not be read
+ * @throws {Error} When the file as a whole cannot be read
+ */
+export const parseQuestionFile = (format, buffer) => QUESTION_FORMATS[format].codec.parse(buffer);
+
+const toNumber = (value) => (typeof value === "string" && value.trim() !== "" ? Number(value) : value);
+
+/**
+ * Validate one interchange item and build the question to create
+ * @param {Object} item - Interchange item
+ * @param {Object} defaults - { domain, difficulty, contentFormat } for fields the file leaves out
+ * @returns {{ question: Object|null, errors: string[] }}
+ */
+export const validateImportItem = (item, defaults = {}) => {
+    const errors = [];
+
+    const questionType = String(item.questionType ?? "").trim().toUpperCase();
+    const domain = String(item.domain ?? defaults.domain ?? "").trim().toLowerCase();
+    const difficulty = String(item.difficulty ?? defaults.difficulty ?? "MEDIUM").trim().toUpperCase();
+    const contentFormat = String(item.contentFormat ?? defaults.contentFormat ?? "PLAIN").trim().toUpperCase();
+    const marks = toNumber(item.marks ?? 1);
+    const negativeMarks = toNumber(item.negativeMarks ?? 0);
+
+    if (typeof item.statement !== "string" || item.statement.trim() === "") {
+        errors.push("Statement is required");
+    }
+
+    if (!INTERCHANGE_TYPES.includes(questionType)) {
+        errors.push(`questionType must be one of ${INTERCHANGE_TYPES.join(", ")}`);
+    }
+
+    if (!domain) errors.push("Domain is required (set one in the file or as the import default)");
+
+    if (!DIFFICULTIES.includes(difficulty)) {
+        errors.push(`difficulty must be one of ${DIFFICULTIES.join(", ")}`);
+    }
+
+    if (!Number.isInteger(marks) || marks < 1) errors.push("marks must be a positive whole number");
+
+    if (typeof negativeMarks !== "number" || !Number.isFinite(negativeMarks) || negativeMarks < 0) {
+        errors.push("negativeMarks must be a non-negative number");
+    }
+
+    if (!CONTENT_FORMATS.includes(contentFormat)) {
+        errors.push(`contentFormat must be one of ${CONTENT_FORMATS.join(", ")}`);
+    }
+
+    const isMCQ = questionType === "SINGLE_CORRECT" || questionType === "MULTIPLE_CORRECT";
+    let options;
+    let numericalAnswer = null;
+
+    if (isMCQ) {
+        options = Array.isArray(item.options) ? item.options : [];
+        const correctCount = options.filter(o => o.isCorrect).length;
+
+        if (options.length < 2) errors.push("MCQ questions need at least two options");
+        if (options.some(o => typeof o.text !== "string" || o.text.trim() === "")) {
+            errors.push("Option text cannot be empty");
+        }
+        if (questionType === "SINGLE_CORRECT" && correctCount !== 1) {
+            errors.push("SINGLE_CORRECT must have exactly one correct option");
+        }
+        if (questionType === "MULTIPLE_CORRECT" && correctCount < 1) {
+            errors.push("MULTIPLE_CORRECT must have at least one correct option");
+        }
+    }
+
+    if (questionType === "NUMERICAL") {
+        const value = toNumber(item.numericalAnswer?.value);
+        const tolerance = toNumber(item.numericalAnswer?.tolerance ?? 0);
+
+        if (typeof value !== "number" || !Number.isFinite(value)) {
+            errors.push("Numerical answer is required and must be a number");
+        }
+        if (typeof tolerance !== "number" || !Number.isFinite(tolerance) || tolerance < 0) {
+            errors.push("Tolerance must be a non-negative number");
+        }
+
+        numericalAnswer = { value, tolerance };
+    }
+
+    if (errors.length > 0) return { question: null, errors };
+
+    const content = normalizeQuestionContent(contentFormat, {
+        statement: item.statement,
+        optionTexts: isMCQ ? options.map(o => o.text) : undefined,
+    });
+
+    if (content.errors.length > 0) return { question: null, errors: content.errors };
+
+    return {
+        question: {
+            statement: content.statement,
+            questionType,
+            domain,
+            difficulty,
+            marks,
+            negativeMarks,
+            contentFormat,
+            options: isMCQ
+                ? options.map((o, i) => ({ text: content.optionTexts[i], isCorrect: o.isCorrect === true }))
+                : [],
+            numericalAnswer,
+        },
+        errors: [],
+    };
+};
+
+/**
+ * Bank question (options and numericalAnswer loaded) -> interchange shape
+ */
+export const toInterchangeQuestion = (question) => ({
+    id: question.id,
+    statement: question.statement,
+    questionType: question.questionType,
+    domain: question.domain,
+    difficulty: question.difficulty,
+    marks: question.marks,
+    negativeMarks: question.negativeMarks,
+    contentFormat: question.contentFormat,
+    options: [...(question.options || [])]
+        .sort((a, b) => a.order - b.order)
+        .map(opt => ({ text: opt.text, isCorrect: opt.isCorrect })),
+    numericalAnswer: question.numericalAnswer
+        ? { value: question.numericalAnswer.value, tolerance: question.numericalAnswer.tolerance }
+        : null,
+});
+
+/**
+ * Write bank questions in a format
+ * Question types the interchange does not cover, or the format cannot hold, are skipped.
+ * @param {string} format - One of FORMAT_NAMES
+ * @param {Object[]} questions - Questions with options and numericalAnswer loaded
+ * @returns {{ content: Buffer|string, contentType: string, fileName: string, exportedCount: number, skipped: { id, reason }[] }}
+ */
+export const exportQuestions = (format, questions) => {
+    const { codec, extension, contentType } = QUESTION_FORMATS[format];
+    const skipped = [];
+    const exportable = [];
+
+    for (const question of questions) {
+        if (INTERCHANGE_TYPES.includes(question.questionType)) {
+            exportable.push(toInterchangeQuestion(question));
+        } else {
+            skipped.push({ id: question.id, reason: `${question.questionType} questions cannot be exported` });
+        }
+    }
+
+    const result = codec.serialize(exportable);
+    skipped.push(...result.skipped);
+
+    return {
+        content: result.content,
+        contentType,
+        fileName: `questions.${extension}`,
+        exportedCount: exportable.length - result.skipped.length,
+        skipped,
+    };
+};
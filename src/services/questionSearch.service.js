@@ -0,0 +1,162 @@
+/**
+ * Question Search Service
+ *
+ * Keyword and similarity search over the question bank, in Postgres:
+ * - Full-text search over statements and option text, ranked, with highlighted snippets
+ * - Trigram similarity between statements (pg_trgm) to surface near-duplicates
+ *
+ * The indexes are created at startup. Similarity needs the pg_trgm extension;
+ * where it cannot be installed, duplicate checks are skipped with a warning
+ * and the similar-questions endpoint fails.
+ */
+
+import { QueryTypes } from "sequelize";
+import sequelize from "../config/db.js";
+
+const TEXT_SEARCH_CONFIG = "english";
+
+// Similarity (0-1) at which a question is reported as a likely duplicate
+export const DUPLICATE_SIMILARITY = Number(process.env.QUESTION_DUPLICATE_SIMILARITY) || 0.8;
+export const DEFAULT_SIMILARITY = 0.5;
+const MAX_DUPLICATE_WARNINGS = 5;
+
+// Snippets mark matched words with <mark>...</mark>
+const HEADLINE_OPTIONS = "StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15, MaxFragments=2";
+
+// Create pg_trgm and the search indexes if missing; failures are logged, not thrown
+export const ensureQuestionSearchIndexes = async () => {
+    const statements = [
+        `CREATE INDEX IF NOT EXISTS questions_statement_fts_idx ON questions USING GIN (to_tsvector('${TEXT_SEARCH_CONFIG}', statement))`,
+        `CREATE INDEX IF NOT EXISTS options_text_fts_idx ON options USING GIN (to_tsvector('${TEXT_SEARCH_CONFIG}', text))`,
+        "CREATE EXTENSION IF NOT EXISTS pg_trgm",
+        "CREATE INDEX IF NOT EXISTS questions_statement_trgm_idx ON questions USING GIN (statement gin_trgm_ops)",
+    ];
+
+    for (const sql of statements) {
+        try {
+            await sequelize.query(sql);
+        } catch (error) {
+            console.warn(`[Question Search] Could not run "${sql}": ${error.message}`);
+        }
+    }
+};
+
+// Filters shared by search queries, as SQL conditions on alias q plus replacements
+const buildFilters = ({ domain, difficulty, questionType }) => {
+    const conditions = [];
+    const replacements = {};
+
+    if (domain) {
+        conditions.push("q.domain = :domain");
+        replacements.domain = domain;
+    }
+    if (difficulty) {
+        conditions.push("q.difficulty = :difficulty");
+        replacements.difficulty = difficulty;
+    }
+    if (questionType) {
+        conditions.push('q."questionType" = :questionType');
+        replacements.questionType = questionType;
+    }
+
+    return { conditions, replacements };
+};
+
+/**
+ * Keyword search over statements and option text
+ * Accepts web-search syntax: quoted phrases, "or", and -excluded words.
+ * @param {Object} params - { query, domain, difficulty, questionType, limit, offset }
+ * @returns {Promise<{ total: number, results: Object[] }>} Best match first; each result has
+ *   rank, statementSnippet and optionSnippets (matching options only)
+ */
+export const searchQuestions = async ({ query, domain, difficulty, questionType, limit = 10, offset = 0 }) => {
+    const filters = buildFilters({ domain, difficulty, questionType });
+
+    const where = [
+        `(to_tsvector('${TEXT_SEARCH_CONFIG}', q.statement) @@ tsq
+          OR EXISTS (
+            SELECT 1 FROM options o
+            WHERE o."questionId" = q.id AND to_tsvector('${TEXT_SEARCH_CONFIG}', o.text) @@ tsq
+          ))`,
+        ...filters.conditions,
+    ].join(" AND ");
+
+    const from = `FROM questions q, websearch_to_tsquery('${TEXT_SEARCH_CONFIG}', :query) tsq WHERE ${where}`;
+    const replacements = { ...filters.replacements, query, limit, offset };
+
+    const [{ total }] = await sequelize.query(`SELECT COUNT(*)::int AS total ${from}`, {
+        replacements,
+        type: QueryTypes.SELECT,
+    });
+
+    const results = await sequelize.query(
+        `SELECT
+            q.id,
+            q.statement,
+            q."questionType",
+            q.domain,
+            q.difficulty,
+            q."contentFormat",
+            ts_rank(
+                to_tsvector('${TEXT_SEARCH_CONFIG}', q.statement || ' ' || coalesce(
+                    (SELECT string_agg(o.text, ' ') FROM options o WHERE o."questionId" = q.id), ''
+                )),
+                tsq
+            ) AS rank,
+            ts_headline('${TEXT_SEARCH_CONFIG}', q.statement, tsq, '${HEADLINE_OPTIONS}') AS "statementSnippet",
+            coalesce((
+                SELECT json_agg(json_build_object(
+                    'optionId', o.id,
+                    'snippet', ts_headline('${TEXT_SEARCH_CONFIG}', o.text, tsq, '${HEADLINE_OPTIONS}')
+                ) ORDER BY o."order")
+                FROM options o
+                WHERE o."questionId" = q.id AND to_tsvector('${TEXT_SEARCH_CONFIG}', o.text) @@ tsq
+            ), '[]') AS "optionSnippets"
+        ${from}
+        ORDER BY rank DESC, q."createdAt" DESC
+        LIMIT :limit OFFSET :offset`,
+        { replacements, type: QueryTypes.SELECT }
+    );
+
+    return { total, results };
+};
+
+/**
+ * Questions whose statement is similar to the given text (trigram similarity)
+ * @param {string} statement
+ * @param {Object} options - { threshold, limit, excludeIds }
+ * @returns {Promise<Object[]>} { id, statement, questionType, domain, similarity }, most similar first
+ */
+export const findSimilarQuestions = async (statement, { threshold = DEFAULT_SIMILARITY, limit = 10, excludeIds = [] } = {}) => {
+    return await sequelize.query(
+        `SELECT q.id, q.statement, q."questionType", q.domain, similarity(q.statement, :statement) AS similarity
+         FROM questions q
+         WHERE q.statement % :statement
+           AND similarity(q.statement, :statement) >= :threshold
+           ${excludeIds.length > 0 ? "AND q.id NOT IN (:excludeIds)" : ""}
+         ORDER BY similarity DESC
+         LIMIT :limit`,
+        {
+            replacements: { statement, threshold, limit, excludeIds },
+            type: QueryTypes.SELECT,
+        }
+    );
+};
+
+/**
+ * Likely duplicates of a statement, for warnings when saving
+ * Never throws: a failed check (e.g. pg_trgm missing) is logged and reports nothing.
+ * Call it outside a transaction; a failed query would abort the transaction.
+ */
+export const findLikelyDuplicates = async (statement, excludeIds = []) => {
+    try {
+        return await findSimilarQuestions(statement, {
+            threshold: DUPLICATE_SIMILARITY,
+            limit: MAX_DUPLICATE_WARNINGS,
+            excludeIds,
+        });
+    } catch (error) {
+        console.warn("[Question Search] Duplicate check skipped:", error.message);
+        return [];
+    }
+};
@@ -0,0 +1,223 @@
+/**
+ * Question Version Service
+ *
+ * Immutable snapshots of questions and the exam pins that use them:
+ * - Recording a version after every create and edit (unchanged saves reuse the latest)
+ * - Pinning every question of an exam to its latest version at publish
+ * - Resolving exam questions to their pinned snapshot for attempts, scoring and results
+ * - Field-level diffs between versions
+ *
+ * A snapshot has the shape of a Question with options and numericalAnswer
+ * loaded, so code that scores or renders a live question can use it as is.
+ * Stimulus grouping (stimulusId, stimulusOrder) is part of the snapshot, so the
+ * paper and the result lay questions out the same way; the stimulus content
+ * itself stays live. The explanation is snapshotted too, so results show the
+ * worked solution the exam was published with.
+ */
+
+import { Op } from "sequelize";
+import { Question, Option, NumericalAnswer, QuestionVersion, ExamQuestion } from "../modules/association/index.js";
+
+// Question columns copied into a snapshot
+const SNAPSHOT_FIELDS = [
+    "statement",
+    "questionType",
+    "domain",
+    "taxonomyNodeId",
+    "marks",
+    "negativeMarks",
+    "difficulty",
+    "contentFormat",
+    "rubric",
+    "typeData",
+    "answerKey",
+    "explanation",
+    "attachmentIds",
+    "explanationAttachmentIds",
+    "stimulusId",
+    "stimulusOrder",
+];
+
+const OPTION_FIELDS = ["text", "isCorrect", "order", "attachmentIds"];
+
+/**
+ * Current state of a question as a snapshot, or null when it does not exist
+ */
+export const buildQuestionSnapshot = async (questionId, transaction) => {
+    const question = await Question.findByPk(questionId, {
+        include: [
+            { model: Option, as: "options" },
+            { model: NumericalAnswer, as: "numericalAnswer" },
+        ],
+        transaction,
+    });
+
+    if (!question) return null;
+
+    const snapshot = {};
+    for (const field of SNAPSHOT_FIELDS) snapshot[field] = question[field] ?? null;
+
+    snapshot.options = [...question.options]
+        .sort((a, b) => a.order - b.order)
+        .map(opt => ({
+            id: opt.id,
+            text: opt.text,
+            isCorrect: opt.isCorrect,
+            order: opt.order,
+            attachmentIds: opt.attachmentIds || [],
+        }));
+
+    snapshot.numericalAnswer = question.numericalAnswer
+        ? { value: question.numericalAnswer.value, tolerance: question.numericalAnswer.tolerance }
+        : null;
+
+    return snapshot;
+};
+
+const getLatestVersion = (questionId, transaction) =>
+    QuestionVersion.findOne({
+        where: { questionId },
+        order: [["version", "DESC"]],
+        transaction,
+    });
+
+/**
+ * Save the question's current state as its next version
+ * Nothing is written when the state equals the latest version.
+ * @param {string} questionId
+ * @param {Object} options - { createdBy, transaction }
+ * @returns {Promise<Object|null>} The latest QuestionVersion (new or unchanged), null if the question is gone
+ */
+export const recordQuestionVersion = async (questionId, { createdBy = null, transaction } = {}) => {
+    const snapshot = await buildQuestionSnapshot(questionId, transaction);
+    if (!snapshot) return null;
+
+    const latest = await getLatestVersion(questionId, transaction);
+
+    if (latest && JSON.stringify(latest.snapshot) === JSON.stringify(snapshot)) {
+        return latest;
+    }
+
+    return await QuestionVersion.create(
+        {
+            questionId,
+            version: (latest?.version ?? 0) + 1,
+            snapshot,
+            createdBy,
+        },
+        { transaction }
+    );
+};
+
+/**
+ * The latest version of a question, recording one first for questions saved
+ * before versioning existed
+ */
+export const ensureQuestionVersion = async (questionId, { createdBy = null, transaction } = {}) => {
+    const latest = await getLatestVersion(questionId, transaction);
+    return latest ?? await recordQuestionVersion(questionId, { createdBy, transaction });
+};
+
+/**
+ * Pin every question of an exam to its latest version
+ * The current state is recorded first, so a version saved before a field was
+ * snapshotted is not pinned without it.
+ * @returns {Promise<number>} Number of questions pinned
+ */
+export const pinExamQuestionVersions = async (examId, { createdBy = null, transaction } = {}) => {
+    const examQuestions = await ExamQuestion.findAll({
+        where: { examId },
+        attributes: ["id", "questionId"],
+        transaction,
+    });
+
+    for (const eq of examQuestions) {
+        const version = await recordQuestionVersion(eq.questionId, { createdBy, transaction });
+        await eq.update({ questionVersionId: version.id }, { transaction });
+    }
+
+    return examQuestions.length;
+};
+
+/**
+ * What each exam question is shown and scored against: its pinned snapshot
+ * over the live question, or the live question when nothing is pinned (draft
+ * exams, exams published before versioning). Fields a snapshot predates
+ * fall back to the live question.
+ * @param {Object[]} examQuestions - { questionId, questionVersionId, question? } (question: the live Question, if loaded)
+ * @returns {Promise<Map<string, Object>>} questionId -> plain question
+ */
+export const resolveExamQuestions = async (examQuestions, transaction) => {
+    const versionIds = examQuestions.map(eq => eq.questionVersionId).filter(Boolean);
+
+    const versions = versionIds.length > 0
+        ? await QuestionVersion.findAll({
+            where: { id: { [Op.in]: versionIds } },
+            attributes: ["id", "version", "snapshot"],
+            transaction,
+        })
+        : [];
+
+    const byId = new Map(versions.map(v => [v.id, v]));
+    const resolved = new Map();
+
+    for (const eq of examQuestions) {
+        const live = eq.question?.toJSON ? eq.question.toJSON() : eq.question ?? null;
+        const pinned = byId.get(eq.questionVersionId);
+
+        resolved.set(eq.questionId, pinned
+            ? { ...live, id: eq.questionId, ...pinned.snapshot, version: pinned.version }
+            : live);
+    }
+
+    return resolved;
+};
+
+/**
+ * Field-level changes from one snapshot to the next, in the
+ * { field: { from, to } } form audit logs use; options are compared by
+ * position ("options[1].text")
+ */
+export const diffSnapshots = (before, after) => {
+    const changes = {};
+
+    const compare = (path, from, to) => {
+        if (JSON.stringify(from ?? null) !== JSON.stringify(to ?? null)) {
+            changes[path] = { from: from ?? null, to: to ?? null };
+        }
+    };
+
+    for (const field of SNAPSHOT_FIELDS) compare(field, before?.[field], after?.[field]);
+
+    const beforeOptions = before?.options || [];
+    const afterOptions = after?.options || [];
+
+    for (let i = 0; i < Math.max(beforeOptions.length, afterOptions.length); i++) {
+        const from = beforeOptions[i];
+        const to = afterOptions[i];
+
+        if (!from || !to) {
+            compare(`options[${i}]`, from, to);
+            continue;
+        }
+
+        for (const field of OPTION_FIELDS) compare(`options[${i}].${field}`, from[field], to[field]);
+    }
+
+    compare("numericalAnswer.value", before?.numericalAnswer?.value, after?.numericalAnswer?.value);
+    compare("numericalAnswer.tolerance", before?.numericalAnswer?.tolerance, after?.numericalAnswer?.tolerance);
+
+    return changes;
+};
+
+/**
+ * Whether an exam pinned to one version can move to another without
+ * invalidating saved answers: answers refer to option IDs, which change when
+ * options are replaced
+ */
+export const canRepin = (pinnedSnapshot, nextSnapshot) => {
+    if (pinnedSnapshot.questionType !== nextSnapshot.questionType) return false;
+
+    const optionIds = (snapshot) => (snapshot.options || []).map(opt => opt.id).sort().join(",");
+    return optionIds(pinnedSnapshot) === optionIds(nextSnapshot);
+};
@@ -0,0 +1,211 @@
+/**
+ * Rescoring Service
+ *
+ * Re-evaluates every submitted attempt of an exam after an answer-key
+ * correction (edited key, bonus question, extra accepted keys):
+ * - Starting a run and recording each attempt's score before the run
+ * - Dispatching one job per attempt through the score queue
+ *   (processed in-process when the queue is not available)
+ * - Recording the score after the run and closing the run when all attempts are done
+ */
+
+import { Op } from "sequelize";
+import sequelize from "../config/db.js";
+import { Exam, ExamAttempt, ExamQuestion, RescoringRun, RescoringEntry } from "../modules/association/index.js";
+import { calculateExamScore } from "./examScore.service.js";
+import { addRescoreJob, isScoreQueueInitialized } from "./scoreCalculationQueue.service.js";
+
+// Close the run once every entry has been processed
+const finalizeRunIfDone = async (runId) => {
+    const run = await RescoringRun.findByPk(runId);
+
+    if (!run || run.processedAttempts + run.failedAttempts < run.totalAttempts) return;
+
+    await RescoringRun.update(
+        {
+            status: run.failedAttempts > 0 ? "COMPLETED_WITH_ERRORS" : "COMPLETED",
+            completedAt: new Date(),
+        },
+        { where: { id: runId, status: { [Op.in]: ["QUEUED", "RUNNING"] } } }
+    );
+};
+
+/**
+ * Re-evaluate one attempt of a run and record its new score
+ * Safe to call more than once for the same attempt; only the first call counts.
+ * Failures, thrown errors included, are recorded on the entry rather than thrown,
+ * so a claimed entry never stays PROCESSING and the run can close.
+ *
+ * @param {string} runId - RescoringRun ID
+ * @param {string} attemptId - ExamAttempt ID
+ * @returns {Promise<Object>} - { success, skipped?, attemptId, scoreBefore?, scoreAfter?, error? }
+ */
+export const rescoreAttempt = async (runId, attemptId) => {
+    // Claim the entry so a duplicate job cannot process it twice
+    const [claimed] = await RescoringEntry.update(
+        { status: "PROCESSING" },
+        { where: { runId, attemptId, status: "PENDING" } }
+    );
+
+    if (claimed === 0) {
+        return { success: true, skipped: true, attemptId };
+    }
+
+    let entry = null;
+    let result;
+
+    try {
+        entry = await RescoringEntry.findOne({ where: { runId, attemptId } });
+
+        await RescoringRun.update({ status: "RUNNING" }, { where: { id: runId, status: "QUEUED" } });
+
+        const attempt = await ExamAttempt.findByPk(attemptId, {
+            attributes: ["id", "examId", "userId"],
+        });
+
+        result = attempt
+            ? await calculateExamScore(attempt.examId, attempt.userId, { force: true, attemptId: attempt.id })
+            : { success: false, message: "Attempt not found" };
+
+        if (result.success) {
+            // Entry and run counter together, so a failure cannot leave one of them behind
+            await sequelize.transaction(async (transaction) => {
+                await entry.update({ status: "DONE", scoreAfter: result.data.score }, { transaction });
+                await RescoringRun.increment("processedAttempts", { where: { id: runId }, transaction });
+            });
+        }
+    } catch (error) {
+        result = { success: false, message: error.message };
+    }
+
+    if (!result.success) {
+        const [failed] = await RescoringEntry.update(
+            { status: "FAILED", error: result.details || result.message },
+            { where: { runId, attemptId, status: "PROCESSING" } }
+        );
+
+        if (failed > 0) {
+            await RescoringRun.increment("failedAttempts", { where: { id: runId } });
+        }
+
+        console.error(`Rescoring failed for attempt ${attemptId} in run ${runId}:`, result.message);
+    }
+
+    await finalizeRunIfDone(runId);
+
+    return {
+        success: result.success,
+        attemptId,
+        scoreBefore: entry?.scoreBefore ?? null,
+        scoreAfter: result.success ? entry.scoreAfter : null,
+        ...(result.success ? {} : { error: result.message }),
+    };
+};
+
+// Fallback when the score queue is not running: one attempt at a time, in the background
+const processRunInline = async (runId, attemptIds) => {
+    for (const attemptId of attemptIds) {
+        try {
+            await rescoreAttempt(runId, attemptId);
+        } catch (error) {
+            console.error(`Inline rescoring error for attempt ${attemptId}:`, error.message);
+        }
+    }
+};
+
+/**
+ * Start a rescoring run for every submitted attempt of an exam
+ * @param {Object} params - { examId, triggeredBy, reason }
+ * @returns {Promise<Object>} - { success, error?, message, run?, queued? }
+ */
+export const startRescoringRun = async ({ examId, triggeredBy, reason = null }) => {
+    const exam = await Exam.findByPk(examId, { attributes: ["id", "state"] });
+
+    if (!exam) {
+        return { success: false, error: "NOT_FOUND", message: "Exam not found" };
+    }
+
+    if (exam.state === "DRAFT") {
+        return { success: false, error: "INVALID_STATE", message: "Draft exams have no attempts to rescore" };
+    }
+
+    const activeRun = await RescoringRun.findOne({
+        where: { examId, status: { [Op.in]: ["QUEUED", "RUNNING"] } },
+        attributes: ["id"],
+    });
+
+    if (activeRun) {
+        return {
+            success: false,
+            error: "RUN_IN_PROGRESS",
+            message: "A rescoring run for this exam is still in progress",
+            runId: activeRun.id,
+        };
+    }
+
+    const attempts = await ExamAttempt.findAll({
+        where: { examId, status: { [Op.ne]: "IN_PROGRESS" } },
+        attributes: ["id", "userId", "score"],
+    });
+
+    if (attempts.length === 0) {
+        return { success: false, error: "NO_ATTEMPTS", message: "No submitted attempts to rescore" };
+    }
+
+    const overrides = await ExamQuestion.findAll({
+        where: { examId, keyOverride: { [Op.ne]: null } },
+        attributes: ["questionId", "keyOverride"],
+    });
+
+    const run = await sequelize.transaction(async (t) => {
+        const created = await RescoringRun.create(
+            {
+                examId,
+                triggeredBy,
+                reason,
+                totalAttempts: attempts.length,
+                // Paper sets repeat a question's override once per set
+                keySnapshot: [...new Map(overrides.map(o => [o.questionId, { questionId: o.questionId, keyOverride: o.keyOverride }])).values()],
+            },
+            { transaction: t }
+        );
+
+        await RescoringEntry.bulkCreate(
+            attempts.map(a => ({
+                runId: created.id,
+                attemptId: a.id,
+                userId: a.userId,
+                scoreBefore: a.score,
+            })),
+            { transaction: t }
+        );
+
+        return created;
+    });
+
+    const attemptIds = attempts.map(a => a.id);
+    let queued = false;
+
+    if (isScoreQueueInitialized()) {
+        try {
+            await Promise.all(attemptIds.map(attemptId => addRescoreJob(run.id, attemptId)));
+            queued = true;
+        } catch (error) {
+            console.error(`Failed to queue rescoring run ${run.id}, processing inline:`, error.message);
+        }
+    }
+
+    if (!queued) {
+        // Entries already processed by queued jobs are skipped
+        processRunInline(run.id, attemptIds).catch(error => {
+            console.error(`Rescoring run ${run.id} failed:`, error.message);
+        });
+    }
+
+    return {
+        success: true,
+        message: `Rescoring ${attempts.length} attempt(s)`,
+        run,
+        queued,
+    };
+};
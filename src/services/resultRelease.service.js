@@ -0,0 +1,209 @@
+/**
+ * Result Release Service
+ *
+ * - Ranking of an exam's candidates, as the leaderboard and released results show it
+ * - Emails to participants once an exam's results are released (manually, on
+ *   end time or at the scheduled time); each exam is announced once
+ */
+
+import { Op } from "sequelize";
+import { Exam, ExamAttempt, ExamPaperSet, User } from "../modules/association/index.js";
+import { sendEmailQueued } from "./email.service.js";
+import { resultReleasedTemplate } from "../templates/resultReleased.template.js";
+import { normalizeAcrossSets } from "../utils/paperSet.util.js";
+import { aggregateAttemptScores } from "../utils/attemptPolicy.util.js";
+import { buildReleasedExamsWhere } from "../utils/resultRelease.util.js";
+
+// Releases older than this when the check runs are not announced (e.g. exams that ended before notifications existed)
+const NOTIFY_LOOKBACK_HOURS = 24;
+
+/**
+ * Candidates of an exam ranked on their score under the exam's aggregation
+ * policy; with paper sets, on scores equated across sets. Each attempt is
+ * equated against its own set before aggregating, so a candidate who sat
+ * different sets is not ranked on whichever set came last. Equal scores share a rank.
+ * @param {Object} exam - { id, scoreAggregation }
+ * @returns {Promise<{ paperSets: Object[], candidates: Object[] }>}
+ *   candidates: { userId, paperSetId, score, normalizedScore (null without sets), rank }, best first
+ */
+export const rankExamCandidates = async (exam) => {
+    const paperSets = await ExamPaperSet.findAll({
+        where: { examId: exam.id },
+        attributes: ["id", "label"],
+    });
+
+    const attempts = await ExamAttempt.findAll({
+        where: {
+            examId: exam.id,
+            status: ["SUBMITTED", "AUTO_SUBMITTED"],
+            score: { [Op.not]: null },
+        },
+        attributes: ["id", "userId", "paperSetId", "attemptNumber", "score", "isScoreProvisional"],
+    });
+
+    const attemptsByUser = new Map();
+    for (const attempt of attempts) {
+        if (!attemptsByUser.has(attempt.userId)) attemptsByUser.set(attempt.userId, []);
+        attemptsByUser.get(attempt.userId).push(attempt);
+    }
+
+    const normalizedByAttempt = paperSets.length > 0 ? normalizeAcrossSets(attempts) : null;
+
+    // The equated counterpart of the aggregate: the average of equated scores, or the counted attempt's
+    const normalizeAggregate = (userAttempts, aggregate) => {
+        if (exam.scoreAggregation !== "AVERAGE") return normalizedByAttempt.get(aggregate.attempt.id);
+
+        const equated = userAttempts.map(a => ({ attemptNumber: a.attemptNumber, score: normalizedByAttempt.get(a.id) }));
+        return aggregateAttemptScores(equated, "AVERAGE").score;
+    };
+
+    const candidates = [...attemptsByUser.entries()].map(([userId, userAttempts]) => {
+        const aggregate = aggregateAttemptScores(userAttempts, exam.scoreAggregation);
+
+        return {
+            id: userId,
+            paperSetId: aggregate.attempt.paperSetId,
+            score: aggregate.score,
+            normalizedScore: normalizedByAttempt ? normalizeAggregate(userAttempts, aggregate) : null,
+        };
+    });
+
+    const rankingScore = (candidate) => (normalizedByAttempt ? candidate.normalizedScore : candidate.score);
+
+    candidates.sort((a, b) => rankingScore(b) - rankingScore(a));
+
+    let previous = null;
+
+    const ranked = candidates.map((candidate, index) => {
+        const score = rankingScore(candidate);
+        // A tie takes the rank of the first candidate with that score
+        const rank = previous && previous.score === score ? previous.rank : index + 1;
+        previous = { score, rank };
+
+        return {
+            userId: candidate.id,
+            paperSetId: candidate.paperSetId,
+            score: candidate.score,
+            normalizedScore: candidate.normalizedScore,
+            rank,
+        };
+    });
+
+    return { paperSets, candidates: ranked };
+};
+
+// Queue the result email for every participant of an exam
+const queueResultEmails = async (exam) => {
+    const attempts = await ExamAttempt.findAll({
+        where: { examId: exam.id, status: { [Op.ne]: "IN_PROGRESS" } },
+        attributes: ["userId"],
+        include: [{ model: User, attributes: ["id", "email", "fullName"] }],
+    });
+
+    const participants = new Map(attempts.filter(a => a.User).map(a => [a.userId, a.User]));
+    const resultUrl = `${process.env.FRONTEND_URL}/results/${exam.id}`;
+
+    let queued = 0;
+    const failed = [];
+
+    for (const user of participants.values()) {
+        try {
+            await sendEmailQueued({
+                to: user.email,
+                subject: `Results released: ${exam.title}`,
+                html: resultReleasedTemplate({
+                    fullName: user.fullName,
+                    examTitle: exam.title,
+                    resultUrl,
+                }),
+            });
+            queued++;
+        } catch (error) {
+            console.error(`Failed to queue result notification for ${user.email}:`, error.message);
+            failed.push({ email: user.email, error: error.message });
+        }
+    }
+
+    return { queued, failed };
+};
+
+/**
+ * Email every participant that the exam's results are out
+ * Claims the exam first, so concurrent callers never announce it twice.
+ * Failures are collected rather than thrown so one bad address does not stop the rest.
+ * The claim is given up when nothing could be queued, so the cron tries again.
+ * @param {Object} exam - { id, title }
+ * @returns {Promise<Object>} - { announced, queued, failed: [{ email, error }] }
+ */
+export const notifyResultRelease = async (exam) => {
+    const claimedAt = new Date();
+
+    const [claimed] = await Exam.update(
+        { resultsNotifiedAt: claimedAt },
+        { where: { id: exam.id, resultsNotifiedAt: null } }
+    );
+
+    if (claimed === 0) {
+        return { announced: false, queued: 0, failed: [] };
+    }
+
+    const releaseClaim = () => Exam.update(
+        { resultsNotifiedAt: null },
+        { where: { id: exam.id, resultsNotifiedAt: claimedAt } }
+    );
+
+    let result;
+
+    try {
+        result = await queueResultEmails(exam);
+    } catch (error) {
+        await releaseClaim();
+        throw error;
+    }
+
+    if (result.queued === 0 && result.failed.length > 0) {
+        await releaseClaim();
+        return { announced: false, ...result };
+    }
+
+    return { announced: true, ...result };
+};
+
+/**
+ * Announce every exam whose results were released recently and not yet announced
+ * @param {Date} now
+ * @returns {Promise<{ examCount: number, queued: number }>}
+ */
+export const notifyReleasedResults = async (now = new Date()) => {
+    const since = new Date(now.getTime() - NOTIFY_LOOKBACK_HOURS * 60 * 60 * 1000);
+
+    const exams = await Exam.findAll({
+        where: {
+            ...buildReleasedExamsWhere(now, since),
+            resultsNotifiedAt: null,
+        },
+        attributes: ["id", "title"],
+    });
+
+    let examCount = 0;
+    let queued = 0;
+
+    for (const exam of exams) {
+        let result;
+
+        // One exam failing does not hold back the others; it is picked up again next run
+        try {
+            result = await notifyResultRelease(exam);
+        } catch (error) {
+            console.error(`Failed to announce results of exam ${exam.id}:`, error.message);
+            continue;
+        }
+
+        if (result.announced) {
+            examCount++;
+            queued += result.queued;
+        }
+    }
+
+    return { examCount, queued };
+};
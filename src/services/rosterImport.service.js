@@ -0,0 +1,266 @@
+/**
+ * Roster Import Service
+ *
+ * Bulk student onboarding from a roster CSV:
+ * - Parsing and per-row validation against the UserProfile enums
+ * - Duplicate checks within the file and against existing accounts
+ * - Creating users with profiles and queueing set-your-password invitations
+ */
+
+import crypto from "crypto";
+import { Op } from "sequelize";
+import sequelize from "../config/db.js";
+import { User, UserProfile } from "../modules/association/index.js";
+import { parseCSVWithHeaders } from "../utils/csv.util.js";
+import { cryptoUtil } from "../utils/crypto.util.js";
+import { generateInvitationToken, INVITATION_TOKEN_TTL_DAYS } from "./token.service.js";
+import { sendEmailQueued } from "./email.service.js";
+import { invitationTemplate } from "../templates/invitation.template.js";
+
+export const MAX_ROSTER_ROWS = 2000;
+
+// Normalised CSV header -> roster field
+const HEADER_ALIASES = {
+    name: "fullName",
+    fullname: "fullName",
+    studentname: "fullName",
+    email: "email",
+    emailaddress: "email",
+    enrollmentnumber: "enrollmentNumber",
+    enrollmentno: "enrollmentNumber",
+    enrollment: "enrollmentNumber",
+    course: "course",
+    department: "department",
+    dept: "department",
+    year: "year",
+    semester: "semester",
+    sem: "semester",
+};
+
+const REQUIRED_FIELDS = ["fullName", "email", "enrollmentNumber", "course", "department", "year", "semester"];
+
+const YEAR_NUMBERS = { 1: "ONE", 2: "TWO", 3: "THREE", 4: "FOUR", 5: "FIVE" };
+
+const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Allowed values come straight from the model so the two cannot drift apart
+const enumValues = (field) => UserProfile.getAttributes()[field].values;
+
+const normalizeEnumValue = (field, raw) => {
+    const value = String(raw).trim().toUpperCase();
+
+    if (field === "year" && YEAR_NUMBERS[value]) return YEAR_NUMBERS[value];
+    if (field === "semester" && /^\d$/.test(value)) return `S${value}`;
+
+    return value;
+};
+
+/**
+ * Parse a roster CSV buffer into roster rows
+ * @param {Buffer|string} content - CSV file content
+ * @returns {{ rows: Object[], missingColumns: string[] }}
+ */
+export const parseRoster = (content) => {
+    const { headers, records } = parseCSVWithHeaders(content.toString("utf-8"));
+
+    const mappedFields = new Set(headers.map(h => HEADER_ALIASES[h]).filter(Boolean));
+    const missingColumns = REQUIRED_FIELDS.filter(f => !mappedFields.has(f));
+
+    const rows = records.map(record => {
+        const row = { rowNumber: record._row };
+        for (const [header, value] of Object.entries(record)) {
+            const field = HEADER_ALIASES[header];
+            if (field) row[field] = value;
+        }
+        return row;
+    });
+
+    return { rows, missingColumns };
+};
+
+/**
+ * Validate roster rows and build the per-row report
+ * Checks required fields, email format, enum values, duplicates inside the
+ * file and collisions with existing users / enrollment numbers.
+ *
+ * @param {Object[]} rows - Output of parseRoster
+ * @returns {Promise<Object>} - { isValid, totalRows, validCount, errorCount, rows: [{ rowNumber, email, status, errors, data }] }
+ */
+export const validateRoster = async (rows) => {
+    const report = rows.map(row => ({
+        rowNumber: row.rowNumber,
+        email: row.email || null,
+        errors: [],
+        data: null,
+    }));
+
+    const seenEmails = new Map();
+    const seenEnrollments = new Map();
+
+    rows.forEach((row, index) => {
+        const errors = report[index].errors;
+
+        for (const field of REQUIRED_FIELDS) {
+            if (!row[field]) errors.push(`${field} is required`);
+        }
+
+        const email = row.email?.toLowerCase();
+        if (email && !emailRegex.test(email)) {
+            errors.push("Invalid email address");
+        }
+
+        if (row.enrollmentNumber && row.enrollmentNumber.length < 3) {
+            errors.push("Enrollment number must be at least 3 characters");
+        }
+
+        const profile = {};
+        for (const field of ["course", "department", "year", "semester"]) {
+            if (!row[field]) continue;
+            const value = normalizeEnumValue(field, row[field]);
+            if (!enumValues(field).includes(value)) {
+                errors.push(`Invalid ${field} "${row[field]}". Allowed: ${enumValues(field).join(", ")}`);
+            }
+            profile[field] = value;
+        }
+
+        if (email) {
+            if (seenEmails.has(email)) {
+                errors.push(`Duplicate email in file (row ${seenEmails.get(email)})`);
+            } else {
+                seenEmails.set(email, row.rowNumber);
+            }
+        }
+
+        if (row.enrollmentNumber) {
+            if (seenEnrollments.has(row.enrollmentNumber)) {
+                errors.push(`Duplicate enrollment number in file (row ${seenEnrollments.get(row.enrollmentNumber)})`);
+            } else {
+                seenEnrollments.set(row.enrollmentNumber, row.rowNumber);
+            }
+        }
+
+        report[index].data = {
+            fullName: row.fullName?.trim(),
+            email,
+            enrollmentNumber: row.enrollmentNumber?.trim(),
+            ...profile,
+        };
+    });
+
+    // Collisions with existing accounts
+    const [existingUsers, existingProfiles] = await Promise.all([
+        User.findAll({
+            where: sequelize.where(sequelize.fn("lower", sequelize.col("email")), {
+                [Op.in]: [...seenEmails.keys()],
+            }),
+            attributes: ["email"],
+        }),
+        UserProfile.findAll({
+            where: { enrollmentNumber: { [Op.in]: [...seenEnrollments.keys()] } },
+            attributes: ["enrollmentNumber"],
+        }),
+    ]);
+
+    const takenEmails = new Set(existingUsers.map(u => u.email.toLowerCase()));
+    const takenEnrollments = new Set(existingProfiles.map(p => p.enrollmentNumber));
+
+    for (const entry of report) {
+        if (entry.data.email && takenEmails.has(entry.data.email)) {
+            entry.errors.push("Email already registered");
+        }
+        if (entry.data.enrollmentNumber && takenEnrollments.has(entry.data.enrollmentNumber)) {
+            entry.errors.push("Enrollment number already registered");
+        }
+        entry.status = entry.errors.length === 0 ? "VALID" : "INVALID";
+    }
+
+    const validCount = report.filter(r => r.status === "VALID").length;
+
+    return {
+        isValid: validCount === report.length,
+        totalRows: report.length,
+        validCount,
+        errorCount: report.length - validCount,
+        rows: report,
+    };
+};
+
+/**
+ * Create accounts and profiles for the valid rows of a report, in one transaction
+ * Accounts get an unusable random password until the invitation is accepted.
+ * @param {Object} report - Output of validateRoster
+ * @returns {Promise<Object[]>} - Created users
+ */
+export const createRosterAccounts = async (report) => {
+    const validRows = report.rows.filter(r => r.status === "VALID");
+
+    // Nobody knows the random secret, so one hash per import is as unusable as one per user
+    const hashedPassword = await cryptoUtil.hash(crypto.randomBytes(32).toString("hex"));
+
+    return await sequelize.transaction(async (t) => {
+        const created = [];
+
+        for (const row of validRows) {
+            const user = await User.create(
+                {
+                    fullName: row.data.fullName,
+                    email: row.data.email,
+                    hashedPassword,
+                    emailVerified: false,
+                    invitedAt: new Date(),
+                },
+                { transaction: t }
+            );
+
+            await UserProfile.create(
+                {
+                    userId: user.id,
+                    enrollmentNumber: row.data.enrollmentNumber,
+                    course: row.data.course,
+                    department: row.data.department,
+                    year: row.data.year,
+                    semester: row.data.semester,
+                },
+                { transaction: t }
+            );
+
+            created.push(user);
+        }
+
+        return created;
+    });
+};
+
+/**
+ * Queue set-your-password invitation emails
+ * Failures are collected rather than thrown so one bad address does not stop the rest.
+ * @param {Object[]} users - User instances
+ * @returns {Promise<Object>} - { queued, failed: [{ email, error }] }
+ */
+export const sendInvitations = async (users) => {
+    let queued = 0;
+    const failed = [];
+
+    for (const user of users) {
+        const token = generateInvitationToken(user);
+        const inviteUrl = `${process.env.FRONTEND_URL}/accept-invitation?token=${token}`;
+
+        try {
+            await sendEmailQueued({
+                to: user.email,
+                subject: "You're invited: set your password",
+                html: invitationTemplate({
+                    fullName: user.fullName,
+                    inviteUrl,
+                    expiresInDays: INVITATION_TOKEN_TTL_DAYS,
+                }),
+            });
+            queued++;
+        } catch (error) {
+            console.error(`Failed to queue invitation for ${user.email}:`, error.message);
+            failed.push({ email: user.email, error: error.message });
+        }
+    }
+
+    return { queued, failed };
+};
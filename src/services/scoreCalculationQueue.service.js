@@ -1,14 +1,8 @@
 import { Queue, Worker } from "bullmq";
 import { getRedisClient, isRedisInitialized } from "../config/redis.js";
 import { calculateExamScore } from "./examScore.service.js";
-import {
-    ExamAttempt,
-    StudentAnswer,
-    Question,
-    Option,
-    NumericalAnswer
-} from "../modules/association/index.js";
-import sequelize from "../config/db.js";
+import { rescoreAttempt } from "./rescoring.service.js";
+import { ExamAttempt } from "../modules/association/index.js";
 
 let scoreQueue = null;
 let scoreWorker = null;
@@ -39,62 +33,33 @@ export const initializeScoreQueue = async () => {
             "score-calculation",
             async (job) => {
                 try {
+                    const { attemptId, rescoringRunId } = job.data;
 
-                    const { attemptId } = job.data;
-
-                    // Calculate score in transaction
-                    const result = await sequelize.transaction(async (t) => {
-                        // Fetch the attempt
-                        const attempt = await ExamAttempt.findByPk(attemptId, {
-                            transaction: t,
-                            lock: t.LOCK.UPDATE,
-                        });
-
-                        if (!attempt) {
-                            throw new Error(`Attempt ${attemptId} not found`);
-                        }
-
-                        // Skip if already calculated
-                        if (attempt.score !== null) {
-                            return {
-                                success: true,
-                                attemptId,
-                                score: attempt.score,
-                                alreadyCalculated: true,
-                            };
-                        }
-
-                        // Fetch all answers for this attempt
-                        const answers = await StudentAnswer.findAll({
-                            where: { examAttemptId: attemptId },
-                            include: {
-                                model: Question,
-                                include: [
-                                    { model: Option, as: "options" },
-                                    { model: NumericalAnswer },
-                                ],
-                            },
-                            transaction: t,
-                            lock: t.LOCK.UPDATE,
-                        });
-
-                        // Calculate score
-                        const score = await calculateExamScore(answers, t);
-
-                        // Update attempt with score
-                        attempt.score = score;
-                        await attempt.save({ transaction: t });
-
-
-                        return {
-                            success: true,
-                            attemptId,
-                            score,
-                            alreadyCalculated: false,
-                        };
+                    // Re-evaluation after an answer-key correction
+                    if (rescoringRunId) {
+                        return await rescoreAttempt(rescoringRunId, attemptId);
+                    }
+
+                    const attempt = await ExamAttempt.findByPk(attemptId, {
+                        attributes: ["id", "examId", "userId"],
                     });
 
-                    return result;
+                    if (!attempt) {
+                        throw new Error(`Attempt ${attemptId} not found`);
+                    }
+
+                    const result = await calculateExamScore(attempt.examId, attempt.userId, { attemptId: attempt.id });
+
+                    if (!result.success) {
+                        throw new Error(result.message);
+                    }
+
+                    return {
+                        success: true,
+                        attemptId,
+                        score: result.data.score,
+                        alreadyCalculated: result.alreadyCalculated,
+                    };
                 } catch (error) {
                     console.error(`Score calculation job failed for attempt ${job.data.attemptId}:`, error.message);
                     throw error;
@@ -169,6 +134,28 @@ export const addScoreCalculationJob = async (attemptId, options = {}) => {
     }
 };
 
+/**
+ * Queue re-evaluation of one attempt as part of a rescoring run
+ * @param {string} rescoringRunId - RescoringRun ID
+ * @param {string} attemptId - ExamAttempt ID
+ * @returns {Promise<Job>} - BullMQ job instance
+ */
+export const addRescoreJob = async (rescoringRunId, attemptId) => {
+    const queue = getScoreQueue();
+
+    return await queue.add(
+        "rescore-attempt",
+        { attemptId, rescoringRunId },
+        {
+            jobId: `rescore-${rescoringRunId}-${attemptId}`,
+            attempts: 3,
+            backoff: { type: "exponential", delay: 1000 },
+            removeOnComplete: { age: 3600, count: 1000 },
+            removeOnFail: false,
+        }
+    );
+};
+
 /**
  * Close queue and worker connections
  */
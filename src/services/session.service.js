@@ -0,0 +1,271 @@
+/**
+ * Session Service
+ *
+ * Server-side sessions backing the refresh-token flow:
+ * - Creating a session on login
+ * - Rotating the refresh token on every refresh (with reuse detection)
+ * - Revoking one session or every session of a user
+ * - Resolving the session behind an access token (revocation, suspension, role)
+ */
+
+import { Op } from "sequelize";
+import { Session, User } from "../modules/association/index.js";
+import {
+    generateAccessToken,
+    generateRefreshToken,
+    hashToken,
+    verifyToken,
+    decodeToken,
+    REFRESH_TOKEN_TTL_DAYS,
+} from "./token.service.js";
+import { CACHE_KEYS, deleteCache, deleteCacheMultiple, getOrSetCache } from "./cache.service.js";
+
+const SESSION_CACHE_TTL = 60; // seconds; revocation also clears the key explicitly
+
+const getRefreshExpiry = () =>
+    new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Create a session for a freshly authenticated user
+ * @param {Object} user - User instance
+ * @param {Object} meta - { userAgent, ipAddress }
+ * @returns {Promise<Object>} - { session, accessToken, refreshToken }
+ */
+export const createSession = async (user, { userAgent, ipAddress } = {}) => {
+    const session = Session.build({
+        userId: user.id,
+        userAgent: userAgent ? String(userAgent).slice(0, 512) : null,
+        ipAddress: ipAddress || null,
+        expiresAt: getRefreshExpiry(),
+    });
+
+    const refreshToken = generateRefreshToken(user.id, session.id);
+    session.refreshTokenHash = hashToken(refreshToken);
+    await session.save();
+
+    return {
+        session,
+        accessToken: generateAccessToken(user, session.id),
+        refreshToken,
+    };
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair
+ *
+ * A refresh token that verifies but does not match the session's current
+ * hash has already been rotated away, which means it was replayed. The whole
+ * session is revoked so both the thief and the owner have to log in again.
+ * The swap itself is a conditional update on the old hash, so of two
+ * concurrent refreshes with the same token only one wins; the other counts
+ * as reuse.
+ *
+ * @param {string} refreshToken - Refresh token presented by the client
+ * @param {Function} loadUser - async (userId) => User, so callers control attributes
+ * @returns {Promise<Object>} - { success, error?, message?, session?, accessToken?, refreshToken? }
+ */
+export const rotateSession = async (refreshToken, loadUser) => {
+    let payload;
+    try {
+        payload = verifyToken(refreshToken, process.env.JWT_REFRESH_SECRET);
+    } catch {
+        return { success: false, error: "INVALID_TOKEN", message: "Invalid or expired refresh token" };
+    }
+
+    if (payload.purpose !== "REFRESH" || !payload.sessionId) {
+        return { success: false, error: "INVALID_TOKEN", message: "Invalid refresh token" };
+    }
+
+    const session = await Session.findByPk(payload.sessionId);
+
+    if (!session || session.userId !== payload.userId) {
+        return { success: false, error: "INVALID_TOKEN", message: "Session not found" };
+    }
+
+    if (session.revokedAt || session.expiresAt < new Date()) {
+        return { success: false, error: "SESSION_REVOKED", message: "Session has been revoked. Please log in again." };
+    }
+
+    if (session.refreshTokenHash !== hashToken(refreshToken)) {
+        await revokeSession(session, "TOKEN_REUSE");
+        console.warn(`Refresh token reuse detected for session ${session.id}; session revoked`);
+        return { success: false, error: "TOKEN_REUSE", message: "Session has been revoked. Please log in again." };
+    }
+
+    const user = await loadUser(session.userId);
+
+    if (!user) {
+        await revokeSession(session, "USER_NOT_FOUND");
+        return { success: false, error: "INVALID_TOKEN", message: "User not found" };
+    }
+
+    if (user.isSuspended) {
+        await revokeSession(session, "ACCOUNT_SUSPENDED");
+        return { success: false, error: "ACCOUNT_SUSPENDED", message: "Your account has been suspended" };
+    }
+
+    const newRefreshToken = generateRefreshToken(user.id, session.id);
+    const rotated = {
+        refreshTokenHash: hashToken(newRefreshToken),
+        lastUsedAt: new Date(),
+        expiresAt: getRefreshExpiry(),
+    };
+
+    const [updatedCount] = await Session.update(rotated, {
+        where: { id: session.id, refreshTokenHash: hashToken(refreshToken), revokedAt: null },
+    });
+
+    if (updatedCount === 0) {
+        await revokeSession(session, "TOKEN_REUSE");
+        console.warn(`Concurrent refresh token reuse detected for session ${session.id}; session revoked`);
+        return { success: false, error: "TOKEN_REUSE", message: "Session has been revoked. Please log in again." };
+    }
+
+    session.set(rotated);
+
+    return {
+        success: true,
+        session,
+        user,
+        accessToken: generateAccessToken(user, session.id),
+        refreshToken: newRefreshToken,
+    };
+};
+
+/**
+ * Revoke a single session
+ * @param {Object} session - Session instance
+ * @param {string} reason - Stored in revokedReason
+ */
+export const revokeSession = async (session, reason) => {
+    if (!session.revokedAt) {
+        await session.update({ revokedAt: new Date(), revokedReason: reason });
+    }
+    await deleteCache(CACHE_KEYS.SESSION(session.id));
+    return session;
+};
+
+/**
+ * Revoke the session a refresh token belongs to (used by logout).
+ * Expired tokens are accepted so a stale cookie can still end its session.
+ * @param {string} refreshToken
+ * @returns {Promise<boolean>} - Whether a session was revoked
+ */
+export const revokeSessionByRefreshToken = async (refreshToken, reason = "LOGOUT") => {
+    let payload;
+    try {
+        payload = verifyToken(refreshToken, process.env.JWT_REFRESH_SECRET);
+    } catch (error) {
+        if (error.name !== "TokenExpiredError") return false;
+        payload = decodeToken(refreshToken);
+    }
+
+    if (!payload?.sessionId) return false;
+
+    const session = await Session.findByPk(payload.sessionId);
+    if (!session) return false;
+
+    await revokeSession(session, reason);
+    return true;
+};
+
+/**
+ * Revoke every active session of a user
+ * @param {string} userId
+ * @param {string} reason - Stored in revokedReason
+ * @param {Object} options - { exceptSessionId } to keep the caller's own session
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+export const revokeAllSessions = async (userId, reason, { exceptSessionId } = {}) => {
+    const where = { userId, revokedAt: null };
+    if (exceptSessionId) {
+        where.id = { [Op.ne]: exceptSessionId };
+    }
+
+    const sessions = await Session.findAll({ where, attributes: ["id"] });
+
+    if (sessions.length === 0) return 0;
+
+    await Session.update(
+        { revokedAt: new Date(), revokedReason: reason },
+        { where: { id: sessions.map(s => s.id) } }
+    );
+
+    await deleteCacheMultiple(sessions.map(s => CACHE_KEYS.SESSION(s.id)));
+
+    return sessions.length;
+};
+
+/**
+ * List a user's active (not revoked, not expired) sessions
+ * @param {string} userId
+ */
+export const getActiveSessions = async (userId) => {
+    return await Session.findAll({
+        where: {
+            userId,
+            revokedAt: null,
+            expiresAt: { [Op.gt]: new Date() },
+        },
+        attributes: ["id", "userAgent", "ipAddress", "createdAt", "lastUsedAt", "expiresAt"],
+        order: [["lastUsedAt", "DESC"]],
+    });
+};
+
+/**
+ * Drop cached session state for every session of a user, so the next request
+ * re-reads role, verification and suspension from the database.
+ * @param {string} userId
+ */
+export const invalidateUserSessionCache = async (userId) => {
+    const sessions = await Session.findAll({
+        where: { userId, revokedAt: null },
+        attributes: ["id"],
+    });
+
+    await deleteCacheMultiple(sessions.map(s => CACHE_KEYS.SESSION(s.id)));
+};
+
+/**
+ * Resolve the session behind an access token together with the live account
+ * flags of its user. Cached briefly since this runs on every authenticated request.
+ * @param {string} sessionId
+ * @returns {Promise<Object>} - { active, suspended, role, emailVerified }
+ */
+export const getSessionState = async (sessionId) => {
+    const state = await getOrSetCache(
+        CACHE_KEYS.SESSION(sessionId),
+        async () => {
+            const session = await Session.findByPk(sessionId, {
+                attributes: ["id", "revokedAt", "expiresAt"],
+                include: [
+                    {
+                        model: User,
+                        as: "user",
+                        attributes: ["id", "role", "emailVerified", "isSuspended"],
+                    },
+                ],
+            });
+
+            if (!session || !session.user) {
+                return { revoked: true, expiresAt: null };
+            }
+
+            return {
+                revoked: !!session.revokedAt,
+                expiresAt: session.expiresAt,
+                suspended: session.user.isSuspended,
+                role: session.user.role,
+                emailVerified: session.user.emailVerified,
+            };
+        },
+        SESSION_CACHE_TTL
+    );
+
+    return {
+        active: !state.revoked && new Date(state.expiresAt) > new Date(),
+        suspended: !!state.suspended,
+        role: state.role,
+        emailVerified: state.emailVerified,
+    };
+};
@@ -0,0 +1,49 @@
+/**
+ * File Storage Service
+ *
+ * Single entry point for stored files. The driver is chosen by STORAGE_DRIVER
+ * and every driver exposes the same interface:
+ *
+ *   put(key, buffer)                                -> Promise<void>
+ *   get(key)                                        -> Promise<Buffer>
+ *   remove(key)                                     -> Promise<void>
+ *   getSignedUrl(key, { expiresInSeconds })         -> { url, expiresAt }
+ *   verifySignedUrl(key, { expires, signature })    -> boolean (drivers that serve files themselves)
+ *
+ * Only "local" exists today; an S3 driver would be added under ./storage and
+ * registered in DRIVERS without touching callers.
+ */
+
+import path from "path";
+import { createLocalDiskStorage } from "./storage/localDisk.storage.js";
+
+export const ATTACHMENT_URL_TTL_SECONDS = Number(process.env.ATTACHMENT_URL_TTL_SECONDS) || 3600;
+
+const DRIVERS = {
+    local: () => {
+        if (!process.env.STORAGE_URL_SECRET) throw new Error("Missing STORAGE_URL_SECRET env var");
+
+        return createLocalDiskStorage({
+            rootDir: path.resolve(process.env.STORAGE_LOCAL_DIR || "uploads"),
+            publicBaseUrl: (process.env.STORAGE_PUBLIC_BASE_URL || "").replace(/\/$/, ""),
+            signingSecret: process.env.STORAGE_URL_SECRET,
+        });
+    },
+};
+
+let storage = null;
+
+// Lazily created so the app can boot without storage configured
+export const getStorage = () => {
+    if (!storage) {
+        const driver = process.env.STORAGE_DRIVER || "local";
+
+        if (!DRIVERS[driver]) {
+            throw new Error(`Unknown STORAGE_DRIVER "${driver}". Supported: ${Object.keys(DRIVERS).join(", ")}`);
+        }
+
+        storage = DRIVERS[driver]();
+    }
+
+    return storage;
+};
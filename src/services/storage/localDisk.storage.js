@@ -0,0 +1,65 @@
+/**
+ * Local Disk Storage Driver
+ *
+ * Keeps files under STORAGE_LOCAL_DIR and hands out signed, expiring URLs to
+ * GET /api/attachments/files/:storageKey, which checks the signature before
+ * streaming the file. A cloud driver (S3, GCS) implements the same methods
+ * and returns its own presigned URLs instead.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+// Keys are generated by us (UUID + extension); anything else is rejected
+const STORAGE_KEY_PATTERN = /^[a-f0-9-]{36}\.[a-z0-9]{1,5}$/;
+
+export const isValidStorageKey = (key) => STORAGE_KEY_PATTERN.test(String(key));
+
+export const createLocalDiskStorage = ({ rootDir, publicBaseUrl, signingSecret }) => {
+    const resolve = (key) => {
+        if (!isValidStorageKey(key)) throw new Error(`Invalid storage key: ${key}`);
+        return path.join(rootDir, key);
+    };
+
+    const sign = (key, expires) =>
+        crypto.createHmac("sha256", signingSecret).update(`${key}:${expires}`).digest("hex");
+
+    return {
+        driver: "local",
+
+        put: async (key, buffer) => {
+            await fs.mkdir(rootDir, { recursive: true });
+            await fs.writeFile(resolve(key), buffer);
+        },
+
+        get: async (key) => fs.readFile(resolve(key)),
+
+        // Missing files are not an error; cleanup may run twice
+        remove: async (key) => {
+            await fs.rm(resolve(key), { force: true });
+        },
+
+        getSignedUrl: (key, { expiresInSeconds }) => {
+            const expires = Math.floor(Date.now() / 1000) + expiresInSeconds;
+            const query = new URLSearchParams({ expires: String(expires), signature: sign(key, expires) });
+
+            return {
+                url: `${publicBaseUrl}/api/attachments/files/${key}?${query}`,
+                expiresAt: new Date(expires * 1000),
+            };
+        },
+
+        verifySignedUrl: (key, { expires, signature }) => {
+            const expiresAt = Number(expires);
+
+            if (!isValidStorageKey(key) || !Number.isInteger(expiresAt) || typeof signature !== "string") return false;
+            if (expiresAt < Math.floor(Date.now() / 1000)) return false;
+
+            const expected = Buffer.from(sign(key, expiresAt));
+            const given = Buffer.from(signature);
+
+            return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+        },
+    };
+};
@@ -0,0 +1,292 @@
+/**
+ * Taxonomy Service
+ *
+ * Subject > topic > subtopic tree, free question tags, and matching of free
+ * text (legacy Question.domain values, AI extraction hints) onto taxonomy
+ * nodes through their names and aliases.
+ */
+
+import crypto from "crypto";
+import { Op } from "sequelize";
+import sequelize from "../config/db.js";
+import { TaxonomyNode, Tag, Question } from "../modules/association/index.js";
+
+export const TAXONOMY_LEVELS = ["SUBJECT", "TOPIC", "SUBTOPIC"];
+export const MAX_TAGS_PER_QUESTION = 20;
+export const MAX_ALIASES_PER_NODE = 20;
+const MAX_TAG_LENGTH = 50;
+
+// Hint scores: exact name/alias match, or a name/alias inside a longer hint
+const EXACT_MATCH_SCORE = 100;
+const HINT_MATCH_SCORE = 70;
+const TEXT_MATCH_SCORE = 40;
+
+// Legacy domains are mapped only on a hint-level match
+export const DOMAIN_MATCH_THRESHOLD = HINT_MATCH_SCORE;
+
+const LEVEL_DEPTH = { SUBJECT: 0, TOPIC: 1, SUBTOPIC: 2 };
+
+export const slugify = (text) =>
+    String(text ?? "")
+        .normalize("NFKD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-+|-+$/g, "");
+
+// Lower-case words separated by single spaces, for matching
+const normalizeTerm = (text) => String(text ?? "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+
+/**
+ * Validate a list of tag names and normalise them (trimmed, lower-case, single spaces)
+ * @returns {{ names: string[], error: string|null }}
+ */
+export const normalizeTagList = (tags) => {
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== "string")) {
+        return { names: [], error: "tags must be an array of names" };
+    }
+
+    const names = [...new Set(tags.map(tag => tag.trim().toLowerCase().replace(/\s+/g, " ")))];
+
+    if (names.some(name => name.length === 0 || name.length > MAX_TAG_LENGTH)) {
+        return { names: [], error: `Each tag must be 1 to ${MAX_TAG_LENGTH} characters` };
+    }
+
+    if (names.length > MAX_TAGS_PER_QUESTION) {
+        return { names: [], error: `A question can have at most ${MAX_TAGS_PER_QUESTION} tags` };
+    }
+
+    return { names, error: null };
+};
+
+/**
+ * Where condition on Question.id matching questions that have any of the tags
+ * @param {string[]} names - Normalised tag names (see normalizeTagList)
+ */
+export const questionsWithAnyTag = (names) => ({
+    [Op.in]: sequelize.literal(
+        `(SELECT qt.question_id FROM question_tags qt JOIN tags t ON t.id = qt.tag_id WHERE t.name IN (${names.map(name => sequelize.escape(name)).join(", ")}))`
+    ),
+});
+
+/**
+ * Validate node aliases (alternative spellings used for matching)
+ * @returns {{ aliases: string[], error: string|null }}
+ */
+export const normalizeAliases = (aliases) => {
+    if (!Array.isArray(aliases) || aliases.some(alias => typeof alias !== "string")) {
+        return { aliases: [], error: "aliases must be an array of strings" };
+    }
+
+    const normalized = [...new Set(aliases.map(normalizeTerm).filter(Boolean))];
+
+    if (normalized.length > MAX_ALIASES_PER_NODE) {
+        return { aliases: [], error: `A node can have at most ${MAX_ALIASES_PER_NODE} aliases` };
+    }
+
+    return { aliases: normalized, error: null };
+};
+
+// Replace a question's tags, creating tags that do not exist yet
+export const setQuestionTags = async (question, names, transaction) => {
+    const tags = [];
+
+    for (const name of names) {
+        const [tag] = await Tag.findOrCreate({ where: { name }, transaction });
+        tags.push(tag);
+    }
+
+    await question.setTags(tags, { transaction });
+};
+
+/**
+ * Create a node under a parent (or a subject when parentId is null)
+ * @returns {Promise<{ success: boolean, error?: string, message?: string, node?: Object }>}
+ */
+export const createTaxonomyNode = async ({ name, parentId = null, aliases = [] }) => {
+    const parent = parentId ? await TaxonomyNode.findByPk(parentId) : null;
+
+    if (parentId && !parent) {
+        return { success: false, error: "PARENT_NOT_FOUND", message: "Parent node not found" };
+    }
+
+    const level = parent ? TAXONOMY_LEVELS[LEVEL_DEPTH[parent.level] + 1] : "SUBJECT";
+
+    if (!level) {
+        return { success: false, error: "TOO_DEEP", message: "Subtopics cannot have children" };
+    }
+
+    const slug = slugify(name);
+    const sibling = await TaxonomyNode.findOne({ where: { parentId, slug }, attributes: ["id"] });
+
+    if (sibling) {
+        return { success: false, error: "DUPLICATE", message: `"${name}" already exists at this level` };
+    }
+
+    const id = crypto.randomUUID();
+    const node = await TaxonomyNode.create({
+        id,
+        name,
+        slug,
+        level,
+        parentId,
+        path: `${parent ? parent.path : "/"}${id}/`,
+        aliases,
+    });
+
+    return { success: true, node };
+};
+
+// IDs of a node and every node below it, or null when the node does not exist
+export const getDescendantIds = async (nodeId) => {
+    const node = await TaxonomyNode.findByPk(nodeId, { attributes: ["id", "path"] });
+    if (!node) return null;
+
+    const rows = await TaxonomyNode.findAll({
+        where: { path: { [Op.startsWith]: node.path } },
+        attributes: ["id"],
+    });
+
+    return rows.map(row => row.id);
+};
+
+/**
+ * A node with the name of the subject it belongs to
+ * @returns {Promise<{ node: Object, subjectName: string }|null>}
+ */
+export const resolveTaxonomyNode = async (nodeId, transaction) => {
+    const node = await TaxonomyNode.findByPk(nodeId, { transaction });
+    if (!node) return null;
+
+    const subjectId = node.path.split("/")[1];
+    const subject = subjectId === node.id
+        ? node
+        : await TaxonomyNode.findByPk(subjectId, { attributes: ["name"], transaction });
+
+    return { node, subjectName: subject?.name ?? node.name };
+};
+
+/**
+ * Load every node with its display path and match terms, for repeated matching
+ * @returns {Promise<{ id, level, path, subject, terms }[]>}
+ */
+export const loadTaxonomyIndex = async () => {
+    const nodes = await TaxonomyNode.findAll({
+        attributes: ["id", "name", "level", "parentId", "aliases"],
+        raw: true,
+    });
+
+    const byId = new Map(nodes.map(node => [node.id, node]));
+    const pathNames = (node) =>
+        node.parentId && byId.has(node.parentId) ? [...pathNames(byId.get(node.parentId)), node.name] : [node.name];
+
+    return nodes.map(node => {
+        const names = pathNames(node);
+
+        return {
+            id: node.id,
+            level: node.level,
+            path: names.join(" > "),
+            subject: names[0],
+            terms: [...new Set([node.name, ...(node.aliases || [])].map(normalizeTerm).filter(Boolean))],
+        };
+    });
+};
+
+/**
+ * Rank taxonomy nodes for a piece of content
+ * A hint (legacy domain, extraction subject) matching a name or alias exactly
+ * outranks one containing it, which outranks a match in the text; deeper
+ * nodes win ties.
+ * @param {Object[]} index - From loadTaxonomyIndex
+ * @param {Object} input - { hint, text }
+ * @returns {{ nodeId, path, level, subject, score }[]} Best first
+ */
+export const suggestTaxonomyNodes = (index, { hint, text } = {}, limit = 3) => {
+    const hintTerm = normalizeTerm(hint);
+    const paddedHint = ` ${hintTerm} `;
+    const paddedText = ` ${normalizeTerm(text)} `;
+
+    return index
+        .map(node => {
+            let score = 0;
+
+            for (const term of node.terms) {
+                if (hintTerm && term === hintTerm) score = Math.max(score, EXACT_MATCH_SCORE);
+                else if (hintTerm && paddedHint.includes(` ${term} `)) score = Math.max(score, HINT_MATCH_SCORE);
+                else if (paddedText.includes(` ${term} `)) score = Math.max(score, TEXT_MATCH_SCORE);
+            }
+
+            return { node, score: score > 0 ? score + LEVEL_DEPTH[node.level] : 0 };
+        })
+        .filter(({ score }) => score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(({ node, score }) => ({
+            nodeId: node.id,
+            path: node.path,
+            level: node.level,
+            subject: node.subject,
+            score,
+        }));
+};
+
+/**
+ * Map legacy Question.domain values onto taxonomy nodes
+ * Only questions without a node are touched. A domain is mapped when one node
+ * clearly matches it; ties between nodes are reported as ambiguous. With
+ * createMissing, unmatched domains become new subjects.
+ * @param {Object} options - { dryRun, createMissing }
+ * @returns {Promise<{ mapped: Object[], ambiguous: Object[], unmatched: Object[] }>}
+ */
+export const mapDomainsToTaxonomy = async ({ dryRun = false, createMissing = false } = {}) => {
+    const index = await loadTaxonomyIndex();
+
+    const domains = await Question.findAll({
+        where: { taxonomyNodeId: null },
+        attributes: ["domain", [sequelize.fn("COUNT", sequelize.col("id")), "questionCount"]],
+        group: ["domain"],
+        order: [["domain", "ASC"]],
+        raw: true,
+    });
+
+    const report = { mapped: [], ambiguous: [], unmatched: [] };
+
+    for (const { domain, questionCount } of domains) {
+        const [best, runnerUp] = suggestTaxonomyNodes(index, { hint: domain });
+        const entry = { domain, questionCount: Number(questionCount) };
+
+        if (best && best.score >= DOMAIN_MATCH_THRESHOLD && runnerUp?.score === best.score) {
+            report.ambiguous.push({ ...entry, candidates: [best.path, runnerUp.path] });
+            continue;
+        }
+
+        let target = best && best.score >= DOMAIN_MATCH_THRESHOLD ? best : null;
+
+        if (!target && createMissing && !dryRun) {
+            const name = domain.replace(/\b[a-z]/g, c => c.toUpperCase());
+            const created = await createTaxonomyNode({ name });
+
+            if (created.success) {
+                target = { nodeId: created.node.id, path: created.node.name };
+                index.push({ id: created.node.id, level: "SUBJECT", path: name, subject: name, terms: [normalizeTerm(name)] });
+            }
+        }
+
+        if (!target) {
+            report.unmatched.push(entry);
+            continue;
+        }
+
+        if (!dryRun) {
+            await Question.update(
+                { taxonomyNodeId: target.nodeId },
+                { where: { domain, taxonomyNodeId: null } }
+            );
+        }
+
+        report.mapped.push({ ...entry, nodeId: target.nodeId, path: target.path });
+    }
+
+    return report;
+};
@@ -1,19 +1,44 @@
 import jwt from "jsonwebtoken";
+import crypto from "crypto";
 
-export const generateAccessToken = (user) => {
+export const ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_EXPIRES_IN || "15m";
+export const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+
+export const generateAccessToken = (user, sessionId) => {
   if (!process.env.JWT_ACCESS_SECRET) throw new Error("Missing JWT_ACCESS_SECRET env var");
 
   const payload = {
     userId: user.id,
     role: user.role,
     emailVerified: user.emailVerified,
+    sessionId,
   };
 
   return jwt.sign(payload, process.env.JWT_ACCESS_SECRET, {
-    expiresIn: "7d",
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+};
+
+export const generateRefreshToken = (userId, sessionId) => {
+  if (!process.env.JWT_REFRESH_SECRET) throw new Error("Missing JWT_REFRESH_SECRET env var");
+
+  const payload = {
+    userId,
+    sessionId,
+    purpose: "REFRESH",
+  };
+
+  // jwtid makes every rotated token unique even when issued within the same second
+  return jwt.sign(payload, process.env.JWT_REFRESH_SECRET, {
+    expiresIn: `${REFRESH_TOKEN_TTL_DAYS}d`,
+    jwtid: crypto.randomUUID(),
   });
 };
 
+export const hashToken = (token) => {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+};
+
 export const generateEmailVerificationToken = (user) => {
   if (!process.env.JWT_EMAIL_SECRET) throw new Error("Missing JWT_EMAIL_SECRET env var");
 
@@ -27,7 +52,27 @@ export const generateEmailVerificationToken = (user) => {
   });
 };
 
+export const INVITATION_TOKEN_TTL_DAYS = 7;
+
+export const generateInvitationToken = (user) => {
+  if (!process.env.JWT_EMAIL_SECRET) throw new Error("Missing JWT_EMAIL_SECRET env var");
+
+  const payload = {
+    userId: user.id,
+    purpose: "ACCOUNT_INVITATION",
+  };
+
+  return jwt.sign(payload, process.env.JWT_EMAIL_SECRET, {
+    expiresIn: `${INVITATION_TOKEN_TTL_DAYS}d`,
+  });
+};
+
 export const verifyToken = (token, secret) => {
   if (!secret) throw new Error("Missing secret for token verification");
   return jwt.verify(token, secret);
-};
\ No newline at end of file
+};
+
+// Reads a token's payload WITHOUT verifying it; never use the result for authorization
+export const decodeToken = (token) => {
+  return jwt.decode(token);
+};
@@ -0,0 +1,75 @@
+export const invitationTemplate = ({ fullName, inviteUrl, expiresInDays }) => {
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8" />
+  <title>Account Invitation</title>
+  <style>
+    body {
+      font-family: Arial, sans-serif;
+      background-color: #f5f7fa;
+      padding: 20px;
+    }
+    .container {
+      max-width: 520px;
+      margin: 0 auto;
+      background: #ffffff;
+      padding: 24px;
+      border-radius: 8px;
+      box-shadow: 0 2px 8px rgba(0,0,0,0.05);
+    }
+    .btn {
+      display: inline-block;
+      margin-top: 16px;
+      padding: 12px 20px;
+      background-color: #2563eb;
+      color: #ffffff !important;
+      text-decoration: none;
+      border-radius: 6px;
+      font-weight: 600;
+    }
+    .footer {
+      margin-top: 28px;
+      font-size: 12px;
+      color: #6b7280;
+      line-height: 1.5;
+    }
+    .signature {
+      margin-top: 24px;
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <p>Hello ${fullName},</p>
+
+    <p>
+      An account has been created for you on the Online Examination System.
+      Please set your password by clicking the button below:
+    </p>
+
+    <a href="${inviteUrl}" class="btn">Set Your Password</a>
+
+    <p>If the button does not work, copy and paste this link into your browser:</p>
+    <p>${inviteUrl}</p>
+
+    <div class="signature">
+      <p>Regards,<br/>
+      <strong>Electrical Engineers’ Society</strong></p>
+    </div>
+
+    <div class="footer">
+      <p>
+        This is a system-generated email. Please do not reply to this message.
+      </p>
+      <p>
+        This invitation link will expire in ${expiresInDays} days. If you were not
+        expecting this email, you can safely ignore it.
+      </p>
+    </div>
+  </div>
+</body>
+</html>
+`;
+};
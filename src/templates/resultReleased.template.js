@@ -0,0 +1,71 @@
+export const resultReleasedTemplate = ({ fullName, examTitle, resultUrl }) => {
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8" />
+  <title>Results Released</title>
+  <style>
+    body {
+      font-family: Arial, sans-serif;
+      background-color: #f5f7fa;
+      padding: 20px;
+    }
+    .container {
+      max-width: 520px;
+      margin: 0 auto;
+      background: #ffffff;
+      padding: 24px;
+      border-radius: 8px;
+      box-shadow: 0 2px 8px rgba(0,0,0,0.05);
+    }
+    .btn {
+      display: inline-block;
+      margin-top: 16px;
+      padding: 12px 20px;
+      background-color: #2563eb;
+      color: #ffffff !important;
+      text-decoration: none;
+      border-radius: 6px;
+      font-weight: 600;
+    }
+    .footer {
+      margin-top: 28px;
+      font-size: 12px;
+      color: #6b7280;
+      line-height: 1.5;
+    }
+    .signature {
+      margin-top: 24px;
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <p>Hello ${fullName},</p>
+
+    <p>
+      The results of <strong>${examTitle}</strong> have been released on the
+      Online Examination System. You can view your result by clicking the button below:
+    </p>
+
+    <a href="${resultUrl}" class="btn">View Result</a>
+
+    <p>If the button does not work, copy and paste this link into your browser:</p>
+    <p>${resultUrl}</p>
+
+    <div class="signature">
+      <p>Regards,<br/>
+      <strong>Electrical Engineers’ Society</strong></p>
+    </div>
+
+    <div class="footer">
+      <p>
+        This is a system-generated email. Please do not reply to this message.
+      </p>
+    </div>
+  </div>
+</body>
+</html>
+`;
+};
@@ -0,0 +1,106 @@
+/**
+ * Attempt policy
+ *
+ * How often a candidate may sit an exam and which score counts:
+ * - maxAttempts: null means the mode's default (one for exams, unlimited for
+ *   practice)
+ * - cooldownMinutes: wait after submitting before the next attempt can start
+ * - scoreAggregation: the exam score is the BEST, LATEST or AVERAGE score of
+ *   the candidate's scored attempts
+ */
+
+export const SCORE_AGGREGATIONS = ["BEST", "LATEST", "AVERAGE"];
+
+export const isValidMaxAttempts = (value) =>
+    value === null || (Number.isInteger(value) && value >= 1);
+
+export const isValidCooldown = (value) =>
+    value === null || (Number.isInteger(value) && value >= 0);
+
+// null = unlimited
+export const getAttemptLimit = (exam) =>
+    exam.maxAttempts ?? (exam.mode === "PRACTICE" ? null : 1);
+
+/**
+ * Whether a candidate may start another attempt
+ * @param {Object} exam - { mode, maxAttempts, cooldownMinutes }
+ * @param {Object[]} attempts - The candidate's earlier attempts ({ status, attemptNumber, submittedAt })
+ * @param {Date} now
+ * @returns {{ allowed: boolean, error?: string, message?: string, retryAt?: Date }}
+ */
+export const checkAttemptPolicy = (exam, attempts, now = new Date()) => {
+    const limit = getAttemptLimit(exam);
+
+    if (limit !== null && attempts.length >= limit) {
+        return {
+            allowed: false,
+            error: "ATTEMPTS_EXHAUSTED",
+            message: limit === 1
+                ? "You have already attempted this exam"
+                : `You have used all ${limit} attempts for this exam`,
+        };
+    }
+
+    const latest = attempts.reduce(
+        (found, a) => (!found || a.attemptNumber > found.attemptNumber ? a : found),
+        null
+    );
+
+    if (latest?.submittedAt && exam.cooldownMinutes) {
+        const retryAt = new Date(new Date(latest.submittedAt).getTime() + exam.cooldownMinutes * 60 * 1000);
+
+        if (now < retryAt) {
+            return {
+                allowed: false,
+                error: "COOLDOWN",
+                message: "The next attempt is not open yet",
+                retryAt,
+            };
+        }
+    }
+
+    return { allowed: true };
+};
+
+/**
+ * The exam score of one candidate under the exam's aggregation policy
+ * Only attempts with a score count.
+ * @param {Object[]} attempts - { score, isScoreProvisional, attemptNumber, ... }
+ * @param {string} aggregation - BEST | LATEST | AVERAGE
+ * @returns {{ score: number|null, isScoreProvisional: boolean, attempt: Object|null, attemptsCounted: number }}
+ *   attempt is the attempt whose score counts (the latest one for AVERAGE)
+ */
+export const aggregateAttemptScores = (attempts, aggregation = "BEST") => {
+    const scored = attempts
+        .filter(a => a.score !== null && a.score !== undefined)
+        .sort((a, b) => a.attemptNumber - b.attemptNumber);
+
+    if (scored.length === 0) {
+        return { score: null, isScoreProvisional: false, attempt: null, attemptsCounted: 0 };
+    }
+
+    const latest = scored[scored.length - 1];
+
+    if (aggregation === "AVERAGE") {
+        const average = scored.reduce((sum, a) => sum + a.score, 0) / scored.length;
+
+        return {
+            score: Math.round(average * 100) / 100,
+            isScoreProvisional: scored.some(a => a.isScoreProvisional),
+            attempt: latest,
+            attemptsCounted: scored.length,
+        };
+    }
+
+    // Ties go to the earlier attempt
+    const counted = aggregation === "LATEST"
+        ? latest
+        : scored.reduce((best, a) => (a.score > best.score ? a : best));
+
+    return {
+        score: counted.score,
+        isScoreProvisional: !!counted.isScoreProvisional,
+        attempt: counted,
+        attemptsCounted: scored.length,
+    };
+};
@@ -0,0 +1,355 @@
+/**
+ * Question content formats
+ *
+ * Every candidate-visible text of a question (statement, option text, match
+ * columns, assertion and reason) and of a stimulus is written in a declared
+ * contentFormat:
+ *
+ * PLAIN           Shown as text; never interpreted as Markdown or HTML
+ * MARKDOWN        Rendered as Markdown; inline HTML is limited to SAFE_HTML_TAGS
+ *                 without attributes
+ * MARKDOWN_LATEX  MARKDOWN plus math in $...$, $$...$$, \(...\), \[...\] and
+ *                 \begin{env}...\end{env}
+ *
+ * normalizeContent validates a text and returns the render-safe form that is
+ * stored: Unicode NFC, "\n" line endings, disallowed HTML escaped, comments
+ * dropped, link targets with unsafe schemes replaced by "#", and "<" / ">"
+ * inside math written as \lt / \gt so no client can read them as markup.
+ * Code spans and fenced code blocks are kept verbatim.
+ */
+
+export const CONTENT_FORMATS = ["PLAIN", "MARKDOWN", "MARKDOWN_LATEX"];
+
+export const SAFE_HTML_TAGS = [
+    "b", "strong", "i", "em", "u", "s", "sub", "sup", "br", "hr", "p", "code", "pre", "kbd",
+    "blockquote", "ul", "ol", "li", "table", "thead", "tbody", "tr", "th", "td",
+];
+
+const VOID_TAGS = ["br", "hr"];
+const SAFE_URL_SCHEMES = ["http", "https", "mailto"];
+
+// Control characters other than tab and newline
+const CONTROL_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g;
+
+// Comments, autolinks and tags, in that order of precedence
+const MARKUP_PATTERN = /<!--[\s\S]*?(?:-->|$)|<(?:https?:\/\/|mailto:)[^\s<>]*>|<(\/?)([A-Za-z][A-Za-z0-9-]*)((?:[^<>"']|"[^"]*"|'[^']*')*)>/g;
+
+const INLINE_LINK_PATTERN = /(\]\(\s*)(<[^>\n]*>|[^\s)]*)/g;
+const REFERENCE_LINK_PATTERN = /^( {0,3}\[[^\]\n]+\]:[ \t]*)(<[^>\n]*>|\S+)/gm;
+
+const escapeHtml = (text) => text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+const snippet = (text) => (text.length > 30 ? `${text.slice(0, 30)}...` : text);
+
+// A character is escaped when preceded by an odd number of backslashes
+const isEscaped = (text, index) => {
+    let count = 0;
+    for (let i = index - 1; i >= 0 && text[i] === "\\"; i--) count++;
+    return count % 2 === 1;
+};
+
+const findUnescaped = (text, token, from) => {
+    let index = text.indexOf(token, from);
+    while (index !== -1 && isEscaped(text, index)) index = text.indexOf(token, index + 1);
+    return index;
+};
+
+const isUnsafeUrl = (url) => {
+    const decoded = url
+        .replace(/&#x([0-9a-f]+);?/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)))
+        .replace(/&#(\d+);?/g, (_, dec) => String.fromCharCode(Number(dec)))
+        .replace(/&colon;/gi, ":")
+        .replace(/&(lt|gt);/gi, "")
+        .replace(/[<>\s\u0000-\u001F]/g, "")
+        .toLowerCase();
+
+    const scheme = decoded.match(/^([a-z][a-z0-9+.-]*):/);
+    return !!scheme && !SAFE_URL_SCHEMES.includes(scheme[1]);
+};
+
+// Escape disallowed HTML, strip attributes from allowed tags and neutralise unsafe links
+const sanitizeMarkup = (text) => {
+    let output = "";
+    let last = 0;
+
+    for (const match of text.matchAll(MARKUP_PATTERN)) {
+        output += text.slice(last, match.index).replace(/<(?=[A-Za-z/!?])/g, "&lt;");
+        last = match.index + match[0].length;
+
+        const [whole, slash, name] = match;
+
+        if (whole.startsWith("<!--")) continue;
+
+        if (name === undefined) {
+            output += whole; // autolink
+            continue;
+        }
+
+        const tag = name.toLowerCase();
+
+        if (!SAFE_HTML_TAGS.includes(tag)) {
+            output += escapeHtml(whole);
+        } else if (VOID_TAGS.includes(tag)) {
+            output += slash ? "" : `<${tag}>`;
+        } else {
+            output += `<${slash}${tag}>`;
+        }
+    }
+
+    output += text.slice(last).replace(/<(?=[A-Za-z/!?])/g, "&lt;");
+
+    const neutralize = (_, prefix, url) => `${prefix}${isUnsafeUrl(url) ? "#" : url}`;
+
+    return output
+        .replace(INLINE_LINK_PATTERN, neutralize)
+        .replace(REFERENCE_LINK_PATTERN, neutralize);
+};
+
+const checkMath = (math) => {
+    const errors = [];
+    let depth = 0;
+
+    for (let i = 0; i < math.length; i++) {
+        if (math[i] === "\\") i++;
+        else if (math[i] === "{") depth++;
+        else if (math[i] === "}" && --depth < 0) break;
+    }
+
+    if (depth !== 0) errors.push(`Unbalanced braces in math near "${snippet(math)}"`);
+
+    const environments = [];
+    for (const [, kind, name] of math.matchAll(/\\(begin|end)\{([^}]*)\}/g)) {
+        if (kind === "begin") environments.push(name);
+        else if (environments.pop() !== name) {
+            errors.push(`\\end{${name}} does not match its \\begin near "${snippet(math)}"`);
+            break;
+        }
+    }
+
+    if (environments.length > 0) errors.push(`Unclosed \\begin{${environments.pop()}} near "${snippet(math)}"`);
+
+    const lefts = (math.match(/\\left(?![A-Za-z])/g) || []).length;
+    const rights = (math.match(/\\right(?![A-Za-z])/g) || []).length;
+
+    if (lefts !== rights) errors.push(`\\left and \\right do not pair up near "${snippet(math)}"`);
+
+    return errors;
+};
+
+/**
+ * Split Markdown into text, code and (optionally) math segments
+ * @returns {{ segments: { type: "text" | "code" | "math", value: string }[], errors: string[] }}
+ */
+const splitSegments = (text, withMath) => {
+    const segments = [];
+    const errors = [];
+    let buffer = "";
+    let i = 0;
+
+    const push = (type, value) => {
+        if (buffer) segments.push({ type: "text", value: buffer });
+        buffer = "";
+        segments.push({ type, value });
+    };
+
+    const fenceStart = / {0,3}(`{3,}|~{3,})[^\n]*/y;
+    const backtickRun = /`+/y;
+
+    while (i < text.length) {
+        // Fenced code block
+        if (i === 0 || text[i - 1] === "\n") {
+            fenceStart.lastIndex = i;
+            const fence = fenceStart.exec(text);
+
+            if (fence) {
+                const marker = fence[1];
+                const closing = new RegExp(`\\n {0,3}${marker[0] === "`" ? "`" : "~"}{${marker.length},}[ \\t]*(?=\\n|$)`, "g");
+                closing.lastIndex = i + fence[0].length;
+                const close = closing.exec(text);
+
+                if (!close) {
+                    errors.push(`Unclosed code block (${marker})`);
+                    push("code", text.slice(i));
+                    break;
+                }
+
+                push("code", text.slice(i, close.index + close[0].length));
+                i = close.index + close[0].length;
+                continue;
+            }
+        }
+
+        // Code span; an unmatched run of backticks is literal text
+        if (text[i] === "`") {
+            backtickRun.lastIndex = i;
+            const run = backtickRun.exec(text)[0];
+            const closing = new RegExp(`(?<!\`)${run}(?!\`)`, "g");
+            closing.lastIndex = i + run.length;
+            const close = closing.exec(text);
+
+            if (close) {
+                push("code", text.slice(i, close.index + run.length));
+                i = close.index + run.length;
+            } else {
+                buffer += run;
+                i += run.length;
+            }
+            continue;
+        }
+
+        if (withMath && text[i] === "\\") {
+            const next = text[i + 1];
+
+            if (next === "(" || next === "[") {
+                const closer = next === "(" ? "\\)" : "\\]";
+                const end = findUnescaped(text, closer, i + 2);
+
+                if (end === -1) {
+                    errors.push(`Unclosed \\${next} near "${snippet(text.slice(i))}"`);
+                    break;
+                }
+
+                push("math", text.slice(i, end + 2));
+                i = end + 2;
+                continue;
+            }
+
+            if (next === ")" || next === "]") {
+                errors.push(`Unmatched \\${next} near "${snippet(text.slice(Math.max(0, i - 20), i + 2))}"`);
+                i += 2;
+                continue;
+            }
+
+            const environment = text.slice(i).match(/^\\(begin|end)\{([A-Za-z*]+)\}/);
+
+            if (environment && environment[1] === "end") {
+                errors.push(`Unmatched \\end{${environment[2]}}`);
+                i += environment[0].length;
+                continue;
+            }
+
+            if (environment) {
+                const endTag = `\\end{${environment[2]}}`;
+                const end = text.indexOf(endTag, i + environment[0].length);
+
+                if (end === -1) {
+                    errors.push(`Unclosed \\begin{${environment[2]}}`);
+                    break;
+                }
+
+                push("math", text.slice(i, end + endTag.length));
+                i = end + endTag.length;
+                continue;
+            }
+
+            buffer += text.slice(i, i + 2);
+            i += 2;
+            continue;
+        }
+
+        if (withMath && text[i] === "$") {
+            const delimiter = text[i + 1] === "$" ? "$$" : "$";
+            const end = findUnescaped(text, delimiter, i + delimiter.length);
+
+            if (end === -1) {
+                errors.push(`Unclosed ${delimiter} near "${snippet(text.slice(i))}" (write \\$ for a dollar sign)`);
+                break;
+            }
+
+            push("math", text.slice(i, end + delimiter.length));
+            i = end + delimiter.length;
+            continue;
+        }
+
+        // Keep Markdown escapes (e.g. \`) together so they are not read as delimiters
+        if (text[i] === "\\" && i + 1 < text.length) {
+            buffer += text.slice(i, i + 2);
+            i += 2;
+            continue;
+        }
+
+        buffer += text[i];
+        i++;
+    }
+
+    if (buffer) segments.push({ type: "text", value: buffer });
+
+    return { segments, errors };
+};
+
+/**
+ * Validate a text in a content format and produce its render-safe form
+ * @param {string} value
+ * @param {string} format - One of CONTENT_FORMATS
+ * @returns {{ value: string, errors: string[] }}
+ */
+export const normalizeContent = (value, format = "PLAIN") => {
+    if (!CONTENT_FORMATS.includes(format)) {
+        return { value, errors: [`contentFormat must be one of ${CONTENT_FORMATS.join(", ")}`] };
+    }
+
+    const text = String(value ?? "")
+        .normalize("NFC")
+        .replace(/\r\n?/g, "\n")
+        .replace(CONTROL_CHARS, "")
+        .trim();
+
+    if (format === "PLAIN") return { value: text, errors: [] };
+
+    const withMath = format === "MARKDOWN_LATEX";
+    const { segments, errors } = splitSegments(text, withMath);
+
+    for (const segment of segments.filter(s => s.type === "math")) {
+        errors.push(...checkMath(segment.value));
+    }
+
+    const safe = segments.map(segment => {
+        if (segment.type === "code") return segment.value;
+        if (segment.type === "math") return segment.value.replace(/</g, "\\lt ").replace(/>/g, "\\gt ");
+        return sanitizeMarkup(segment.value);
+    }).join("");
+
+    return { value: safe, errors: [...new Set(errors)] };
+};
+
+/**
+ * Normalise every candidate-visible text of a question
+ * Fields left undefined are skipped and returned as undefined.
+ * @param {string} format - The question's contentFormat
+ * @param {Object} fields - { statement, optionTexts: string[], rubric, explanation, typeData }
+ * @returns {{ statement, optionTexts, rubric, explanation, typeData, errors: string[] }}
+ */
+export const normalizeQuestionContent = (format, { statement, optionTexts, rubric, explanation, typeData }) => {
+    const errors = [];
+
+    const normalize = (label, text) => {
+        const result = normalizeContent(text, format);
+        errors.push(...result.errors.map(message => `${label}: ${message}`));
+        return result.value;
+    };
+
+    const result = {
+        statement: statement === undefined ? undefined : normalize("Statement", statement),
+        optionTexts: optionTexts?.map((text, i) => normalize(`Option ${i + 1}`, text)),
+        rubric: typeof rubric === "string" ? normalize("Rubric", rubric) : rubric,
+        explanation: typeof explanation === "string" ? normalize("Explanation", explanation) : explanation,
+        typeData,
+    };
+
+    // Match columns and assertion / reason are shown to candidates as well
+    if (typeData && typeof typeData === "object") {
+        result.typeData = { ...typeData };
+
+        for (const column of ["left", "right"]) {
+            if (Array.isArray(typeData[column])) {
+                result.typeData[column] = typeData[column].map(item => ({ ...item, text: normalize(`${column} ${item.id}`, item.text) }));
+            }
+        }
+
+        for (const field of ["assertion", "reason"]) {
+            if (typeof typeData[field] === "string") result.typeData[field] = normalize(field, typeData[field]);
+        }
+    }
+
+    return { ...result, errors };
+};
@@ -0,0 +1,100 @@
+/**
+ * CSV Utilities
+ *
+ * Minimal RFC 4180 parser: quoted fields, escaped quotes (""), commas and
+ * newlines inside quotes, CRLF line endings and a leading UTF-8 BOM.
+ */
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings)
+ * Blank lines are skipped.
+ * @param {string} text - Raw CSV content
+ * @returns {string[][]}
+ */
+export const parseCSV = (text) => {
+    const input = String(text || "").replace(/^\uFEFF/, "");
+    const rows = [];
+    let row = [];
+    let field = "";
+    let inQuotes = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"') {
+                if (input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inQuotes = true;
+        } else if (char === ",") {
+            row.push(field);
+            field = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && input[i + 1] === "\n") i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = "";
+        } else {
+            field += char;
+        }
+    }
+
+    if (field.length > 0 || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(value => value.trim().length > 0));
+};
+
+/**
+ * Parse CSV text into objects keyed by normalised header names
+ * Headers are lower-cased with non-alphanumerics removed ("Enrollment No." -> "enrollmentno")
+ * @param {string} text - Raw CSV content
+ * @returns {{ headers: string[], records: Object[] }} - records carry `_row`, their 1-based position counting the header row
+ */
+export const parseCSVWithHeaders = (text) => {
+    const [headerRow, ...dataRows] = parseCSV(text);
+
+    if (!headerRow) {
+        return { headers: [], records: [] };
+    }
+
+    const headers = headerRow.map(normalizeHeader);
+
+    const records = dataRows.map((values, index) => {
+        const record = { _row: index + 2 };
+        headers.forEach((header, col) => {
+            record[header] = (values[col] ?? "").trim();
+        });
+        return record;
+    });
+
+    return { headers, records };
+};
+
+/**
+ * Escape a value for CSV output
+ * @param {any} value
+ * @returns {string}
+ */
+export const toCSVField = (value) => {
+    if (value === null || value === undefined) return "";
+    const str = String(value);
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+export const normalizeHeader = (header) =>
+    String(header || "").toLowerCase().replace(/[^a-z0-9]/g, "");
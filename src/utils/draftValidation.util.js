@@ -4,6 +4,15 @@
  * Centralized validation logic for draft questions and options
  */
 
+import { QUESTION_TYPES, DEFINITION_TYPES, normalizeTypeDefinition } from "./questionType.util.js";
+import { CONTENT_FORMATS, normalizeQuestionContent } from "./content.util.js";
+
+// Types whose key lives on the draft options
+const OPTION_TYPES = ["SINGLE_CORRECT", "MULTIPLE_CORRECT"];
+
+// SUBJECTIVE questions are not extracted through the draft pipeline
+const DRAFT_QUESTION_TYPES = QUESTION_TYPES.filter(type => type !== "SUBJECTIVE");
+
 /**
  * Validates a complete draft question object
  * Used when marking drafts ready and confirming
@@ -39,7 +48,7 @@ export const validateDraftQuestion = (draft) => {
             message: "Question type is required",
             severity: "error",
         });
-    } else if (!["SINGLE_CORRECT", "MULTIPLE_CORRECT", "NUMERICAL"].includes(draft.final_questionType)) {
+    } else if (!DRAFT_QUESTION_TYPES.includes(draft.final_questionType)) {
         errors.push({
             field: "final_questionType",
             message: "Invalid question type",
@@ -89,8 +98,46 @@ export const validateDraftQuestion = (draft) => {
         });
     }
 
-    // Validate options (if not NUMERICAL)
-    if (draft.final_questionType !== "NUMERICAL") {
+    // Validate the type definition (options are generated from it where needed)
+    if (DEFINITION_TYPES.includes(draft.final_questionType)) {
+        const { errors: definitionErrors } = normalizeTypeDefinition(
+            draft.final_questionType,
+            draft.final_typeDefinition
+        );
+
+        errors.push(...definitionErrors.map((message) => ({
+            field: "final_typeDefinition",
+            message,
+            severity: "error",
+        })));
+    }
+
+    // Validate the statement and option texts in the declared content format
+    const contentFormat = draft.final_contentFormat || "PLAIN";
+
+    if (!CONTENT_FORMATS.includes(contentFormat)) {
+        errors.push({
+            field: "final_contentFormat",
+            message: `Content format must be one of ${CONTENT_FORMATS.join(", ")}`,
+            severity: "error",
+        });
+    } else {
+        const { errors: contentErrors } = normalizeQuestionContent(contentFormat, {
+            statement: draft.final_statement || "",
+            optionTexts: OPTION_TYPES.includes(draft.final_questionType)
+                ? (draft.options || []).map((o) => o.final_text || "")
+                : undefined,
+        });
+
+        errors.push(...contentErrors.map((message) => ({
+            field: "content",
+            message,
+            severity: "error",
+        })));
+    }
+
+    // Validate options (choice questions only)
+    if (OPTION_TYPES.includes(draft.final_questionType)) {
         if (!draft.options || draft.options.length === 0) {
             errors.push({
                 field: "options",
@@ -238,6 +285,7 @@ export const validateDraftUpdateRequest = (updates) => {
         "final_marks",
         "final_negativeMarks",
         "final_difficulty",
+        "final_typeDefinition",
         "adminNotes",
     ];
 
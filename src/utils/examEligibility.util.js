@@ -0,0 +1,145 @@
+/**
+ * Exam Eligibility Utilities
+ *
+ * An eligibility rule restricts who may see and attempt an exam:
+ * {
+ *   departments?: ["CST", "IT"],
+ *   years?: ["THREE"],
+ *   courses?: ["BTECH"],
+ *   semesters?: ["S5"],
+ *   userIds?: [uuid, ...]     // explicit allow-list
+ * }
+ *
+ * A null rule (or one with no entries) means the exam is open to everyone.
+ * Profile criteria are ANDed across fields and ORed within a field. A user on
+ * the allow-list is eligible regardless of the profile criteria.
+ */
+
+import { Op } from "sequelize";
+import UserProfile from "../modules/profile/profile.model.js";
+
+// Rule key -> UserProfile attribute
+const CRITERIA_FIELDS = {
+    departments: "department",
+    years: "year",
+    courses: "course",
+    semesters: "semester",
+};
+
+const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const hasCriteria = (rule) =>
+    Object.keys(CRITERIA_FIELDS).some(key => rule?.[key]?.length > 0);
+
+/**
+ * Whether a rule actually restricts anything
+ */
+export const isRestricted = (rule) => hasCriteria(rule) || rule?.userIds?.length > 0;
+
+/**
+ * Validate and normalise an eligibility rule from a request body
+ * @param {Object|null} input
+ * @returns {{ rule: Object|null, errors: string[] }}
+ */
+export const normalizeEligibilityRule = (input) => {
+    if (input === null || input === undefined) {
+        return { rule: null, errors: [] };
+    }
+
+    if (typeof input !== "object" || Array.isArray(input)) {
+        return { rule: null, errors: ["eligibility must be an object"] };
+    }
+
+    const errors = [];
+    const rule = {};
+
+    for (const [key, attribute] of Object.entries(CRITERIA_FIELDS)) {
+        if (input[key] === undefined) continue;
+
+        if (!Array.isArray(input[key])) {
+            errors.push(`eligibility.${key} must be an array`);
+            continue;
+        }
+
+        const allowed = UserProfile.getAttributes()[attribute].values;
+        const values = [...new Set(input[key].map(v => String(v).trim().toUpperCase()))];
+        const invalid = values.filter(v => !allowed.includes(v));
+
+        if (invalid.length > 0) {
+            errors.push(`Invalid eligibility.${key}: ${invalid.join(", ")}. Allowed: ${allowed.join(", ")}`);
+        }
+
+        if (values.length > 0) rule[key] = values;
+    }
+
+    if (input.userIds !== undefined) {
+        if (!Array.isArray(input.userIds)) {
+            errors.push("eligibility.userIds must be an array");
+        } else {
+            const invalidIds = input.userIds.filter(id => !uuidRegex.test(String(id)));
+            if (invalidIds.length > 0) {
+                errors.push(`Invalid eligibility.userIds: ${invalidIds.join(", ")}`);
+            }
+            if (input.userIds.length > 0) rule.userIds = [...new Set(input.userIds)];
+        }
+    }
+
+    const unknownKeys = Object.keys(input).filter(
+        key => key !== "userIds" && !(key in CRITERIA_FIELDS)
+    );
+    if (unknownKeys.length > 0) {
+        errors.push(`Unknown eligibility fields: ${unknownKeys.join(", ")}`);
+    }
+
+    return {
+        rule: isRestricted(rule) ? rule : null,
+        errors,
+    };
+};
+
+/**
+ * Check a single user against a rule
+ * @param {Object|null} rule - Exam eligibility rule
+ * @param {string} userId
+ * @param {Object|null} profile - UserProfile (plain or instance); null when the profile is incomplete
+ * @returns {boolean}
+ */
+export const isUserEligible = (rule, userId, profile) => {
+    if (!isRestricted(rule)) return true;
+
+    if (rule.userIds?.includes(userId)) return true;
+
+    if (!hasCriteria(rule) || !profile) return false;
+
+    return Object.entries(CRITERIA_FIELDS).every(([key, attribute]) =>
+        !rule[key]?.length || rule[key].includes(profile[attribute])
+    );
+};
+
+/**
+ * Build a User `where` clause selecting eligible users
+ * Requires the query to include UserProfile as "profile" with subQuery: false.
+ * @param {Object|null} rule
+ * @returns {Object}
+ */
+export const buildEligibleUsersWhere = (rule) => {
+    if (!isRestricted(rule)) return {};
+
+    const alternatives = [];
+
+    if (rule.userIds?.length > 0) {
+        alternatives.push({ id: { [Op.in]: rule.userIds } });
+    }
+
+    if (hasCriteria(rule)) {
+        alternatives.push({
+            [Op.and]: Object.entries(CRITERIA_FIELDS)
+                .filter(([key]) => rule[key]?.length > 0)
+                .map(([key, attribute]) => ({
+                    [`$profile.${attribute}$`]: { [Op.in]: rule[key] },
+                })),
+        });
+    }
+
+    return { [Op.or]: alternatives };
+};
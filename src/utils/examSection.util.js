@@ -0,0 +1,208 @@
+/**
+ * Section clock for sectioned exams
+ *
+ * Each attempt carries a snapshot of the exam's sections in
+ * `ExamAttempt.sectionState`:
+ *
+ *   {
+ *     activeSectionId,             // section the candidate is working in, null when all are closed
+ *     activeSince,                 // when the current visit to the active section began
+ *     sections: [{ id, order, limitSeconds, lockOnExit, spentSeconds, status }]
+ *   }
+ *
+ * Time is only charged to the active section. A section with a budget closes
+ * (EXPIRED) once its budget is used up and the candidate is moved to the next
+ * open section. Leaving a `lockOnExit` section closes it (LOCKED). Because only
+ * one section runs at a time, the attempt ends when the open budgets run out,
+ * whichever order the candidate visits them in.
+ *
+ * All functions are pure; callers persist the returned state.
+ */
+
+export const SECTION_STATUS = {
+    OPEN: "OPEN",
+    LOCKED: "LOCKED",
+    EXPIRED: "EXPIRED",
+};
+
+const elapsedSeconds = (from, to) =>
+    Math.max(0, Math.floor((new Date(to).getTime() - new Date(from).getTime()) / 1000));
+
+const cloneState = (state) => ({
+    ...state,
+    sections: state.sections.map(s => ({ ...s })),
+});
+
+const pickNextOpenSection = (sections, afterOrder) => {
+    const open = sections
+        .filter(s => s.status === SECTION_STATUS.OPEN)
+        .sort((a, b) => a.order - b.order);
+
+    return open.find(s => s.order > afterOrder) || open[0] || null;
+};
+
+/**
+ * Build the initial section state for a new attempt
+ * @param {Object[]} sections - ExamSection rows
+ * @param {Date} startedAt - Attempt start time
+ * @returns {Object|null} - null when the exam has no sections
+ */
+export const buildSectionState = (sections, startedAt) => {
+    if (!sections || sections.length === 0) return null;
+
+    const ordered = [...sections].sort((a, b) => a.sectionOrder - b.sectionOrder);
+
+    return {
+        activeSectionId: ordered[0].id,
+        activeSince: new Date(startedAt).toISOString(),
+        sections: ordered.map(s => ({
+            id: s.id,
+            order: s.sectionOrder,
+            limitSeconds: s.durationMinutes ? s.durationMinutes * 60 : null,
+            lockOnExit: !!s.lockOnExit,
+            spentSeconds: 0,
+            status: SECTION_STATUS.OPEN,
+        })),
+    };
+};
+
+/**
+ * Close sections whose budget has run out and move the candidate on
+ * @param {Object} state - Current section state
+ * @param {Date} now
+ * @returns {{ state: Object, changed: boolean }}
+ */
+export const resolveSectionState = (state, now = new Date()) => {
+    if (!state) return { state, changed: false };
+
+    const next = cloneState(state);
+    let changed = false;
+
+    while (next.activeSectionId) {
+        const active = next.sections.find(s => s.id === next.activeSectionId);
+
+        if (!active || active.limitSeconds === null) break;
+
+        const expiresAt = new Date(
+            new Date(next.activeSince).getTime() +
+            (active.limitSeconds - active.spentSeconds) * 1000
+        );
+
+        if (now < expiresAt) break;
+
+        active.spentSeconds = active.limitSeconds;
+        active.status = SECTION_STATUS.EXPIRED;
+
+        const following = pickNextOpenSection(next.sections, active.order);
+        next.activeSectionId = following ? following.id : null;
+        next.activeSince = expiresAt.toISOString();
+        changed = true;
+    }
+
+    return { state: changed ? next : state, changed };
+};
+
+/**
+ * Move the candidate to another section
+ * @param {Object} state - Current (resolved) section state
+ * @param {string} sectionId - Section to enter
+ * @param {Date} now
+ * @returns {Object} - { success, error?, message?, state? }
+ */
+export const enterSection = (state, sectionId, now = new Date()) => {
+    const target = state.sections.find(s => s.id === sectionId);
+
+    if (!target) {
+        return { success: false, error: "SECTION_NOT_FOUND", message: "Section not found in this exam" };
+    }
+
+    if (target.status === SECTION_STATUS.LOCKED) {
+        return { success: false, error: "SECTION_LOCKED", message: "This section is locked and cannot be revisited" };
+    }
+
+    if (target.status === SECTION_STATUS.EXPIRED) {
+        return { success: false, error: "SECTION_EXPIRED", message: "Time for this section is over" };
+    }
+
+    if (state.activeSectionId === sectionId) {
+        return { success: true, state };
+    }
+
+    const next = cloneState(state);
+    const current = next.sections.find(s => s.id === next.activeSectionId);
+
+    if (current) {
+        current.spentSeconds += elapsedSeconds(next.activeSince, now);
+        if (current.lockOnExit) {
+            current.status = SECTION_STATUS.LOCKED;
+        }
+    }
+
+    next.activeSectionId = sectionId;
+    next.activeSince = new Date(now).toISOString();
+
+    return { success: true, state: next };
+};
+
+/**
+ * Seconds left in the active section's budget, or null when it has none
+ * @param {Object} state - Resolved section state
+ * @param {Date} now
+ */
+export const getActiveSectionRemainingSeconds = (state, now = new Date()) => {
+    const active = state?.sections.find(s => s.id === state.activeSectionId);
+
+    if (!active || active.limitSeconds === null) return null;
+
+    return Math.max(0, active.limitSeconds - active.spentSeconds - elapsedSeconds(state.activeSince, now));
+};
+
+/**
+ * Latest moment the section clock allows the attempt to run
+ * Remaining budgets of all open sections add up no matter which order they
+ * are visited in. Returns null when some open section has no budget.
+ * @param {Object} state
+ * @returns {Date|null}
+ */
+export const getSectionsEndTime = (state) => {
+    if (!state) return null;
+
+    if (!state.activeSectionId) return new Date(state.activeSince);
+
+    const open = state.sections.filter(s => s.status === SECTION_STATUS.OPEN);
+
+    if (open.some(s => s.limitSeconds === null)) return null;
+
+    const remaining = open.reduce((sum, s) => sum + (s.limitSeconds - s.spentSeconds), 0);
+
+    return new Date(new Date(state.activeSince).getTime() + remaining * 1000);
+};
+
+/**
+ * Public view of the section state for the candidate
+ * @param {Object} state - Resolved section state
+ * @param {Object[]} sections - ExamSection rows (for titles and instructions)
+ * @param {Date} now
+ */
+export const describeSections = (state, sections, now = new Date()) => {
+    const byId = new Map(sections.map(s => [s.id, s]));
+
+    return state.sections.map(s => {
+        const isActive = s.id === state.activeSectionId;
+        const spent = s.spentSeconds + (isActive ? elapsedSeconds(state.activeSince, now) : 0);
+
+        return {
+            id: s.id,
+            title: byId.get(s.id)?.title ?? null,
+            instructions: byId.get(s.id)?.instructions ?? null,
+            sectionOrder: s.order,
+            status: s.status,
+            isActive,
+            lockOnExit: s.lockOnExit,
+            durationMinutes: s.limitSeconds !== null ? s.limitSeconds / 60 : null,
+            remainingSeconds: s.limitSeconds === null
+                ? null
+                : s.status === SECTION_STATUS.OPEN ? Math.max(0, s.limitSeconds - spent) : 0,
+        };
+    });
+};
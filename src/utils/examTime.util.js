@@ -1,10 +1,31 @@
+import { getSectionsEndTime } from "./examSection.util.js";
+
 export const getHardEndTime = (exam, attempt) => {
   const durationEnd = new Date(
     new Date(attempt.startedAt).getTime() +
       exam.durationMinutes * 60 * 1000
   );
 
-  return new Date(
-    Math.min(new Date(exam.endTime).getTime(), durationEnd.getTime())
-  );
-};
\ No newline at end of file
+  const candidates = [new Date(exam.endTime).getTime(), durationEnd.getTime()];
+
+  // Sectioned exams also end once every section budget is spent
+  const sectionsEnd = getSectionsEndTime(attempt.sectionState);
+  if (sectionsEnd) {
+    candidates.push(sectionsEnd.getTime());
+  }
+
+  return new Date(Math.min(...candidates));
+};
+
+export const isValidChallengeWindow = (hours) =>
+  hours === null || (Number.isInteger(hours) && hours > 0);
+
+// Answer-key challenge window: opens when the exam ends, null when challenges are disabled
+export const getChallengeWindow = (exam) => {
+  if (!exam.challengeWindowHours) return null;
+
+  const opensAt = new Date(exam.endTime);
+  const closesAt = new Date(opensAt.getTime() + exam.challengeWindowHours * 60 * 60 * 1000);
+
+  return { opensAt, closesAt };
+};
@@ -0,0 +1,37 @@
+/**
+ * File type detection
+ *
+ * Uploads declare a MIME type, but the client chooses it. The leading
+ * ("magic") bytes of the content tell what the file really is; uploads whose
+ * content does not match their declared type are refused.
+ */
+
+// MIME type -> byte patterns at the given offsets, all of which must match
+const SIGNATURES = {
+    "image/png": [[0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]]],
+    "image/jpeg": [[0, [0xff, 0xd8, 0xff]]],
+    "image/gif": [[0, Buffer.from("GIF8")]],
+    "image/webp": [[0, Buffer.from("RIFF")], [8, Buffer.from("WEBP")]],
+    "application/pdf": [[0, Buffer.from("%PDF-")]],
+};
+
+const startsWithAt = (buffer, offset, bytes) =>
+    buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+
+/**
+ * The MIME type the content's signature identifies, or null when unknown
+ * @param {Buffer} buffer
+ * @returns {string|null}
+ */
+export const detectFileType = (buffer) => {
+    if (!Buffer.isBuffer(buffer)) return null;
+
+    const match = Object.entries(SIGNATURES).find(([, patterns]) =>
+        patterns.every(([offset, bytes]) => startsWithAt(buffer, offset, [...bytes]))
+    );
+
+    return match ? match[0] : null;
+};
+
+// Whether an upload's content is what its declared MIME type says
+export const matchesDeclaredType = (file) => detectFileType(file.buffer) === file.mimetype;
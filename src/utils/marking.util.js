@@ -0,0 +1,365 @@
+/**
+ * Marking rules
+ *
+ * A marking scheme is a small JSON rule set stored (and versioned) in
+ * `marking_schemes`. Exams and individual exam questions point at a specific
+ * scheme version; anything without a scheme is marked with DEFAULT_MARKING_RULES.
+ *
+ * Rule set shape:
+ *   {
+ *     multipleCorrect: "ALL_OR_NOTHING" | "PARTIAL" | "PROPORTIONAL",
+ *     partialMarksPerOption: number | null,   // PARTIAL only; null = marks / number of correct options
+ *     negativeMarking: "SCALED" | "FIXED" | "FRACTION" | "NONE",
+ *     negativeValue: number,                  // FIXED: marks deducted, FRACTION: share of the question's marks
+ *     allowNegativeQuestionScore: boolean,    // false = a question never scores below 0
+ *     allowNegativeTotal: boolean,            // false = the attempt total never goes below 0
+ *   }
+ *
+ * MULTIPLE_CORRECT modes:
+ * - ALL_OR_NOTHING: full marks for the exact set, penalty otherwise
+ * - PARTIAL (JEE style): penalty if any wrong option is chosen, full marks for
+ *   the exact set, otherwise partialMarksPerOption for every correct option chosen
+ * - PROPORTIONAL: marks x (correct chosen / correct total - wrong chosen / wrong total)
+ *
+ * Penalty for a wrong answer:
+ * - SCALED: the exam question's own negativeMarks if set, else the question's
+ *   negativeMarks scaled to the marks the exam awards for it
+ * - FIXED / FRACTION / NONE as above
+ *
+ * Answer-key overrides (`ExamQuestion.keyOverride`) apply after an exam, on top of the rules:
+ *   { mode: "BONUS", awardTo: "ALL" | "ATTEMPTED" }       // dropped question, full marks
+ *   { mode: "MULTIPLE_KEYS", acceptedOptionSets: [[optionId, ...], ...],
+ *     acceptedNumerical: [{ value, tolerance }, ...] }   // extra keys counted as correct
+ *
+ * FILL_IN_BLANK and MATCH_THE_FOLLOWING are scored per blank / per pair:
+ * every part right earns full marks; under PARTIAL or PROPORTIONAL rules some
+ * parts right earn marks x (right parts / all parts); no part right is a wrong
+ * answer. INTEGER is correct when the answer lies in the key's [min, max] and
+ * ASSERTION_REASON is scored as SINGLE_CORRECT.
+ *
+ * SUBJECTIVE answers are marked by graders (see grading.service). Until the
+ * answer is GRADED it scores 0 with outcome PENDING_GRADING; afterwards it
+ * scores StudentAnswer.manualMarks. Negative marking never applies to them.
+ */
+
+import { normalizeBlankText } from "./questionType.util.js";
+
+export const KEY_OVERRIDE_MODES = ["BONUS", "MULTIPLE_KEYS"];
+export const MULTIPLE_CORRECT_MODES = ["ALL_OR_NOTHING", "PARTIAL", "PROPORTIONAL"];
+export const NEGATIVE_MARKING_MODES = ["SCALED", "FIXED", "FRACTION", "NONE"];
+
+export const DEFAULT_MARKING_RULES = Object.freeze({
+    multipleCorrect: "ALL_OR_NOTHING",
+    partialMarksPerOption: null,
+    negativeMarking: "SCALED",
+    negativeValue: 0,
+    allowNegativeQuestionScore: false,
+    allowNegativeTotal: false,
+});
+
+const isNonNegativeNumber = (value) => typeof value === "number" && Number.isFinite(value) && value >= 0;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Validate a rule set and fill in defaults
+ * @param {Object} input
+ * @returns {{ rules: Object|null, errors: string[] }}
+ */
+export const normalizeMarkingRules = (input) => {
+    if (!input || typeof input !== "object" || Array.isArray(input)) {
+        return { rules: null, errors: ["rules must be an object"] };
+    }
+
+    const errors = [];
+    const rules = { ...DEFAULT_MARKING_RULES, ...input };
+
+    if (!MULTIPLE_CORRECT_MODES.includes(rules.multipleCorrect)) {
+        errors.push(`multipleCorrect must be one of ${MULTIPLE_CORRECT_MODES.join(", ")}`);
+    }
+
+    if (rules.partialMarksPerOption !== null && !isNonNegativeNumber(rules.partialMarksPerOption)) {
+        errors.push("partialMarksPerOption must be a non-negative number or null");
+    }
+
+    if (!NEGATIVE_MARKING_MODES.includes(rules.negativeMarking)) {
+        errors.push(`negativeMarking must be one of ${NEGATIVE_MARKING_MODES.join(", ")}`);
+    }
+
+    if (!isNonNegativeNumber(rules.negativeValue)) {
+        errors.push("negativeValue must be a non-negative number");
+    } else if (rules.negativeMarking === "FRACTION" && rules.negativeValue > 1) {
+        errors.push("negativeValue must be between 0 and 1 for FRACTION");
+    }
+
+    for (const flag of ["allowNegativeQuestionScore", "allowNegativeTotal"]) {
+        if (typeof rules[flag] !== "boolean") {
+            errors.push(`${flag} must be a boolean`);
+        }
+    }
+
+    const unknown = Object.keys(input).filter(key => !(key in DEFAULT_MARKING_RULES));
+    if (unknown.length > 0) {
+        errors.push(`Unknown rule(s): ${unknown.join(", ")}`);
+    }
+
+    return { rules: errors.length === 0 ? rules : null, errors };
+};
+
+/**
+ * Validate an answer-key override against the question it applies to
+ * @param {Object|null} input - null clears the override
+ * @param {Object} question - Question with options loaded
+ * @returns {{ override: Object|null, errors: string[] }}
+ */
+export const normalizeKeyOverride = (input, question) => {
+    if (input === null) return { override: null, errors: [] };
+
+    if (!input || typeof input !== "object" || !KEY_OVERRIDE_MODES.includes(input.mode)) {
+        return { override: null, errors: [`mode must be one of ${KEY_OVERRIDE_MODES.join(", ")}`] };
+    }
+
+    if (input.mode === "BONUS") {
+        const awardTo = input.awardTo ?? "ALL";
+        return ["ALL", "ATTEMPTED"].includes(awardTo)
+            ? { override: { mode: "BONUS", awardTo }, errors: [] }
+            : { override: null, errors: ["awardTo must be ALL or ATTEMPTED"] };
+    }
+
+    const errors = [];
+
+    if (["SUBJECTIVE", "FILL_IN_BLANK", "MATCH_THE_FOLLOWING"].includes(question.questionType)) {
+        return {
+            override: null,
+            errors: [`Only BONUS is supported for ${question.questionType}; edit the question's answer key, move the exam to the new version and re-score instead`],
+        };
+    }
+
+    if (question.questionType === "NUMERICAL" || question.questionType === "INTEGER") {
+        const accepted = input.acceptedNumerical;
+
+        if (!Array.isArray(accepted) || accepted.length === 0) {
+            errors.push("acceptedNumerical must be a non-empty array of { value, tolerance }");
+        } else if (accepted.some(k => typeof k?.value !== "number" || !isNonNegativeNumber(k.tolerance ?? 0))) {
+            errors.push("Each accepted numerical key needs a numeric value and a non-negative tolerance");
+        }
+
+        return errors.length
+            ? { override: null, errors }
+            : {
+                override: {
+                    mode: "MULTIPLE_KEYS",
+                    acceptedNumerical: accepted.map(k => ({ value: k.value, tolerance: k.tolerance ?? 0 })),
+                },
+                errors,
+            };
+    }
+
+    const sets = input.acceptedOptionSets;
+    const optionIds = new Set((question.options || []).map(o => o.id));
+
+    if (!Array.isArray(sets) || sets.length === 0 || sets.some(set => !Array.isArray(set) || set.length === 0)) {
+        errors.push("acceptedOptionSets must be a non-empty array of non-empty option ID arrays");
+    } else {
+        const unknown = sets.flat().filter(id => !optionIds.has(id));
+        if (unknown.length > 0) {
+            errors.push(`Options not in this question: ${[...new Set(unknown)].join(", ")}`);
+        }
+        if (["SINGLE_CORRECT", "ASSERTION_REASON"].includes(question.questionType) && sets.some(set => set.length !== 1)) {
+            errors.push(`Each accepted set must contain exactly one option for ${question.questionType}`);
+        }
+    }
+
+    return errors.length
+        ? { override: null, errors }
+        : {
+            override: {
+                mode: "MULTIPLE_KEYS",
+                acceptedOptionSets: sets.map(set => [...new Set(set)]),
+            },
+            errors,
+        };
+};
+
+const matchesAcceptedKey = (override, question, selectedIds, answer) => {
+    if (override?.mode !== "MULTIPLE_KEYS") return false;
+
+    if (question.questionType === "NUMERICAL" || question.questionType === "INTEGER") {
+        return (override.acceptedNumerical || []).some(
+            k => Math.abs(answer.numericalAnswer - k.value) <= k.tolerance
+        );
+    }
+
+    return (override.acceptedOptionSets || []).some(
+        set => set.length === selectedIds.length && set.every(id => selectedIds.includes(id))
+    );
+};
+
+/**
+ * Marks deducted for a wrong answer under the given rules
+ * @param {Object} rules
+ * @param {Object} question - Question (negativeMarks, marks)
+ * @param {Object} examQuestion - ExamQuestion (marksForEachQuestion, negativeMarks)
+ */
+export const getPenalty = (rules, question, examQuestion) => {
+    const marks = examQuestion.marksForEachQuestion;
+
+    switch (rules.negativeMarking) {
+        case "NONE":
+            return 0;
+        case "FIXED":
+            return rules.negativeValue;
+        case "FRACTION":
+            return round(marks * rules.negativeValue);
+        default: {
+            if (examQuestion.negativeMarks !== null && examQuestion.negativeMarks !== undefined) {
+                return examQuestion.negativeMarks;
+            }
+            const baseMarks = question.marks || marks;
+            return round((question.negativeMarks || 0) * (marks / baseMarks));
+        }
+    }
+};
+
+const scoreMultipleCorrect = (rules, marks, penalty, selectedIds, options) => {
+    const correctIds = options.filter(o => o.isCorrect).map(o => o.id);
+    const wrongOptionCount = options.length - correctIds.length;
+
+    const correctChosen = selectedIds.filter(id => correctIds.includes(id)).length;
+    const wrongChosen = selectedIds.length - correctChosen;
+    const isExactMatch = wrongChosen === 0 && correctChosen === correctIds.length;
+
+    const detail = { correctChosen, wrongChosen, correctTotal: correctIds.length };
+
+    if (rules.multipleCorrect === "PARTIAL") {
+        if (wrongChosen > 0) return { raw: -penalty, outcome: "INCORRECT", ...detail };
+        if (isExactMatch) return { raw: marks, outcome: "CORRECT", ...detail };
+
+        const perOption = rules.partialMarksPerOption ?? marks / correctIds.length;
+        return { raw: round(Math.min(marks, perOption * correctChosen)), outcome: "PARTIAL", ...detail };
+    }
+
+    if (rules.multipleCorrect === "PROPORTIONAL") {
+        const share =
+            (correctIds.length ? correctChosen / correctIds.length : 0) -
+            (wrongOptionCount ? wrongChosen / wrongOptionCount : 0);
+
+        return {
+            raw: round(marks * share),
+            outcome: isExactMatch ? "CORRECT" : share > 0 ? "PARTIAL" : "INCORRECT",
+            ...detail,
+        };
+    }
+
+    return isExactMatch
+        ? { raw: marks, outcome: "CORRECT", ...detail }
+        : { raw: -penalty, outcome: "INCORRECT", ...detail };
+};
+
+// Blanks / match pairs: all right, some right (PARTIAL or PROPORTIONAL rules only) or wrong
+const scoreParts = (rules, marks, penalty, correctParts, totalParts) => {
+    const detail = { correctParts, totalParts };
+
+    if (totalParts > 0 && correctParts === totalParts) return { raw: marks, outcome: "CORRECT", ...detail };
+
+    if (correctParts > 0 && rules.multipleCorrect !== "ALL_OR_NOTHING") {
+        return { raw: round(marks * correctParts / totalParts), outcome: "PARTIAL", ...detail };
+    }
+
+    return { raw: -penalty, outcome: "INCORRECT", ...detail };
+};
+
+const countCorrectBlanks = (answerKey, blankAnswers) =>
+    answerKey.blanks.filter((blank, i) => {
+        const given = normalizeBlankText(blankAnswers[i], blank);
+        return given.length > 0 && blank.acceptedAnswers.some(a => normalizeBlankText(a, blank) === given);
+    }).length;
+
+const countCorrectMatches = (answerKey, matches) =>
+    Object.entries(answerKey.matches).filter(([leftId, rightId]) => matches[leftId] === rightId).length;
+
+/**
+ * Score one exam question
+ * @param {Object} params
+ * @param {Object} params.rules - Normalised rule set
+ * @param {Object} params.question - Question with options / numericalAnswer loaded
+ * @param {Object} params.examQuestion - ExamQuestion row
+ * @param {Object|null} params.answer - StudentAnswer or null
+ * @returns {{ marksObtained: number, breakdown: Object }}
+ */
+export const scoreQuestion = ({ rules, question, examQuestion, answer }) => {
+    const marks = examQuestion.marksForEachQuestion;
+    const penalty = question.questionType === "SUBJECTIVE" ? 0 : getPenalty(rules, question, examQuestion);
+
+    const override = examQuestion.keyOverride;
+
+    let result = { raw: 0, outcome: "UNATTEMPTED" };
+
+    const selectedIds = [...new Set(answer?.selectedOptionIds || [])];
+    const hasNumerical = answer?.numericalAnswer !== null && answer?.numericalAnswer !== undefined;
+    const hasText = typeof answer?.textAnswer === "string" && answer.textAnswer.trim().length > 0;
+    const structured = answer?.structuredAnswer;
+    const hasStructured = Array.isArray(structured)
+        ? structured.some(a => typeof a === "string" && a.trim().length > 0)
+        : !!structured && Object.keys(structured).length > 0;
+    const attempted = selectedIds.length > 0 || hasNumerical || hasText || hasStructured;
+
+    if (override?.mode === "BONUS") {
+        if (override.awardTo === "ALL" || attempted) {
+            result = { raw: marks, outcome: "BONUS" };
+        }
+    } else if (question.questionType === "SUBJECTIVE") {
+        if (hasText) {
+            result = answer.gradingStatus === "GRADED"
+                ? { raw: answer.manualMarks, outcome: "GRADED" }
+                : { raw: 0, outcome: "PENDING_GRADING" };
+        }
+    } else if (attempted && matchesAcceptedKey(override, question, selectedIds, answer)) {
+        result = { raw: marks, outcome: "CORRECT", matchedAcceptedKey: true };
+    } else if (["SINGLE_CORRECT", "ASSERTION_REASON"].includes(question.questionType) && selectedIds.length > 0) {
+        const correctOption = question.options.find(o => o.isCorrect);
+        result = correctOption && selectedIds[0] === correctOption.id
+            ? { raw: marks, outcome: "CORRECT" }
+            : { raw: -penalty, outcome: "INCORRECT" };
+    } else if (question.questionType === "MULTIPLE_CORRECT" && selectedIds.length > 0) {
+        result = scoreMultipleCorrect(rules, marks, penalty, selectedIds, question.options);
+    } else if (question.questionType === "NUMERICAL" && hasNumerical && question.numericalAnswer) {
+        const key = question.numericalAnswer;
+        result = Math.abs(answer.numericalAnswer - key.value) <= key.tolerance
+            ? { raw: marks, outcome: "CORRECT" }
+            : { raw: -penalty, outcome: "INCORRECT" };
+    } else if (question.questionType === "INTEGER" && hasNumerical && question.answerKey) {
+        const { min, max } = question.answerKey;
+        const value = answer.numericalAnswer;
+        result = Number.isInteger(value) && value >= min && value <= max
+            ? { raw: marks, outcome: "CORRECT" }
+            : { raw: -penalty, outcome: "INCORRECT" };
+    } else if (question.questionType === "FILL_IN_BLANK" && hasStructured && question.answerKey) {
+        const total = question.answerKey.blanks.length;
+        result = scoreParts(rules, marks, penalty, countCorrectBlanks(question.answerKey, structured), total);
+    } else if (question.questionType === "MATCH_THE_FOLLOWING" && hasStructured && question.answerKey) {
+        const total = Object.keys(question.answerKey.matches).length;
+        result = scoreParts(rules, marks, penalty, countCorrectMatches(question.answerKey, structured), total);
+    }
+
+    const marksObtained = rules.allowNegativeQuestionScore ? result.raw : Math.max(0, result.raw);
+
+    return {
+        marksObtained,
+        breakdown: {
+            ...result,
+            maxMarks: marks,
+            penalty,
+            marksObtained,
+            clamped: marksObtained !== result.raw,
+        },
+    };
+};
+
+/**
+ * Apply the exam-level total rule
+ * @param {number} total - Sum of question marks
+ * @param {Object} rules - Exam-level rule set
+ */
+export const finalizeTotal = (total, rules) =>
+    rules.allowNegativeTotal ? round(total) : Math.max(0, round(total));
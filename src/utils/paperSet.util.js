@@ -0,0 +1,106 @@
+import { seededShuffle } from "./shuffle.util.js";
+
+/**
+ * Paper sets
+ *
+ * An exam with paper sets gives every candidate one set (Set A, Set B...)
+ * when the attempt starts:
+ * - RANDOM: a seeded pick from the exam and user IDs, so it is reproducible
+ * - ROLL_PARITY: the trailing number of the enrollment number modulo the
+ *   number of sets (odd/even with two sets); candidates without one fall
+ *   back to RANDOM
+ *
+ * Sets may differ in difficulty, so rankings compare scores after
+ * mean-sigma equating: each set's scores are rescaled to the mean and
+ * spread of all candidates together.
+ */
+
+export const PAPER_SET_ASSIGNMENTS = ["RANDOM", "ROLL_PARITY"];
+export const MAX_PAPER_SETS = 10;
+export const MAX_PAPER_SET_LABEL_LENGTH = 20;
+
+/**
+ * Validate a list of set labels
+ * @param {string[]} labels
+ * @returns {{ labels: string[], errors: string[] }}
+ */
+export const normalizePaperSetLabels = (labels) => {
+    if (!Array.isArray(labels)) {
+        return { labels: [], errors: ["sets must be an array of labels"] };
+    }
+
+    const errors = [];
+    const normalized = labels.map(label => (typeof label === "string" ? label.trim() : ""));
+
+    if (normalized.length === 1 || normalized.length > MAX_PAPER_SETS) {
+        errors.push(`An exam has either no paper sets or 2 to ${MAX_PAPER_SETS}`);
+    }
+
+    if (normalized.some(label => label.length === 0 || label.length > MAX_PAPER_SET_LABEL_LENGTH)) {
+        errors.push(`Each label must be 1 to ${MAX_PAPER_SET_LABEL_LENGTH} characters`);
+    }
+
+    if (new Set(normalized.map(label => label.toLowerCase())).size !== normalized.length) {
+        errors.push("Labels must be unique");
+    }
+
+    return { labels: normalized, errors };
+};
+
+// Trailing number of an enrollment number ("EE/21/047" -> 47), or null
+const rollNumberOf = (enrollmentNumber) => {
+    const match = String(enrollmentNumber ?? "").match(/(\d{1,9})\D*$/);
+    return match ? parseInt(match[1], 10) : null;
+};
+
+/**
+ * Choose the paper set for a candidate
+ * @param {Object[]} sets - The exam's sets in setOrder
+ * @param {Object} options - { assignment, examId, userId, enrollmentNumber }
+ * @returns {Object} One of `sets`
+ */
+export const assignPaperSet = (sets, { assignment, examId, userId, enrollmentNumber = null }) => {
+    if (assignment === "ROLL_PARITY") {
+        const roll = rollNumberOf(enrollmentNumber);
+        if (roll !== null) return sets[roll % sets.length];
+    }
+
+    return seededShuffle(sets, `${examId}:${userId}`)[0];
+};
+
+const meanAndSd = (values) => {
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    const sd = Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length);
+    return { mean, sd };
+};
+
+/**
+ * Rescale every set's scores onto the distribution of all candidates
+ * A set whose scores do not vary is only shifted.
+ * @param {Object[]} attempts - { id, paperSetId, score }
+ * @returns {Map<string, number>} attemptId -> normalised score (2 decimals)
+ */
+export const normalizeAcrossSets = (attempts) => {
+    const result = new Map();
+    if (attempts.length === 0) return result;
+
+    const overall = meanAndSd(attempts.map(a => a.score));
+    const bySet = new Map();
+
+    for (const attempt of attempts) {
+        if (!bySet.has(attempt.paperSetId)) bySet.set(attempt.paperSetId, []);
+        bySet.get(attempt.paperSetId).push(attempt);
+    }
+
+    for (const group of bySet.values()) {
+        const set = meanAndSd(group.map(a => a.score));
+        const scale = set.sd > 0 ? overall.sd / set.sd : 1;
+
+        for (const attempt of group) {
+            const normalized = overall.mean + (attempt.score - set.mean) * scale;
+            result.set(attempt.id, Math.round(normalized * 100) / 100);
+        }
+    }
+
+    return result;
+};
@@ -0,0 +1,274 @@
+/**
+ * Question type definitions
+ *
+ * SINGLE_CORRECT / MULTIPLE_CORRECT keep their key on Option rows and NUMERICAL
+ * on NumericalAnswer. The types below are described by a type definition that
+ * is split into public typeData (sent to candidates) and a private answerKey:
+ *
+ * FILL_IN_BLANK
+ *   input:     { blanks: [{ acceptedAnswers: [string], caseSensitive?, whitespace? }] }
+ *   typeData:  { blankCount }
+ *   answerKey: { blanks: [{ acceptedAnswers, caseSensitive, whitespace }] }
+ *   whitespace: TRIM (ends only) | COLLAPSE (runs become one space, default) | IGNORE (all removed)
+ *
+ * MATCH_THE_FOLLOWING
+ *   input:     { left: [string], right: [string], correctMatches: [rightIndex per left item] }
+ *   typeData:  { left: [{ id: "L1", text }], right: [{ id: "R1", text }] }
+ *   answerKey: { matches: { L1: "R2", ... } }
+ *
+ * INTEGER
+ *   input:     { min, max } or { value }
+ *   answerKey: { min, max } (inclusive)
+ *
+ * ASSERTION_REASON
+ *   input:     { assertion, reason, correctChoice: "A" | "B" | "C" | "D" }
+ *   typeData:  { assertion, reason }
+ *   The four standard choices are created as Option rows, so answering and
+ *   scoring work exactly like SINGLE_CORRECT.
+ */
+
+export const QUESTION_TYPES = [
+    "SINGLE_CORRECT",
+    "MULTIPLE_CORRECT",
+    "NUMERICAL",
+    "SUBJECTIVE",
+    "FILL_IN_BLANK",
+    "MATCH_THE_FOLLOWING",
+    "INTEGER",
+    "ASSERTION_REASON",
+];
+
+// Types created from a type definition rather than free-form options
+export const DEFINITION_TYPES = ["FILL_IN_BLANK", "MATCH_THE_FOLLOWING", "INTEGER", "ASSERTION_REASON"];
+
+export const BLANK_WHITESPACE_MODES = ["TRIM", "COLLAPSE", "IGNORE"];
+
+export const ASSERTION_REASON_CHOICES = [
+    { key: "A", text: "Both Assertion and Reason are true, and Reason is the correct explanation of Assertion" },
+    { key: "B", text: "Both Assertion and Reason are true, but Reason is not the correct explanation of Assertion" },
+    { key: "C", text: "Assertion is true, but Reason is false" },
+    { key: "D", text: "Assertion is false, but Reason is true" },
+];
+
+const MAX_BLANKS = 20;
+const MAX_MATCH_ITEMS = 10;
+export const MAX_BLANK_ANSWER_LENGTH = 500;
+
+const isNonEmptyString = (value) => typeof value === "string" && value.trim().length > 0;
+
+/**
+ * Normalise one blank's text the way its key says to compare it
+ * @param {string} value
+ * @param {Object} blank - { caseSensitive, whitespace }
+ */
+export const normalizeBlankText = (value, { caseSensitive = false, whitespace = "COLLAPSE" } = {}) => {
+    let text = String(value ?? "");
+
+    if (whitespace === "IGNORE") text = text.replace(/\s+/g, "");
+    else if (whitespace === "COLLAPSE") text = text.trim().replace(/\s+/g, " ");
+    else text = text.trim();
+
+    return caseSensitive ? text : text.toLowerCase();
+};
+
+const normalizeFillInBlank = ({ blanks }) => {
+    const errors = [];
+
+    if (!Array.isArray(blanks) || blanks.length === 0 || blanks.length > MAX_BLANKS) {
+        return { errors: [`blanks must be an array of 1 to ${MAX_BLANKS} blanks`] };
+    }
+
+    const normalized = blanks.map((blank, index) => {
+        const accepted = Array.isArray(blank?.acceptedAnswers)
+            ? blank.acceptedAnswers.filter(isNonEmptyString).map(a => a.trim())
+            : [];
+        const whitespace = blank?.whitespace ?? "COLLAPSE";
+
+        if (accepted.length === 0) {
+            errors.push(`Blank ${index + 1} needs at least one accepted answer`);
+        }
+        if (!BLANK_WHITESPACE_MODES.includes(whitespace)) {
+            errors.push(`Blank ${index + 1}: whitespace must be one of ${BLANK_WHITESPACE_MODES.join(", ")}`);
+        }
+
+        return {
+            acceptedAnswers: [...new Set(accepted)],
+            caseSensitive: !!blank?.caseSensitive,
+            whitespace,
+        };
+    });
+
+    return {
+        typeData: { blankCount: normalized.length },
+        answerKey: { blanks: normalized },
+        errors,
+    };
+};
+
+const normalizeMatchTheFollowing = ({ left, right, correctMatches }) => {
+    const isItemList = (items) =>
+        Array.isArray(items) && items.length >= 2 && items.length <= MAX_MATCH_ITEMS && items.every(isNonEmptyString);
+
+    if (!isItemList(left) || !isItemList(right)) {
+        return { errors: [`left and right must each list 2 to ${MAX_MATCH_ITEMS} non-empty items`] };
+    }
+
+    if (!Array.isArray(correctMatches) || correctMatches.length !== left.length) {
+        return { errors: ["correctMatches must give one right-column index for every left item"] };
+    }
+
+    if (correctMatches.some(i => !Number.isInteger(i) || i < 0 || i >= right.length)) {
+        return { errors: [`correctMatches entries must be right-column indexes from 0 to ${right.length - 1}`] };
+    }
+
+    const leftItems = left.map((text, i) => ({ id: `L${i + 1}`, text: text.trim() }));
+    const rightItems = right.map((text, i) => ({ id: `R${i + 1}`, text: text.trim() }));
+
+    return {
+        typeData: { left: leftItems, right: rightItems },
+        answerKey: {
+            matches: Object.fromEntries(leftItems.map((item, i) => [item.id, rightItems[correctMatches[i]].id])),
+        },
+        errors: [],
+    };
+};
+
+const normalizeInteger = ({ min, max, value }) => {
+    const low = value !== undefined && min === undefined ? value : min;
+    const high = value !== undefined && max === undefined ? value : max;
+
+    if (!Number.isInteger(low) || !Number.isInteger(high)) {
+        return { errors: ["INTEGER questions need integer min and max (or a single integer value)"] };
+    }
+
+    if (low > high) {
+        return { errors: ["min cannot be greater than max"] };
+    }
+
+    return { typeData: null, answerKey: { min: low, max: high }, errors: [] };
+};
+
+const normalizeAssertionReason = ({ assertion, reason, correctChoice }) => {
+    const errors = [];
+
+    if (!isNonEmptyString(assertion)) errors.push("assertion is required");
+    if (!isNonEmptyString(reason)) errors.push("reason is required");
+    if (!ASSERTION_REASON_CHOICES.some(c => c.key === correctChoice)) {
+        errors.push(`correctChoice must be one of ${ASSERTION_REASON_CHOICES.map(c => c.key).join(", ")}`);
+    }
+
+    if (errors.length > 0) return { errors };
+
+    return {
+        typeData: { assertion: assertion.trim(), reason: reason.trim() },
+        answerKey: null,
+        options: ASSERTION_REASON_CHOICES.map((choice, index) => ({
+            text: choice.text,
+            isCorrect: choice.key === correctChoice,
+            order: index + 1,
+        })),
+        errors,
+    };
+};
+
+const NORMALIZERS = {
+    FILL_IN_BLANK: normalizeFillInBlank,
+    MATCH_THE_FOLLOWING: normalizeMatchTheFollowing,
+    INTEGER: normalizeInteger,
+    ASSERTION_REASON: normalizeAssertionReason,
+};
+
+/**
+ * Validate a type definition and split it into what is stored
+ * @param {string} questionType - One of DEFINITION_TYPES
+ * @param {Object} input - Type-specific fields (see top of file)
+ * @returns {{ typeData: Object|null, answerKey: Object|null, options?: Object[], errors: string[] }}
+ */
+export const normalizeTypeDefinition = (questionType, input) => {
+    const normalize = NORMALIZERS[questionType];
+
+    if (!normalize) {
+        return { typeData: null, answerKey: null, errors: [`${questionType} has no type definition`] };
+    }
+
+    const result = normalize(input || {});
+    return { typeData: null, answerKey: null, ...result };
+};
+
+/**
+ * Check a candidate's structured answer against the question's typeData
+ * @param {Object} question - Question with questionType and typeData
+ * @param {Object} body - { blankAnswers } for FILL_IN_BLANK, { matches } for MATCH_THE_FOLLOWING
+ * @returns {{ value: Array|Object|null, error: string|null }}
+ */
+export const normalizeStructuredAnswer = (question, { blankAnswers, matches }) => {
+    if (question.questionType === "FILL_IN_BLANK") {
+        const blankCount = question.typeData?.blankCount ?? 0;
+
+        if (!Array.isArray(blankAnswers) || blankAnswers.length !== blankCount) {
+            return { value: null, error: `blankAnswers must be an array of ${blankCount} answer(s)` };
+        }
+
+        if (blankAnswers.some(a => a !== null && typeof a !== "string")) {
+            return { value: null, error: "Each blank answer must be text or null" };
+        }
+
+        if (blankAnswers.some(a => a && a.length > MAX_BLANK_ANSWER_LENGTH)) {
+            return { value: null, error: `Each blank answer must be at most ${MAX_BLANK_ANSWER_LENGTH} characters` };
+        }
+
+        return { value: blankAnswers.map(a => a ?? ""), error: null };
+    }
+
+    if (question.questionType === "MATCH_THE_FOLLOWING") {
+        if (!matches || typeof matches !== "object" || Array.isArray(matches)) {
+            return { value: null, error: "matches must be an object of left item ID to right item ID" };
+        }
+
+        const leftIds = new Set((question.typeData?.left || []).map(i => i.id));
+        const rightIds = new Set((question.typeData?.right || []).map(i => i.id));
+
+        const invalid = Object.entries(matches).filter(
+            ([leftId, rightId]) => !leftIds.has(leftId) || (rightId !== null && !rightIds.has(rightId))
+        );
+
+        if (invalid.length > 0) {
+            return { value: null, error: "matches refers to items that are not in this question" };
+        }
+
+        return {
+            value: Object.fromEntries(Object.entries(matches).filter(([, rightId]) => rightId !== null)),
+            error: null,
+        };
+    }
+
+    return { value: null, error: null };
+};
+
+/**
+ * The key of a question in the form results show it
+ * @param {Object} question - Question with options, numericalAnswer and answerKey loaded
+ * @returns {string|string[]|Object|null} Option ID(s), { value, tolerance }, the INTEGER
+ *   range, accepted answers per blank or the match map; null for SUBJECTIVE
+ */
+export const getCorrectAnswer = (question) => {
+    switch (question.questionType) {
+        case "SINGLE_CORRECT":
+        case "ASSERTION_REASON":
+            return (question.options || []).find(opt => opt.isCorrect)?.id ?? null;
+        case "MULTIPLE_CORRECT":
+            return (question.options || []).filter(opt => opt.isCorrect).map(opt => opt.id);
+        case "NUMERICAL":
+            return question.numericalAnswer
+                ? { value: question.numericalAnswer.value, tolerance: question.numericalAnswer.tolerance }
+                : null;
+        case "INTEGER":
+            return question.answerKey ?? null;
+        case "FILL_IN_BLANK":
+            return question.answerKey ? question.answerKey.blanks.map(blank => blank.acceptedAnswers) : null;
+        case "MATCH_THE_FOLLOWING":
+            return question.answerKey?.matches ?? null;
+        default:
+            return null;
+    }
+};
@@ -0,0 +1,139 @@
+/**
+ * Result release policy
+ *
+ * When candidates see their results, and which parts:
+ * - resultReleaseMode: ON_END (when the exam ends), SCHEDULED (at
+ *   resultReleaseAt) or MANUAL (when an admin releases them; resultsReleasedAt)
+ * - releaseScore, releaseRank, releaseCorrectness, releaseAnswerKey: the
+ *   parts shown once released. Correctness is the marks and outcome of each
+ *   answer; the key is the correct answers, key corrections and explanations.
+ *
+ * Practice results are released on submit and are never ranked.
+ */
+
+import { Op } from "sequelize";
+
+export const RESULT_RELEASE_MODES = ["ON_END", "SCHEDULED", "MANUAL"];
+
+// Exam attribute -> part of the result it releases
+export const RESULT_PARTS = {
+    releaseScore: "score",
+    releaseRank: "rank",
+    releaseCorrectness: "correctness",
+    releaseAnswerKey: "answerKey",
+};
+
+// Exam attributes result checks need
+export const RESULT_RELEASE_ATTRIBUTES = [
+    "mode",
+    "endTime",
+    "resultReleaseMode",
+    "resultReleaseAt",
+    "resultsReleasedAt",
+    ...Object.keys(RESULT_PARTS),
+];
+
+/**
+ * When results are (or were) released; null while a manual release is pending
+ * @param {Object} exam
+ * @returns {Date|null}
+ */
+export const getResultReleaseTime = (exam) => {
+    if (exam.resultReleaseMode === "SCHEDULED") return new Date(exam.resultReleaseAt);
+    if (exam.resultReleaseMode === "MANUAL") return exam.resultsReleasedAt ? new Date(exam.resultsReleasedAt) : null;
+    return new Date(exam.endTime);
+};
+
+export const isResultReleased = (exam, now = new Date()) => {
+    if (exam.mode === "PRACTICE") return true;
+
+    const releaseTime = getResultReleaseTime(exam);
+    return releaseTime !== null && now >= releaseTime;
+};
+
+/**
+ * The parts of the result a candidate may see now
+ * @param {Object} exam
+ * @param {Date} now
+ * @returns {{ released: boolean, score: boolean, rank: boolean, correctness: boolean, answerKey: boolean }}
+ */
+export const getResultVisibility = (exam, now = new Date()) => {
+    const released = isResultReleased(exam, now);
+    const visibility = { released };
+
+    for (const [attribute, part] of Object.entries(RESULT_PARTS)) {
+        visibility[part] = released && exam[attribute] !== false;
+    }
+
+    if (exam.mode === "PRACTICE") visibility.rank = false;
+
+    return visibility;
+};
+
+// Why a candidate cannot see the result yet, with the release time when known
+export const describePendingRelease = (exam) => {
+    if (exam.resultReleaseMode === "MANUAL") {
+        return { message: "Results have not been released yet", releaseAt: null };
+    }
+
+    const releaseAt = getResultReleaseTime(exam);
+
+    return {
+        message: exam.resultReleaseMode === "SCHEDULED"
+            ? "Results will be available at the scheduled release time"
+            : "Results will be available after exam ends",
+        releaseAt,
+    };
+};
+
+/**
+ * First problem with a release policy, or null
+ * @param {Object} policy - The resulting { mode, endTime, resultReleaseMode, resultReleaseAt, release* }
+ */
+export const validateResultReleasePolicy = (policy) => {
+    if (!RESULT_RELEASE_MODES.includes(policy.resultReleaseMode)) {
+        return `resultReleaseMode must be one of ${RESULT_RELEASE_MODES.join(", ")}`;
+    }
+
+    if (policy.mode === "PRACTICE" && policy.resultReleaseMode !== "ON_END") {
+        return "Practice results are released on submit";
+    }
+
+    if (policy.resultReleaseMode === "SCHEDULED" && !policy.resultReleaseAt) {
+        return "resultReleaseAt is required for a scheduled release";
+    }
+
+    if (policy.resultReleaseAt && Number.isNaN(new Date(policy.resultReleaseAt).getTime())) {
+        return "resultReleaseAt must be a valid date";
+    }
+
+    // Results cannot go out while candidates are still sitting the exam
+    if (policy.resultReleaseMode === "SCHEDULED" && new Date(policy.resultReleaseAt) < new Date(policy.endTime)) {
+        return "resultReleaseAt must not be before the exam ends";
+    }
+
+    for (const attribute of Object.keys(RESULT_PARTS)) {
+        if (typeof policy[attribute] !== "boolean") return `${attribute} must be true or false`;
+    }
+
+    return null;
+};
+
+/**
+ * Where clause for graded exams whose results are released
+ * @param {Date} now
+ * @param {Date} [since] - Only exams released at or after this time
+ */
+export const buildReleasedExamsWhere = (now = new Date(), since = null) => {
+    const window = since ? { [Op.gte]: since, [Op.lte]: now } : { [Op.lte]: now };
+
+    return {
+        state: "PUBLISHED",
+        mode: "EXAM",
+        [Op.or]: [
+            { resultReleaseMode: "ON_END", endTime: window },
+            { resultReleaseMode: "SCHEDULED", resultReleaseAt: window },
+            { resultReleaseMode: "MANUAL", resultsReleasedAt: window },
+        ],
+    };
+};
@@ -0,0 +1,93 @@
+import crypto from "crypto";
+import { groupIntoUnits } from "./stimulus.util.js";
+
+/**
+ * Deterministic shuffling for per-attempt paper layouts
+ *
+ * The permutation is derived from a seed string (the attempt ID, plus the
+ * question ID for option order), so reloading the exam shows the same layout
+ * and results can reproduce what the candidate saw. Answers are stored by
+ * question/option ID, so shuffling never affects evaluation.
+ *
+ * Questions sharing a stimulus move as one block and keep their internal order.
+ */
+
+// 32-bit seed from an arbitrary string
+const seedFromString = (value) =>
+    crypto.createHash("sha256").update(String(value)).digest().readUInt32LE(0);
+
+// mulberry32 PRNG: small, fast and good enough for layout shuffling
+const createRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+/**
+ * Fisher-Yates shuffle driven by a seed string. Returns a new array.
+ * @param {Array} items
+ * @param {string} seed
+ * @returns {Array}
+ */
+export const seededShuffle = (items, seed) => {
+    const result = [...items];
+    const random = createRandom(seedFromString(seed));
+
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+
+    return result;
+};
+
+/**
+ * Seed for an attempt's layout; sectioned exams shuffle each section on its own
+ * @param {string} attemptId
+ * @param {string|null} sectionId
+ * @returns {string}
+ */
+export const getLayoutSeed = (attemptId, sectionId = null) =>
+    sectionId ? `${attemptId}:${sectionId}` : attemptId;
+
+// Shuffle standalone questions and stimulus groups as units
+const shuffleQuestionUnits = (items, seed) => seededShuffle(groupIntoUnits(items), seed).flat();
+
+/**
+ * Apply an exam's shuffle settings to the questions of one attempt
+ * Items must be in canonical order and carry `questionId`, `stimulusId` and `options`.
+ * Adds `displayOrder` (1-based position shown to the candidate).
+ *
+ * @param {Object[]} questions
+ * @param {Object} settings - { attemptId, shuffleQuestions, shuffleOptions }
+ * @returns {Object[]}
+ */
+export const applyAttemptShuffle = (questions, { attemptId, shuffleQuestions, shuffleOptions }) => {
+    const ordered = shuffleQuestions ? shuffleQuestionUnits(questions, attemptId) : questions;
+
+    return ordered.map((question, index) => ({
+        ...question,
+        displayOrder: index + 1,
+        options:
+            shuffleOptions && Array.isArray(question.options)
+                ? seededShuffle(question.options, `${attemptId}:${question.questionId}`)
+                : question.options,
+    }));
+};
+
+/**
+ * Map questionId -> displayOrder for an attempt, without touching the items
+ * Used by results, which stay in canonical order.
+ * @param {Object[]} questions - Canonical order; { questionId, stimulusId, stimulusOrder }
+ * @param {Object} settings - { attemptId, shuffleQuestions }
+ * @returns {Map<string, number>}
+ */
+export const getDisplayOrderMap = (questions, { attemptId, shuffleQuestions }) => {
+    const ordered = shuffleQuestions ? shuffleQuestionUnits(questions, attemptId) : questions;
+    return new Map(ordered.map((item, index) => [item.questionId, index + 1]));
+};
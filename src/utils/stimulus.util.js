@@ -0,0 +1,46 @@
+/**
+ * Stimulus groups in exam papers
+ *
+ * Questions that share a stimulus (passage, table, diagram) must sit next to
+ * each other, in their stimulusOrder, wherever the group appears in a paper.
+ * Items are plain objects carrying `stimulusId` and `stimulusOrder`
+ * (null for standalone questions).
+ */
+
+/**
+ * Split items into layout units: one per standalone question, one per stimulus group
+ * A group is placed where its first member appears.
+ * @param {Object[]} items - Current order
+ * @returns {Object[][]}
+ */
+export const groupIntoUnits = (items) => {
+    const units = [];
+    const groupUnits = new Map();
+
+    for (const item of items) {
+        if (!item.stimulusId) {
+            units.push([item]);
+            continue;
+        }
+
+        if (!groupUnits.has(item.stimulusId)) {
+            const unit = [];
+            groupUnits.set(item.stimulusId, unit);
+            units.push(unit);
+        }
+        groupUnits.get(item.stimulusId).push(item);
+    }
+
+    for (const unit of groupUnits.values()) {
+        unit.sort((a, b) => (a.stimulusOrder ?? 0) - (b.stimulusOrder ?? 0));
+    }
+
+    return units;
+};
+
+/**
+ * Reorder items so every stimulus group is contiguous and in stimulusOrder
+ * @param {Object[]} items - Current order
+ * @returns {Object[]}
+ */
+export const keepGroupsTogether = (items) => groupIntoUnits(items).flat();
@@ -0,0 +1,172 @@
+/**
+ * XML Utilities
+ *
+ * Minimal non-validating XML parser for question interchange files: elements,
+ * attributes, text, CDATA, comments, processing instructions and the five
+ * predefined plus numeric character entities. DOCTYPE declarations are skipped
+ * and never expanded, so external and recursive entities cannot be used.
+ */
+
+const ENTITIES = { lt: "<", gt: ">", amp: "&", quot: '"', apos: "'" };
+
+const parseError = (message, position) => new Error(`Invalid XML: ${message} (at character ${position})`);
+
+export const decodeEntities = (text) =>
+    text.replace(/&(#x[0-9a-fA-F]+|#\d+|[a-zA-Z]+);/g, (match, entity) => {
+        if (entity[0] === "#") {
+            const code = entity[1] === "x" ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return Number.isFinite(code) && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+        }
+        return ENTITIES[entity] ?? match;
+    });
+
+const localNameOf = (name) => name.slice(name.indexOf(":") + 1);
+
+/**
+ * Parse an XML document into its root element
+ * Elements are { name, localName, attributes, children }; children are
+ * elements or strings (text and CDATA, entities decoded).
+ * @param {string} text
+ * @returns {Object} Root element
+ * @throws {Error} On malformed input
+ */
+export const parseXML = (text) => {
+    const input = String(text || "").replace(/^\uFEFF/, "");
+    const root = { name: "#document", localName: "#document", attributes: {}, children: [] };
+    const stack = [root];
+    let i = 0;
+
+    const skipPast = (terminator, what) => {
+        const end = input.indexOf(terminator, i);
+        if (end === -1) throw parseError(`Unterminated ${what}`, i);
+        const content = input.slice(i, end);
+        i = end + terminator.length;
+        return content;
+    };
+
+    while (i < input.length) {
+        const current = stack[stack.length - 1];
+
+        if (input[i] !== "<") {
+            const end = input.indexOf("<", i);
+            const raw = input.slice(i, end === -1 ? input.length : end);
+            if (stack.length > 1) current.children.push(decodeEntities(raw));
+            else if (raw.trim()) throw parseError("Text outside the root element", i);
+            i = end === -1 ? input.length : end;
+            continue;
+        }
+
+        if (input.startsWith("<!--", i)) {
+            i += 4;
+            skipPast("-->", "comment");
+        } else if (input.startsWith("<![CDATA[", i)) {
+            i += 9;
+            current.children.push(skipPast("]]>", "CDATA section"));
+        } else if (input.startsWith("<?", i)) {
+            i += 2;
+            skipPast("?>", "processing instruction");
+        } else if (input.startsWith("<!", i)) {
+            // DOCTYPE, with or without an internal subset
+            i += 2;
+            const bracket = input.indexOf("[", i);
+            const close = input.indexOf(">", i);
+            if (bracket !== -1 && bracket < close) {
+                i = bracket;
+                skipPast("]", "DOCTYPE");
+            }
+            skipPast(">", "DOCTYPE");
+        } else if (input[i + 1] === "/") {
+            i += 2;
+            const name = skipPast(">", "closing tag").trim();
+            if (stack.length === 1 || current.name !== name) {
+                throw parseError(`Unexpected closing tag </${name}>`, i);
+            }
+            stack.pop();
+        } else {
+            i += 1;
+            const match = /^([^\s/>]+)/.exec(input.slice(i, i + 256));
+            if (!match) throw parseError("Invalid tag name", i);
+
+            const name = match[1];
+            i += name.length;
+
+            const attributes = {};
+            const attributePattern = /^\s*([^\s=/>]+)\s*=\s*("([^"]*)"|'([^']*)')/;
+            let selfClosing = false;
+
+            for (;;) {
+                const rest = input.slice(i, i + 4096);
+                const attribute = attributePattern.exec(rest);
+
+                if (attribute) {
+                    attributes[attribute[1]] = decodeEntities(attribute[3] ?? attribute[4]);
+                    i += attribute[0].length;
+                    continue;
+                }
+
+                const end = /^\s*(\/?)>/.exec(rest);
+                if (!end) throw parseError(`Malformed tag <${name}>`, i);
+
+                selfClosing = end[1] === "/";
+                i += end[0].length;
+                break;
+            }
+
+            if (stack.length === 1 && root.children.some(child => typeof child !== "string")) {
+                throw parseError("More than one root element", i);
+            }
+
+            const element = { name, localName: localNameOf(name), attributes, children: [] };
+            current.children.push(element);
+            if (!selfClosing) stack.push(element);
+        }
+    }
+
+    if (stack.length > 1) {
+        throw parseError(`Unclosed element <${stack[stack.length - 1].name}>`, input.length);
+    }
+
+    const documentElement = root.children.find(child => typeof child !== "string");
+    if (!documentElement) throw parseError("No root element", 0);
+
+    return documentElement;
+};
+
+// Child elements by local name (namespace prefixes ignored)
+export const childElements = (element, localName) =>
+    (element?.children || []).filter(child => typeof child !== "string" && (!localName || child.localName === localName));
+
+export const firstChild = (element, localName) => childElements(element, localName)[0] ?? null;
+
+// Descendants by local name, in document order
+export const findAll = (element, localName) => {
+    const found = [];
+    for (const child of childElements(element)) {
+        if (child.localName === localName) found.push(child);
+        found.push(...findAll(child, localName));
+    }
+    return found;
+};
+
+// Concatenated text of an element and its descendants
+export const textContent = (element) =>
+    (element?.children || [])
+        .map(child => (typeof child === "string" ? child : textContent(child)))
+        .join("");
+
+/**
+ * Escape text for element content or attribute values
+ */
+export const escapeXML = (value) =>
+    String(value ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&apos;");
+
+/**
+ * Wrap text in a CDATA section, splitting any "]]>" it contains
+ */
+export const toCDATA = (value) =>
+    `<![CDATA[${String(value ?? "").replace(/]]>/g, "]]]]><![CDATA[>")}]]>`;
@@ -0,0 +1,155 @@
+/**
+ * ZIP Utilities
+ *
+ * Just enough of the ZIP format for IMS content packages (QTI):
+ * - Reading stored and deflated entries, with a cap on the unpacked size
+ * - Writing stored (uncompressed) archives
+ *
+ * ZIP64, encryption and multi-disk archives are not supported.
+ */
+
+import zlib from "zlib";
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+export const crc32 = (buffer) => {
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+// ZIP files start with a local file header
+export const isZip = (buffer) => buffer.length >= 4 && buffer.readUInt32LE(0) === LOCAL_HEADER;
+
+/**
+ * Read every file entry of an archive
+ * @param {Buffer} buffer
+ * @param {Object} options - { maxTotalSize } Unpacked bytes allowed across all entries
+ * @returns {Map<string, Buffer>} Entry name -> content (directories omitted)
+ * @throws {Error} On a malformed or oversized archive
+ */
+export const readZip = (buffer, { maxTotalSize = 20 * 1024 * 1024 } = {}) => {
+    // The end-of-central-directory record sits in the last 64KB + 22 bytes
+    let eocd = -1;
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+        if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+            eocd = i;
+            break;
+        }
+    }
+
+    if (eocd === -1) throw new Error("Invalid ZIP archive: end of central directory not found");
+
+    const entryCount = buffer.readUInt16LE(eocd + 10);
+    let offset = buffer.readUInt32LE(eocd + 16);
+    let totalSize = 0;
+    const entries = new Map();
+
+    for (let n = 0; n < entryCount; n++) {
+        if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_HEADER) {
+            throw new Error("Invalid ZIP archive: bad central directory entry");
+        }
+
+        const flags = buffer.readUInt16LE(offset + 8);
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const size = buffer.readUInt32LE(offset + 24);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString("utf-8", offset + 46, offset + 46 + nameLength);
+
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith("/")) continue;
+        if (flags & 0x1) throw new Error(`Encrypted ZIP entries are not supported (${name})`);
+
+        totalSize += size;
+        if (totalSize > maxTotalSize) throw new Error("ZIP archive is too large when unpacked");
+
+        if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== LOCAL_HEADER) {
+            throw new Error(`Invalid ZIP archive: bad local header for ${name}`);
+        }
+
+        const dataStart = localOffset + 30
+            + buffer.readUInt16LE(localOffset + 26)
+            + buffer.readUInt16LE(localOffset + 28);
+        const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+        if (method === 0) {
+            entries.set(name, data);
+        } else if (method === 8) {
+            entries.set(name, zlib.inflateRawSync(data, { maxOutputLength: Math.max(size, 1) }));
+        } else {
+            throw new Error(`Unsupported ZIP compression method ${method} (${name})`);
+        }
+    }
+
+    return entries;
+};
+
+/**
+ * Build a stored (uncompressed) archive
+ * @param {{ name: string, content: Buffer|string }[]} files
+ * @returns {Buffer}
+ */
+export const writeZip = (files) => {
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = Buffer.from(file.name, "utf-8");
+        const content = Buffer.isBuffer(file.content) ? file.content : Buffer.from(String(file.content), "utf-8");
+        const checksum = crc32(content);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(LOCAL_HEADER, 0);
+        local.writeUInt16LE(20, 4);             // version needed
+        local.writeUInt16LE(0x0800, 6);         // UTF-8 names
+        local.writeUInt16LE(0, 8);              // stored
+        local.writeUInt32LE(0, 10);             // time / date
+        local.writeUInt32LE(checksum, 14);
+        local.writeUInt32LE(content.length, 18);
+        local.writeUInt32LE(content.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        local.writeUInt16LE(0, 28);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(CENTRAL_HEADER, 0);
+        central.writeUInt16LE(20, 4);           // version made by
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(0, 10);
+        central.writeUInt32LE(0, 12);
+        central.writeUInt32LE(checksum, 16);
+        central.writeUInt32LE(content.length, 20);
+        central.writeUInt32LE(content.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        localParts.push(local, name, content);
+        centralParts.push(central, name);
+        offset += local.length + name.length + content.length;
+    }
+
+    const centralDirectory = Buffer.concat(centralParts);
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, centralDirectory, end]);
+};
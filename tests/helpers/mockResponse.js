@@ -0,0 +1,20 @@
+/**
+ * Express response stand-in for calling controllers directly
+ * The status code and JSON body end up on res.statusCode and res.body.
+ */
+export const mockResponse = () => {
+    const res = {};
+    res.status = (code) => {
+        res.statusCode = code;
+        return res;
+    };
+    res.json = (body) => {
+        res.body = body;
+        return res;
+    };
+    res.send = (body) => {
+        res.body = body;
+        return res;
+    };
+    return res;
+};
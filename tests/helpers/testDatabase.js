@@ -0,0 +1,84 @@
+/**
+ * In-memory Postgres (pg-mem) standing in for the app database
+ *
+ * Call setupTestDatabase before importing anything under src/: the app's db
+ * module is mocked to hand out a Sequelize instance backed by pg-mem.
+ * Foreign keys are left out (pg-mem cannot create self-referencing tables);
+ * unique constraints and indexes are kept, and those are what the tests rely on.
+ * pg-mem parses timestamps through moment, whose format warning on every read
+ * is filtered out of console.warn; other warnings pass through.
+ */
+
+import { fileURLToPath } from "url";
+import { jest } from "@jest/globals";
+import { newDb } from "pg-mem";
+import { Sequelize } from "sequelize";
+
+const DB_MODULE = fileURLToPath(new URL("../../src/config/db.js", import.meta.url));
+const ASSOCIATIONS_MODULE = fileURLToPath(new URL("../../src/modules/association/index.js", import.meta.url));
+
+const MOMENT_FORMAT_WARNING = "Deprecation warning: value provided is not in a recognized RFC2822 or ISO format";
+
+const REFERENCES_CLAUSE = / REFERENCES "\w+" \("\w+"\)( ON DELETE (CASCADE|SET NULL|RESTRICT|NO ACTION))?( ON UPDATE (CASCADE|SET NULL|RESTRICT|NO ACTION))?/g;
+
+// Rewrite the statements pg-mem cannot run as Sequelize sends them
+const interceptUnsupported = (db) => (sql) => {
+    // Enum introspection: report no enums, so every type is created below
+    if (/pg_enum/i.test(sql)) return [];
+
+    // Sequelize wraps CREATE TYPE in a DO block to ignore existing types
+    const createType = /^DO 'BEGIN (CREATE TYPE [\s\S]*?); EXCEPTION/.exec(sql);
+    if (createType) {
+        try {
+            db.public.none(createType[1].replace(/''/g, "'"));
+        } catch {
+            // already exists
+        }
+        return [];
+    }
+
+    if (/^CREATE TABLE/.test(sql) && sql.includes(" REFERENCES ")) {
+        db.public.none(sql.replace(REFERENCES_CLAUSE, ""));
+        return [];
+    }
+
+    return null;
+};
+
+/**
+ * Mock the app's database with a fresh pg-mem instance
+ * @returns {Promise<{ sequelize: Sequelize, syncModels: Function }>}
+ *   syncModels loads every model and creates the tables
+ */
+export const setupTestDatabase = async () => {
+    const db = newDb();
+    db.public.interceptQueries(interceptUnsupported(db));
+
+    const warn = console.warn;
+    jest.spyOn(console, "warn").mockImplementation((message, ...rest) => {
+        if (typeof message === "string" && message.startsWith(MOMENT_FORMAT_WARNING)) return;
+        warn(message, ...rest);
+    });
+
+    const sequelize = new Sequelize({
+        dialect: "postgres",
+        dialectModule: db.adapters.createPg(),
+        logging: false,
+    });
+
+    jest.unstable_mockModule(DB_MODULE, () => ({
+        default: sequelize,
+        createSequelizeInstance: () => sequelize,
+        getSequelizeInstance: () => sequelize,
+        initializeDatabase: async () => sequelize,
+        closeDatabase: async () => sequelize.close(),
+    }));
+
+    const syncModels = async () => {
+        const models = await import(ASSOCIATIONS_MODULE);
+        await sequelize.sync();
+        return models;
+    };
+
+    return { sequelize, syncModels };
+};
@@ -0,0 +1,119 @@
+import crypto from "crypto";
+import { jest, describe, test, expect, afterAll } from "@jest/globals";
+import { fileURLToPath } from "url";
+import { setupTestDatabase } from "../../helpers/testDatabase.js";
+import { mockResponse } from "../../helpers/mockResponse.js";
+
+// No Redis in tests
+jest.unstable_mockModule(fileURLToPath(new URL("../../../src/services/cache.service.js", import.meta.url)), () => ({
+    CACHE_KEYS: { EXAM: (id) => `exam:${id}`, EXAM_QUESTIONS: (id) => `exam:${id}:questions` },
+    deleteCache: async () => true,
+    deleteCacheMultiple: async () => true,
+    getOrSetCache: async (key, fetch) => fetch(),
+}));
+
+const { sequelize, syncModels } = await setupTestDatabase();
+const { Exam, Question, ExamQuestion, ExamPaperSet } = await syncModels();
+const { setExamPaperSets, setResultReleasePolicy, updateDraftExamDetails } = await import("../../../src/modules/exam/exam.controller.js");
+
+const adminId = crypto.randomUUID();
+
+const createDraftExamWithQuestions = async (questionCount) => {
+    const exam = await Exam.create({
+        title: "Physics mock",
+        durationMinutes: 60,
+        startTime: new Date(Date.now() + 24 * 60 * 60 * 1000),
+        endTime: new Date(Date.now() + 26 * 60 * 60 * 1000),
+        createdBy: adminId,
+    });
+
+    for (let order = 1; order <= questionCount; order++) {
+        const question = await Question.create({
+            statement: `Question ${order}`,
+            questionType: "SINGLE_CORRECT",
+            domain: "Physics",
+            createdBy: adminId,
+        });
+        await ExamQuestion.create({ examId: exam.id, questionId: question.id, questionOrder: order });
+    }
+
+    return exam;
+};
+
+const hoursFromNow = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000);
+
+afterAll(async () => {
+    await sequelize.close();
+});
+
+describe("setExamPaperSets", () => {
+    test("copies the paper of an exam with questions into every new set", async () => {
+        const exam = await createDraftExamWithQuestions(3);
+        const res = mockResponse();
+
+        await setExamPaperSets(
+            { params: { examId: exam.id }, body: { sets: ["A", "B"] }, user: { userId: adminId }, ip: "127.0.0.1" },
+            res
+        );
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.paperSets.map(set => set.label)).toEqual(["A", "B"]);
+
+        const sets = await ExamPaperSet.findAll({ where: { examId: exam.id } });
+        for (const set of sets) {
+            expect(await ExamQuestion.count({ where: { paperSetId: set.id } })).toBe(3);
+        }
+
+        // The paper now lives in the sets only
+        expect(await ExamQuestion.count({ where: { examId: exam.id, paperSetId: null } })).toBe(0);
+    });
+
+    test("adds a set to an exam that already has sets", async () => {
+        const exam = await createDraftExamWithQuestions(2);
+        const request = (sets) => ({ params: { examId: exam.id }, body: { sets }, user: { userId: adminId }, ip: "127.0.0.1" });
+
+        await setExamPaperSets(request(["A", "B"]), mockResponse());
+        const res = mockResponse();
+        await setExamPaperSets(request(["A", "B", "C"]), res);
+
+        expect(res.statusCode).toBe(200);
+        expect(await ExamQuestion.count({ where: { examId: exam.id } })).toBe(6);
+    });
+});
+
+describe("scheduled result release", () => {
+    const request = (exam, body) => ({ params: { examId: exam.id }, body, user: { userId: adminId }, ip: "127.0.0.1" });
+
+    test("refuses a release time before the exam ends", async () => {
+        const exam = await createDraftExamWithQuestions(1);
+        const res = mockResponse();
+
+        await setResultReleasePolicy(
+            request(exam, { resultReleaseMode: "SCHEDULED", resultReleaseAt: hoursFromNow(25).toISOString() }),
+            res
+        );
+
+        expect(res.statusCode).toBe(400);
+        expect(res.body.message).toBe("resultReleaseAt must not be before the exam ends");
+        expect((await exam.reload()).resultReleaseMode).toBe("ON_END");
+    });
+
+    test("refuses to move the end past a scheduled release", async () => {
+        const exam = await createDraftExamWithQuestions(1);
+        const scheduled = mockResponse();
+        await setResultReleasePolicy(
+            request(exam, { resultReleaseMode: "SCHEDULED", resultReleaseAt: hoursFromNow(30).toISOString() }),
+            scheduled
+        );
+        expect(scheduled.statusCode).toBe(200);
+
+        const endTime = (await exam.reload()).endTime;
+        const res = mockResponse();
+
+        await updateDraftExamDetails(request(exam, { endTime: hoursFromNow(31) }), res);
+
+        expect(res.statusCode).toBe(400);
+        expect(res.body.message).toBe("resultReleaseAt must not be before the exam ends");
+        expect((await exam.reload()).endTime).toEqual(endTime);
+    });
+});
@@ -0,0 +1,80 @@
+import crypto from "crypto";
+import { jest, describe, test, expect, afterAll } from "@jest/globals";
+import { fileURLToPath } from "url";
+import { setupTestDatabase } from "../../helpers/testDatabase.js";
+import { mockResponse } from "../../helpers/mockResponse.js";
+
+const removeStoredFiles = jest.fn(async () => {});
+
+jest.unstable_mockModule(fileURLToPath(new URL("../../../src/services/attachment.service.js", import.meta.url)), () => ({
+    validateAttachmentIds: async () => [],
+    syncQuestionAttachments: async () => [],
+    getOwnedStorageKeys: async () => ["owned-file.png"],
+    removeStoredFiles,
+    getSignedAttachments: async () => new Map(),
+    toSignedList: () => [],
+}));
+
+const { sequelize, syncModels } = await setupTestDatabase();
+const { Exam, Question, ExamQuestion, QuestionVersion } = await syncModels();
+const { deleteQuestion } = await import("../../../src/modules/question/question.controller.js");
+
+const adminId = crypto.randomUUID();
+
+// A question in one exam of the given state, pinned to its first version
+const createQuestionInExam = async (state) => {
+    const question = await Question.create({
+        statement: "Speed of light in vacuum?",
+        questionType: "SINGLE_CORRECT",
+        domain: "Physics",
+        createdBy: adminId,
+    });
+
+    const version = await QuestionVersion.create({ questionId: question.id, version: 1, snapshot: { statement: question.statement } });
+
+    const exam = await Exam.create({
+        title: `${state} exam`,
+        durationMinutes: 60,
+        startTime: new Date(Date.now() - 2 * 60 * 60 * 1000),
+        endTime: new Date(Date.now() - 60 * 60 * 1000),
+        state,
+        createdBy: adminId,
+    });
+
+    await ExamQuestion.create({ examId: exam.id, questionId: question.id, questionVersionId: version.id, questionOrder: 1 });
+
+    return question;
+};
+
+describe("deleteQuestion", () => {
+    afterAll(async () => {
+        await sequelize.close();
+    });
+
+    test("keeps a question a published or closed exam uses, with its versions and files", async () => {
+        for (const state of ["PUBLISHED", "CLOSED"]) {
+            const question = await createQuestionInExam(state);
+            const res = mockResponse();
+
+            await deleteQuestion({ params: { id: question.id } }, res);
+
+            expect(res.statusCode).toBe(409);
+            expect(res.body.exams.map(exam => exam.state)).toEqual([state]);
+            expect(await Question.count({ where: { id: question.id } })).toBe(1);
+            expect(await QuestionVersion.count({ where: { questionId: question.id } })).toBe(1);
+        }
+
+        expect(removeStoredFiles).not.toHaveBeenCalled();
+    });
+
+    test("deletes a question only draft exams use", async () => {
+        const question = await createQuestionInExam("DRAFT");
+        const res = mockResponse();
+
+        await deleteQuestion({ params: { id: question.id } }, res);
+
+        expect(res.statusCode).toBe(204);
+        expect(await Question.count({ where: { id: question.id } })).toBe(0);
+        expect(removeStoredFiles).toHaveBeenCalledWith(["owned-file.png"]);
+    });
+});
@@ -0,0 +1,80 @@
+import crypto from "crypto";
+import { describe, test, expect, afterAll } from "@jest/globals";
+import { setupTestDatabase } from "../../helpers/testDatabase.js";
+import { mockResponse } from "../../helpers/mockResponse.js";
+
+const { sequelize, syncModels } = await setupTestDatabase();
+const { Exam, ExamAttempt } = await syncModels();
+const { getMyScore } = await import("../../../src/modules/result/result.controller.js");
+
+const adminId = crypto.randomUUID();
+const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000);
+
+// A finished exam with one scored attempt by a new candidate
+const createScoredAttempt = async (policy) => {
+    const exam = await Exam.create({
+        title: "Chemistry final",
+        durationMinutes: 60,
+        startTime: hoursAgo(3),
+        endTime: hoursAgo(2),
+        state: "PUBLISHED",
+        createdBy: adminId,
+        ...policy,
+    });
+
+    const userId = crypto.randomUUID();
+
+    await ExamAttempt.create({
+        examId: exam.id,
+        userId,
+        startedAt: hoursAgo(3),
+        submittedAt: hoursAgo(2),
+        status: "SUBMITTED",
+        score: 42,
+    });
+
+    return { examId: exam.id, userId };
+};
+
+const fetchScore = async ({ examId, userId }) => {
+    const res = mockResponse();
+    await getMyScore({ params: { examId }, query: {}, user: { userId } }, res);
+    return res;
+};
+
+describe("getMyScore", () => {
+    afterAll(async () => {
+        await sequelize.close();
+    });
+
+    test("withholds the score until a manual release", async () => {
+        const candidate = await createScoredAttempt({ resultReleaseMode: "MANUAL" });
+
+        const res = await fetchScore(candidate);
+
+        expect(res.statusCode).toBe(403);
+        expect(res.body).toEqual({ message: "Results have not been released yet" });
+        expect(res.body.score).toBeUndefined();
+    });
+
+    test("withholds the score when the policy does not release it", async () => {
+        const candidate = await createScoredAttempt({ releaseScore: false });
+
+        const res = await fetchScore(candidate);
+
+        expect(res.statusCode).toBe(403);
+        expect(res.body.score).toBeUndefined();
+    });
+
+    test("shows a released score, with the rank only when it is released", async () => {
+        const withoutRank = await fetchScore(await createScoredAttempt({ releaseRank: false }));
+        const withRank = await fetchScore(await createScoredAttempt({ resultReleaseMode: "MANUAL", resultsReleasedAt: hoursAgo(1) }));
+
+        expect(withoutRank.statusCode).toBe(200);
+        expect(withoutRank.body.score).toBe(42);
+        expect(withoutRank.body.rank).toBeUndefined();
+
+        expect(withRank.statusCode).toBe(200);
+        expect(withRank.body.rank).toEqual({ rank: 1, totalParticipants: 1 });
+    });
+});
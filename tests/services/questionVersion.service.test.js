@@ -0,0 +1,67 @@
+import crypto from "crypto";
+import { describe, test, expect, afterAll } from "@jest/globals";
+import { setupTestDatabase } from "../helpers/testDatabase.js";
+
+const { sequelize, syncModels } = await setupTestDatabase();
+const { Exam, Question, ExamQuestion, QuestionVersion } = await syncModels();
+const { pinExamQuestionVersions, resolveExamQuestions } = await import("../../src/services/questionVersion.service.js");
+
+const adminId = crypto.randomUUID();
+
+const createQuestionInExam = async () => {
+    const question = await Question.create({
+        statement: "Speed of light in vacuum?",
+        questionType: "NUMERICAL",
+        domain: "Physics",
+        explanation: "It is defined as 299792458 m/s.",
+        explanationAttachmentIds: [crypto.randomUUID()],
+        createdBy: adminId,
+    });
+
+    const exam = await Exam.create({
+        title: "Physics midterm",
+        durationMinutes: 60,
+        startTime: new Date(Date.now() + 60 * 60 * 1000),
+        endTime: new Date(Date.now() + 2 * 60 * 60 * 1000),
+        createdBy: adminId,
+    });
+
+    const examQuestion = await ExamQuestion.create({ examId: exam.id, questionId: question.id, questionOrder: 1 });
+
+    return { question, exam, examQuestion };
+};
+
+const resolve = async (examQuestion, question) => {
+    await examQuestion.reload();
+    const resolved = await resolveExamQuestions([{ ...examQuestion.toJSON(), question: await question.reload() }]);
+    return resolved.get(question.id);
+};
+
+describe("question versions", () => {
+    afterAll(async () => {
+        await sequelize.close();
+    });
+
+    test("results show the explanation the exam was published with", async () => {
+        const { question, exam, examQuestion } = await createQuestionInExam();
+        const published = { explanation: question.explanation, explanationAttachmentIds: question.explanationAttachmentIds };
+
+        await pinExamQuestionVersions(exam.id, { createdBy: adminId });
+        await question.update({ explanation: "Rewritten after publishing.", explanationAttachmentIds: [] });
+
+        expect(await resolve(examQuestion, question)).toMatchObject(published);
+    });
+
+    test("records the current state when the latest version predates snapshotted explanations", async () => {
+        const { question, exam, examQuestion } = await createQuestionInExam();
+        await QuestionVersion.create({ questionId: question.id, version: 1, snapshot: { statement: question.statement } });
+
+        await pinExamQuestionVersions(exam.id, { createdBy: adminId });
+        const explanation = question.explanation;
+        await question.update({ explanation: "Rewritten after publishing." });
+
+        const resolved = await resolve(examQuestion, question);
+        expect(resolved.version).toBe(2);
+        expect(resolved.explanation).toBe(explanation);
+    });
+});
@@ -0,0 +1,87 @@
+import crypto from "crypto";
+import { jest, describe, test, expect, beforeAll, afterAll } from "@jest/globals";
+import { fileURLToPath } from "url";
+import { setupTestDatabase } from "../helpers/testDatabase.js";
+
+const calculateExamScore = jest.fn();
+
+jest.unstable_mockModule(fileURLToPath(new URL("../../src/services/examScore.service.js", import.meta.url)), () => ({
+    calculateExamScore,
+}));
+
+// No Redis in tests; runs are processed inline
+jest.unstable_mockModule(fileURLToPath(new URL("../../src/services/scoreCalculationQueue.service.js", import.meta.url)), () => ({
+    addRescoreJob: async () => null,
+    isScoreQueueInitialized: () => false,
+}));
+
+const { sequelize, syncModels } = await setupTestDatabase();
+const { ExamAttempt, RescoringRun, RescoringEntry } = await syncModels();
+const { rescoreAttempt } = await import("../../src/services/rescoring.service.js");
+
+// A run over one submitted attempt, with its entry claimed by nobody yet
+const createRun = async () => {
+    const examId = crypto.randomUUID();
+    const userId = crypto.randomUUID();
+
+    const attempt = await ExamAttempt.create({
+        examId,
+        userId,
+        startedAt: new Date(),
+        submittedAt: new Date(),
+        status: "SUBMITTED",
+        score: 10,
+    });
+
+    const run = await RescoringRun.create({ examId, totalAttempts: 1 });
+    await RescoringEntry.create({ runId: run.id, attemptId: attempt.id, userId, scoreBefore: 10 });
+
+    return { runId: run.id, attemptId: attempt.id };
+};
+
+describe("rescoreAttempt", () => {
+    beforeAll(() => {
+        jest.spyOn(console, "error").mockImplementation(() => {});
+    });
+
+    afterAll(async () => {
+        await sequelize.close();
+    });
+
+    test("records the new score and closes the run", async () => {
+        const { runId, attemptId } = await createRun();
+        calculateExamScore.mockResolvedValueOnce({ success: true, data: { score: 12 } });
+
+        const result = await rescoreAttempt(runId, attemptId);
+
+        expect(result).toMatchObject({ success: true, scoreBefore: 10, scoreAfter: 12 });
+        expect((await RescoringRun.findByPk(runId)).status).toBe("COMPLETED");
+    });
+
+    test("marks the entry FAILED and closes the run when scoring throws", async () => {
+        const { runId, attemptId } = await createRun();
+        calculateExamScore.mockRejectedValueOnce(new Error("connection reset"));
+
+        const result = await rescoreAttempt(runId, attemptId);
+
+        expect(result).toMatchObject({ success: false, error: "connection reset" });
+
+        const entry = await RescoringEntry.findOne({ where: { runId, attemptId } });
+        expect(entry.status).toBe("FAILED");
+
+        const run = await RescoringRun.findByPk(runId);
+        expect(run.failedAttempts).toBe(1);
+        expect(run.status).toBe("COMPLETED_WITH_ERRORS");
+    });
+
+    test("skips an entry another job already claimed", async () => {
+        const { runId, attemptId } = await createRun();
+        calculateExamScore.mockResolvedValueOnce({ success: true, data: { score: 12 } });
+
+        await rescoreAttempt(runId, attemptId);
+        const calls = calculateExamScore.mock.calls.length;
+
+        expect(await rescoreAttempt(runId, attemptId)).toMatchObject({ success: true, skipped: true });
+        expect(calculateExamScore.mock.calls.length).toBe(calls);
+    });
+});
@@ -0,0 +1,149 @@
+import crypto from "crypto";
+import { jest, describe, test, expect, beforeAll, afterAll } from "@jest/globals";
+import { fileURLToPath } from "url";
+import { setupTestDatabase } from "../helpers/testDatabase.js";
+
+const sendEmailQueued = jest.fn(async () => {});
+
+jest.unstable_mockModule(fileURLToPath(new URL("../../src/services/email.service.js", import.meta.url)), () => ({
+    sendEmailQueued,
+}));
+
+const { sequelize, syncModels } = await setupTestDatabase();
+const { Exam, ExamAttempt, ExamPaperSet, User } = await syncModels();
+const { rankExamCandidates, notifyResultRelease } = await import("../../src/services/resultRelease.service.js");
+
+const adminId = crypto.randomUUID();
+
+const createExamWithSets = async (scoreAggregation) => {
+    const exam = await Exam.create({
+        title: "Mathematics final",
+        durationMinutes: 60,
+        startTime: new Date(Date.now() - 3 * 60 * 60 * 1000),
+        endTime: new Date(Date.now() - 2 * 60 * 60 * 1000),
+        state: "PUBLISHED",
+        maxAttempts: 2,
+        scoreAggregation,
+        createdBy: adminId,
+    });
+
+    const [setA, setB] = await Promise.all([
+        ExamPaperSet.create({ examId: exam.id, label: "A", setOrder: 1 }),
+        ExamPaperSet.create({ examId: exam.id, label: "B", setOrder: 2 }),
+    ]);
+
+    return { exam, setA, setB };
+};
+
+const recordAttempts = async (examId, userId, attempts) => {
+    for (const [index, { paperSetId, score }] of attempts.entries()) {
+        await ExamAttempt.create({
+            examId,
+            userId,
+            paperSetId,
+            attemptNumber: index + 1,
+            startedAt: new Date(),
+            submittedAt: new Date(),
+            status: "SUBMITTED",
+            score,
+        });
+    }
+};
+
+afterAll(async () => {
+    await sequelize.close();
+});
+
+describe("rankExamCandidates", () => {
+    test("equates each attempt against its own set before averaging", async () => {
+        // Set A is the easier paper: the same performance scores 40 marks more on it
+        const { exam, setA, setB } = await createExamWithSets("AVERAGE");
+        const [first, second] = [crypto.randomUUID(), crypto.randomUUID()];
+
+        // Same two performances, sat in the opposite order
+        await recordAttempts(exam.id, first, [{ paperSetId: setA.id, score: 80 }, { paperSetId: setB.id, score: 40 }]);
+        await recordAttempts(exam.id, second, [{ paperSetId: setB.id, score: 40 }, { paperSetId: setA.id, score: 80 }]);
+        await recordAttempts(exam.id, crypto.randomUUID(), [{ paperSetId: setA.id, score: 60 }]);
+        await recordAttempts(exam.id, crypto.randomUUID(), [{ paperSetId: setB.id, score: 20 }]);
+
+        const { candidates } = await rankExamCandidates(exam);
+        const rankOf = (userId) => candidates.find(candidate => candidate.userId === userId);
+
+        expect(rankOf(first).score).toBe(60);
+        expect(rankOf(first).normalizedScore).toBe(rankOf(second).normalizedScore);
+        expect(rankOf(first).rank).toBe(1);
+        expect(rankOf(second).rank).toBe(1);
+    });
+
+    test("ranks on the equated score of the counted attempt under BEST", async () => {
+        const { exam, setA, setB } = await createExamWithSets("BEST");
+        const [onA, onB] = [crypto.randomUUID(), crypto.randomUUID()];
+
+        // Both candidates are at the mean of the set they counted; their weaker retakes do not count
+        await recordAttempts(exam.id, onA, [{ paperSetId: setB.id, score: 30 }, { paperSetId: setA.id, score: 80 }]);
+        await recordAttempts(exam.id, onB, [{ paperSetId: setB.id, score: 40 }]);
+        await recordAttempts(exam.id, crypto.randomUUID(), [{ paperSetId: setA.id, score: 70 }]);
+        await recordAttempts(exam.id, crypto.randomUUID(), [{ paperSetId: setA.id, score: 90 }]);
+        await recordAttempts(exam.id, crypto.randomUUID(), [{ paperSetId: setB.id, score: 50 }]);
+
+        const { candidates } = await rankExamCandidates(exam);
+        const rankOf = (userId) => candidates.find(candidate => candidate.userId === userId);
+
+        expect(rankOf(onA).score).toBe(80);
+        expect(rankOf(onA).paperSetId).toBe(setA.id);
+        expect(rankOf(onA).normalizedScore).toBe(rankOf(onB).normalizedScore);
+    });
+});
+
+describe("notifyResultRelease", () => {
+    beforeAll(() => {
+        jest.spyOn(console, "error").mockImplementation(() => {});
+    });
+
+    const createReleasedExamWithParticipant = async () => {
+        const exam = await Exam.create({
+            title: "Chemistry final",
+            durationMinutes: 60,
+            startTime: new Date(Date.now() - 3 * 60 * 60 * 1000),
+            endTime: new Date(Date.now() - 2 * 60 * 60 * 1000),
+            state: "PUBLISHED",
+            createdBy: adminId,
+        });
+
+        const user = await User.create({
+            fullName: "Asha Rao",
+            email: `${crypto.randomUUID()}@college.edu`,
+            hashedPassword: "hashed",
+            role: "USER",
+        });
+
+        await recordAttempts(exam.id, user.id, [{ paperSetId: null, score: 70 }]);
+
+        return exam;
+    };
+
+    test("gives the claim back when no email could be queued, so the next run retries", async () => {
+        const exam = await createReleasedExamWithParticipant();
+
+        sendEmailQueued.mockRejectedValueOnce(new Error("Queue unavailable"));
+        const failed = await notifyResultRelease(exam);
+
+        expect(failed).toMatchObject({ announced: false, queued: 0 });
+        expect((await exam.reload()).resultsNotifiedAt).toBeNull();
+
+        const retried = await notifyResultRelease(exam);
+
+        expect(retried).toMatchObject({ announced: true, queued: 1, failed: [] });
+        expect((await exam.reload()).resultsNotifiedAt).not.toBeNull();
+    });
+
+    test("gives the claim back when the participants cannot be loaded", async () => {
+        const exam = await createReleasedExamWithParticipant();
+        const findAll = jest.spyOn(ExamAttempt, "findAll").mockRejectedValueOnce(new Error("Connection lost"));
+
+        await expect(notifyResultRelease(exam)).rejects.toThrow("Connection lost");
+        expect((await exam.reload()).resultsNotifiedAt).toBeNull();
+
+        findAll.mockRestore();
+    });
+});
@@ -0,0 +1,65 @@
+import crypto from "crypto";
+import { jest, describe, test, expect, beforeAll, afterAll } from "@jest/globals";
+import { fileURLToPath } from "url";
+import { setupTestDatabase } from "../helpers/testDatabase.js";
+
+process.env.JWT_ACCESS_SECRET = "test-access-secret";
+process.env.JWT_REFRESH_SECRET = "test-refresh-secret";
+
+// No Redis in tests; session state is read straight from the database
+jest.unstable_mockModule(fileURLToPath(new URL("../../src/services/cache.service.js", import.meta.url)), () => ({
+    CACHE_KEYS: { SESSION: (id) => `session:${id}` },
+    deleteCache: async () => true,
+    deleteCacheMultiple: async () => true,
+    getOrSetCache: async (key, fetch) => fetch(),
+}));
+
+const { sequelize, syncModels } = await setupTestDatabase();
+const { Session } = await syncModels();
+const { createSession, rotateSession } = await import("../../src/services/session.service.js");
+
+const user = { id: crypto.randomUUID(), role: "USER", emailVerified: true, isSuspended: false };
+const loadUser = async () => user;
+
+describe("rotateSession", () => {
+    beforeAll(() => {
+        jest.spyOn(console, "warn").mockImplementation(() => {});
+    });
+
+    afterAll(async () => {
+        await sequelize.close();
+    });
+
+    test("issues a new refresh token and rejects the old one afterwards as reuse", async () => {
+        const { session, refreshToken } = await createSession(user);
+
+        const first = await rotateSession(refreshToken, loadUser);
+        expect(first.success).toBe(true);
+        expect(first.refreshToken).not.toBe(refreshToken);
+
+        const replay = await rotateSession(refreshToken, loadUser);
+        expect(replay).toMatchObject({ success: false, error: "TOKEN_REUSE" });
+
+        // The whole session is gone, including the token issued by the first refresh
+        const afterReplay = await rotateSession(first.refreshToken, loadUser);
+        expect(afterReplay).toMatchObject({ success: false, error: "SESSION_REVOKED" });
+
+        const stored = await Session.findByPk(session.id);
+        expect(stored.revokedReason).toBe("TOKEN_REUSE");
+    });
+
+    test("lets only one of two concurrent refreshes with the same token through", async () => {
+        const { session, refreshToken } = await createSession(user);
+
+        const results = await Promise.all([
+            rotateSession(refreshToken, loadUser),
+            rotateSession(refreshToken, loadUser),
+        ]);
+
+        expect(results.filter(result => result.success)).toHaveLength(1);
+        expect(results.filter(result => result.error === "TOKEN_REUSE")).toHaveLength(1);
+
+        const stored = await Session.findByPk(session.id);
+        expect(stored.revokedAt).not.toBeNull();
+    });
+});
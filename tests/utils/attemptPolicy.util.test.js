@@ -0,0 +1,81 @@
+import { describe, test, expect } from "@jest/globals";
+import { checkAttemptPolicy, aggregateAttemptScores } from "../../src/utils/attemptPolicy.util.js";
+
+const now = new Date("2026-03-01T10:00:00Z");
+const minutesAgo = (minutes) => new Date(now.getTime() - minutes * 60 * 1000);
+
+const submitted = (attemptNumber, submittedAt) => ({ status: "SUBMITTED", attemptNumber, submittedAt });
+
+describe("checkAttemptPolicy", () => {
+    test("allows the first attempt", () => {
+        expect(checkAttemptPolicy({ mode: "EXAM", maxAttempts: null }, [], now)).toEqual({ allowed: true });
+    });
+
+    test("allows one attempt at a graded exam by default", () => {
+        const result = checkAttemptPolicy({ mode: "EXAM", maxAttempts: null }, [submitted(1, minutesAgo(60))], now);
+
+        expect(result).toMatchObject({ allowed: false, error: "ATTEMPTS_EXHAUSTED" });
+        expect(result.message).toBe("You have already attempted this exam");
+    });
+
+    test("stops at maxAttempts", () => {
+        const exam = { mode: "EXAM", maxAttempts: 3 };
+        const attempts = [submitted(1, minutesAgo(300)), submitted(2, minutesAgo(200))];
+
+        expect(checkAttemptPolicy(exam, attempts, now).allowed).toBe(true);
+        expect(checkAttemptPolicy(exam, [...attempts, submitted(3, minutesAgo(100))], now)).toMatchObject({
+            allowed: false,
+            error: "ATTEMPTS_EXHAUSTED",
+            message: "You have used all 3 attempts for this exam",
+        });
+    });
+
+    test("leaves practice exams unlimited by default", () => {
+        const attempts = Array.from({ length: 20 }, (_, i) => submitted(i + 1, minutesAgo(100 - i)));
+
+        expect(checkAttemptPolicy({ mode: "PRACTICE", maxAttempts: null }, attempts, now).allowed).toBe(true);
+    });
+
+    test("holds the next attempt until the cooldown after the latest one has passed", () => {
+        const exam = { mode: "PRACTICE", maxAttempts: null, cooldownMinutes: 30 };
+        // Listed out of order: the latest attempt is the one with the highest number
+        const attempts = [submitted(2, minutesAgo(10)), submitted(1, minutesAgo(120))];
+
+        const result = checkAttemptPolicy(exam, attempts, now);
+
+        expect(result).toMatchObject({ allowed: false, error: "COOLDOWN" });
+        expect(result.retryAt).toEqual(new Date(minutesAgo(10).getTime() + 30 * 60 * 1000));
+
+        expect(checkAttemptPolicy(exam, attempts, new Date(result.retryAt)).allowed).toBe(true);
+    });
+
+    test("ignores the cooldown while the latest attempt is not submitted", () => {
+        const exam = { mode: "PRACTICE", maxAttempts: null, cooldownMinutes: 30 };
+
+        expect(checkAttemptPolicy(exam, [{ status: "IN_PROGRESS", attemptNumber: 1, submittedAt: null }], now).allowed).toBe(true);
+    });
+});
+
+describe("aggregateAttemptScores", () => {
+    const attempts = [
+        { attemptNumber: 1, score: 40, isScoreProvisional: false },
+        { attemptNumber: 2, score: 70, isScoreProvisional: false },
+        { attemptNumber: 3, score: 55, isScoreProvisional: true },
+        { attemptNumber: 4, score: null, isScoreProvisional: false },
+    ];
+
+    test("counts the best, latest or average of the scored attempts", () => {
+        expect(aggregateAttemptScores(attempts, "BEST")).toMatchObject({ score: 70, isScoreProvisional: false, attemptsCounted: 3 });
+        expect(aggregateAttemptScores(attempts, "LATEST")).toMatchObject({ score: 55, isScoreProvisional: true });
+        expect(aggregateAttemptScores(attempts, "AVERAGE")).toMatchObject({ score: 55, isScoreProvisional: true });
+    });
+
+    test("has no score without scored attempts", () => {
+        expect(aggregateAttemptScores([{ attemptNumber: 1, score: null }], "BEST")).toEqual({
+            score: null,
+            isScoreProvisional: false,
+            attempt: null,
+            attemptsCounted: 0,
+        });
+    });
+});
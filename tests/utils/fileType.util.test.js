@@ -0,0 +1,36 @@
+import { describe, test, expect } from "@jest/globals";
+import { detectFileType, matchesDeclaredType } from "../../src/utils/fileType.util.js";
+
+const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00]);
+const jpeg = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10]);
+const gif = Buffer.from("GIF89a\x01\x00");
+const webp = Buffer.concat([Buffer.from("RIFF"), Buffer.from([0x24, 0, 0, 0]), Buffer.from("WEBPVP8 ")]);
+const pdf = Buffer.from("%PDF-1.7\n");
+
+describe("detectFileType", () => {
+    test("identifies each supported format by its signature", () => {
+        expect(detectFileType(png)).toBe("image/png");
+        expect(detectFileType(jpeg)).toBe("image/jpeg");
+        expect(detectFileType(gif)).toBe("image/gif");
+        expect(detectFileType(webp)).toBe("image/webp");
+        expect(detectFileType(pdf)).toBe("application/pdf");
+    });
+
+    test("returns null for unknown or truncated content", () => {
+        expect(detectFileType(Buffer.from("<script>alert(1)</script>"))).toBeNull();
+        expect(detectFileType(Buffer.from([0x89, 0x50]))).toBeNull();
+        expect(detectFileType(Buffer.from("RIFF\x00\x00\x00\x00WAVE"))).toBeNull();
+        expect(detectFileType(undefined)).toBeNull();
+    });
+});
+
+describe("matchesDeclaredType", () => {
+    test("accepts content of the declared type", () => {
+        expect(matchesDeclaredType({ mimetype: "image/png", buffer: png })).toBe(true);
+    });
+
+    test("rejects content of another type", () => {
+        expect(matchesDeclaredType({ mimetype: "image/png", buffer: jpeg })).toBe(false);
+        expect(matchesDeclaredType({ mimetype: "image/gif", buffer: Buffer.from("<svg onload=alert(1)>") })).toBe(false);
+    });
+});
@@ -0,0 +1,187 @@
+import { describe, test, expect } from "@jest/globals";
+import { DEFAULT_MARKING_RULES, scoreQuestion, finalizeTotal } from "../../src/utils/marking.util.js";
+
+const rules = (overrides = {}) => ({ ...DEFAULT_MARKING_RULES, ...overrides });
+
+const singleCorrect = {
+    questionType: "SINGLE_CORRECT",
+    marks: 4,
+    negativeMarks: 1,
+    options: [
+        { id: "a", isCorrect: true },
+        { id: "b", isCorrect: false },
+        { id: "c", isCorrect: false },
+        { id: "d", isCorrect: false },
+    ],
+};
+
+const multipleCorrect = {
+    questionType: "MULTIPLE_CORRECT",
+    marks: 4,
+    negativeMarks: 2,
+    options: [
+        { id: "a", isCorrect: true },
+        { id: "b", isCorrect: true },
+        { id: "c", isCorrect: false },
+        { id: "d", isCorrect: false },
+    ],
+};
+
+const examQuestion = (overrides = {}) => ({ marksForEachQuestion: 4, negativeMarks: null, keyOverride: null, ...overrides });
+const selected = (...ids) => ({ selectedOptionIds: ids, numericalAnswer: null });
+
+describe("scoreQuestion", () => {
+    test("awards full marks for the correct option", () => {
+        const { marksObtained, breakdown } = scoreQuestion({
+            rules: rules(), question: singleCorrect, examQuestion: examQuestion(), answer: selected("a"),
+        });
+
+        expect(marksObtained).toBe(4);
+        expect(breakdown.outcome).toBe("CORRECT");
+    });
+
+    test("scores an unanswered question as 0", () => {
+        const { marksObtained, breakdown } = scoreQuestion({
+            rules: rules(), question: singleCorrect, examQuestion: examQuestion(), answer: null,
+        });
+
+        expect(marksObtained).toBe(0);
+        expect(breakdown.outcome).toBe("UNATTEMPTED");
+    });
+
+    test("scales the question's penalty to the marks the exam awards", () => {
+        const { marksObtained, breakdown } = scoreQuestion({
+            rules: rules({ allowNegativeQuestionScore: true }),
+            question: singleCorrect,
+            examQuestion: examQuestion({ marksForEachQuestion: 8 }),
+            answer: selected("b"),
+        });
+
+        expect(breakdown.penalty).toBe(2);
+        expect(marksObtained).toBe(-2);
+    });
+
+    test("prefers the exam question's own penalty", () => {
+        const { marksObtained } = scoreQuestion({
+            rules: rules({ allowNegativeQuestionScore: true }),
+            question: singleCorrect,
+            examQuestion: examQuestion({ negativeMarks: 0.5 }),
+            answer: selected("b"),
+        });
+
+        expect(marksObtained).toBe(-0.5);
+    });
+
+    test("applies FIXED and FRACTION penalties", () => {
+        const fixed = scoreQuestion({
+            rules: rules({ negativeMarking: "FIXED", negativeValue: 1.5, allowNegativeQuestionScore: true }),
+            question: singleCorrect, examQuestion: examQuestion(), answer: selected("c"),
+        });
+        const fraction = scoreQuestion({
+            rules: rules({ negativeMarking: "FRACTION", negativeValue: 0.25, allowNegativeQuestionScore: true }),
+            question: singleCorrect, examQuestion: examQuestion(), answer: selected("c"),
+        });
+
+        expect(fixed.marksObtained).toBe(-1.5);
+        expect(fraction.marksObtained).toBe(-1);
+    });
+
+    test("clamps a negative question score to 0 unless allowed", () => {
+        const { marksObtained, breakdown } = scoreQuestion({
+            rules: rules(), question: singleCorrect, examQuestion: examQuestion(), answer: selected("b"),
+        });
+
+        expect(marksObtained).toBe(0);
+        expect(breakdown.clamped).toBe(true);
+    });
+
+    test("gives nothing for a partly right MULTIPLE_CORRECT answer under ALL_OR_NOTHING", () => {
+        const { breakdown } = scoreQuestion({
+            rules: rules({ allowNegativeQuestionScore: true }),
+            question: multipleCorrect, examQuestion: examQuestion(), answer: selected("a"),
+        });
+
+        expect(breakdown.outcome).toBe("INCORRECT");
+        expect(breakdown.raw).toBe(-2);
+    });
+
+    test("gives marks per correct option under PARTIAL, and the penalty for any wrong one", () => {
+        const partial = rules({ multipleCorrect: "PARTIAL", allowNegativeQuestionScore: true });
+
+        const oneRight = scoreQuestion({
+            rules: partial, question: multipleCorrect, examQuestion: examQuestion(), answer: selected("a"),
+        });
+        const oneWrong = scoreQuestion({
+            rules: partial, question: multipleCorrect, examQuestion: examQuestion(), answer: selected("a", "c"),
+        });
+
+        expect(oneRight.marksObtained).toBe(2);
+        expect(oneRight.breakdown.outcome).toBe("PARTIAL");
+        expect(oneWrong.marksObtained).toBe(-2);
+    });
+
+    test("nets right against wrong choices under PROPORTIONAL", () => {
+        const { marksObtained, breakdown } = scoreQuestion({
+            rules: rules({ multipleCorrect: "PROPORTIONAL" }),
+            question: multipleCorrect, examQuestion: examQuestion(), answer: selected("a", "b", "c"),
+        });
+
+        // 4 x (2/2 - 1/2)
+        expect(marksObtained).toBe(2);
+        expect(breakdown.outcome).toBe("PARTIAL");
+    });
+
+    test("accepts a numerical answer within the tolerance", () => {
+        const question = { questionType: "NUMERICAL", marks: 4, negativeMarks: 1, numericalAnswer: { value: 9.81, tolerance: 0.05 } };
+
+        const inside = scoreQuestion({
+            rules: rules(), question, examQuestion: examQuestion(), answer: { selectedOptionIds: [], numericalAnswer: 9.8 },
+        });
+        const outside = scoreQuestion({
+            rules: rules(), question, examQuestion: examQuestion(), answer: { selectedOptionIds: [], numericalAnswer: 9.7 },
+        });
+
+        expect(inside.breakdown.outcome).toBe("CORRECT");
+        expect(outside.breakdown.outcome).toBe("INCORRECT");
+    });
+
+    test("awards a BONUS question to everyone or only to those who attempted it", () => {
+        const toAll = scoreQuestion({
+            rules: rules(), question: singleCorrect,
+            examQuestion: examQuestion({ keyOverride: { mode: "BONUS", awardTo: "ALL" } }), answer: null,
+        });
+        const toAttempted = scoreQuestion({
+            rules: rules(), question: singleCorrect,
+            examQuestion: examQuestion({ keyOverride: { mode: "BONUS", awardTo: "ATTEMPTED" } }), answer: null,
+        });
+
+        expect(toAll.marksObtained).toBe(4);
+        expect(toAttempted.marksObtained).toBe(0);
+    });
+
+    test("counts an extra accepted key as correct", () => {
+        const { marksObtained, breakdown } = scoreQuestion({
+            rules: rules(),
+            question: singleCorrect,
+            examQuestion: examQuestion({ keyOverride: { mode: "MULTIPLE_KEYS", acceptedOptionSets: [["b"]] } }),
+            answer: selected("b"),
+        });
+
+        expect(marksObtained).toBe(4);
+        expect(breakdown.matchedAcceptedKey).toBe(true);
+    });
+});
+
+describe("finalizeTotal", () => {
+    test("floors a negative total at 0 by default", () => {
+        expect(finalizeTotal(-3.5, rules())).toBe(0);
+    });
+
+    test("keeps a negative total when allowed", () => {
+        expect(finalizeTotal(-3.5, rules({ allowNegativeTotal: true }))).toBe(-3.5);
+    });
+
+    test("rounds to two decimals", () => {
+        expect(finalizeTotal(10.3333333, rules())).toBe(10.33);
+    });
+});
@@ -0,0 +1,108 @@
+import { describe, test, expect } from "@jest/globals";
+import {
+    isResultReleased,
+    getResultVisibility,
+    describePendingRelease,
+    validateResultReleasePolicy,
+} from "../../src/utils/resultRelease.util.js";
+
+const now = new Date("2026-03-01T10:00:00Z");
+const hoursFromNow = (hours) => new Date(now.getTime() + hours * 60 * 60 * 1000);
+
+const exam = (overrides = {}) => ({
+    mode: "EXAM",
+    endTime: hoursFromNow(-1),
+    resultReleaseMode: "ON_END",
+    resultReleaseAt: null,
+    resultsReleasedAt: null,
+    releaseScore: true,
+    releaseRank: true,
+    releaseCorrectness: true,
+    releaseAnswerKey: true,
+    ...overrides,
+});
+
+describe("isResultReleased", () => {
+    test("releases ON_END results when the exam ends", () => {
+        expect(isResultReleased(exam({ endTime: hoursFromNow(1) }), now)).toBe(false);
+        expect(isResultReleased(exam(), now)).toBe(true);
+    });
+
+    test("releases SCHEDULED results at the release time, not at the end", () => {
+        const scheduled = exam({ resultReleaseMode: "SCHEDULED", resultReleaseAt: hoursFromNow(2) });
+
+        expect(isResultReleased(scheduled, now)).toBe(false);
+        expect(isResultReleased(scheduled, hoursFromNow(2))).toBe(true);
+    });
+
+    test("keeps MANUAL results back until an admin releases them", () => {
+        expect(isResultReleased(exam({ resultReleaseMode: "MANUAL" }), now)).toBe(false);
+        expect(isResultReleased(exam({ resultReleaseMode: "MANUAL", resultsReleasedAt: hoursFromNow(-0.5) }), now)).toBe(true);
+    });
+
+    test("releases practice results right away", () => {
+        expect(isResultReleased(exam({ mode: "PRACTICE", endTime: hoursFromNow(24) }), now)).toBe(true);
+    });
+});
+
+describe("getResultVisibility", () => {
+    test("shows nothing before the release", () => {
+        expect(getResultVisibility(exam({ endTime: hoursFromNow(1) }), now)).toEqual({
+            released: false,
+            score: false,
+            rank: false,
+            correctness: false,
+            answerKey: false,
+        });
+    });
+
+    test("shows only the released parts", () => {
+        const visibility = getResultVisibility(exam({ releaseRank: false, releaseAnswerKey: false }), now);
+
+        expect(visibility).toEqual({
+            released: true,
+            score: true,
+            rank: false,
+            correctness: true,
+            answerKey: false,
+        });
+    });
+
+    test("never ranks practice results", () => {
+        expect(getResultVisibility(exam({ mode: "PRACTICE" }), now).rank).toBe(false);
+    });
+});
+
+describe("describePendingRelease", () => {
+    test("gives the release time when it is known", () => {
+        const scheduled = exam({ resultReleaseMode: "SCHEDULED", resultReleaseAt: hoursFromNow(2) });
+
+        expect(describePendingRelease(scheduled).releaseAt).toEqual(hoursFromNow(2));
+        expect(describePendingRelease(exam({ resultReleaseMode: "MANUAL" })).releaseAt).toBeNull();
+    });
+});
+
+describe("validateResultReleasePolicy", () => {
+    test("accepts a complete policy", () => {
+        expect(validateResultReleasePolicy(exam({ resultReleaseMode: "SCHEDULED", resultReleaseAt: hoursFromNow(2) }))).toBeNull();
+    });
+
+    test("rejects a scheduled release without a time", () => {
+        expect(validateResultReleasePolicy(exam({ resultReleaseMode: "SCHEDULED" })))
+            .toBe("resultReleaseAt is required for a scheduled release");
+    });
+
+    test("rejects a scheduled release before the exam ends", () => {
+        expect(validateResultReleasePolicy(exam({ endTime: hoursFromNow(3), resultReleaseMode: "SCHEDULED", resultReleaseAt: hoursFromNow(2) })))
+            .toBe("resultReleaseAt must not be before the exam ends");
+    });
+
+    test("rejects anything but ON_END for practice exams", () => {
+        expect(validateResultReleasePolicy(exam({ mode: "PRACTICE", resultReleaseMode: "MANUAL" })))
+            .toBe("Practice results are released on submit");
+    });
+
+    test("requires every part flag to be a boolean", () => {
+        expect(validateResultReleasePolicy(exam({ releaseRank: "yes" }))).toBe("releaseRank must be true or false");
+    });
+});